@@ -1,49 +1,100 @@
-// Socket.io is loaded via script tag
-// import { io } from "socket.io-client";
+import { IntercomClient, MEDIA_PROFILES, SIGNALING_FAILED, videoConstraints } from "./sdk/intercomClient.js";
+
+// Socket.io is loaded via script tag (the client picks up the global `io`)
 
 // Use relative URL for production (App Runner) or localhost:3000 for dev
 // If serving static files from the same server, "/" or window.location.origin works best.
 const SERVER_URL = window.location.origin;
 
-// Fetch ICE Servers from backend (Secure TURN)
-async function getIceServers() {
-    try {
-        const controller = new AbortController();
-        const timeoutId = setTimeout(() => controller.abort(), 10000); // 10 second timeout
-
-        const fetchUrl = `${SERVER_URL}/api/get-turn-credentials`;
-        console.log("Fetching ICE Servers from:", fetchUrl);
-        const response = await fetch(fetchUrl, {
-            signal: controller.signal
-        });
-        clearTimeout(timeoutId);
-
-        const data = await response.json();
-        console.log("Fetched ICE Servers:", JSON.stringify(data.iceServers, null, 2)); // Detailed Log
-        if (data.iceServers && data.iceServers.length > 0) {
-            return { iceServers: data.iceServers };
-        }
-    } catch (e) {
-        console.error("Failed to fetch ICE servers (using default):", e);
-    }
-    // Fallback
-    return {
-        iceServers: [
-            { urls: "stun:stun.l.google.com:19302" }
-        ]
-    };
-}
+// Signaling, the call and local media live in the client; this file is the UI on top of it
+const client = new IntercomClient({
+    url: SERVER_URL,
+    mediaConstraints: () => ({ audio: true, video: { facingMode: "user", ...videoConstraints(MEDIA_PROFILES[activeProfile]) } }),
+    onGiveUp: reportCallFailure,
+});
 
 // State
-let socket;
-let peerConnection;
-let localStream;
-let isConnected = false;
-let isMuted = false;
-let currentTargetId = null;
 let connectionTimeout = null;
 const TIMEOUT_DURATION = 60000; // 60 seconds
 
+// Ring Group State
+// deviceRegistration: { group, key, name } - this device rings for that household
+let deviceRegistration = null;
+let pendingRing = null; // Resident: { token, group, caller } shown in the incoming call modal
+const DEVICE_STORAGE_KEY = "intercom-device";
+const PUSH_ENDPOINT_KEY = "intercom-push-endpoint";
+// /?answer=<token> - opened from the Answer action of a push notification
+let answerParam = null;
+const HEARTBEAT_INTERVAL_MS = 20000; // Server marks devices offline after ~60s without one
+
+// Visitor Snapshot State
+// Resident: { token, url } - still frame of the visitor, shown until their video arrives
+let visitorSnapshot = null;
+let snapshotSentFor = null; // Visitor: token we already uploaded a snapshot for
+
+// Chat State (the client's data channel)
+// Messages: { type: "chat", id, text } | { type: "ack", id, state: "delivered" | "read" }
+//           { type: "door", id, status } | { type: "door-ack", id }
+let quickReplies = []; // Resident: canned replies from the server
+let unreadChat = []; // Ids of received messages not yet acknowledged as read
+let chatSeq = 0;
+
+// Media Profile State (profiles: MEDIA_PROFILES in the client)
+const PROFILE_ORDER = ["audio", "low", "standard", "hd"];
+const PROFILE_STORAGE_KEY = "intercom-media-profile";
+const QUALITY_INTERVAL_MS = 2000;
+const STEP_DOWN_AFTER = 2; // Consecutive poor samples before stepping down
+const STEP_UP_AFTER = 15; // Consecutive good samples before stepping back up
+let preferredProfile = localStorage.getItem(PROFILE_STORAGE_KEY) || "standard";
+if (!MEDIA_PROFILES[preferredProfile]) preferredProfile = "standard";
+let activeProfile = preferredProfile; // May be below the preferred one after a step-down
+let qualityTimer = null;
+let qualitySamples = { poor: 0, good: 0, last: null };
+
+// Diagnostics State (client.getStats() samples of the current call)
+const DIAGNOSTICS_MAX_SAMPLES = 900; // 30 minutes at QUALITY_INTERVAL_MS
+const CALL_REPORT_SAMPLES = 15; // The failure report only carries the last ~30 seconds
+let diagnostics = { startedAt: null, iceServers: [], iceErrors: [], samples: [] };
+
+// Recording State
+// recording: { mediaRecorder, mix, id, uploadKey, nextChunk, uploads, startedAt, failed }
+let recording = null;
+const RECORDING_CHUNK_MS = 3000; // MediaRecorder timeslice; each slice is uploaded as one chunk
+
+// Voicemail State
+let voicemailOffer = null; // Visitor: { key, maxDurationMs, ring } while the voicemail screen is up
+let voicemailTimer = null; // Visitor (token session): asks for voicemail if no call starts
+let voicemailRecorder = null;
+let voicemailStopTimer = null;
+let heartbeatTimer = null;
+const presenceSelect = document.getElementById("presence-select");
+const messagesLink = document.getElementById("messages-link");
+const pushBtn = document.getElementById("push-btn");
+const passesLink = document.getElementById("passes-link");
+const messagesBadge = document.getElementById("messages-badge");
+const voicemailScreen = document.getElementById("voicemail-screen");
+const voicemailHint = document.getElementById("voicemail-hint");
+const voicemailPreview = document.getElementById("voicemail-preview");
+const voicemailRecordBtn = document.getElementById("voicemail-record-btn");
+const voicemailSkipBtn = document.getElementById("voicemail-skip-btn");
+const profileSelect = document.getElementById("profile-select");
+const diagnosticsBtn = document.getElementById("diagnostics-btn");
+const diagnosticsPanel = document.getElementById("diagnostics-panel");
+const diagnosticsList = document.getElementById("diagnostics-list");
+const diagnosticsCloseBtn = document.getElementById("diagnostics-close-btn");
+const diagnosticsDownloadBtn = document.getElementById("diagnostics-download-btn");
+const qualityIndicator = document.getElementById("quality-indicator");
+const recordBtn = document.getElementById("record-btn");
+const recordingIndicator = document.getElementById("recording-indicator");
+const chatBtn = document.getElementById("chat-btn");
+const chatBadge = document.getElementById("chat-badge");
+const chatPanel = document.getElementById("chat-panel");
+const chatCloseBtn = document.getElementById("chat-close-btn");
+const chatMessages = document.getElementById("chat-messages");
+const quickRepliesEl = document.getElementById("quick-replies");
+const chatForm = document.getElementById("chat-form");
+const chatInput = document.getElementById("chat-input");
+
 // UI Elements
 const selectionScreen = document.getElementById("selection-screen");
 const waitingScreen = document.getElementById("waiting-screen");
@@ -70,6 +121,7 @@ const remoteVideo = document.getElementById("remote-video");
 
 const incomingCallModal = document.getElementById("incoming-call-modal");
 const callerNameDisplay = document.getElementById("caller-name-display");
+const callerSnapshot = document.getElementById("caller-snapshot");
 const answerBtn = document.getElementById("answer-btn");
 const declineBtn = document.getElementById("decline-btn");
 // Swipe to Open Logic
@@ -85,7 +137,7 @@ if (swipeHandle && swipeContainer) {
     let maxDrag = 0;
 
     function startDrag(e) {
-        if (!isConnected || !currentTargetId) return; // Only allow when connected
+        if (!client.inCall || !client.peerId) return; // Only allow when connected
         isDragging = true;
         startX = (e.touches ? e.touches[0].clientX : e.clientX);
 
@@ -139,18 +191,58 @@ if (swipeHandle && swipeContainer) {
     window.addEventListener("touchend", endDrag);
 }
 
-function triggerOpenDoor() {
-    if (!isConnected || !currentTargetId) return;
-    socket.emit("open-door", { target: currentTargetId });
+const DOOR_STATUS_TEXT = {
+    success: "unlocked",
+    failure: "unlock failed",
+    timeout: "lock not responding",
+    busy: "already unlocking",
+    blocked: "door blocked",
+    denied: "not allowed",
+    "not-configured": "no lock configured",
+};
+
+async function triggerOpenDoor() {
+    if (!client.inCall || !client.peerId) return;
+
+    swipeText.textContent = "unlocking...";
+
+    // Server runs the door actuator and answers with the real lock state.
+    // With an open data channel we tell the peer ourselves and get its ack back.
+    const viaChannel = client.channelOpen;
+    const result = await client.openDoor({ notifyPeer: !viaChannel });
+    const { status } = result;
+    if (status === "denied") showNotice(result.error, "error");
+    showDoorResult(status);
+    if (viaChannel && status !== "denied") client.send({ type: "door", id: nextMessageId(), status });
+    if (status !== "success") {
+        console.warn("Open door failed:", result);
+    }
+}
 
+// The peer opened the door (told by the server or over the data channel)
+function showPeerDoorResult(status) {
+    if (status === "success") {
+        updateStatus("DOOR OPENED!", true);
+    } else {
+        updateStatus(`Door: ${DOOR_STATUS_TEXT[status] || status}`, false);
+    }
+    setTimeout(() => updateStatus("Connected", true), 3000);
+}
+
+// Hide the swipe control for roles the server won't let open the door
+function setDoorControl(allowed) {
+    if (swipeContainer) swipeContainer.style.display = allowed === false ? "none" : "";
+}
+
+function showDoorResult(status) {
     // Visual Feedback
-    swipeContainer.classList.add("unlocked");
-    const originalText = swipeText.textContent;
-    swipeText.textContent = "unlocked";
+    const stateClass = status === "success" ? "unlocked" : "failed";
+    swipeContainer.classList.add(stateClass);
+    swipeText.textContent = DOOR_STATUS_TEXT[status] || status;
 
     // Reset after 2 seconds
     setTimeout(() => {
-        swipeContainer.classList.remove("unlocked");
+        swipeContainer.classList.remove(stateClass);
         swipeText.textContent = "swipe to open";
         // Reset position
         swipeHandle.style.transform = `translateX(0px)`;
@@ -161,164 +253,321 @@ function triggerOpenDoor() {
 
 // --- Initialization ---
 
-function initSocket() {
-    if (socket) return;
-    socket = io(SERVER_URL);
-
-    socket.on("connect", () => {
-        updateStatus("Connected to Server", true);
-    });
+client.on("connected", () => {
+    // Registrations are per socket, so re-register after every reconnect
+    if (deviceRegistration) registerDevice();
+    // With a session the client rebinds to it first (see "session-resumed")
+    if (!client.session) updateStatus("Connected to Server", true);
+});
 
-    socket.on("disconnect", () => {
+client.on("disconnected", () => {
+    if (client.session) {
+        showReconnecting();
+    } else {
         updateStatus("Disconnected", false);
-    });
+    }
+});
 
-    socket.on("error", (msg) => {
-        alert(msg);
+// The session was taken over or closed on the server (the client has dropped it)
+client.on("kicked", (msg) => {
+    alert(msg);
+    resetUI();
+});
+
+// Structured errors: { code, message, retryAfterMs? }
+client.on("error", ({ code, message, retryAfterMs }) => {
+    console.warn("Server error:", code, message);
+    // The call may still come up over other candidates; its own recovery reports a real failure
+    if (code === SIGNALING_FAILED) return;
+    if (code === "PROTOCOL_OUTDATED") {
+        // The server moved on while this page was open (or cached): load the new one
+        showNotice(message, "error");
+        setTimeout(() => window.location.reload(), 2000);
+        return;
+    }
+    showNotice(message, "error", retryAfterMs);
+    if (isGeneratePage) {
+        updateStatus(message, false);
+    } else if (!client.inCall) {
         resetUI();
-    });
+    }
+});
 
-    socket.on("open-door", () => {
-        const originalStatus = statusText.textContent;
-        updateStatus("DOOR OPENED!", true);
-        alert("Visitor requested Open Door!");
-        setTimeout(() => updateStatus("Connected", true), 3000);
-    });
+// Peer swiped to open; result is the actuator outcome reported by the server
+client.on("peer-door-opened", (result) => {
+    showPeerDoorResult(result.status);
+});
 
-    // Session Events
-    socket.on("session-created", (token) => {
-        // Show Waiting Screen
-        if (selectionScreen) selectionScreen.style.display = "none";
-        if (waitingScreen) waitingScreen.style.display = "flex";
-        if (myTokenDisplay) myTokenDisplay.textContent = token;
-
-        // Generate QR Code
-        // Generate QR Code
-        const qrCanvas = document.getElementById("qrcode");
-        if (qrCanvas) {
-            (async () => {
-                let baseUrl = window.location.origin;
-
-                // If running locally, try to get the actual LAN IP from server
-                if (window.location.hostname === 'localhost' || window.location.hostname === '127.0.0.1') {
-                    try {
-                        const res = await fetch('/api/network-info');
-                        const data = await res.json();
-                        if (data.ip && data.ip !== 'localhost') {
-                            baseUrl = `${data.protocol}://${data.ip}:${window.location.port}`;
-                            console.log("Using LAN IP for QR Code:", baseUrl);
-                        }
-                    } catch (e) {
-                        console.error("Failed to fetch network info:", e);
+// Session Events
+client.on("session-created", ({ token, qrToken, ttlMs, canOpenDoor, canRecord, quickReplies: replies }) => {
+    setDoorControl(canOpenDoor);
+    setRecordControl(canRecord);
+    quickReplies = replies || [];
+    attachPushToSession();
+
+    // Show Waiting Screen
+    if (selectionScreen) selectionScreen.style.display = "none";
+    if (waitingScreen) waitingScreen.style.display = "flex";
+    if (myTokenDisplay) myTokenDisplay.textContent = token;
+
+    // Generate QR Code (signed long-form token; the short code is for typing in by hand)
+    const qrCanvas = document.getElementById("qrcode");
+    if (qrCanvas) {
+        (async () => {
+            let baseUrl = window.location.origin;
+
+            // If running locally, try to get the actual LAN IP from server
+            if (window.location.hostname === 'localhost' || window.location.hostname === '127.0.0.1') {
+                try {
+                    const res = await fetch('/api/network-info');
+                    const data = await res.json();
+                    if (data.ip && data.ip !== 'localhost') {
+                        baseUrl = `${data.protocol}://${data.ip}:${window.location.port}`;
+                        console.log("Using LAN IP for QR Code:", baseUrl);
                     }
+                } catch (e) {
+                    console.error("Failed to fetch network info:", e);
                 }
+            }
 
-                const joinUrl = `${baseUrl}/connect?qrcode=${token}`;
+            const joinUrl = `${baseUrl}/connect?qrcode=${encodeURIComponent(qrToken || token)}`;
 
-                QRCode.toCanvas(qrCanvas, joinUrl, { width: 150, margin: 2 }, function (error) {
-                    if (error) console.error(error);
-                    console.log('QR code generated!');
-                });
-            })();
-        }
+            QRCode.toCanvas(qrCanvas, joinUrl, { width: 150, margin: 2 }, function (error) {
+                if (error) console.error(error);
+                console.log('QR code generated!');
+            });
+        })();
+    }
 
-        updateStatus(`Waiting for peer...`, true);
+    updateStatus(`Waiting for peer...`, true);
 
-        // Start Countdown Timer
-        const countdownEl = document.getElementById("countdown-timer");
-        let timeLeft = TIMEOUT_DURATION / 1000;
+    // Start Countdown Timer (the server enforces the expiry; this is display only)
+    const duration = ttlMs || TIMEOUT_DURATION;
+    const countdownEl = document.getElementById("countdown-timer");
+    let timeLeft = Math.round(duration / 1000);
 
-        if (connectionTimeout) clearTimeout(connectionTimeout);
-        if (window.countdownInterval) clearInterval(window.countdownInterval);
+    if (connectionTimeout) clearTimeout(connectionTimeout);
+    if (window.countdownInterval) clearInterval(window.countdownInterval);
+
+    if (countdownEl) countdownEl.textContent = `Session expires in ${timeLeft}s`;
 
+    window.countdownInterval = setInterval(() => {
+        timeLeft--;
         if (countdownEl) countdownEl.textContent = `Session expires in ${timeLeft}s`;
+        if (timeLeft <= 0) clearInterval(window.countdownInterval);
+    }, 1000);
+
+    // Fallback in case the server's "session-expired" never arrives (e.g. socket dropped)
+    connectionTimeout = setTimeout(showSessionExpired, duration + 2000);
+});
 
-        window.countdownInterval = setInterval(() => {
-            timeLeft--;
-            if (countdownEl) countdownEl.textContent = `Session expires in ${timeLeft}s`;
-            if (timeLeft <= 0) clearInterval(window.countdownInterval);
-        }, 1000);
+client.on("session-expired", showSessionExpired);
 
-        connectionTimeout = setTimeout(() => {
-            clearInterval(window.countdownInterval);
-            if (countdownEl) countdownEl.textContent = "Session Expired";
-            updateStatus("等待時間已過", false);
+// Host sees this when Guest joins; the client places the call
+client.on("peer-joined", ({ peerId }) => {
+    if (connectionTimeout) clearTimeout(connectionTimeout);
+    console.log("Peer joined:", peerId);
+    if (waitingScreen) waitingScreen.style.display = "none";
+    if (mainInterface) mainInterface.style.display = "block";
+    updateStatus("Connecting to Peer...");
+});
 
-            const qrCanvas = document.getElementById("qrcode");
+client.on("session-joined", ({ role, peerId, canOpenDoor, canRecord, voicemailAfterMs, viaRing }) => {
+    if (waitingScreen) waitingScreen.style.display = "none";
+    setDoorControl(canOpenDoor);
+    setRecordControl(canRecord);
+    // Guest sees this when they successfully join
+    console.log("Joined session with Host:", peerId);
+    if (selectionScreen) selectionScreen.style.display = "none";
+    if (mainInterface) mainInterface.style.display = "block";
+    updateStatus("Waiting for Host...");
+    // Guest waits for Offer
+    if (role === "guest") sendSnapshot();
+    // Ring group calls get their voicemail offer with "ring-ended" instead
+    if (role === "guest" && voicemailAfterMs && !viaRing) scheduleVoicemail(voicemailAfterMs);
+});
 
-            // Optional: Blur or hide QR
-            if (qrCanvas) qrCanvas.style.opacity = "0.2";
+// Back on the server after a socket reconnect or a page reload
+client.on("session-resumed", ({ role }) => {
+    const pc = client.peerConnection;
+    if (pc && pc.connectionState !== "connected") {
+        showReconnecting();
+    } else if (pc) {
+        updateStatus("Connected", true);
+    } else if (role === "guest") {
+        // Reloaded page: show the call screen and wait for the host's fresh offer
+        if (selectionScreen) selectionScreen.style.display = "none";
+        if (mainInterface) mainInterface.style.display = "block";
+        updateStatus("Waiting for Host...");
+    } else {
+        updateStatus("Connected to Server", true);
+    }
+});
 
-            // Redirect/Reload after 3 seconds
-            setTimeout(() => {
-                window.location.href = '/';
-            }, 3000);
-        }, TIMEOUT_DURATION);
-    });
+// --- Ring Groups ---
+// Resident device: a visitor is ringing our household
+client.on("incoming-call", ({ token, group, caller }) => {
+    if (client.inCall || pendingRing) {
+        // Already busy on this device; let the others answer
+        client.declineCall(token);
+        return;
+    }
+    pendingRing = { token, group, caller };
+    if (callerNameDisplay) callerNameDisplay.textContent = `Visitor at the door (${group})`;
+    if (incomingCallModal) incomingCallModal.style.display = "flex";
+});
 
-    socket.on("peer-joined", ({ role, peerId }) => {
-        // Clear Timeout
-        if (connectionTimeout) clearTimeout(connectionTimeout);
+// Resident: still frame from the visitor's camera (may arrive before or after answering)
+client.on("visitor-snapshot", ({ token, type, image }) => {
+    if (visitorSnapshot) URL.revokeObjectURL(visitorSnapshot.url);
+    visitorSnapshot = { token, url: URL.createObjectURL(new Blob([image], { type })) };
 
-        // Host sees this when Guest joins
-        console.log("Peer joined:", peerId);
-        if (waitingScreen) waitingScreen.style.display = "none";
-        if (mainInterface) mainInterface.style.display = "block";
+    if (pendingRing && pendingRing.token === token && callerSnapshot) {
+        callerSnapshot.src = visitorSnapshot.url;
+        callerSnapshot.style.display = "block";
+    }
+    if (client.session && client.session.token === token) showVisitorSnapshot();
+});
 
-        // Host initiates call automatically (or we wait for them to click? Auto is better for "Intercom")
-        startCall(peerId);
-        updateStatus("Connecting to Peer...");
-    });
+client.on("call-answered-elsewhere", ({ token }) => {
+    if (!pendingRing || pendingRing.token !== token) return;
+    dismissIncomingCall();
+    showNotice("Answered on another device");
+});
 
-    socket.on("session-joined", ({ role, peerId }) => {
-        // Guest sees this when they successfully join
-        console.log("Joined session with Host:", peerId);
-        if (selectionScreen) selectionScreen.style.display = "none";
-        if (mainInterface) mainInterface.style.display = "block";
-        updateStatus("Waiting for Host...");
-        // Guest waits for Offer
-    });
+client.on("call-cancelled", ({ token, reason }) => {
+    if (!pendingRing || pendingRing.token !== token) return;
+    dismissIncomingCall();
+    showNotice(reason === "cancelled" ? "The visitor hung up" : "Missed call from the door");
+});
 
-    // Signaling
-    socket.on("offer", async ({ sdp, caller }) => {
-        console.log("Received Offer - Auto Answering");
+// Visitor: nobody picked up
+client.on("ring-ended", ({ reason, voicemail }) => {
+    if (voicemail) {
+        showVoicemailOffer({ ...voicemail, ring: true },
+            reason === "declined" ? "The resident can't answer right now." : "Nobody answered.");
+        return;
+    }
+    resetUI();
+    showNotice(reason === "declined" ? "The resident can't answer right now" : "Nobody answered", "error");
+    updateStatus("Connected to Server", true);
+});
 
-        currentTargetId = caller;
+// Peer started / stopped recording the call
+client.on("recording", ({ active }) => {
+    setRecordingIndicator(active ? "peer" : null);
+});
 
-        // Auto-Start Media
-        try {
-            await startMedia();
-            startCallState();
+// Resident device: a visitor left a video message for us
+client.on("voicemail-received", () => {
+    showNotice("New video message");
+    refreshMessageCount();
+});
 
-            peerConnection = await createPeerConnection(caller);
-            await peerConnection.setRemoteDescription(new RTCSessionDescription(sdp));
-            const answer = await peerConnection.createAnswer();
-            await peerConnection.setLocalDescription(answer);
+// Peer's socket dropped; the server holds its slot for a grace period
+client.on("peer-reconnecting", () => {
+    showReconnecting();
+});
 
-            socket.emit("answer", { target: caller, sdp: answer });
-        } catch (err) {
-            console.error("Auto-answer failed:", err);
-            alert("Failed to auto-answer call. Ensure camera permissions are allowed.");
-        }
-    });
+client.on("peer-reconnected", ({ peerId, hasCall }) => {
+    console.log("Peer reconnected:", peerId, "hasCall:", hasCall);
+});
 
-    socket.on("answer", async ({ sdp }) => {
-        if (peerConnection) {
-            await peerConnection.setRemoteDescription(new RTCSessionDescription(sdp));
-        }
-    });
+// --- Call ---
 
-    socket.on("ice-candidate", async ({ candidate }) => {
-        if (peerConnection) {
-            await peerConnection.addIceCandidate(new RTCIceCandidate(candidate));
-        }
-    });
+client.on("call-started", () => {
+    cancelVoicemail();
+    startCallState();
+});
 
-    socket.on("hangup", () => {
-        endCall();
-        alert("Call ended by peer");
-        resetUI();
-    });
+client.on("call-failed", (err) => {
+    console.error("Call failed:", err);
+    alert("Failed to start the call. Ensure camera permissions are allowed.");
+});
+
+client.on("media-error", () => alert("Camera Access Denied"));
+
+client.on("local-stream", (stream) => {
+    localVideo.srcObject = stream;
+    document.querySelector(".video-container").style.display = stream ? "block" : "none";
+});
+
+client.on("remote-stream", (stream) => {
+    if (remoteVideo.srcObject !== stream) remoteVideo.srcObject = stream;
+});
+
+client.on("peer-connection", ({ iceServers }) => resetDiagnostics(iceServers));
+
+client.on("ice-error", (error) => {
+    if (diagnostics.iceErrors.length < 20) diagnostics.iceErrors.push(error);
+});
+
+client.on("call-connected", () => {
+    updateStatus("Connected", true);
+    applyMediaProfile(activeProfile);
+    startQualityMonitor();
+
+    // Log Connection Type (P2P or Relay)
+    client.getStats().then((sample) => {
+        if (!sample || !sample.pair) return;
+        console.log(`Connected via: ${describeCandidate(sample.pair.local)} <-> ${describeCandidate(sample.pair.remote)}` +
+            (sample.turnServer ? ` (TURN ${sample.turnServer})` : " (P2P)"));
+    }).catch(() => { });
+});
+
+client.on("call-reconnecting", showReconnecting);
+
+// Before the media goes away, so the last recording chunk is flushed
+client.on("call-ending", stopRecording);
+
+client.on("call-ended", ({ reason }) => {
+    setRecordingIndicator(null);
+    stopQualityMonitor();
+    clearVisitorSnapshot();
+    resetChat();
+    appBody.classList.remove("is-connected");
+    disconnectBtn.style.display = "none";
+    muteBtn.disabled = true;
+    // Swipe handle disabled via logic check
+    updateStatus("Disconnected");
+
+    if (reason === "peer-hangup") {
+        // Nobody is there to dismiss a dialog on the door panel
+        if (isKioskPage) showNotice("Call ended");
+        else alert("Call ended by peer");
+    }
+    resetUI();
+    if (reason === "connection-lost") showNotice("Connection lost.", "error");
+    if (reason === "session-lost") showNotice("The call could not be recovered.", "error");
+});
+
+client.on("channel-open", () => {
+    if (chatBtn) chatBtn.disabled = false;
+    renderQuickReplies();
+});
+
+client.on("channel-close", () => {
+    if (chatBtn) chatBtn.disabled = true;
+});
+
+client.on("channel-message", handleChannelMessage);
+
+function showSessionExpired() {
+    if (connectionTimeout) clearTimeout(connectionTimeout);
+    clearInterval(window.countdownInterval);
+    const countdownEl = document.getElementById("countdown-timer");
+    if (countdownEl) countdownEl.textContent = "Session Expired";
+    updateStatus("等待時間已過", false);
+
+    const qrCanvas = document.getElementById("qrcode");
+
+    // Optional: Blur or hide QR
+    if (qrCanvas) qrCanvas.style.opacity = "0.2";
+
+    // Redirect/Reload after 3 seconds
+    setTimeout(() => {
+        window.location.href = HOME_URL;
+    }, 3000);
 }
 
 // UI Handlers
@@ -334,17 +583,26 @@ if (cancelBtn) {
         // Clear timers
         if (window.countdownInterval) clearInterval(window.countdownInterval);
         if (connectionTimeout) clearTimeout(connectionTimeout);
+        client.cancelRing();
 
         // Go back to main page
-        window.location.href = "/";
+        window.location.href = HOME_URL;
     });
 }
 
+// App shell cache and push notifications (sw.js)
+if ("serviceWorker" in navigator) {
+    navigator.serviceWorker.register("/sw.js").catch((err) => console.warn("Service worker registration failed:", err));
+}
+
 // Auto-Create from QR or generate_token.html page or Connect via Link
 const urlParams = new URLSearchParams(window.location.search);
 const isGeneratePage = window.location.pathname.endsWith("generate_token.html");
 const isConnectPage = window.location.pathname === "/connect";
+const isKioskPage = window.location.pathname.endsWith("kiosk.html");
+const HOME_URL = isKioskPage ? "/kiosk.html" : "/";
 const qrcodeToken = urlParams.get("qrcode");
+const passCode = urlParams.get("pass");
 
 if (urlParams.get("action") === "create" || isGeneratePage) {
     if (urlParams.get("action") === "create") {
@@ -360,177 +618,1140 @@ if (urlParams.get("action") === "create" || isGeneratePage) {
             if (targetUserEl) targetUserEl.textContent = `Calling ${name}...`;
         }
 
-        initSocket();
-        socket.emit("create-session");
+        client.createSession();
     }, 500);
+} else if (isConnectPage && passCode) {
+    // Guest access pass: /connect?pass=CODE opens the door without a call
+    redeemPass(passCode);
 } else if (isConnectPage && qrcodeToken) {
     // Auto-Join logic for /connect?qrcode=TOKEN
+    // After a reload the token is already redeemed, so try to resume our guest slot first.
     setTimeout(() => {
-        initSocket();
-        socket.emit("join-session", qrcodeToken);
+        const stored = client.storedSession();
+        if (stored && stored.role === "guest" && qrcodeToken.split(".")[0] === stored.token) {
+            // Fall back to a normal join if the slot is gone
+            client.resumeSession(stored, { onFail: () => client.joinSession(qrcodeToken) });
+        } else {
+            client.joinSession(qrcodeToken);
+        }
     }, 500);
 }
 
-if (joinBtn) {
-    joinBtn.addEventListener("click", () => {
-        const token = tokenInput.value.trim();
-        if (!token) return alert("Enter Token");
-        initSocket();
-        socket.emit("join-session", token);
+async function redeemPass(code) {
+    if (selectionScreen) selectionScreen.style.display = "none";
+    if (!waitingScreen) return;
+    waitingScreen.style.display = "flex";
+    const heading = waitingScreen.querySelector("h2");
+    const detail = waitingScreen.querySelector("p");
+    waitingScreen.querySelectorAll(".token-display").forEach((el) => { el.style.display = "none"; });
+    if (heading) heading.textContent = "Opening the door...";
+    if (detail) detail.textContent = "";
+    if (cancelBtn) cancelBtn.textContent = "Done";
+
+    let result;
+    try {
+        const response = await fetch(`${SERVER_URL}/api/passes/redeem`, {
+            method: "POST",
+            headers: { "Content-Type": "application/json" },
+            body: JSON.stringify({ code }),
+        });
+        result = await response.json();
+    } catch (err) {
+        console.error("Pass redemption failed:", err);
+        result = { ok: false, message: "Could not reach the intercom" };
+    }
+
+    if (result.ok) {
+        if (heading) heading.textContent = "Door opened";
+        if (detail && result.usesLeft !== null) {
+            detail.textContent = `${result.usesLeft} use${result.usesLeft === 1 ? "" : "s"} left on this pass`;
+        }
+        updateStatus("DOOR OPENED!", true);
+    } else {
+        if (heading) heading.textContent = result.message || "The door could not be opened";
+        updateStatus("Door not opened", false);
+    }
+}
+
+// Resident device: /?group=12A&key=SECRET&device=Kitchen registers this device for its
+// household's ring group (remembered for later visits).
+// Visitor: /?ring=12A rings every registered device of that household,
+// /?resident=<id>&name=<name> (from contacts.html) rings only that resident's devices.
+const ringGroupParam = urlParams.get("ring");
+const residentParam = urlParams.get("resident");
+if (urlParams.get("group") && urlParams.get("key")) {
+    deviceRegistration = {
+        group: urlParams.get("group"),
+        key: urlParams.get("key"),
+        name: urlParams.get("device") || navigator.platform || "Device",
+    };
+    localStorage.setItem(DEVICE_STORAGE_KEY, JSON.stringify(deviceRegistration));
+    // Don't leave the key in the address bar / history
+    window.history.replaceState({}, document.title, window.location.pathname);
+} else if (!isGeneratePage && !isConnectPage && !isKioskPage && !ringGroupParam && !residentParam) {
+    try {
+        deviceRegistration = JSON.parse(localStorage.getItem(DEVICE_STORAGE_KEY));
+    } catch (e) {
+        deviceRegistration = null;
+    }
+}
+if (deviceRegistration) client.connect(); // "connected" handler registers
+
+if (urlParams.get("answer") && deviceRegistration) {
+    answerParam = urlParams.get("answer");
+    window.history.replaceState({}, document.title, window.location.pathname);
+}
+
+if (isKioskPage) {
+    startKiosk();
+} else if (ringGroupParam) {
+    setTimeout(() => ringGroup({ group: ringGroupParam }), 500);
+} else if (residentParam) {
+    setTimeout(() => ringGroup({ resident: residentParam }, urlParams.get("name")), 500);
+}
+
+function registerDevice() {
+    const { group, key, name } = deviceRegistration;
+    // The server doesn't push to a device that is connected like this
+    const pushEndpoint = localStorage.getItem(PUSH_ENDPOINT_KEY) || undefined;
+    client.registerDevice({ group, key, name, pushEndpoint }).then((res) => {
+        if (!res || !res.ok) {
+            console.warn("Device registration failed:", res && res.code);
+            showNotice(`Could not register for ${group}: ${res ? res.message : "no response"}`, "error");
+            if (res && res.code === "GROUP_KEY_INVALID") {
+                localStorage.removeItem(DEVICE_STORAGE_KEY);
+                deviceRegistration = null;
+            }
+            return;
+        }
+        if (!client.inCall) updateStatus(`Ready for calls (${group})`, true);
+        if (res.residentId) startPresence();
+        refreshMessageCount();
+        if (passesLink) passesLink.style.display = "";
+        showPushButton();
+        if (answerParam) {
+            answerRing(answerParam);
+            answerParam = null;
+        }
     });
 }
 
-// Modal Actions
-let pendingOffer = null;
+// --- Push Notifications ---
+// Resident devices (and token session hosts) can be rung while the app is closed:
+// sw.js shows the notification, the subscription is registered with the server.
 
-answerBtn.addEventListener("click", async () => {
-    if (!pendingOffer) return;
-    incomingCallModal.style.display = "none";
+function pushSupported() {
+    return "serviceWorker" in navigator && "PushManager" in window && "Notification" in window;
+}
 
-    const { sdp, caller } = pendingOffer;
-    currentTargetId = caller;
+function urlBase64ToUint8Array(value) {
+    const padded = (value + "=".repeat((4 - value.length % 4) % 4)).replace(/-/g, "+").replace(/_/g, "/");
+    return Uint8Array.from(atob(padded), (c) => c.charCodeAt(0));
+}
 
-    // Start Media
-    await startMedia();
-    startCallState();
+// Resolves to a PushSubscription, or null if push is unavailable / not allowed
+async function subscribePush() {
+    if (!pushSupported()) return null;
+    const keyResponse = await fetch(`${SERVER_URL}/api/push/key`);
+    if (!keyResponse.ok) return null; // not configured on this server
+    const { publicKey } = await keyResponse.json();
+    if (await Notification.requestPermission() !== "granted") return null;
+
+    const registration = await navigator.serviceWorker.register("/sw.js");
+    await navigator.serviceWorker.ready;
+    const existing = await registration.pushManager.getSubscription();
+    if (existing) return existing;
+    return registration.pushManager.subscribe({
+        userVisibleOnly: true,
+        applicationServerKey: urlBase64ToUint8Array(publicKey),
+    });
+}
 
-    peerConnection = createPeerConnection(caller);
-    await peerConnection.setRemoteDescription(new RTCSessionDescription(sdp));
-    const answer = await peerConnection.createAnswer();
-    await peerConnection.setLocalDescription(answer);
+function showPushButton() {
+    if (!pushBtn || !pushSupported()) return;
+    const enabled = Notification.permission === "granted" && localStorage.getItem(PUSH_ENDPOINT_KEY);
+    pushBtn.style.display = enabled ? "none" : "";
+}
 
-    socket.emit("answer", { target: caller, sdp: answer });
-    pendingOffer = null;
-});
+async function setupPush() {
+    if (!deviceRegistration) return;
+    try {
+        const subscription = await subscribePush();
+        if (!subscription) {
+            showNotice("Alerts are not available on this device", "error");
+            return;
+        }
+        const response = await fetch(`${SERVER_URL}/api/push/subscriptions`, {
+            method: "POST",
+            headers: {
+                "Content-Type": "application/json",
+                "X-Intercom-Group": deviceRegistration.group,
+                "X-Intercom-Key": deviceRegistration.key,
+            },
+            body: JSON.stringify({ subscription: subscription.toJSON(), name: deviceRegistration.name }),
+        });
+        if (!response.ok) throw new Error(`HTTP ${response.status}`);
+        localStorage.setItem(PUSH_ENDPOINT_KEY, subscription.endpoint);
+        showNotice("Alerts enabled - you will be rung even when the app is closed");
+        showPushButton();
+        registerDevice(); // tell the server this socket covers the endpoint
+    } catch (err) {
+        console.warn("Push setup failed:", err);
+        showNotice("Could not enable alerts", "error");
+    }
+}
 
-declineBtn.addEventListener("click", () => {
-    incomingCallModal.style.display = "none";
-    pendingOffer = null;
-    socket.emit("hangup", { target: pendingOffer?.caller }); // Notify rejection
-});
+if (pushBtn) pushBtn.addEventListener("click", setupPush);
+
+// Token session host: get a push when the guest joins, if alerts were already allowed
+async function attachPushToSession() {
+    if (!client.session || !pushSupported() || Notification.permission !== "granted") return;
+    try {
+        const subscription = await subscribePush();
+        if (!subscription) return;
+        await fetch(`${SERVER_URL}/api/push/session`, {
+            method: "POST",
+            headers: { "Content-Type": "application/json", ...client.sessionHeaders() },
+            body: JSON.stringify({ subscription: subscription.toJSON() }),
+        });
+    } catch (err) {
+        console.warn("Could not subscribe the session to push:", err);
+    }
+}
 
+// Resident devices keep their presence alive and let the user pick DND / Away
+function startPresence() {
+    if (presenceSelect) {
+        presenceSelect.style.display = "";
+        const saved = localStorage.getItem("intercom-presence");
+        if (saved && saved !== "available") {
+            presenceSelect.value = saved;
+            client.setPresence(saved);
+        }
+    }
 
-// WebRTC Logic
-async function startCall(targetId) {
-    currentTargetId = targetId;
+    clearInterval(heartbeatTimer);
+    heartbeatTimer = setInterval(() => {
+        if (!client.connected) return;
+        client.heartbeat().then((res) => {
+            // Server timed us out (e.g. tab was suspended) -> register again
+            if (res && !res.ok && deviceRegistration) registerDevice();
+        });
+    }, HEARTBEAT_INTERVAL_MS);
+}
 
-    await startMedia();
-    startCallState();
+if (presenceSelect) {
+    presenceSelect.addEventListener("change", () => {
+        const status = presenceSelect.value;
+        localStorage.setItem("intercom-presence", status);
+        client.setPresence(status);
+    });
+}
+
+// target: { group } or { resident }
+function ringGroup(target, displayName) {
+    client.ringGroup(target).then((res) => {
+        if (!res || !res.ok) {
+            showNotice(res ? res.message : "Could not ring", "error", res && res.retryAfterMs);
+            return;
+        }
+        if (res.rerouted) showNotice("Not available - ringing the rest of the household");
+        sendSnapshot();
 
-    peerConnection = await createPeerConnection(targetId);
-    const offer = await peerConnection.createOffer();
-    await peerConnection.setLocalDescription(offer);
+        if (selectionScreen) selectionScreen.style.display = "none";
+        if (waitingScreen) {
+            waitingScreen.style.display = "flex";
+            const heading = waitingScreen.querySelector("h2");
+            if (heading) heading.textContent = displayName ? `Calling ${displayName}...` : "Ringing...";
+            waitingScreen.querySelectorAll(".token-display, p").forEach((el) => { el.style.display = "none"; });
+        }
+        updateStatus(`Ringing ${res.devices} device${res.devices === 1 ? "" : "s"}...`, true);
+    });
+}
 
-    socket.emit("offer", { target: targetId, sdp: offer });
+function dismissIncomingCall() {
+    pendingRing = null;
+    if (incomingCallModal) incomingCallModal.style.display = "none";
+    if (callerSnapshot) {
+        callerSnapshot.style.display = "none";
+        callerSnapshot.removeAttribute("src");
+    }
 }
 
-// Helper to limit bandwidth in SDP
+// --- Kiosk (Door Panel) ---
+// kiosk.html runs on the outdoor tablet: full-screen, the resident directory is the idle
+// screen, the display stays on, and the panel falls back to the directory once nobody
+// has touched it for a while after a call, a missed ring or an unused voicemail offer.
+
+const KIOSK_IDLE_MS = 30000;
+let kioskLastActivity = Date.now();
+let kioskResidents = [];
+let wakeLock = null;
+const kioskSearch = document.getElementById("kiosk-search");
+const kioskDirectory = document.getElementById("kiosk-directory");
+
+function startKiosk() {
+    client.connect();
+    loadKioskDirectory();
+    keepScreenOn();
+    // The wake lock is released whenever the page is hidden
+    document.addEventListener("visibilitychange", keepScreenOn);
+    // Fullscreen needs a user gesture, so every touch re-enters it if it was left
+    for (const type of ["pointerdown", "keydown"]) {
+        document.addEventListener(type, () => {
+            kioskLastActivity = Date.now();
+            enterFullscreen();
+        }, true);
+    }
+    document.addEventListener("contextmenu", (e) => e.preventDefault());
+    if (kioskSearch) kioskSearch.addEventListener("input", renderKioskDirectory);
+    setInterval(checkKioskIdle, 1000);
+}
 
+async function keepScreenOn() {
+    if (!("wakeLock" in navigator) || wakeLock || document.visibilityState !== "visible") return;
+    try {
+        wakeLock = await navigator.wakeLock.request("screen");
+        wakeLock.addEventListener("release", () => { wakeLock = null; });
+    } catch (err) {
+        console.warn("Wake lock unavailable:", err);
+    }
+}
 
-async function createPeerConnection(targetId) {
-    const iceConfig = await getIceServers();
-    // Force allow all candidates (LAN + WAN)
-    iceConfig.iceTransportPolicy = 'all';
-    iceConfig.iceCandidatePoolSize = 10;
+function enterFullscreen() {
+    if (document.fullscreenElement || !document.documentElement.requestFullscreen) return;
+    document.documentElement.requestFullscreen({ navigationUI: "hide" }).catch(() => { });
+}
 
-    const pc = new RTCPeerConnection(iceConfig);
-    localStream.getTracks().forEach(track => pc.addTrack(track, localStream));
+function checkKioskIdle() {
+    // A ring, a call or a message being recorded keeps the panel where it is
+    if (client.inCall || client.ringToken || client.session || voicemailRecorder) {
+        kioskLastActivity = Date.now();
+        return;
+    }
+    if (Date.now() - kioskLastActivity < KIOSK_IDLE_MS) return;
+    kioskLastActivity = Date.now();
+    returnToIdle();
+}
 
-    pc.onicecandidate = (event) => {
-        if (event.candidate) {
-            socket.emit("ice-candidate", { target: targetId, candidate: event.candidate });
-            console.log("Local Candidate Type:", event.candidate.type, event.candidate.address);
+function returnToIdle() {
+    if (voicemailOffer) {
+        cancelVoicemail();
+        client.stopMedia();
+    }
+    if (voicemailScreen) voicemailScreen.style.display = "none";
+    resetUI();
+    if (kioskSearch && kioskSearch.value) {
+        kioskSearch.value = "";
+        renderKioskDirectory();
+    }
+    if (kioskDirectory) kioskDirectory.scrollTop = 0;
+    const notice = document.getElementById("notice");
+    if (notice) notice.style.display = "none";
+    // Pick up directory changes made since the last visitor
+    loadKioskDirectory();
+}
+
+async function loadKioskDirectory() {
+    if (!kioskDirectory) return;
+    try {
+        const response = await fetch(`${SERVER_URL}/api/residents?limit=500`);
+        if (!response.ok) throw new Error(`HTTP ${response.status}`);
+        kioskResidents = (await response.json()).items;
+        renderKioskDirectory();
+    } catch (err) {
+        console.warn("Could not load the directory:", err);
+        if (kioskResidents.length === 0) showKioskMessage("Directory unavailable");
+    }
+}
+
+function showKioskMessage(text) {
+    const p = document.createElement("p");
+    p.className = "contact-empty";
+    p.textContent = text;
+    kioskDirectory.replaceChildren(p);
+}
+
+function renderKioskDirectory() {
+    const q = kioskSearch ? kioskSearch.value.trim().toLowerCase() : "";
+    const matches = kioskResidents.filter((r) => !q
+        || r.name.toLowerCase().includes(q) || (r.unitName || "").toLowerCase().includes(q));
+    if (matches.length === 0) return showKioskMessage(q ? "No residents found" : "No residents listed");
+
+    kioskDirectory.replaceChildren(...matches.map((resident) => {
+        const item = document.createElement("button");
+        item.type = "button";
+        item.className = "contact-item";
+        const avatar = document.createElement("div");
+        avatar.className = "avatar";
+        avatar.textContent = resident.name.split(/\s+/).filter(Boolean).slice(0, 2).map((part) => part[0].toUpperCase()).join("");
+        const info = document.createElement("div");
+        info.className = "contact-info";
+        const name = document.createElement("div");
+        name.className = "contact-name";
+        name.textContent = resident.name;
+        const unit = document.createElement("div");
+        unit.className = "contact-status";
+        unit.textContent = resident.unitName ? `Unit ${resident.unitName}` : "";
+        info.append(name, unit);
+        item.append(avatar, info);
+        item.addEventListener("click", () => ringGroup({ resident: resident.id }, resident.name));
+        return item;
+    }));
+}
+
+// --- Media Profiles ---
+
+async function applyMediaProfile(name) {
+    const profile = MEDIA_PROFILES[name];
+    if (!profile) return;
+    activeProfile = name;
+    renderQuality(qualitySamples.last);
+    await client.applyMediaProfile(profile);
+}
+
+// Samples loss / RTT every QUALITY_INTERVAL_MS. Steps down one profile on sustained
+// poor quality and back up towards the preferred profile once it has been good for a while.
+function startQualityMonitor() {
+    stopQualityMonitor();
+    let previous = null;
+    qualityTimer = setInterval(async () => {
+        const sample = await client.getStats(previous).catch(() => null);
+        if (!sample) return;
+        previous = sample;
+        recordDiagnostics(sample);
+        const quality = rateQuality(sample);
+        qualitySamples.last = quality;
+        renderQuality(quality);
+
+        if (quality === "poor") {
+            qualitySamples.good = 0;
+            qualitySamples.poor++;
+            const index = PROFILE_ORDER.indexOf(activeProfile);
+            if (qualitySamples.poor >= STEP_DOWN_AFTER && index > 0) {
+                qualitySamples.poor = 0;
+                console.log(`Poor connection (loss ${sample.lossPercent.toFixed(1)}%, rtt ${sample.rttMs}ms) - stepping down`);
+                applyMediaProfile(PROFILE_ORDER[index - 1]);
+            }
+        } else if (quality === "good") {
+            qualitySamples.poor = 0;
+            qualitySamples.good++;
+            const index = PROFILE_ORDER.indexOf(activeProfile);
+            if (qualitySamples.good >= STEP_UP_AFTER && index < PROFILE_ORDER.indexOf(preferredProfile)) {
+                qualitySamples.good = 0;
+                applyMediaProfile(PROFILE_ORDER[index + 1]);
+            }
+        } else {
+            qualitySamples.poor = 0;
+            qualitySamples.good = 0;
         }
+    }, QUALITY_INTERVAL_MS);
+}
+
+function stopQualityMonitor() {
+    clearInterval(qualityTimer);
+    qualityTimer = null;
+    qualitySamples = { poor: 0, good: 0, last: null };
+    if (qualityIndicator) qualityIndicator.style.display = "none";
+}
+
+function rateQuality({ lossPercent, rttMs }) {
+    const rtt = rttMs === null ? 0 : rttMs;
+    if (lossPercent >= 8 || rtt >= 600) return "poor";
+    if (lossPercent >= 2 || rtt >= 300) return "fair";
+    return "good";
+}
+
+function renderQuality(quality) {
+    if (!qualityIndicator) return;
+    if (!quality) {
+        qualityIndicator.style.display = "none";
+        return;
+    }
+    const stepped = activeProfile !== preferredProfile ? " ↓" : "";
+    qualityIndicator.style.display = "";
+    qualityIndicator.className = `quality-indicator ${quality}`;
+    qualityIndicator.textContent = `${MEDIA_PROFILES[activeProfile].label}${stepped} · ${quality}`;
+    qualityIndicator.title = stepped ? `Reduced from ${MEDIA_PROFILES[preferredProfile].label} because of the connection` : "";
+}
+
+if (profileSelect) {
+    profileSelect.value = preferredProfile;
+    profileSelect.addEventListener("change", () => {
+        preferredProfile = profileSelect.value;
+        localStorage.setItem(PROFILE_STORAGE_KEY, preferredProfile);
+        qualitySamples.poor = 0;
+        qualitySamples.good = 0;
+        applyMediaProfile(preferredProfile);
+    });
+}
+
+// --- Diagnostics ---
+// The overlay shows the latest client.getStats() sample (refreshed by the quality monitor).
+// "Download" saves every sample of the call plus a raw getStats() dump as JSON.
+
+function recordDiagnostics(sample) {
+    diagnostics.samples.push(sample);
+    if (diagnostics.samples.length > DIAGNOSTICS_MAX_SAMPLES) diagnostics.samples.shift();
+    if (diagnosticsPanel && diagnosticsPanel.style.display !== "none") renderDiagnostics();
+}
+
+function resetDiagnostics(iceServers) {
+    diagnostics = {
+        startedAt: new Date().toISOString(),
+        // URLs only - TURN credentials stay out of downloads and reports
+        iceServers: (iceServers || []).map((server) => server.urls),
+        iceErrors: [],
+        samples: [],
     };
+}
+
+function describeCandidate(candidate) {
+    if (!candidate) return "-";
+    const relay = candidate.relayProtocol ? ` via ${candidate.relayProtocol}` : "";
+    return `${candidate.type || "?"} (${candidate.protocol || "?"}${relay})`;
+}
+
+function renderDiagnostics() {
+    if (!diagnosticsList) return;
+    const sample = diagnostics.samples[diagnostics.samples.length - 1];
+    const pc = client.peerConnection;
+    const value = (v, unit = "") => (v === null || v === undefined ? "-" : `${v}${unit}`);
+    const rows = [
+        ["Connection", pc ? `${pc.connectionState} / ICE ${pc.iceConnectionState}` : "No active call"],
+        ["Local candidate", describeCandidate(sample && sample.pair && sample.pair.local)],
+        ["Remote candidate", describeCandidate(sample && sample.pair && sample.pair.remote)],
+        ["Path", sample && sample.pair ? (sample.turnServer ? "Relayed (TURN)" : "Direct (P2P)") : "-"],
+        ["TURN server", value(sample && sample.turnServer)],
+        ["RTT", value(sample && sample.rttMs, " ms")],
+        ["Jitter", value(sample && sample.jitterMs, " ms")],
+        ["Packet loss", sample ? `${sample.lossPercent.toFixed(1)} %` : "-"],
+        ["Bitrate", sample ? `↑ ${value(sample.sendKbps)} / ↓ ${value(sample.recvKbps)} kbps` : "-"],
+        ["Codecs", sample && sample.codecs.length > 0 ? sample.codecs.join(", ") : "-"],
+        ["Profile", `${MEDIA_PROFILES[activeProfile].label}${activeProfile !== preferredProfile ? ` (chosen: ${MEDIA_PROFILES[preferredProfile].label})` : ""}`],
+        ["ICE errors", String(diagnostics.iceErrors.length)],
+    ];
+    diagnosticsList.replaceChildren(...rows.flatMap(([label, text]) => {
+        const dt = document.createElement("dt");
+        dt.textContent = label;
+        const dd = document.createElement("dd");
+        dd.textContent = text;
+        return [dt, dd];
+    }));
+}
 
-    pc.onicecandidateerror = (event) => {
-        console.error("ICE Candidate Error:", event.errorCode, event.errorText, event.url);
+// Full report, shared by the JSON download and the failure report
+async function buildDiagnosticsReport(reason) {
+    const pc = client.peerConnection;
+    const previous = diagnostics.samples[diagnostics.samples.length - 1] || null;
+    const latest = await client.getStats(previous).catch(() => null);
+    return {
+        reason,
+        generatedAt: new Date().toISOString(),
+        userAgent: navigator.userAgent,
+        role: client.session ? client.session.role : null,
+        isCaller: client.isCaller,
+        connectionState: pc ? pc.connectionState : null,
+        iceConnectionState: pc ? pc.iceConnectionState : null,
+        iceGatheringState: pc ? pc.iceGatheringState : null,
+        profile: { preferred: preferredProfile, active: activeProfile },
+        ...diagnostics,
+        latest: latest || previous,
     };
+}
 
-    pc.ontrack = (event) => {
-        if (event.streams && event.streams[0]) {
-            remoteVideo.srcObject = event.streams[0];
-        } else {
-            if (!remoteVideo.srcObject) remoteVideo.srcObject = new MediaStream();
-            remoteVideo.srcObject.addTrack(event.track);
+async function downloadDiagnostics() {
+    const report = await buildDiagnosticsReport("manual");
+    if (client.peerConnection) {
+        const raw = await client.peerConnection.getStats().catch(() => null);
+        report.raw = raw ? [...raw.values()] : null;
+    }
+    const blob = new Blob([JSON.stringify(report, null, 2)], { type: "application/json" });
+    const link = document.createElement("a");
+    link.href = URL.createObjectURL(blob);
+    link.download = `intercom-stats-${report.generatedAt.replace(/[:.]/g, "-")}.json`;
+    link.click();
+    setTimeout(() => URL.revokeObjectURL(link.href), 1000);
+}
+
+// Sent before hanging up, while the session credentials are still valid.
+// Never throws - a failed report must not get in the way of ending the call.
+async function reportCallFailure(reason) {
+    if (!client.session) return;
+    const headers = client.sessionHeaders();
+    try {
+        const report = await buildDiagnosticsReport(reason);
+        report.samples = report.samples.slice(-CALL_REPORT_SAMPLES);
+        const controller = new AbortController();
+        const timeoutId = setTimeout(() => controller.abort(), 3000);
+        await fetch(`${SERVER_URL}/api/call-report`, {
+            method: "POST",
+            headers: { "Content-Type": "application/json", ...headers },
+            body: JSON.stringify(report),
+            signal: controller.signal,
+            keepalive: true,
+        });
+        clearTimeout(timeoutId);
+    } catch (err) {
+        console.warn("Could not send the call report:", err);
+    }
+}
+
+if (diagnosticsBtn) {
+    diagnosticsBtn.addEventListener("click", () => {
+        const open = diagnosticsPanel.style.display === "none";
+        diagnosticsPanel.style.display = open ? "" : "none";
+        if (open) renderDiagnostics();
+    });
+}
+if (diagnosticsCloseBtn) diagnosticsCloseBtn.addEventListener("click", () => { diagnosticsPanel.style.display = "none"; });
+if (diagnosticsDownloadBtn) diagnosticsDownloadBtn.addEventListener("click", downloadDiagnostics);
+
+// --- Call Recording ---
+// Records remote + local video (picture in picture) and both audio tracks, uploading
+// the MediaRecorder slices as they come. The server tells the peer, who sees an indicator.
+
+function setRecordControl(allowed) {
+    if (recordBtn) recordBtn.style.display = allowed ? "" : "none";
+}
+
+// who: "self" | "peer" | null
+function setRecordingIndicator(who) {
+    if (!recordingIndicator) return;
+    recordingIndicator.style.display = who ? "block" : "none";
+    recordingIndicator.textContent = who === "peer" ? "REC · This call is being recorded" : "REC";
+}
+
+function mixCallStreams() {
+    const canvas = document.createElement("canvas");
+    canvas.width = 640;
+    canvas.height = 480;
+    const ctx = canvas.getContext("2d");
+    const draw = () => {
+        ctx.fillStyle = "#000";
+        ctx.fillRect(0, 0, canvas.width, canvas.height);
+        if (remoteVideo.videoWidth) ctx.drawImage(remoteVideo, 0, 0, canvas.width, canvas.height);
+        if (localVideo.videoWidth) {
+            const w = canvas.width / 4;
+            const h = canvas.height / 4;
+            ctx.drawImage(localVideo, canvas.width - w - 10, canvas.height - h - 10, w, h);
         }
     };
+    const drawTimer = setInterval(draw, 100); // 10 fps, same as the camera
+    const stream = canvas.captureStream(10);
+
+    const audioContext = new AudioContext();
+    const destination = audioContext.createMediaStreamDestination();
+    [remoteVideo.srcObject, client.localStream].forEach((source) => {
+        if (source && source.getAudioTracks().length > 0) {
+            audioContext.createMediaStreamSource(source).connect(destination);
+        }
+    });
+    destination.stream.getAudioTracks().forEach((track) => stream.addTrack(track));
 
-    pc.onconnectionstatechange = () => {
-        console.log("Connection State:", pc.connectionState);
-        if (pc.connectionState === 'connected') {
-            updateStatus("Connected", true);
-
-            // Log Connection Type (P2P or Relay)
-            pc.getStats().then(stats => {
-                stats.forEach(report => {
-                    if (report.type === 'candidate-pair' && report.state === 'succeeded') {
-                        console.log(`Connected via: ${report.localCandidateId} <-> ${report.remoteCandidateId}`);
-                        // We can't easily see the candidate type here without looking up the candidate ID
-                        // But usually 'local-candidate' stats have the 'candidateType'
-                    }
+    return {
+        stream,
+        stop() {
+            clearInterval(drawTimer);
+            stream.getTracks().forEach((track) => track.stop());
+            audioContext.close();
+        }
+    };
+}
+
+function startRecording() {
+    if (recording || !client.inCall || !client.peerId) return;
+    if (typeof MediaRecorder === "undefined") {
+        showNotice("Recording is not supported on this device", "error");
+        return;
+    }
+    const mimeType = ["video/webm;codecs=vp8,opus", "video/webm", "video/mp4"]
+        .find((type) => MediaRecorder.isTypeSupported(type));
+    recordBtn.disabled = true;
+
+    client.setRecording(true, { type: mimeType || "video/webm" }).then((res) => {
+        recordBtn.disabled = false;
+        if (!res || !res.ok) {
+            showNotice(res ? res.message : "Could not start recording", "error");
+            return;
+        }
+        if (!client.inCall) return; // Call ended while we waited
+
+        const mix = mixCallStreams();
+        const mediaRecorder = new MediaRecorder(mix.stream, mimeType ? { mimeType } : undefined);
+        const current = {
+            mediaRecorder, mix, id: res.id, uploadKey: res.uploadKey,
+            nextChunk: 0, uploads: Promise.resolve(), startedAt: Date.now(), failed: false,
+        };
+        mediaRecorder.ondataavailable = (e) => {
+            if (e.data && e.data.size > 0) uploadRecordingChunk(current, e.data);
+        };
+        mediaRecorder.onstop = () => finishRecording(current);
+        mediaRecorder.start(RECORDING_CHUNK_MS);
+
+        recording = current;
+        recordBtn.classList.add("danger");
+        setRecordingIndicator("self");
+    });
+}
+
+function stopRecording() {
+    if (!recording) return;
+    const current = recording;
+    recording = null;
+    if (client.peerId) client.setRecording(false, { id: current.id });
+    if (current.mediaRecorder.state !== "inactive") current.mediaRecorder.stop();
+    if (recordBtn) recordBtn.classList.remove("danger");
+    setRecordingIndicator(null);
+}
+
+// Chunks go up one at a time, in order, with a couple of retries
+function uploadRecordingChunk(current, blob) {
+    const index = current.nextChunk++;
+    current.uploads = current.uploads.then(async () => {
+        if (current.failed) return;
+        for (let attempt = 0; attempt < 3; attempt++) {
+            try {
+                const response = await fetch(`${SERVER_URL}/api/recordings/${current.id}/chunks`, {
+                    method: "POST",
+                    headers: {
+                        "Content-Type": blob.type || "application/octet-stream",
+                        "X-Recording-Key": current.uploadKey,
+                        "X-Chunk-Index": String(index)
+                    },
+                    body: blob
                 });
-            });
+                if (response.ok) return;
+                if (response.status < 500) break; // Rejected; retrying won't help
+            } catch (err) {
+                console.warn(`Recording chunk ${index} failed:`, err);
+            }
+            await new Promise((resolve) => setTimeout(resolve, 1000 * (attempt + 1)));
+        }
+        current.failed = true;
+        showNotice("Recording upload failed", "error");
+    });
+}
 
-        } else if (pc.connectionState === 'disconnected' || pc.connectionState === 'failed') {
-            endCall();
-            resetUI();
+async function finishRecording(current) {
+    current.mix.stop();
+    await current.uploads;
+    if (current.failed) return;
+    try {
+        const response = await fetch(`${SERVER_URL}/api/recordings/${current.id}/complete`, {
+            method: "POST",
+            headers: { "Content-Type": "application/json", "X-Recording-Key": current.uploadKey },
+            body: JSON.stringify({ durationMs: Date.now() - current.startedAt })
+        });
+        if (!response.ok) throw new Error(`HTTP ${response.status}`);
+        showNotice("Recording saved");
+    } catch (err) {
+        console.error("Could not finish recording:", err);
+        showNotice("Recording could not be saved", "error");
+    }
+}
+
+if (recordBtn) {
+    recordBtn.addEventListener("click", () => {
+        if (recording) {
+            stopRecording();
+        } else {
+            startRecording();
         }
+    });
+}
+
+// --- Chat (RTCDataChannel) ---
+
+function nextMessageId() {
+    return `${Date.now().toString(36)}-${chatSeq++}`;
+}
+
+function handleChannelMessage(message) {
+    switch (message.type) {
+        case "chat":
+            if (typeof message.text !== "string" || !message.id) return;
+            appendChatMessage({ id: message.id, text: message.text.slice(0, 500), mine: false });
+            client.send({ type: "ack", id: message.id, state: "delivered" });
+            unreadChat.push(message.id);
+            markChatRead();
+            break;
+        case "ack":
+            setChatState(message.id, message.state);
+            break;
+        case "door":
+            // Peer opened the door; acknowledge so they know we saw it
+            showPeerDoorResult(message.status);
+            client.send({ type: "door-ack", id: message.id });
+            break;
+        case "door-ack":
+            showNotice("The visitor was notified");
+            break;
+        default:
+            console.warn("Unknown channel message:", message.type);
+    }
+}
+
+function sendChat(text) {
+    text = text.trim();
+    if (!text) return;
+    const id = nextMessageId();
+    if (!client.send({ type: "chat", id, text })) {
+        showNotice("Chat is not connected", "error");
+        return;
+    }
+    appendChatMessage({ id, text, mine: true });
+}
+
+const CHAT_STATE_TEXT = { sent: "Sent", delivered: "Delivered", read: "Read" };
+
+function appendChatMessage({ id, text, mine }) {
+    if (!chatMessages) return;
+    const item = document.createElement("div");
+    item.className = `chat-message ${mine ? "mine" : "theirs"}`;
+    item.dataset.id = id;
+    const body = document.createElement("div");
+    body.className = "chat-text";
+    body.textContent = text;
+    item.appendChild(body);
+    if (mine) {
+        const state = document.createElement("div");
+        state.className = "chat-state";
+        state.textContent = CHAT_STATE_TEXT.sent;
+        item.appendChild(state);
+    }
+    chatMessages.appendChild(item);
+    chatMessages.scrollTop = chatMessages.scrollHeight;
+}
+
+// "read" may overtake "delivered"; never step back
+function setChatState(id, state) {
+    if (!chatMessages || !CHAT_STATE_TEXT[state]) return;
+    const item = chatMessages.querySelector(`.chat-message.mine[data-id="${CSS.escape(String(id))}"]`);
+    const stateEl = item && item.querySelector(".chat-state");
+    if (!stateEl || (state === "delivered" && item.dataset.state === "read")) return;
+    item.dataset.state = state;
+    stateEl.textContent = CHAT_STATE_TEXT[state];
+}
+
+// Read receipts are only sent while the chat is actually on screen
+function markChatRead() {
+    const visible = chatPanel && chatPanel.style.display !== "none" && !document.hidden;
+    if (visible) {
+        unreadChat.forEach((id) => client.send({ type: "ack", id, state: "read" }));
+        unreadChat = [];
+    }
+    if (chatBadge) chatBadge.textContent = unreadChat.length > 0 ? String(unreadChat.length) : "";
+}
+
+function renderQuickReplies() {
+    if (!quickRepliesEl) return;
+    const isResident = client.session && client.session.role === "host";
+    quickRepliesEl.innerHTML = "";
+    quickRepliesEl.style.display = isResident && quickReplies.length > 0 ? "" : "none";
+    if (!isResident) return;
+    quickReplies.forEach((text) => {
+        const btn = document.createElement("button");
+        btn.type = "button";
+        btn.className = "quick-reply";
+        btn.textContent = text;
+        btn.addEventListener("click", () => sendChat(text));
+        quickRepliesEl.appendChild(btn);
+    });
+}
+
+function toggleChat(open) {
+    if (!chatPanel) return;
+    chatPanel.style.display = open ? "flex" : "none";
+    if (open) {
+        markChatRead();
+        if (chatInput) chatInput.focus();
+    }
+}
+
+function resetChat() {
+    unreadChat = [];
+    toggleChat(false);
+    if (chatMessages) chatMessages.innerHTML = "";
+    if (chatBadge) chatBadge.textContent = "";
+    if (chatBtn) chatBtn.disabled = true;
+}
+
+if (chatBtn) {
+    chatBtn.addEventListener("click", () => toggleChat(chatPanel.style.display === "none"));
+}
+if (chatCloseBtn) chatCloseBtn.addEventListener("click", () => toggleChat(false));
+if (chatForm) {
+    chatForm.addEventListener("submit", (e) => {
+        e.preventDefault();
+        sendChat(chatInput.value);
+        chatInput.value = "";
+    });
+}
+document.addEventListener("visibilitychange", markChatRead);
+
+// --- Voicemail ---
+
+// Visitor (token session): if the host hasn't called by then, ask the server for a voicemail slot
+function scheduleVoicemail(afterMs) {
+    clearTimeout(voicemailTimer);
+    voicemailTimer = setTimeout(() => {
+        if (client.inCall || !client.session) return;
+        client.requestVoicemail().then((res) => {
+            if (res && res.ok && !client.inCall) showVoicemailOffer(res, "Nobody answered.");
+        });
+    }, afterMs);
+}
+
+// offer: { key, maxDurationMs, ring }
+async function showVoicemailOffer(offer, reason) {
+    voicemailOffer = offer;
+    if (selectionScreen) selectionScreen.style.display = "none";
+    if (waitingScreen) waitingScreen.style.display = "none";
+    if (mainInterface) mainInterface.style.display = "none";
+    if (!voicemailScreen) return;
+    voicemailScreen.style.display = "flex";
+    if (voicemailHint) {
+        voicemailHint.textContent = `${reason} Leave a video message (up to ${Math.round(offer.maxDurationMs / 1000)}s)?`;
+    }
+    voicemailRecordBtn.disabled = false;
+    voicemailRecordBtn.textContent = "Record Message";
+    updateStatus("Nobody answered", false);
+
+    const stream = await client.startMedia();
+    if (voicemailPreview && stream) voicemailPreview.srcObject = stream;
+}
+
+function startVoicemailRecording() {
+    const localStream = client.localStream;
+    if (!localStream || typeof MediaRecorder === "undefined") {
+        finishVoicemail("Recording is not supported on this device", "error");
+        return;
+    }
+    const hasVideo = localStream.getVideoTracks().length > 0;
+    const candidates = hasVideo
+        ? ["video/webm;codecs=vp8,opus", "video/webm", "video/mp4"]
+        : ["audio/webm;codecs=opus", "audio/webm", "audio/mp4"];
+    const mimeType = candidates.find((type) => MediaRecorder.isTypeSupported(type));
+    const recorder = new MediaRecorder(localStream, mimeType ? { mimeType } : undefined);
+    const chunks = [];
+    const startedAt = Date.now();
+
+    recorder.ondataavailable = (e) => {
+        if (e.data && e.data.size > 0) chunks.push(e.data);
     };
-    return pc;
+    recorder.onstop = () => {
+        clearTimeout(voicemailStopTimer);
+        if (recorder !== voicemailRecorder) return; // Cancelled
+        voicemailRecorder = null;
+        const type = (recorder.mimeType || mimeType || "video/webm").split(";")[0];
+        uploadVoicemail(new Blob(chunks, { type }), Date.now() - startedAt);
+    };
+
+    voicemailRecorder = recorder;
+    recorder.start(1000);
+    voicemailRecordBtn.textContent = "Stop & Send";
+    updateStatus("Recording...", true);
+
+    // Countdown in the hint, hard stop at the server's limit
+    const endsAt = startedAt + voicemailOffer.maxDurationMs;
+    const tick = () => {
+        if (voicemailRecorder !== recorder) return;
+        const left = Math.max(0, Math.ceil((endsAt - Date.now()) / 1000));
+        if (voicemailHint) voicemailHint.textContent = `Recording... ${left}s left`;
+        if (left > 0) setTimeout(tick, 500);
+    };
+    tick();
+    voicemailStopTimer = setTimeout(() => recorder.stop(), voicemailOffer.maxDurationMs);
 }
 
-// Media
-async function startMedia() {
+async function uploadVoicemail(blob, durationMs) {
+    voicemailRecordBtn.disabled = true;
+    if (voicemailHint) voicemailHint.textContent = "Sending...";
     try {
-        localStream = await navigator.mediaDevices.getUserMedia({
-            audio: true,
-            video: {
-                facingMode: "user",
-                width: { ideal: 640 },
-                height: { ideal: 480 },
-                frameRate: { ideal: 10, max: 10 }
-            }
+        const response = await fetch(`${SERVER_URL}/api/voicemail`, {
+            method: "POST",
+            headers: {
+                "Content-Type": blob.type,
+                "X-Voicemail-Key": voicemailOffer.key,
+                "X-Voicemail-Duration": String(durationMs)
+            },
+            body: blob
         });
-        localVideo.srcObject = localStream;
-        document.querySelector(".video-container").style.display = "block";
+        if (!response.ok) throw new Error(`HTTP ${response.status}`);
+        finishVoicemail("Message sent. Thank you!");
     } catch (err) {
-        console.error(err);
-        alert("Camera Access Denied");
+        console.error("Voicemail upload failed:", err);
+        finishVoicemail("Your message could not be sent", "error");
     }
 }
 
-function stopMedia() {
-    if (localStream) {
-        localStream.getTracks().forEach(t => t.stop());
-        localStream = null;
+function finishVoicemail(text, kind = "info") {
+    const ring = voicemailOffer && voicemailOffer.ring;
+    cancelVoicemail();
+    client.stopMedia();
+    resetUI();
+    showNotice(text, kind);
+    updateStatus("Connected to Server", true);
+    if (!ring) {
+        // Token session: leave it, like an expired one
+        client.clearSession();
+        setTimeout(() => { window.location.href = HOME_URL; }, 3000);
+    }
+}
+
+// Drops a pending offer / recording without sending anything
+function cancelVoicemail() {
+    clearTimeout(voicemailTimer);
+    clearTimeout(voicemailStopTimer);
+    voicemailOffer = null;
+    if (voicemailRecorder) {
+        const recorder = voicemailRecorder;
+        voicemailRecorder = null;
+        if (recorder.state !== "inactive") recorder.stop();
+    }
+    if (voicemailScreen) voicemailScreen.style.display = "none";
+    if (voicemailPreview) voicemailPreview.srcObject = null;
+}
+
+if (voicemailRecordBtn) {
+    voicemailRecordBtn.addEventListener("click", () => {
+        if (!voicemailOffer) return;
+        if (voicemailRecorder) {
+            voicemailRecorder.stop();
+        } else {
+            startVoicemailRecording();
+        }
+    });
+}
+
+if (voicemailSkipBtn) {
+    voicemailSkipBtn.addEventListener("click", () => {
+        if (voicemailOffer) finishVoicemail("No message left");
+    });
+}
+
+// Resident device: unplayed message count next to the status
+async function refreshMessageCount() {
+    if (!deviceRegistration || !messagesLink) return;
+    try {
+        const response = await fetch(`${SERVER_URL}/api/messages?limit=0`, {
+            headers: { "X-Intercom-Group": deviceRegistration.group, "X-Intercom-Key": deviceRegistration.key }
+        });
+        if (!response.ok) throw new Error(`HTTP ${response.status}`);
+        const { unplayed } = await response.json();
+        messagesLink.style.display = "";
+        if (messagesBadge) messagesBadge.textContent = unplayed > 0 ? String(unplayed) : "";
+    } catch (err) {
+        console.warn("Could not load messages:", err);
     }
-    localVideo.srcObject = null;
-    document.querySelector(".video-container").style.display = "none";
 }
 
+// --- Visitor Snapshot ---
+
+// Visitor: upload a still frame from the camera so the resident sees who is at the door
+// before the call connects (and the building keeps a record if nobody answers).
+async function sendSnapshot() {
+    if (!client.session || snapshotSentFor === client.session.token) return;
+    const headers = client.sessionHeaders();
+    snapshotSentFor = client.session.token;
+
+    const stream = await client.startMedia();
+    const blob = stream && await captureFrame();
+    if (!blob) return;
+    try {
+        const response = await fetch(`${SERVER_URL}/api/snapshot`, {
+            method: "POST",
+            headers: { "Content-Type": blob.type, ...headers },
+            body: blob
+        });
+        if (!response.ok) throw new Error(`HTTP ${response.status}`);
+    } catch (err) {
+        console.warn("Snapshot upload failed:", err);
+    }
+}
+
+// Resolves with a JPEG of the current local video frame, or null if no frame arrives
+function captureFrame() {
+    return new Promise((resolve) => {
+        const grab = () => {
+            const canvas = document.createElement("canvas");
+            canvas.width = localVideo.videoWidth;
+            canvas.height = localVideo.videoHeight;
+            canvas.getContext("2d").drawImage(localVideo, 0, 0);
+            canvas.toBlob(resolve, "image/jpeg", 0.8);
+        };
+        if (localVideo.readyState >= HTMLMediaElement.HAVE_CURRENT_DATA && localVideo.videoWidth) return grab();
+
+        const timer = setTimeout(() => resolve(null), 5000);
+        localVideo.addEventListener("loadeddata", () => {
+            clearTimeout(timer);
+            grab();
+        }, { once: true });
+    });
+}
+
+// Resident: show the snapshot in place of the visitor's video until media flows
+function showVisitorSnapshot() {
+    if (!visitorSnapshot || !client.session || visitorSnapshot.token !== client.session.token) return;
+    remoteVideo.poster = visitorSnapshot.url;
+}
+
+function clearVisitorSnapshot() {
+    if (visitorSnapshot) URL.revokeObjectURL(visitorSnapshot.url);
+    visitorSnapshot = null;
+    remoteVideo.removeAttribute("poster");
+}
+
+if (joinBtn) {
+    joinBtn.addEventListener("click", () => {
+        const token = tokenInput.value.trim();
+        if (!token) return alert("Enter Token");
+        client.joinSession(token);
+    });
+}
+
+// Modal Actions (ring group calls)
+answerBtn.addEventListener("click", () => {
+    if (!pendingRing) return;
+    const { token } = pendingRing;
+    dismissIncomingCall();
+    answerRing(token);
+});
+
+// Also used for /?answer=<token> from a push notification
+function answerRing(token) {
+    // The client places the WebRTC call once the server hands us the visitor
+    client.acceptCall(token).then((res) => {
+        if (!res || !res.ok) {
+            showNotice(res ? res.message : "Could not answer", "error");
+            return;
+        }
+        setDoorControl(res.canOpenDoor);
+        setRecordControl(res.canRecord);
+        quickReplies = res.quickReplies || [];
+        showVisitorSnapshot();
+
+        if (selectionScreen) selectionScreen.style.display = "none";
+        if (waitingScreen) waitingScreen.style.display = "none";
+        if (mainInterface) mainInterface.style.display = "block";
+        updateStatus("Connecting to Peer...");
+    });
+}
+
+declineBtn.addEventListener("click", () => {
+    if (!pendingRing) return;
+    client.declineCall(pendingRing.token);
+    dismissIncomingCall();
+});
+
+
 // UI State Helpers
 function startCallState() {
-    isConnected = true;
     appBody.classList.add("is-connected");
     disconnectBtn.style.display = "flex"; // Changed from inline-block
     muteBtn.disabled = false;
-    // Note: Swipe handle logic checks isConnected internally
-}
-
-function endCall() {
-    isConnected = false;
-    currentTargetId = null;
-    if (peerConnection) {
-        peerConnection.close();
-        peerConnection = null;
-    }
-    stopMedia();
-    appBody.classList.remove("is-connected");
-    disconnectBtn.style.display = "none";
-    muteBtn.disabled = true;
-    // Swipe handle disabled via logic check
-    updateStatus("Disconnected");
+    // Note: Swipe handle logic checks client.inCall internally
 }
 
 function resetUI() {
@@ -546,19 +1767,15 @@ function resetUI() {
     if (tokenInput) tokenInput.value = "";
 }
 
-disconnectBtn.addEventListener("click", () => {
-    socket.emit("hangup", { target: currentTargetId });
-    endCall();
-    resetUI();
-});
+// "call-ended" resets the screen
+disconnectBtn.addEventListener("click", () => client.hangup());
 
 const cameraBtn = document.getElementById("camera-btn");
-let isVideoMuted = false;
 
 muteBtn.addEventListener("click", () => {
-    if (!localStream) return;
-    isMuted = !isMuted;
-    localStream.getAudioTracks().forEach(track => track.enabled = !isMuted);
+    if (!client.localStream) return;
+    const isMuted = !client.muted;
+    client.setMuted(isMuted);
     muteBtn.classList.toggle("muted", isMuted);
 
     // Optional: Update icon or style further if needed
@@ -573,9 +1790,9 @@ muteBtn.addEventListener("click", () => {
 
 if (cameraBtn) {
     cameraBtn.addEventListener("click", () => {
-        if (!localStream) return;
-        isVideoMuted = !isVideoMuted;
-        localStream.getVideoTracks().forEach(track => track.enabled = !isVideoMuted);
+        if (!client.localStream) return;
+        const isVideoMuted = client.cameraEnabled;
+        client.setCameraEnabled(!isVideoMuted);
 
         // Update UI
         if (isVideoMuted) {
@@ -601,7 +1818,52 @@ if (cameraBtn) {
     });
 }
 
+// Non-blocking notice banner (replaces alert() for server errors)
+// If retryAfterMs is given, the banner counts down and then disappears.
+let noticeTimer = null;
+function showNotice(text, kind = "info", retryAfterMs = 0) {
+    let notice = document.getElementById("notice");
+    if (!notice) {
+        notice = document.createElement("div");
+        notice.id = "notice";
+        notice.className = "notice";
+        notice.setAttribute("role", "alert");
+        document.body.appendChild(notice);
+    }
+    notice.classList.toggle("error", kind === "error");
+    notice.style.display = "block";
+
+    if (noticeTimer) clearInterval(noticeTimer);
+    if (retryAfterMs > 0) {
+        const until = Date.now() + retryAfterMs;
+        const baseText = text.replace(/\s*(Try again in|Blocked for) \d+s\.?$/, "");
+        const render = () => {
+            const left = Math.ceil((until - Date.now()) / 1000);
+            if (left <= 0) {
+                clearInterval(noticeTimer);
+                notice.style.display = "none";
+                if (joinBtn) joinBtn.disabled = false;
+                return;
+            }
+            notice.textContent = `${baseText} Try again in ${left}s.`;
+        };
+        if (joinBtn) joinBtn.disabled = true;
+        render();
+        noticeTimer = setInterval(render, 1000);
+    } else {
+        notice.textContent = text;
+        noticeTimer = setTimeout(() => { notice.style.display = "none"; }, 5000);
+    }
+}
+
+function showReconnecting() {
+    statusText.textContent = "Reconnecting…";
+    statusDot.classList.remove("connected", "disconnected");
+    statusDot.classList.add("reconnecting");
+}
+
 function updateStatus(text, green) {
+    statusDot.classList.remove("reconnecting");
     statusText.textContent = text;
     if (green) {
         statusDot.classList.add("connected");
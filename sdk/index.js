@@ -0,0 +1,12 @@
+// Library entry of the Vite build (npm run build:sdk): the same client, with socket.io-client
+// bundled in instead of the global `io` the pages get from /socket.io/socket.io.js.
+import { io } from "socket.io-client";
+import { IntercomClient as BaseClient } from "./intercomClient.js";
+
+export { MEDIA_PROFILES, PROTOCOL_VERSION, readCallStats, videoConstraints } from "./intercomClient.js";
+
+export class IntercomClient extends BaseClient {
+    constructor(options = {}) {
+        super({ io, ...options });
+    }
+}
@@ -0,0 +1,765 @@
+// IntercomClient
+// Signaling, the WebRTC call and local media of the intercom, without any DOM. The pages
+// (main.js) are built on it; other apps embed the intercom the same way:
+//
+//   const client = new IntercomClient({ url: "https://intercom.example.com" });
+//   client.on("session-created", ({ token, qrToken }) => showCode(token, qrToken));
+//   client.on("local-stream", (stream) => { selfView.srcObject = stream; });
+//   client.on("remote-stream", (stream) => { video.srcObject = stream; });
+//   client.on("call-ended", ({ reason }) => showHome(reason));
+//   client.createSession();
+//
+// Events
+//   Connection: connected, disconnected (reason), protocol { version, min, latest },
+//     error { code, message, retryAfterMs? } (server/errors.js, or SIGNALING_FAILED when a
+//     relayed answer / ICE candidate can't be applied here), kicked (message)
+//   Session: session-created, session-joined (+ viaRing), session-expired,
+//     session-resumed { role, peerId }, peer-joined, peer-reconnecting, peer-reconnected,
+//     peer-door-opened (actuator result)
+//   Ring groups: incoming-call, call-answered-elsewhere, call-cancelled, ring-ended,
+//     visitor-snapshot, voicemail-received, presence-update
+//   Call: call-started { peerId, caller }, peer-connection { iceServers }, call-connected,
+//     call-reconnecting, call-ending / call-ended { reason }, call-failed (error),
+//     connection-state (state), ice-error { errorCode, errorText, url }, recording { active }
+//   Media: local-stream (MediaStream | null), remote-stream (MediaStream), media-error (error)
+//   Data channel: channel-open, channel-close, channel-message (parsed JSON)
+// Server payloads are documented in server/protocol.js.
+//
+// call-ended reasons: "hangup" (this side), "peer-hangup", "connection-lost" (recovery
+// timed out), "session-lost" (the server no longer had the session after a reconnect)
+
+export const PROTOCOL_VERSION = 2;
+// Error code of failures on this side, not sent by the server
+export const SIGNALING_FAILED = "SIGNALING_FAILED";
+
+const DEFAULT_ICE_SERVERS = [{ urls: "stun:stun.l.google.com:19302" }];
+const ICE_GRACE_MS = 4000; // "disconnected" is often transient; wait before restarting ICE
+const RECOVERY_TIMEOUT_MS = 30000; // Give up and end the call after this long
+const ACK_TIMEOUT_MS = 10000;
+
+// Each profile sets the camera constraints and RTCRtpSender caps. "audio" keeps the camera
+// (snapshots, switching back) but stops sending video.
+export const MEDIA_PROFILES = {
+    audio: { label: "Audio only", video: null, videoBitrate: 0, audioBitrate: 24000, degradation: "balanced" },
+    low: {
+        label: "Low", video: { width: 320, height: 240, frameRate: 10 },
+        videoBitrate: 150000, audioBitrate: 32000, degradation: "maintain-framerate"
+    },
+    standard: {
+        label: "Standard", video: { width: 640, height: 480, frameRate: 10 },
+        videoBitrate: 500000, audioBitrate: 48000, degradation: "balanced"
+    },
+    hd: {
+        label: "HD", video: { width: 1280, height: 720, frameRate: 24 },
+        videoBitrate: 1500000, audioBitrate: 64000, degradation: "maintain-resolution"
+    },
+};
+
+// The audio profile still opens the camera at the low resolution
+export function videoConstraints(profile) {
+    const { width, height, frameRate } = profile.video || MEDIA_PROFILES.low.video;
+    return { width: { ideal: width }, height: { ideal: height }, frameRate: { ideal: frameRate, max: frameRate } };
+}
+
+// Server events handed to listeners as they are
+const RELAYED_EVENTS = [
+    "protocol", "session-expired", "peer-reconnecting", "incoming-call", "call-answered-elsewhere",
+    "call-cancelled", "visitor-snapshot", "voicemail-received", "recording", "presence-update",
+];
+
+class Emitter {
+    constructor() {
+        this.listeners = new Map();
+    }
+
+    on(event, listener) {
+        if (!this.listeners.has(event)) this.listeners.set(event, new Set());
+        this.listeners.get(event).add(listener);
+        return this;
+    }
+
+    off(event, listener) {
+        const set = this.listeners.get(event);
+        if (set) set.delete(listener);
+        return this;
+    }
+
+    once(event, listener) {
+        const wrapper = (...args) => {
+            this.off(event, wrapper);
+            listener(...args);
+        };
+        return this.on(event, wrapper);
+    }
+
+    // A throwing listener must not break the call handling around the emit
+    emit(event, ...args) {
+        for (const listener of [...(this.listeners.get(event) || [])]) {
+            try {
+                listener(...args);
+            } catch (err) {
+                console.error(`"${event}" listener failed:`, err);
+            }
+        }
+    }
+}
+
+export class IntercomClient extends Emitter {
+    // url: the intercom server. io: the socket.io-client `io` (the pages use the global
+    // from /socket.io/socket.io.js). mediaConstraints: getUserMedia constraints, or a
+    // function returning them. storage/storageKey: where the session is kept so a reloaded
+    // page can resume it (null to keep it in memory only). onGiveUp(reason): awaited before
+    // a call that could not be recovered is hung up, while the session is still valid.
+    constructor({
+        url = globalThis.location && globalThis.location.origin,
+        io = globalThis.io,
+        mediaConstraints = { audio: true, video: { facingMode: "user", ...videoConstraints(MEDIA_PROFILES.standard) } },
+        storage = globalThis.sessionStorage || null,
+        storageKey = "intercom-session",
+        onGiveUp = null,
+    } = {}) {
+        super();
+        this.url = url;
+        this.io = io;
+        this.mediaConstraints = mediaConstraints;
+        this.storage = storage;
+        this.storageKey = storageKey;
+        this.onGiveUp = onGiveUp;
+
+        this.socket = null;
+        this.session = null; // { token, resumeKey, role }
+        this.ringToken = null; // Visitor: ring in progress
+        this.peerId = null;
+        this.peerConnection = null;
+        this.dataChannel = null;
+        this.localStream = null;
+        this.remoteStream = null;
+        this.inCall = false;
+        this.isCaller = false; // The side that sent the first offer drives ICE restarts
+        this.muted = false;
+        this.cameraEnabled = true;
+        this.resumeFallback = null;
+        this.recoveryTimer = null;
+        this.recoveryDeadline = null;
+    }
+
+    // --- Connection ---
+
+    connect() {
+        if (this.socket) return this;
+        const socket = this.io(this.url, { auth: { protocol: PROTOCOL_VERSION } });
+        this.socket = socket;
+
+        socket.on("connect", () => {
+            this.emit("connected");
+            // Reconnected (or reloaded) while in a session -> rebind to it on the server
+            if (this.session) this.resumeSession();
+        });
+        socket.on("disconnect", (reason) => this.emit("disconnected", reason));
+
+        // Version 1 servers and "another device connected": a plain message, the session is gone
+        socket.on("error", (message) => {
+            this.clearSession();
+            this.emit("kicked", message);
+        });
+        socket.on("intercom-error", (error) => this.emit("error", error));
+
+        for (const event of RELAYED_EVENTS) socket.on(event, (payload) => this.emit(event, payload));
+
+        socket.on("open-door", ({ result }) => this.emit("peer-door-opened", result || { status: "success" }));
+
+        socket.on("session-created", (payload) => {
+            this.saveSession({ token: payload.token, resumeKey: payload.resumeKey, role: "host" });
+            this.emit("session-created", payload);
+        });
+
+        socket.on("session-joined", (payload) => {
+            const viaRing = Boolean(this.ringToken);
+            this.ringToken = null;
+            this.saveSession({ token: payload.token, resumeKey: payload.resumeKey, role: payload.role });
+            this.emit("session-joined", { ...payload, viaRing });
+        });
+
+        // Host: the guest is here, place the call
+        socket.on("peer-joined", (payload) => {
+            this.emit("peer-joined", payload);
+            this.startCall(payload.peerId);
+        });
+
+        // Visitor: nobody picked up
+        socket.on("ring-ended", (payload) => {
+            this.ringToken = null;
+            this.clearSession();
+            this.emit("ring-ended", payload);
+        });
+
+        // Peer is back on a new socket id. hasCall: whether it still has its peer connection.
+        socket.on("peer-reconnected", ({ peerId, hasCall }) => {
+            this.peerId = peerId;
+            this.emit("peer-reconnected", { peerId, hasCall });
+            if (!this.isCaller) return; // The caller drives recovery; we wait for its offer
+
+            if (this.peerConnection && hasCall) {
+                this.restartIce();
+            } else if (this.peerConnection) {
+                // Peer reloaded and lost its connection -> start a fresh one
+                this.closePeerConnection();
+                this.startCall(peerId);
+            }
+        });
+
+        socket.on("offer", ({ sdp, caller }) => this.handleOffer(sdp, caller));
+
+        socket.on("answer", async ({ sdp }) => {
+            try {
+                if (this.peerConnection) await this.peerConnection.setRemoteDescription(new RTCSessionDescription(sdp));
+            } catch (err) {
+                console.error("Applying the answer failed:", err);
+                this.emit("error", { code: SIGNALING_FAILED, message: "Could not apply the peer's answer" });
+            }
+        });
+
+        socket.on("ice-candidate", async ({ candidate }) => {
+            try {
+                if (this.peerConnection) await this.peerConnection.addIceCandidate(new RTCIceCandidate(candidate));
+            } catch (err) {
+                console.error("Adding an ICE candidate failed:", err);
+                this.emit("error", { code: SIGNALING_FAILED, message: "Could not add the peer's network candidate" });
+            }
+        });
+
+        socket.on("hangup", () => this.endCall("peer-hangup"));
+        return this;
+    }
+
+    get connected() {
+        return Boolean(this.socket && this.socket.connected);
+    }
+
+    // Resolves with the ack, or null if the server doesn't answer in time
+    request(event, payload) {
+        this.connect();
+        return new Promise((resolve) => {
+            this.socket.timeout(ACK_TIMEOUT_MS).emit(event, payload, (err, res) => resolve(err ? null : res));
+        });
+    }
+
+    // --- Sessions ---
+
+    saveSession(session) {
+        this.session = session;
+        try {
+            if (this.storage) this.storage.setItem(this.storageKey, JSON.stringify(session));
+        } catch (e) {
+            // Storage may be unavailable (private mode); resume then only works without a reload
+        }
+    }
+
+    clearSession() {
+        this.session = null;
+        try {
+            if (this.storage) this.storage.removeItem(this.storageKey);
+        } catch (e) { }
+    }
+
+    // The session saved by an earlier page load, if any
+    storedSession() {
+        try {
+            return this.storage ? JSON.parse(this.storage.getItem(this.storageKey)) : null;
+        } catch (e) {
+            return null;
+        }
+    }
+
+    // Credentials for the session-scoped REST endpoints (TURN, snapshot, push, call report)
+    sessionHeaders() {
+        return this.session ? { "X-Intercom-Session": this.session.token, "X-Intercom-Key": this.session.resumeKey } : {};
+    }
+
+    // Host: the server answers with "session-created"
+    createSession() {
+        this.connect();
+        this.socket.emit("create-session");
+    }
+
+    // Guest: short code or signed QR form; the server answers with "session-joined"
+    joinSession(code) {
+        this.connect();
+        this.socket.emit("join-session", code);
+    }
+
+    // Rebind to `session` (default: the current one) after a reconnect or reload.
+    // onFail runs instead of the usual handling if the server no longer has it.
+    resumeSession(session = this.session, { onFail = this.resumeFallback } = {}) {
+        if (session !== this.session) this.saveSession(session);
+        this.resumeFallback = null;
+        if (!this.connected) {
+            // The "connect" handler resumes
+            this.resumeFallback = onFail;
+            this.connect();
+            return;
+        }
+        const { token, resumeKey } = session;
+        this.socket.emit("resume-session", { token, resumeKey, hasCall: Boolean(this.peerConnection) }, (res) => {
+            if (!res || !res.ok) {
+                console.warn("Could not resume session:", res && res.code);
+                this.clearSession();
+                if (onFail) {
+                    onFail(res);
+                } else if (this.inCall) {
+                    this.endCall("session-lost");
+                }
+                return;
+            }
+            if (res.peerId) this.peerId = res.peerId;
+            const pc = this.peerConnection;
+            if (pc && pc.connectionState !== "connected" && this.isCaller) this.restartIce();
+            this.emit("session-resumed", { role: res.role, peerId: res.peerId || null });
+        });
+    }
+
+    // --- Ring Groups ---
+
+    // Visitor. target: { group } or { resident }.
+    // Resolves { ok, token, devices, rerouted } | { ok: false, code, message, retryAfterMs? }
+    async ringGroup(target) {
+        const res = await this.request("ring-group", target);
+        if (res && res.ok) {
+            this.ringToken = res.token;
+            this.saveSession({ token: res.token, resumeKey: res.resumeKey, role: "guest" });
+        }
+        return res;
+    }
+
+    cancelRing() {
+        if (this.ringToken && this.socket) this.socket.emit("cancel-ring", { token: this.ringToken });
+        this.ringToken = null;
+        this.clearSession();
+    }
+
+    // Resident device. Registrations are per socket: call again after every "connected".
+    registerDevice({ group, key, name, pushEndpoint }) {
+        return this.request("register-device", { group, key, name, pushEndpoint });
+    }
+
+    // Resolves { ok: false } if the server timed the device out; register again then
+    heartbeat() {
+        return this.request("presence-heartbeat", {});
+    }
+
+    setPresence(status) {
+        return this.request("set-presence", { status });
+    }
+
+    // Resident device: take the call. The answering device places the WebRTC call,
+    // like a host after "peer-joined".
+    async acceptCall(token) {
+        const res = await this.request("accept-call", { token });
+        if (res && res.ok) {
+            this.saveSession({ token: res.token, resumeKey: res.resumeKey, role: "host" });
+            this.startCall(res.peerId);
+        }
+        return res;
+    }
+
+    declineCall(token) {
+        if (this.socket) this.socket.emit("decline-call", { token });
+    }
+
+    // Visitor: resolves { ok, key, maxDurationMs } if a video message may be left
+    requestVoicemail(token = this.session && this.session.token) {
+        return this.request("request-voicemail", { token });
+    }
+
+    // --- Call ---
+
+    async startCall(peerId) {
+        this.peerId = peerId;
+        this.isCaller = true;
+        try {
+            await this.beginCall();
+            this.peerConnection = await this.createPeerConnection();
+            const offer = await this.peerConnection.createOffer();
+            await this.peerConnection.setLocalDescription(offer);
+            this.socket.emit("offer", { target: peerId, sdp: offer });
+        } catch (err) {
+            console.error("Call failed:", err);
+            this.emit("call-failed", err);
+        }
+    }
+
+    async handleOffer(sdp, caller) {
+        // Renegotiation (ICE restart) on the existing connection
+        if (this.peerConnection && caller === this.peerId) {
+            try {
+                await this.peerConnection.setRemoteDescription(new RTCSessionDescription(sdp));
+                const answer = await this.peerConnection.createAnswer();
+                await this.peerConnection.setLocalDescription(answer);
+                this.socket.emit("answer", { target: caller, sdp: answer });
+            } catch (err) {
+                console.error("Renegotiation failed:", err);
+            }
+            return;
+        }
+
+        // New call: answer automatically
+        this.peerId = caller;
+        this.isCaller = false;
+        try {
+            await this.beginCall();
+            this.peerConnection = await this.createPeerConnection();
+            await this.peerConnection.setRemoteDescription(new RTCSessionDescription(sdp));
+            const answer = await this.peerConnection.createAnswer();
+            await this.peerConnection.setLocalDescription(answer);
+            this.socket.emit("answer", { target: caller, sdp: answer });
+        } catch (err) {
+            console.error("Auto-answer failed:", err);
+            this.emit("call-failed", err);
+        }
+    }
+
+    async beginCall() {
+        if (!await this.startMedia()) throw new Error("No camera or microphone");
+        this.inCall = true;
+        this.emit("call-started", { peerId: this.peerId, caller: this.isCaller });
+    }
+
+    async getIceServers() {
+        try {
+            const controller = new AbortController();
+            const timeoutId = setTimeout(() => controller.abort(), 10000);
+            // Credentials are only issued to session members
+            const response = await fetch(`${this.url}/api/get-turn-credentials`, {
+                signal: controller.signal,
+                headers: this.sessionHeaders(),
+            });
+            clearTimeout(timeoutId);
+            if (!response.ok) throw new Error(`HTTP ${response.status}`);
+            const data = await response.json();
+            if (data.iceServers && data.iceServers.length > 0) return data.iceServers;
+        } catch (e) {
+            console.error("Failed to fetch ICE servers (using default):", e);
+        }
+        return DEFAULT_ICE_SERVERS;
+    }
+
+    async createPeerConnection() {
+        const iceServers = await this.getIceServers();
+        // Allow all candidates (LAN + WAN)
+        const pc = new RTCPeerConnection({ iceServers, iceTransportPolicy: "all", iceCandidatePoolSize: 10 });
+        this.emit("peer-connection", { iceServers });
+        this.localStream.getTracks().forEach((track) => pc.addTrack(track, this.localStream));
+
+        // Pre-negotiated, so both sides create it and no ondatachannel is needed
+        this.setupDataChannel(pc.createDataChannel("intercom", { negotiated: true, id: 0 }));
+
+        pc.onicecandidate = (event) => {
+            if (!event.candidate) return;
+            // this.peerId, not the id at creation: the peer's socket id changes if it reconnects.
+            // volatile: candidates gathered while offline are useless after an ICE restart.
+            this.socket.volatile.emit("ice-candidate", { target: this.peerId, candidate: event.candidate });
+        };
+
+        pc.onicecandidateerror = (event) => {
+            console.error("ICE Candidate Error:", event.errorCode, event.errorText, event.url);
+            this.emit("ice-error", { errorCode: event.errorCode, errorText: event.errorText, url: event.url });
+        };
+
+        pc.ontrack = (event) => {
+            if (event.streams && event.streams[0]) {
+                this.remoteStream = event.streams[0];
+            } else {
+                if (!this.remoteStream) this.remoteStream = new MediaStream();
+                this.remoteStream.addTrack(event.track);
+            }
+            this.emit("remote-stream", this.remoteStream);
+        };
+
+        pc.onconnectionstatechange = () => {
+            if (pc !== this.peerConnection) return; // Replaced or closed
+            this.emit("connection-state", pc.connectionState);
+            if (pc.connectionState === "connected") {
+                this.clearRecovery();
+                this.emit("call-connected");
+            } else if (pc.connectionState === "disconnected") {
+                // Often transient (e.g. Wi-Fi handover) - give ICE a moment to recover on its own
+                this.beginRecovery(ICE_GRACE_MS);
+            } else if (pc.connectionState === "failed") {
+                this.beginRecovery(0);
+            }
+        };
+        return pc;
+    }
+
+    // --- Call Recovery ---
+    // disconnected/failed -> wait ICE_GRACE_MS -> ICE restart (caller) -> connected
+    // If nothing recovers within RECOVERY_TIMEOUT_MS the call is ended.
+
+    beginRecovery(delay) {
+        this.emit("call-reconnecting");
+
+        if (!this.recoveryDeadline) {
+            this.recoveryDeadline = setTimeout(async () => {
+                console.warn("Call recovery timed out");
+                if (this.onGiveUp) {
+                    try {
+                        await this.onGiveUp("recovery-timeout");
+                    } catch (err) {
+                        console.warn("onGiveUp failed:", err);
+                    }
+                }
+                // The call may have recovered, or been ended, in the meantime
+                if (!this.peerConnection || this.peerConnection.connectionState === "connected") return;
+                this.hangup("connection-lost");
+            }, RECOVERY_TIMEOUT_MS);
+        }
+
+        clearTimeout(this.recoveryTimer);
+        this.recoveryTimer = setTimeout(() => {
+            if (this.peerConnection && this.peerConnection.connectionState !== "connected") this.restartIce();
+        }, delay);
+    }
+
+    clearRecovery() {
+        clearTimeout(this.recoveryTimer);
+        clearTimeout(this.recoveryDeadline);
+        this.recoveryTimer = null;
+        this.recoveryDeadline = null;
+    }
+
+    // Only the caller sends the restart offer (avoids offer glare); it travels
+    // through the normal offer/answer relay.
+    async restartIce() {
+        if (!this.isCaller || !this.peerConnection || !this.connected || !this.peerId) return;
+        console.log("Restarting ICE");
+        try {
+            const offer = await this.peerConnection.createOffer({ iceRestart: true });
+            await this.peerConnection.setLocalDescription(offer);
+            this.socket.emit("offer", { target: this.peerId, sdp: offer });
+        } catch (err) {
+            console.error("ICE restart failed:", err);
+        }
+    }
+
+    closePeerConnection() {
+        this.clearRecovery();
+        if (this.dataChannel) {
+            this.dataChannel.close();
+            this.dataChannel = null;
+        }
+        if (this.peerConnection) {
+            this.peerConnection.close();
+            this.peerConnection = null;
+        }
+    }
+
+    // Tells the peer and ends the call here
+    hangup(reason = "hangup") {
+        if (this.socket && this.peerId) this.socket.emit("hangup", { target: this.peerId });
+        this.endCall(reason);
+    }
+
+    // "call-ending" comes before anything is torn down (e.g. to flush a recording)
+    endCall(reason = "hangup") {
+        this.emit("call-ending", { reason });
+        this.inCall = false;
+        this.peerId = null;
+        this.isCaller = false;
+        this.closePeerConnection();
+        this.clearSession();
+        this.stopMedia();
+        this.remoteStream = null;
+        this.emit("call-ended", { reason });
+    }
+
+    // --- Door, Recording, Stats ---
+
+    // Resolves with the actuator result { status, driver, error?, elapsedMs }.
+    // notifyPeer: false if the app tells the peer itself (e.g. over the data channel).
+    async openDoor({ notifyPeer = true } = {}) {
+        const result = await this.request("open-door", { target: this.peerId, notifyPeer });
+        return result || { status: "timeout", error: "The server did not answer" };
+    }
+
+    // Tells the peer (and the server) that this side started / stopped recording the call.
+    // Starting resolves { ok, id, uploadKey } | { ok: false, code, message } | null (timeout).
+    setRecording(active, { type, id } = {}) {
+        return this.request("recording", { target: this.peerId, active, type, id });
+    }
+
+    // Summarises getStats() of the current call (null without one), see readCallStats
+    getStats(previous = null) {
+        return this.peerConnection ? readCallStats(this.peerConnection, previous) : Promise.resolve(null);
+    }
+
+    // profile: an entry of MEDIA_PROFILES. Applies the camera constraints and sender caps.
+    async applyMediaProfile(profile) {
+        const videoTrack = this.localStream && this.localStream.getVideoTracks()[0];
+        if (videoTrack) {
+            if (profile.video) {
+                await videoTrack.applyConstraints(videoConstraints(profile)).catch((err) => {
+                    console.warn("Camera constraints not applied:", err);
+                });
+            }
+            videoTrack.enabled = Boolean(profile.video) && this.cameraEnabled;
+        }
+        if (!this.peerConnection) return;
+
+        for (const sender of this.peerConnection.getSenders()) {
+            if (!sender.track) continue;
+            const params = sender.getParameters();
+            if (!params.encodings || params.encodings.length === 0) params.encodings = [{}];
+            const encoding = params.encodings[0];
+            if (sender.track.kind === "video") {
+                encoding.active = Boolean(profile.video);
+                if (profile.video) {
+                    encoding.maxBitrate = profile.videoBitrate;
+                    encoding.maxFramerate = profile.video.frameRate;
+                }
+                params.degradationPreference = profile.degradation;
+            } else {
+                encoding.maxBitrate = profile.audioBitrate;
+            }
+            try {
+                await sender.setParameters(params);
+            } catch (err) {
+                console.warn(`setParameters (${sender.track.kind}) failed:`, err);
+            }
+        }
+    }
+
+    // --- Media ---
+
+    // Resolves with the local stream, or null (and "media-error") if capture was refused
+    async startMedia() {
+        if (this.localStream) return this.localStream; // Already capturing (e.g. call restarted after a peer reload)
+        const constraints = typeof this.mediaConstraints === "function" ? this.mediaConstraints() : this.mediaConstraints;
+        try {
+            this.localStream = await navigator.mediaDevices.getUserMedia(constraints);
+        } catch (err) {
+            console.error("getUserMedia failed:", err);
+            this.emit("media-error", err);
+            return null;
+        }
+        this.localStream.getAudioTracks().forEach((track) => { track.enabled = !this.muted; });
+        this.localStream.getVideoTracks().forEach((track) => { track.enabled = this.cameraEnabled; });
+        this.emit("local-stream", this.localStream);
+        return this.localStream;
+    }
+
+    stopMedia() {
+        if (!this.localStream) return;
+        this.localStream.getTracks().forEach((track) => track.stop());
+        this.localStream = null;
+        this.emit("local-stream", null);
+    }
+
+    setMuted(muted) {
+        this.muted = Boolean(muted);
+        if (this.localStream) this.localStream.getAudioTracks().forEach((track) => { track.enabled = !this.muted; });
+    }
+
+    setCameraEnabled(enabled) {
+        this.cameraEnabled = Boolean(enabled);
+        if (this.localStream) this.localStream.getVideoTracks().forEach((track) => { track.enabled = this.cameraEnabled; });
+    }
+
+    // --- Data Channel ---
+    // JSON messages; what they mean is up to the app (main.js: chat and door receipts)
+
+    setupDataChannel(channel) {
+        this.dataChannel = channel;
+        channel.onopen = () => {
+            if (channel === this.dataChannel) this.emit("channel-open");
+        };
+        channel.onclose = () => {
+            if (channel === this.dataChannel) this.emit("channel-close");
+        };
+        channel.onmessage = (event) => {
+            let message;
+            try {
+                message = JSON.parse(event.data);
+            } catch (e) {
+                console.warn("Ignoring malformed channel message");
+                return;
+            }
+            this.emit("channel-message", message);
+        };
+    }
+
+    get channelOpen() {
+        return Boolean(this.dataChannel && this.dataChannel.readyState === "open");
+    }
+
+    // false if the channel isn't open
+    send(message) {
+        if (!this.channelOpen) return false;
+        this.dataChannel.send(JSON.stringify(message));
+        return true;
+    }
+}
+
+// Summarises getStats(). Loss comes from the peer's receiver reports (remote-inbound-rtp),
+// RTT from the selected candidate pair; loss and bitrate are over the interval since `previous`.
+// Returns { at, lossPercent, rttMs, jitterMs, sendKbps, recvKbps, pair, turnServer, codecs, ...counters }
+export async function readCallStats(pc, previous) {
+    const stats = await pc.getStats();
+    const sample = {
+        at: Date.now(), packetsLost: 0, packetsSent: 0, bytesSent: 0, bytesReceived: 0,
+        lossPercent: 0, rttMs: null, jitterMs: null, sendKbps: null, recvKbps: null,
+        pair: null, turnServer: null, codecs: [],
+    };
+    let selectedPairId = null;
+    let remoteRttMs = null;
+    const codecIds = new Set();
+
+    stats.forEach((report) => {
+        if (report.type === "transport" && report.selectedCandidatePairId) {
+            selectedPairId = report.selectedCandidatePairId;
+        } else if (report.type === "remote-inbound-rtp") {
+            sample.packetsLost += report.packetsLost || 0;
+            if (remoteRttMs === null && report.roundTripTime !== undefined) remoteRttMs = Math.round(report.roundTripTime * 1000);
+        } else if (report.type === "outbound-rtp") {
+            sample.packetsSent += report.packetsSent || 0;
+            sample.bytesSent += report.bytesSent || 0;
+            if (report.codecId) codecIds.add(report.codecId);
+        } else if (report.type === "inbound-rtp") {
+            sample.bytesReceived += report.bytesReceived || 0;
+            if (report.jitter !== undefined) {
+                sample.jitterMs = Math.max(sample.jitterMs || 0, Math.round(report.jitter * 1000));
+            }
+            if (report.codecId) codecIds.add(report.codecId);
+        }
+    });
+
+    // Firefox has no transport stats; fall back to the nominated, succeeded pair
+    let pair = selectedPairId ? stats.get(selectedPairId) : null;
+    if (!pair) stats.forEach((report) => {
+        if (report.type === "candidate-pair" && report.nominated && report.state === "succeeded") pair = report;
+    });
+    if (pair) {
+        const candidate = (id) => {
+            const c = stats.get(id);
+            return c ? { type: c.candidateType, protocol: c.protocol, relayProtocol: c.relayProtocol, address: c.address, port: c.port, url: c.url } : null;
+        };
+        sample.pair = { local: candidate(pair.localCandidateId), remote: candidate(pair.remoteCandidateId) };
+        if (pair.currentRoundTripTime !== undefined) sample.rttMs = Math.round(pair.currentRoundTripTime * 1000);
+        const local = sample.pair.local;
+        if (local && local.type === "relay") sample.turnServer = local.url || `${local.address}:${local.port}`;
+    }
+    if (sample.rttMs === null) sample.rttMs = remoteRttMs;
+    sample.codecs = [...codecIds].map((id) => stats.get(id)).filter(Boolean)
+        .map((c) => c.mimeType).filter((type, i, all) => all.indexOf(type) === i);
+
+    if (previous) {
+        const lost = sample.packetsLost - previous.packetsLost;
+        const sent = sample.packetsSent - previous.packetsSent;
+        sample.lossPercent = sent > 0 ? Math.max(0, (lost / (sent + Math.max(0, lost))) * 100) : 0;
+        const seconds = (sample.at - previous.at) / 1000;
+        if (seconds > 0) {
+            sample.sendKbps = Math.round(((sample.bytesSent - previous.bytesSent) * 8) / 1000 / seconds);
+            sample.recvKbps = Math.round(((sample.bytesReceived - previous.bytesReceived) * 8) / 1000 / seconds);
+        }
+    }
+    return sample;
+}
@@ -2,9 +2,44 @@ import express from "express";
 import { createServer as createHttpsServer } from "https";
 import { createServer as createHttpServer } from "http";
 import { readFileSync, existsSync } from "fs";
+import { randomBytes, createHash, hkdfSync } from "crypto";
 import { Server } from "socket.io";
+import { createAdapter } from "@socket.io/redis-adapter";
+import { createClient } from "redis";
 import { fileURLToPath } from "url";
-import { dirname } from "path";
+import { dirname, join, resolve, relative } from "path";
+import { config } from "./server/config.js";
+import { createTokenStore } from "./server/tokens.js";
+import { createRateLimiter } from "./server/rateLimit.js";
+import { ErrorCodes, emitError } from "./server/errors.js";
+import {
+  ClientEvents, ServerEvents, AdminClientEvents, AdminServerEvents,
+  PROTOCOL_VERSION, MIN_PROTOCOL_VERSION, validate, negotiate, describeErrors,
+} from "./server/protocol.js";
+import { createActuator } from "./server/actuators/index.js";
+import { createAuthorizer, requireAdmin, Roles, safeEqual } from "./server/auth.js";
+import { createTurnCredentials, expandTurnUrls } from "./server/turn.js";
+import { createRingGroups, parseGroupKeys } from "./server/ringGroups.js";
+import { createDirectory } from "./server/directory.js";
+import { createPresence, PresenceStatus } from "./server/presence.js";
+import { createHistory, HistoryEvents } from "./server/history.js";
+import { createSnapshotStore, SNAPSHOT_TYPES } from "./server/snapshots.js";
+import { createVoicemail } from "./server/voicemail.js";
+import { createRecordingStore } from "./server/recordings.js";
+import { normalizeCallReport } from "./server/callReports.js";
+import { createMemorySessionStore, createRedisSessionStore } from "./server/sessionStore.js";
+import { createPush, createWebPushTransport, parseSubscription } from "./server/push.js";
+import { createDirectoryRouter } from "./server/routes/directory.js";
+import { createHistoryRouter } from "./server/routes/history.js";
+import { createMessagesRouter } from "./server/routes/messages.js";
+import { createRecordingsRouter } from "./server/routes/recordings.js";
+import { createPushRouter } from "./server/routes/push.js";
+import { createPassStore, PassReasons } from "./server/passes.js";
+import { createPassesRouter } from "./server/routes/passes.js";
+import { createAdminRouter } from "./server/routes/admin.js";
+import { toIntercomEvent } from "./server/events.js";
+import { createWebhooks } from "./server/webhooks.js";
+import { createMqttPublisher } from "./server/mqttEvents.js";
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = dirname(__filename);
@@ -39,36 +74,215 @@ if (isProduction) {
 }
 
 const io = new Server(server, { cors: { origin: "*" } });
+if (config.trustProxy) app.set("trust proxy", true);
+
+// The app is served straight from the repo root, so keep private files out of it
+const DATA_DIR = resolve(config.dataDir);
+const PRIVATE_FILES = new Set(["/key.pem", "/cert.pem"]);
+app.use((req, res, next) => {
+  let path;
+  try {
+    path = decodeURIComponent(req.path);
+  } catch {
+    return res.status(400).end();
+  }
+  const rel = relative(DATA_DIR, resolve("." + path));
+  const insideDataDir = !rel.startsWith("..") && !rel.startsWith("/");
+  if (insideDataDir || PRIVATE_FILES.has(req.path)) return res.status(404).end();
+  next();
+});
 
 app.use(express.static("."));
+app.use(express.json({ limit: "100kb" }));
+
+const adminOnly = requireAdmin(config.auth.adminKey);
+const directory = createDirectory({ file: join(DATA_DIR, "directory.json") });
+app.use("/api", createDirectoryRouter({ directory, requireAdmin: adminOnly }));
+const history = createHistory({ file: join(DATA_DIR, "history.jsonl"), ...config.history });
+app.use("/api", createHistoryRouter({ history, requireAdmin: adminOnly }));
+
+// Intercom events for outside systems, derived from the history as it is recorded
+const webhooks = createWebhooks({ ...config.webhooks, deadLetterFile: join(DATA_DIR, "webhooks-failed.jsonl") });
+const mqttEvents = config.eventsMqtt.url ? createMqttPublisher(config.eventsMqtt) : null;
+history.subscribe((entry) => {
+  const message = toIntercomEvent(entry);
+  if (!message) return;
+  webhooks.publish(message);
+  if (mqttEvents) {
+    mqttEvents.publish(message).catch((err) => console.error(`MQTT event ${message.event} failed:`, err.message));
+  }
+});
+
+const snapshots = createSnapshotStore({ dir: join(DATA_DIR, "snapshots"), retentionMs: config.snapshots.retentionMs });
+const voicemail = createVoicemail({
+  dir: join(DATA_DIR, "voicemail"),
+  file: join(DATA_DIR, "voicemail.json"),
+  retentionMs: config.voicemail.retentionMs,
+});
+app.use("/api", createMessagesRouter({
+  voicemail,
+  authorizeDevice: (group, key) => ringGroups.authorize(group, key),
+  requireAdmin: adminOnly,
+  maxBytes: config.voicemail.maxBytes,
+  onMessage: (message, req) => detached(() => notifyVoicemail(message, req)),
+}));
+const recordings = createRecordingStore({
+  dir: join(DATA_DIR, "recordings"),
+  maxBytes: config.recording.maxBytes,
+  idleTimeoutMs: config.recording.idleTimeoutMs,
+});
+app.use("/api", createRecordingsRouter({
+  recordings,
+  requireAdmin: adminOnly,
+  chunkMaxBytes: config.recording.chunkMaxBytes,
+  onComplete: (recording, req) => history.record(HistoryEvents.RECORDING_SAVED, {
+    sessionId: recording.sessionId,
+    token: recording.token,
+    role: recording.role,
+    ip: req.ip,
+    userAgent: req.get("User-Agent"),
+    recordingId: recording.id,
+    size: recording.size,
+    durationMs: recording.durationMs,
+  }),
+}));
+
+const pushEnabled = Boolean(config.push.publicKey && config.push.privateKey);
+const push = createPush({
+  file: join(DATA_DIR, "push.json"),
+  transport: pushEnabled ? createWebPushTransport(config.push) : null,
+  // Derived, so the VAPID key itself never signs anything but pushes
+  linkSecret: pushEnabled ? Buffer.from(hkdfSync("sha256", config.push.privateKey, "", "webrtc-intercom push links", 32)) : "",
+});
+app.use("/api", createPushRouter({
+  push,
+  publicKey: config.push.publicKey,
+  authorizeDevice: (group, key) => ringGroups.authorize(group, key),
+  attachToSession: (token, key, subscription) => attachPushToSession(token, key, subscription),
+  decline: (token, endpoint) => declineFromPush(token, endpoint),
+  readSnapshot: (id) => snapshots.read(id),
+}));
+const passes = createPassStore({ file: join(DATA_DIR, "passes.json"), ...config.passes });
+app.use("/api", createPassesRouter({
+  passes,
+  authorizeDevice: (group, key) => ringGroups.authorize(group, key),
+  requireAdmin: adminOnly,
+  redeem: (code, req) => redeemPass(code, req),
+}));
 
 import os from "os";
 
+// Session store calls are async; a failure (e.g. Redis down) becomes a 500 instead of a crash
+function asyncRoute(handler) {
+  return (req, res, next) => handler(req, res, next).catch(next);
+}
+
 app.get("/connect", (req, res) => {
   res.sendFile(__dirname + "/index.html");
 });
 
-// app.get("/api/get-turn-credentials", ... starts here
-// Default to Google's public STUN server
-const iceServers = [
-  { urls: "stun:stun.l.google.com:19302" }
-];
+// TURN credentials are only issued to session members.
+// Headers: X-Intercom-Session (token), X-Intercom-Key (resume key from session-created / session-joined)
+app.get("/api/get-turn-credentials", asyncRoute(async (req, res) => {
+  const token = req.get("X-Intercom-Session");
+  const key = req.get("X-Intercom-Key");
+  const member = await findMemberByKey(token, key);
+  if (!member) {
+    return res.status(403).json({ code: ErrorCodes.NOT_IN_SESSION, message: "A valid session is required" });
+  }
+
+  res.set("Cache-Control", "no-store");
+  res.json(turnCredentials.issue(turnClientId(key)));
+}));
+
+// Visitor snapshot, uploaded by the guest right after joining.
+// Headers as above; body is the raw image (image/jpeg, image/png or image/webp).
+// The resident side receives it as "visitor-snapshot" { token, type, image }.
+app.post("/api/snapshot", express.raw({ type: Object.keys(SNAPSHOT_TYPES), limit: config.snapshots.maxBytes }), asyncRoute(async (req, res) => {
+  const token = req.get("X-Intercom-Session");
+  const key = req.get("X-Intercom-Key");
+  if (await findMemberByKey(token, key) !== "guest") {
+    return res.status(403).json({ code: ErrorCodes.NOT_IN_SESSION, message: "Only the visitor can send a snapshot" });
+  }
+  if (!Buffer.isBuffer(req.body) || req.body.length === 0) {
+    return res.status(415).json({ message: "Expected an image/jpeg, image/png or image/webp body" });
+  }
 
-// If TURN credentials are provided in env vars, add them
-if (process.env.TURN_URL && process.env.TURN_USERNAME && process.env.TURN_PASSWORD) {
-  let turnUrl = process.env.TURN_URL;
-  if (!turnUrl.startsWith("turn:") && !turnUrl.startsWith("turns:")) {
-    turnUrl = "turn:" + turnUrl;
+  const type = req.get("Content-Type").split(";")[0].trim();
+  let saved;
+  try {
+    saved = await snapshots.save(req.body, type);
+  } catch (err) {
+    console.error("Failed to store snapshot:", err.message);
+    return res.status(500).json({ message: "Could not store snapshot" });
   }
-  iceServers.push({
-    urls: turnUrl,
-    username: process.env.TURN_USERNAME,
-    credential: process.env.TURN_PASSWORD
+
+  // The session may have ended while the file was written
+  let replaced = null;
+  const session = await sessions.update(token, (s) => {
+    replaced = s.snapshot;
+    s.snapshot = saved;
+  });
+  if (!session) {
+    if (!snapshots.keepsFiles) snapshots.remove(saved.id);
+    return res.status(410).json({ code: ErrorCodes.SESSION_GONE, message: "Session is no longer available" });
+  }
+  if (replaced && !snapshots.keepsFiles) snapshots.remove(replaced.id);
+  // A push waiting for the snapshot can go out now
+  if (pendingPushes.has(token)) detached(() => sendRingPush(token));
+  history.record(HistoryEvents.SNAPSHOT, {
+    sessionId: session.id,
+    token: session.token,
+    role: Roles.VISITOR,
+    ip: req.ip,
+    userAgent: req.get("User-Agent"),
+    snapshotId: saved.id,
   });
-}
 
-res.json({ iceServers });
-});
+  const event = { token: session.token, type: saved.type, image: req.body };
+  for (const id of [session.host, ...(session.ringing || [])]) {
+    if (id) io.to(id).emit("visitor-snapshot", event);
+  }
+  res.status(201).json({ id: saved.id });
+}));
+
+// Client-side failure report (ICE/connection diagnostics), recorded as a "call.failed" history entry.
+// Headers as above; body as built by buildDiagnosticsReport() in main.js.
+const MAX_REPORTS_PER_SESSION = 5;
+app.post("/api/call-report", asyncRoute(async (req, res) => {
+  const token = req.get("X-Intercom-Session");
+  const role = await findMemberByKey(token, req.get("X-Intercom-Key"));
+  if (!role) {
+    return res.status(403).json({ code: ErrorCodes.NOT_IN_SESSION, message: "A valid session is required" });
+  }
+  const report = normalizeCallReport(req.body);
+  if (!report) return res.status(400).json({ message: "Invalid report" });
+
+  const session = await sessions.update(token, (s) => {
+    if ((s.reports || 0) >= MAX_REPORTS_PER_SESSION) return false;
+    s.reports = (s.reports || 0) + 1;
+  });
+  if (!session) {
+    return res.status(429).json({ code: ErrorCodes.RATE_LIMITED, message: "Too many reports for this session" });
+  }
+  const entry = history.record(HistoryEvents.CALL_FAILED, {
+    sessionId: session.id,
+    token: session.token,
+    role: role === "host" ? Roles.RESIDENT : Roles.VISITOR,
+    ip: req.ip,
+    userAgent: req.get("User-Agent"),
+    durationMs: callDuration(session),
+    ...report,
+  });
+  res.status(201).json({ id: entry.id });
+}));
+
+// Stored snapshots, referenced by snapshotId in the call history
+app.get("/api/snapshots/:id", adminOnly, asyncRoute(async (req, res) => {
+  const snapshot = await snapshots.read(req.params.id);
+  if (!snapshot) return res.status(404).json({ message: "Snapshot not found" });
+  res.type(snapshot.type).send(snapshot.buffer);
+}));
 
 app.get("/api/network-info", (req, res) => {
   const interfaces = os.networkInterfaces();
@@ -93,106 +307,1314 @@ app.get("/api/network-info", (req, res) => {
 
 // Session Store
 // Key: Token (String)
-// Value: { host: socketId, guest: socketId }
-const sessions = new Map();
+// Value: { id: String, createdAt: ms, joinedAt?: ms, connectedAt: ms|null, snapshot?: { id, type, size, at },
+//          host: socketId, hostIp: String, guest: socketId, hostKey: String, guestKey: String,
+//          group?: String, resident?: String, ringing?: [socketId],
+//          pushed?: [endpoint], pushDeclined?: [endpoint], hostGroup?: String, hostResident?: String }
+// `id` is unique per session (tokens get reused) and ties its history entries together.
+// hostKey / guestKey are resume keys that let a member rebind a new socket after a reconnect.
+// Ring group sessions (group set) start without a host; `ringing` lists the devices
+// being rung until one of them accepts, `pushed` the endpoints rung by Web Push. Token
+// sessions also carry the token's `expiresAt` so any instance can redeem it, and the ring
+// group / resident of a host that is a registered device (`hostGroup`), for voicemail.
+// Stored in the session store (server/sessionStore.js); with REDIS_URL set the store and
+// Socket.IO rooms are shared between instances. Timers (grace, ring, token expiry) stay on
+// the instance that started them and re-read the session when they fire.
+// Ring group device registrations and presence are still per instance.
+let sessions = createMemorySessionStore();
+if (config.redis.url) {
+  const pubClient = createClient({ url: config.redis.url });
+  const subClient = pubClient.duplicate();
+  for (const client of [pubClient, subClient]) {
+    client.on("error", (err) => console.error("Redis error:", err.message));
+  }
+  await Promise.all([pubClient.connect(), subClient.connect()]);
+  io.adapter(createAdapter(pubClient, subClient, { key: `${config.redis.keyPrefix}socket.io` }));
+  sessions = createRedisSessionStore({ client: pubClient, prefix: config.redis.keyPrefix, ttlMs: config.redis.sessionTtlMs });
+  if (!config.tokens.secret) console.warn("TOKEN_SECRET is not set: QR tokens will only work on the instance that issued them.");
+  console.log("Sessions shared through Redis");
+}
+
+// Instances tell each other about released tokens, so the issuing node can reuse the code
+io.on("revoke-token", (token) => tokens.revoke(token));
+
+// Runs a store-backed task from a timer or event without awaiting it; errors are logged
+function detached(task) {
+  Promise.resolve().then(task).catch((err) => console.error("Session store error:", err));
+}
 
-function generateToken() {
-  return Math.floor(1000 + Math.random() * 9000).toString(); // 4 digit token
+// Pending removals of members whose socket dropped
+// Key: `${token}:${slot}` (slot: "host" | "guest"), Value: Timeout
+const graceTimers = new Map();
+
+// Returns "host" | "guest" if `key` is the resume key of a member of session `token`
+async function findMemberByKey(token, key) {
+  const session = await sessions.get(token);
+  if (!session) return null;
+  if (keyMatches(session.hostKey, key)) return "host";
+  if (keyMatches(session.guestKey, key)) return "guest";
+  return null;
+}
+
+const ringGroups = createRingGroups({
+  groups: parseGroupKeys(config.ringGroups.keys),
+  authenticate: directory.authenticateDevice,
+});
+
+// Key: ring session token, Value: Timeout (no answer)
+const ringTimers = new Map();
+
+// Presence updates go to every socket that subscribed (contacts page, kiosks)
+const presence = createPresence({
+  heartbeatTimeoutMs: config.presence.heartbeatTimeoutMs,
+  onChange: (residentId, status) => {
+    io.to("presence").emit("presence-update", { residentId, status });
+  },
+  // A device that stopped sending heartbeats is not rung anymore (Web Push still reaches it)
+  onExpire: (socketId) => {
+    ringGroups.unregister(socketId);
+    liveEndpoints.delete(socketId);
+  },
+});
+
+const UNAVAILABLE_LABELS = {
+  [PresenceStatus.DND]: "on Do Not Disturb",
+  [PresenceStatus.OFFLINE]: "offline",
+};
+
+const turnCredentials = createTurnCredentials({
+  secret: config.turn.secret,
+  turnUrls: expandTurnUrls(config.turn.hosts, config.turn),
+  stunUrls: config.turn.stunUrls,
+  ttlSeconds: config.turn.ttlSeconds,
+});
+if (!turnCredentials.enabled) {
+  console.warn("TURN disabled (set TURN_SECRET and TURN_URLS). Only STUN will be offered.");
+}
+
+// Opaque per-member id: it ends up in the TURN username, so don't leak the token
+function turnClientId(resumeKey) {
+  return createHash("sha256").update(resumeKey).digest("hex").slice(0, 16);
+}
+
+function newResumeKey() {
+  return randomBytes(16).toString("base64url");
+}
+
+function keyMatches(expected, actual) {
+  if (typeof expected !== "string" || typeof actual !== "string") return false;
+  return safeEqual(expected, actual);
+}
+
+// Token Store (allocation, server-side expiry, single-use redemption)
+const tokens = createTokenStore({
+  ...config.tokens,
+  onExpire: (token) => detached(async () => {
+    const session = await sessions.get(token);
+    // Redeemed on another instance, or already gone
+    if (!session || session.joinedAt || !(await sessions.delete(token))) return;
+    discardSnapshot(session);
+    io.to(session.host).emit("session-expired", { token });
+    audit(HistoryEvents.TIMEOUT, session, null, { reason: "not joined" });
+    console.log(`Session ${token} expired (not joined in time)`);
+  }),
+});
+
+// Release a token on every instance (the one that issued it holds the entry)
+function revokeToken(token) {
+  tokens.revoke(token);
+  if (config.redis.url) io.serverSideEmit("revoke-token", token);
+}
+
+// Redeem on this instance, or - for a token issued elsewhere - against the shared session record.
+// A token issued elsewhere is only checked for a session here; joinRefusal() decides inside the
+// join's store update. Result as tokens.redeem(): { ok, token } or { ok: false, reason }
+async function redeemToken(input) {
+  const local = tokens.redeem(input);
+  if (local.ok || local.reason !== "invalid") return local;
+  const token = tokens.resolve(input);
+  const session = token ? await sessions.get(token) : null;
+  if (!session || !session.expiresAt) return local;
+  return { ok: true, token };
+}
+
+// Why a guest may not join `session` (a token reason), or null. Runs inside sessions.update,
+// so two instances redeeming the same single-use token can't both let a guest in.
+function joinRefusal(session) {
+  if (session.joinedAt && config.tokens.singleUse) return "used";
+  if (!session.joinedAt && session.expiresAt && session.expiresAt <= Date.now()) return "expired";
+  return null;
+}
+
+const TOKEN_ERRORS = {
+  invalid: { code: ErrorCodes.TOKEN_INVALID, message: "Invalid Token" },
+  expired: { code: ErrorCodes.TOKEN_EXPIRED, message: "Token expired" },
+  used: { code: ErrorCodes.TOKEN_USED, message: "Token already used" },
+};
+
+const limiter = createRateLimiter(config.rateLimit);
+
+const actuator = createActuator(config.actuator);
+
+const auth = createAuthorizer({ sessions, ...config.auth });
+
+// Runs a peer-to-peer handler only if `payload.target` is the sender's session peer.
+// With `silent`, denials are only logged (e.g. a hangup racing the peer's disconnect).
+function authorized(socket, handler, { silent = false } = {}) {
+  return guarded(async (payload, ack) => {
+    const target = payload && payload.target;
+    const result = await auth.authorizeSignal(socket, target);
+    if (!result.ok) {
+      console.log(`Denied relay from ${socket.id} to ${target}: ${result.code}`);
+      if (!silent) emitError(socket, result.code, result.message);
+      return;
+    }
+    await handler(payload, ack, result);
+  });
+}
+
+// Async socket handlers: a rejected promise (e.g. Redis down) is logged instead of crashing the process
+function guarded(handler) {
+  return (...args) => {
+    Promise.resolve(handler(...args)).catch((err) => console.error("Socket handler failed:", err));
+  };
+}
+
+function clientIp(socket) {
+  if (config.trustProxy) {
+    const forwarded = socket.handshake.headers["x-forwarded-for"];
+    if (forwarded) return forwarded.split(",")[0].trim();
+  }
+  return socket.handshake.address;
+}
+
+function emitBlocked(socket, block) {
+  const seconds = Math.ceil(block.retryAfterMs / 1000);
+  const message = block.code === ErrorCodes.BANNED
+    ? `Too many attempts. Blocked for ${seconds}s.`
+    : `Too many attempts. Try again in ${seconds}s.`;
+  emitError(socket, block.code, message, { retryAfterMs: block.retryAfterMs });
+}
+
+async function countOpenSessions(socketId, ip) {
+  let bySocket = 0;
+  let byIp = 0;
+  for (const session of await sessions.list()) {
+    if (session.host === socketId) bySocket++;
+    if (session.hostIp === ip) byIp++;
+  }
+  return { bySocket, byIp };
+}
+
+const PASS_MESSAGES = {
+  [PassReasons.INVALID]: "This pass is not valid",
+  [PassReasons.REVOKED]: "This pass has been withdrawn",
+  [PassReasons.NOT_YET_VALID]: "This pass is not valid yet",
+  [PassReasons.EXPIRED]: "This pass has expired",
+  [PassReasons.USED_UP]: "This pass has been used up",
+  [PassReasons.WRONG_DAY]: "This pass is not valid today",
+  [PassReasons.OUTSIDE_HOURS]: "This pass is not valid at this time",
+};
+
+// POST /api/passes/redeem: a usable pass opens the door without a call. Unknown or
+// forged codes count against the IP like failed token joins. Every attempt is logged.
+// Result: { ok: true, door, label, usesLeft } or { ok: false, message, status?, code?, reason?, door? }
+async function redeemPass(code, req) {
+  const keys = [`ip:${req.ip}`];
+  const block = limiter.checkJoin(keys);
+  if (block) {
+    return { ok: false, status: 429, code: block.code, message: "Too many attempts", retryAfterMs: block.retryAfterMs };
+  }
+
+  const result = passes.redeem(code);
+  const { pass } = result;
+  const entry = {
+    ip: req.ip,
+    userAgent: req.get("User-Agent"),
+    passId: pass ? pass.id : undefined,
+    group: pass ? pass.group : undefined,
+    label: pass ? pass.label : undefined,
+  };
+  if (!result.ok) {
+    if (result.reason === PassReasons.INVALID) limiter.recordFailure(keys);
+    history.record(HistoryEvents.PASS_REDEEMED, { ...entry, status: "denied", reason: result.reason });
+    console.log(`Pass ${entry.passId || "(unknown)"} denied: ${result.reason}`);
+    return {
+      ok: false,
+      code: result.reason === PassReasons.INVALID ? ErrorCodes.PASS_INVALID : ErrorCodes.PASS_REJECTED,
+      reason: result.reason,
+      message: PASS_MESSAGES[result.reason],
+    };
+  }
+
+  limiter.recordSuccess(keys);
+  const door = await actuator.trigger();
+  // A use only counts if the door opened (busy, blocked, timeout, ... give it back)
+  const refunded = door.status === "success" ? null : passes.refund(pass.id, result.previousUsedAt);
+  const uses = refunded ? refunded.uses : pass.uses;
+  history.record(HistoryEvents.PASS_REDEEMED, {
+    ...entry,
+    status: door.status,
+    driver: door.driver,
+    error: door.error,
+    elapsedMs: door.elapsedMs,
+    uses,
+  });
+  console.log(`Pass ${pass.id} (${pass.label}, ${pass.group}) redeemed, door: ${door.status} (${door.driver})`);
+  const usesLeft = pass.maxUses === null ? null : pass.maxUses - uses;
+  if (door.status !== "success") {
+    return { ok: false, status: 502, door, label: pass.label, usesLeft, message: "The door could not be opened" };
+  }
+  return { ok: true, door, label: pass.label, usesLeft };
+}
+
+// Append to the call history. `socket` supplies socketId / IP / user-agent.
+function audit(type, session, socket, fields = {}) {
+  history.record(type, {
+    sessionId: session ? session.id : undefined,
+    token: session ? session.token : undefined,
+    socketId: socket ? socket.id : undefined,
+    ip: socket ? clientIp(socket) : undefined,
+    userAgent: socket ? socket.handshake.headers["user-agent"] : undefined,
+    ...fields,
+  });
+}
+
+function newSession(token, fields) {
+  return { id: randomBytes(8).toString("hex"), token, createdAt: Date.now(), connectedAt: null, ...fields };
+}
+
+// Role of a socket inside a session, for history entries
+function roleIn(session, socketId) {
+  if (session.host === socketId) return Roles.RESIDENT;
+  if (session.guest === socketId) return Roles.VISITOR;
+  return undefined;
+}
+
+// Upload grant for a visitor nobody answered. Returns { key, maxDurationMs } or undefined.
+// A token session's message belongs to its host's household; without one only the admin sees it.
+function offerVoicemail(session) {
+  if (!config.voicemail.enabled) return undefined;
+  const { key } = voicemail.grant({
+    group: session.group || session.hostGroup || null,
+    resident: (session.group ? session.resident : session.hostResident) || null,
+    sessionId: session.id,
+    token: session.token,
+    snapshotId: session.snapshot ? session.snapshot.id : null,
+  });
+  return { key, maxDurationMs: config.voicemail.maxDurationMs };
+}
+
+// Tell the household's devices (and a token session's host, if still there) about a new message
+async function notifyVoicemail(message, req) {
+  history.record(HistoryEvents.VOICEMAIL, {
+    sessionId: message.sessionId,
+    token: message.token,
+    role: Roles.VISITOR,
+    ip: req.ip,
+    userAgent: req.get("User-Agent"),
+    messageId: message.id,
+    durationMs: message.durationMs,
+  });
+  const event = { id: message.id, group: message.group, createdAt: message.createdAt };
+  const targets = message.group
+    ? ringGroups.members(message.group)
+      .filter((d) => !message.resident || !d.residentId || d.residentId === message.resident)
+      .map((d) => d.socketId)
+    : [];
+  const session = await sessions.get(message.token);
+  if (session && session.host) targets.push(session.host);
+  for (const id of new Set(targets)) io.to(id).emit("voicemail-received", event);
+}
+
+function canRecord(role) {
+  return config.recording.enabled && config.recording.roles.includes(role);
+}
+
+// Snapshots only outlive their session if a retention period is configured
+function discardSnapshot(session) {
+  if (session.snapshot && !snapshots.keepsFiles) snapshots.remove(session.snapshot.id);
+}
+
+// Call length for the session.ended entry
+function callDuration(session) {
+  return session.connectedAt ? Date.now() - session.connectedAt : 0;
+}
+
+// Nobody left to answer a ring: no rung device and every pushed device declined
+function ringExhausted(session) {
+  return session.ringing.length === 0 && !session.host && (session.pushed || []).length <= (session.pushDeclined || []).length;
+}
+
+// --- Web Push ---
+// Devices with the app open get "incoming-call" over their socket; the others are pushed.
+// Key: socketId of a registered device, Value: its push endpoint
+const liveEndpoints = new Map();
+
+// Key: token, Value: Timeout - a push waiting up to snapshotWaitMs for the visitor's snapshot
+const pendingPushes = new Map();
+
+// Subscriptions to push for a session: a ring group's closed devices, or a token session's host
+function pushTargets(session) {
+  if (!session.group) return session.pushSubscription ? [session.pushSubscription] : [];
+  const live = new Set(liveEndpoints.values());
+  return push.recipients(session.group, { residentId: session.resident, excludeResident: session.excludedResident })
+    .filter((s) => !live.has(s.endpoint));
+}
+
+function queuePush(token) {
+  if (!push.enabled || pendingPushes.has(token)) return;
+  pendingPushes.set(token, setTimeout(() => detached(() => sendRingPush(token)), config.push.snapshotWaitMs));
+}
+
+function cancelPush(token) {
+  clearTimeout(pendingPushes.get(token));
+  pendingPushes.delete(token);
+}
+
+// Payload read by sw.js. "url" is where Answer leads; Decline posts to /api/push/decline.
+async function sendRingPush(token) {
+  cancelPush(token);
+  const session = await sessions.get(token);
+  // Answered or ended while we waited for the snapshot
+  if (!session || session.connectedAt || (session.group && session.host)) return;
+  const targets = pushTargets(session);
+  if (targets.length === 0) return;
+
+  const ringMs = session.group ? config.ringGroups.ringTimeoutMs : config.voicemail.ringTimeoutMs;
+  const message = {
+    type: "ring",
+    token,
+    group: session.group || null,
+    title: "Visitor at the door",
+    body: session.group ? `Someone is ringing ${session.group}` : "Your visitor has arrived",
+    image: session.snapshot ? push.signedLink(`/api/push/snapshots/${session.snapshot.id}`, 10 * 60 * 1000) : null,
+    url: session.group ? `/?answer=${encodeURIComponent(token)}` : null,
+    expiresAt: Date.now() + ringMs,
+  };
+  const result = await push.send(targets, message, { ttl: Math.ceil(ringMs / 1000), urgency: "high" });
+  console.log(`Push for ${token}: ${result.sent} sent, ${result.removed} expired, ${result.failed} failed`);
+}
+
+// Token session host: POST /api/push/session. Returns false unless `key` is the host's.
+async function attachPushToSession(token, key, subscription) {
+  if (await findMemberByKey(token, key) !== "host") return false;
+  const parsed = parseSubscription(subscription);
+  return Boolean(await sessions.update(token, (s) => { s.pushSubscription = parsed; }));
+}
+
+// Decline action of a push notification. Returns false if the device wasn't pushed for `token`.
+async function declineFromPush(token, endpoint) {
+  const session = await sessions.update(token, (s) => {
+    if (s.group) {
+      // Only devices this ring was pushed to; a second tap on the same notification counts once
+      if (s.host || !(s.pushed || []).includes(endpoint)) return false;
+      if (!s.pushDeclined.includes(endpoint)) s.pushDeclined.push(endpoint);
+    } else if (!s.pushSubscription || s.pushSubscription.endpoint !== endpoint || s.connectedAt) {
+      return false;
+    }
+  });
+  if (!session) return false;
+  if (!session.group) {
+    await declineTokenSession(token, session);
+  } else if (ringExhausted(session)) {
+    await endRing(token, "declined");
+  }
+  return true;
+}
+
+// The host of a token session declined from the notification: the visitor may leave a message
+async function declineTokenSession(token, session) {
+  cancelPush(token);
+  clearGrace(token, "host");
+  clearGrace(token, "guest");
+  if (!(await sessions.delete(token))) return;
+  if (session.guest) {
+    io.to(session.guest).emit("ring-ended", { token, reason: "declined", voicemail: offerVoicemail(session) });
+  }
+  io.to(session.host).emit("session-expired", { token });
+  discardSnapshot(session);
+  revokeToken(token);
+  turnCredentials.revoke(turnClientId(session.hostKey));
+  if (session.guestKey) turnCredentials.revoke(turnClientId(session.guestKey));
+  audit(HistoryEvents.SESSION_ENDED, session, null, { reason: "declined", durationMs: 0 });
+  console.log(`Session ${token} declined from a push notification`);
+}
+
+// Signaling protocol (server/protocol.js). The client names its version in the handshake
+// (`auth.protocol`); pages cached from before that only get the legacy "error" they can
+// show. After that every incoming payload is checked before its handler runs.
+function acceptProtocol(socket) {
+  const { ok, version } = negotiate(socket.handshake.auth);
+  if (!ok) {
+    const message = "This page is out of date. Please reload.";
+    if (version === 1) {
+      socket.emit("error", message);
+    } else {
+      emitError(socket, ErrorCodes.PROTOCOL_OUTDATED, message, { min: MIN_PROTOCOL_VERSION, latest: PROTOCOL_VERSION });
+    }
+    console.log(`Rejected ${socket.id}: protocol ${version}, need ${MIN_PROTOCOL_VERSION}`);
+    socket.disconnect(true);
+    return false;
+  }
+  socket.data.protocol = version;
+  socket.emit("protocol", { version, min: MIN_PROTOCOL_VERSION, latest: PROTOCOL_VERSION });
+
+  // Invalid payloads are answered on the ack if the client passed one, else on "intercom-error"
+  socket.use(([event, ...args], next) => {
+    const ack = typeof args[args.length - 1] === "function" ? args.pop() : null;
+    const errors = validate(ClientEvents, event, args[0]);
+    if (errors.length === 0) return next();
+    const code = ClientEvents[event] ? ErrorCodes.INVALID_PAYLOAD : ErrorCodes.UNKNOWN_EVENT;
+    const message = describeErrors(event, errors);
+    console.log(`Rejected "${event}" from ${socket.id}: ${message}`);
+    if (ack) {
+      ack({ ok: false, code, message, event, errors });
+    } else {
+      emitError(socket, code, message, { event, errors });
+    }
+  });
+
+  // Catch server-side drift from the documented payloads while developing
+  if (!isProduction) {
+    socket.onAnyOutgoing((event, payload) => {
+      const errors = validate(ServerEvents, event, payload);
+      if (errors.length) console.warn(`Outgoing ${describeErrors(event, errors)}`);
+    });
+  }
+  return true;
 }
 
 io.on("connection", (socket) => {
   console.log("User connected:", socket.id);
 
+  if (!acceptProtocol(socket)) return;
+
+  const ip = clientIp(socket);
+  const limiterKeys = [`socket:${socket.id}`, `ip:${ip}`];
+
   // 1. Create Session (Host)
-  socket.on("create-session", () => {
-    const token = generateToken();
-    sessions.set(token, { host: socket.id, guest: null });
-    socket.emit("session-created", token);
+  socket.on("create-session", guarded(async () => {
+    const open = await countOpenSessions(socket.id, ip);
+    if (open.bySocket >= config.rateLimit.maxSessionsPerSocket || open.byIp >= config.rateLimit.maxSessionsPerIp) {
+      emitError(socket, ErrorCodes.TOO_MANY_SESSIONS, "Too many open sessions. Close one and try again.");
+      return;
+    }
+
+    const block = limiter.checkCreate(limiterKeys);
+    if (block) {
+      console.log(`create-session throttled for ${socket.id} (${ip}): ${block.code}`);
+      emitBlocked(socket, block);
+      return;
+    }
+
+    // The code is unique on this instance; another instance may hold it too, so retry on a clash
+    let issued = null;
+    let session = null;
+    const hostKey = newResumeKey();
+    // A registered device hosting a token session: voicemail left there goes to its household
+    const [hostGroup = null] = ringGroups.groupsOf(socket.id);
+    const hostDevice = hostGroup ? ringGroups.members(hostGroup).find((d) => d.socketId === socket.id) : null;
+    try {
+      for (let attempt = 0; attempt < 5 && !session; attempt++) {
+        issued = tokens.issue({ host: socket.id });
+        const candidate = newSession(issued.token, {
+          host: socket.id, hostIp: ip, guest: null, hostKey, guestKey: null, expiresAt: issued.expiresAt,
+          hostGroup, hostResident: hostDevice ? hostDevice.residentId : null,
+        });
+        if (await sessions.create(issued.token, candidate)) session = candidate;
+        else tokens.revoke(issued.token);
+      }
+    } catch (err) {
+      console.error("Token allocation failed:", err.message);
+    }
+    if (!session) {
+      emitError(socket, ErrorCodes.SERVER_BUSY, "Server busy, please try again later");
+      return;
+    }
+    const { token, signed, expiresAt, ttlMs } = issued;
+    auth.join(socket, token);
+    audit(HistoryEvents.SESSION_CREATED, session, socket, { role: Roles.RESIDENT, expiresAt });
+    socket.emit("session-created", {
+      token,
+      qrToken: signed,
+      expiresAt,
+      ttlMs,
+      resumeKey: hostKey,
+      canOpenDoor: config.auth.doorOpenRoles.includes(Roles.RESIDENT),
+      canRecord: canRecord(Roles.RESIDENT),
+      quickReplies: config.chat.quickReplies,
+    });
     console.log(`Session created: ${token} by ${socket.id}`);
-  });
+  }));
 
   // 2. Join Session (Guest)
-  socket.on("join-session", (token) => {
-    const session = sessions.get(token);
+  socket.on("join-session", guarded(async (input) => {
+    const block = limiter.checkJoin(limiterKeys);
+    if (block) {
+      emitBlocked(socket, block);
+      return;
+    }
+
+    let result = await redeemToken(input);
+    const token = result.token;
+    let previousGuest = null;
+    const session = result.ok ? await sessions.update(token, (s) => {
+      const refusal = joinRefusal(s);
+      if (refusal) {
+        result = { ok: false, reason: refusal };
+        return false;
+      }
+      previousGuest = s.guest;
+      s.guest = socket.id;
+      s.guestKey = newResumeKey();
+      s.connectedAt = null;
+      s.joinedAt = Date.now();
+    }) : null;
     if (session) {
-      if (session.guest) {
+      // Only the per-socket counter is cleared; redeeming a self-created token
+      // must not reset the IP counter of someone guessing codes.
+      limiter.recordSuccess([`socket:${socket.id}`]);
+
+      if (previousGuest && previousGuest !== socket.id) {
         // Optimization: Kick old guest (e.g. handling page refresh race condition)
-        io.to(session.guest).emit("error", "Another device connected. You have been disconnected.");
-        // We don't return here; we overwrite session.guest
-        console.log(`Session ${token} guest overridden: ${session.guest} -> ${socket.id}`);
+        io.to(previousGuest).emit("error", "Another device connected. You have been disconnected.");
+        auth.leave(io.sockets.sockets.get(previousGuest), token);
+        console.log(`Session ${token} guest overridden: ${previousGuest} -> ${socket.id}`);
       }
-      session.guest = socket.id;
+      clearGrace(token, "guest");
+      auth.join(socket, token);
+      presence.setInCall(session.host, true);
 
       // Notify Guest they joined
-      socket.emit("session-joined", { role: "guest", peerId: session.host });
+      socket.emit("session-joined", {
+        role: "guest",
+        token,
+        peerId: session.host,
+        resumeKey: session.guestKey,
+        canOpenDoor: config.auth.doorOpenRoles.includes(Roles.VISITOR),
+        canRecord: canRecord(Roles.VISITOR),
+        // Ask for voicemail ("request-voicemail") if no call has started by then
+        voicemailAfterMs: config.voicemail.enabled ? config.voicemail.ringTimeoutMs : null,
+      });
 
-      // Notify Host that Guest joined
+      // Notify Host that Guest joined (and push to it, in case its page is asleep)
       io.to(session.host).emit("peer-joined", { role: "host", peerId: socket.id });
+      if (session.pushSubscription) queuePush(token);
 
+      audit(HistoryEvents.SESSION_JOINED, session, socket, { role: Roles.VISITOR });
       console.log(`User ${socket.id} joined session ${token}`);
     } else {
-      socket.emit("error", "Invalid Token");
+      const error = TOKEN_ERRORS[result.reason] || TOKEN_ERRORS.invalid;
+      const blocked = limiter.recordFailure(limiterKeys);
+      if (blocked) {
+        console.log(`join-session locked out for ${socket.id} (${ip}): ${blocked.code}`);
+        emitBlocked(socket, blocked);
+      } else {
+        emitError(socket, error.code, error.message);
+      }
     }
-  });
+  }));
 
   // --- Signaling (Forwarding) ---
-  socket.on("offer", (payload) => {
+  // Only relayed between the two members of the same session
+  socket.on("offer", authorized(socket, (payload, ack, { session, role }) => {
+    audit(HistoryEvents.OFFER, session, socket, { role });
     // payload: { target, sdp }
     io.to(payload.target).emit("offer", {
       sdp: payload.sdp,
       caller: socket.id,
     });
-  });
+  }));
 
-  socket.on("answer", (payload) => {
+  socket.on("answer", authorized(socket, async (payload, ack, { token, role }) => {
+    // The first answer establishes the call; later ones are renegotiations / ICE restarts
+    const connected = await sessions.update(token, (s) => {
+      if (s.connectedAt) return false;
+      s.connectedAt = Date.now();
+    });
+    if (connected) audit(HistoryEvents.CONNECTED, connected, socket, { role });
     io.to(payload.target).emit("answer", {
       sdp: payload.sdp,
       responder: socket.id,
     });
-  });
+  }));
 
-  socket.on("ice-candidate", (payload) => {
+  socket.on("ice-candidate", authorized(socket, (payload) => {
     io.to(payload.target).emit("ice-candidate", {
       candidate: payload.candidate,
       sender: socket.id,
     });
-  });
+  }));
 
-  socket.on("hangup", (payload) => {
-    if (payload.target) {
-      io.to(payload.target).emit("hangup", { sender: socket.id });
+  socket.on("hangup", authorized(socket, async (payload, ack, { token, session, role }) => {
+    io.to(payload.target).emit("hangup", { sender: socket.id });
+    audit(HistoryEvents.HANGUP, session, socket, { role, durationMs: callDuration(session) });
+    // Ring group calls can't be rejoined, so hanging up ends the session
+    if (session.group) await closeGroupSession(token, session, "hangup");
+  }, { silent: true }));
+
+  // Call recording. The peer is always told, so it can show a recording indicator.
+  // payload: { target, active, type? }, ack({ ok, id, uploadKey } | { ok: false, code, message })
+  socket.on("recording", authorized(socket, async (payload, ack, { session, role }) => {
+    const reply = typeof ack === "function" ? ack : () => { };
+    const active = Boolean(payload.active);
+    if (active && !canRecord(role)) {
+      reply({ ok: false, code: ErrorCodes.ROLE_FORBIDDEN, message: "You may not record this call" });
+      return;
     }
+
+    let started = null;
+    if (active) {
+      try {
+        started = await recordings.start({ sessionId: session.id, token: session.token, role, type: payload.type });
+      } catch (err) {
+        reply({ ok: false, code: ErrorCodes.RECORDING_FAILED, message: err.message });
+        return;
+      }
+    }
+
+    io.to(payload.target).emit("recording", { active, sender: socket.id });
+    audit(active ? HistoryEvents.RECORDING_STARTED : HistoryEvents.RECORDING_STOPPED, session, socket, {
+      role,
+      recordingId: started ? started.recording.id : payload.id,
+    });
+    reply(started ? { ok: true, id: started.recording.id, uploadKey: started.uploadKey } : { ok: true });
+  }, { silent: true }));
+
+  // payload: { target, notifyPeer }, ack(result) -> { status, driver, error?, elapsedMs }
+  // With notifyPeer: false the client tells its peer itself (over the call's data channel).
+  socket.on("open-door", guarded(async (payload, ack) => {
+    const target = payload && payload.target;
+    const access = await auth.authorizeOpenDoor(socket, target);
+    if (!access.ok) {
+      console.log(`Door open denied for ${socket.id}: ${access.code}`);
+      audit(HistoryEvents.DOOR_OPEN, await sessions.get(access.token), socket, { role: access.role, status: "denied", code: access.code });
+      if (typeof ack === "function") {
+        ack({ status: "denied", code: access.code, error: access.message, elapsedMs: 0 });
+      } else {
+        emitError(socket, access.code, access.message);
+      }
+      return;
+    }
+
+    const result = await actuator.trigger();
+    audit(HistoryEvents.DOOR_OPEN, access.session, socket, {
+      role: access.role,
+      status: result.status,
+      driver: result.driver,
+      error: result.error,
+      elapsedMs: result.elapsedMs,
+    });
+    console.log(`Door open by ${socket.id} (${access.role}): ${result.status} (${result.driver}, ${result.elapsedMs}ms)${result.error ? " - " + result.error : ""}`);
+
+    if (target && access.role !== Roles.ADMIN && payload.notifyPeer !== false) {
+      io.to(target).emit("open-door", { sender: socket.id, result });
+    }
+    if (typeof ack === "function") ack(result);
+  }));
+
+  // 3. Resume Session (after a Socket.IO reconnect or a page reload)
+  // payload: { token, resumeKey, hasCall }, ack({ ok, role, peerId } | { ok: false, code, message })
+  socket.on("resume-session", guarded(async (payload, ack) => {
+    const reply = typeof ack === "function" ? ack : () => { };
+    const block = limiter.checkJoin(limiterKeys);
+    if (block) {
+      reply({ ok: false, code: block.code, message: "Too many attempts", retryAfterMs: block.retryAfterMs });
+      return;
+    }
+
+    const { token, resumeKey, hasCall = false } = payload || {};
+    const slot = await findMemberByKey(token, resumeKey);
+    let previous = null;
+    const session = slot ? await sessions.update(token, (s) => {
+      previous = s[slot];
+      s[slot] = socket.id;
+    }) : null;
+
+    if (!session) {
+      limiter.recordFailure(limiterKeys);
+      reply({ ok: false, code: ErrorCodes.SESSION_GONE, message: "Session is no longer available" });
+      return;
+    }
+
+    if (previous && previous !== socket.id) {
+      // The old socket may still be alive (e.g. reload raced the disconnect)
+      const oldSocket = io.sockets.sockets.get(previous);
+      if (oldSocket) {
+        io.to(previous).emit("error", "Another device connected. You have been disconnected.");
+        auth.leave(oldSocket, token);
+      }
+    }
+
+    clearGrace(token, slot);
+    auth.join(socket, token);
+    if (slot === "host") {
+      presence.setInCall(previous, false);
+      if (session.guest) presence.setInCall(socket.id, true);
+    }
+
+    const peerId = slot === "host" ? session.guest : session.host;
+    if (peerId) {
+      io.to(peerId).emit("peer-reconnected", { peerId: socket.id, hasCall: Boolean(hasCall) });
+    }
+    reply({ ok: true, role: slot, peerId });
+    console.log(`Session ${token} ${slot} resumed: ${previous} -> ${socket.id}`);
+  }));
+
+  // 4. Ring Groups
+  // Resident device: payload { group, key, name }, ack({ ok } | { ok: false, code, message })
+  socket.on("register-device", (payload, ack) => {
+    const reply = typeof ack === "function" ? ack : () => { };
+    // Group keys are guessed like tokens, so they share the join limits
+    const block = limiter.checkJoin(limiterKeys);
+    if (block) {
+      reply({ ok: false, code: block.code, message: "Too many attempts", retryAfterMs: block.retryAfterMs });
+      return;
+    }
+
+    const { group, key, name } = payload || {};
+    const result = ringGroups.register(group, key, socket.id, name);
+    if (!result.ok) {
+      limiter.recordFailure(limiterKeys);
+      const code = result.reason === "bad-key" ? ErrorCodes.GROUP_KEY_INVALID : ErrorCodes.GROUP_UNKNOWN;
+      reply({ ok: false, code, message: "Could not register device for this group" });
+      return;
+    }
+    presence.deviceOnline(socket.id, result.residentId);
+    // This device gets calls over the socket now, so it is skipped when pushing
+    if (typeof payload.pushEndpoint === "string") liveEndpoints.set(socket.id, payload.pushEndpoint);
+    reply({ ok: true, group, residentId: result.residentId });
+    console.log(`Device ${socket.id} registered in group ${group} (${name || "Device"})`);
   });
 
-  socket.on("open-door", (payload) => {
-    if (payload.target) {
-      io.to(payload.target).emit("open-door", { sender: socket.id });
+  // Visitor: payload { group } or { resident }, ack({ ok, token, resumeKey, devices } | { ok: false, code, message })
+  // Rings every device in the group (or only the chosen resident's devices); the first to accept gets the call.
+  socket.on("ring-group", guarded(async (payload, ack) => {
+    const reply = typeof ack === "function" ? ack : () => { };
+    const block = limiter.checkCreate(limiterKeys);
+    if (block) {
+      reply({ ok: false, code: block.code, message: "Too many calls. Try again later.", retryAfterMs: block.retryAfterMs });
+      return;
+    }
+
+    let group = payload && payload.group;
+    let residentId = null;
+    let rerouted = false;
+    if (payload && payload.resident) {
+      const resident = directory.getResident(payload.resident);
+      if (!resident) {
+        reply({ ok: false, code: ErrorCodes.GROUP_UNKNOWN, message: "Unknown resident" });
+        return;
+      }
+      group = resident.unitId;
+      residentId = resident.id;
+
+      // Per-resident policy for DND / offline: refuse, reroute to the household, or ring anyway
+      const status = presence.statusOf(residentId);
+      const policy = status === PresenceStatus.DND ? resident.policy.dnd
+        : status === PresenceStatus.OFFLINE ? resident.policy.offline
+          : "ring";
+      if (policy === "reject") {
+        reply({
+          ok: false,
+          code: ErrorCodes.RESIDENT_UNAVAILABLE,
+          status,
+          message: `${resident.name} is ${UNAVAILABLE_LABELS[status]}`,
+        });
+        return;
+      }
+      if (policy === "unit") {
+        residentId = null;
+        rerouted = true;
+      }
+    }
+    const excluded = rerouted ? payload.resident : null;
+    const devices = ringGroups.members(group)
+      .filter((d) => !residentId || d.residentId === residentId)
+      .filter((d) => !excluded || d.residentId !== excluded)
+      .map((d) => d.socketId)
+      .filter((id) => id !== socket.id);
+    // Devices whose app is closed are rung by Web Push
+    const pushed = push.enabled
+      ? pushTargets({ group, resident: residentId, excludedResident: excluded })
+      : [];
+    if (devices.length === 0 && pushed.length === 0) {
+      reply({ ok: false, code: ErrorCodes.NO_DEVICES, message: "Nobody is available to answer" });
+      return;
+    }
+
+    const token = `ring-${randomBytes(9).toString("base64url")}`;
+    const guestKey = newResumeKey();
+    const session = newSession(token, {
+      host: null, hostIp: null, guest: socket.id, hostKey: null, guestKey, group, resident: residentId, ringing: devices,
+      excludedResident: excluded, pushed: pushed.map((s) => s.endpoint), pushDeclined: [],
+    });
+    await sessions.create(token, session);
+    auth.join(socket, token);
+    audit(HistoryEvents.SESSION_CREATED, session, socket, {
+      role: Roles.VISITOR, group, resident: residentId || undefined, devices: devices.length, pushed: pushed.length, rerouted,
+    });
+    ringTimers.set(token, setTimeout(() => detached(() => endRing(token, "unanswered")), config.ringGroups.ringTimeoutMs));
+
+    for (const id of devices) {
+      io.to(id).emit("incoming-call", { token, group, caller: socket.id });
+    }
+    if (pushed.length > 0) queuePush(token);
+    reply({ ok: true, token, resumeKey: guestKey, devices: devices.length + pushed.length, rerouted });
+    console.log(`Ring ${token}: ${socket.id} ringing ${devices.length} device(s) + ${pushed.length} push in group ${group}`);
+  }));
+
+  // Resident device: payload { token }, ack({ ok, token, resumeKey, peerId, canOpenDoor } | { ok: false, code, message })
+  socket.on("accept-call", guarded(async (payload, ack) => {
+    const reply = typeof ack === "function" ? ack : () => { };
+    const token = payload && payload.token;
+
+    // First accept wins - checked and claimed in one store update, so two devices
+    // answering at once on different instances can't both get the call
+    let denied = { code: ErrorCodes.SESSION_GONE, message: "The visitor has left" };
+    let others = [];
+    const session = await sessions.update(token, (s) => {
+      if (!s.group) return false;
+      if (s.host) {
+        denied = { code: ErrorCodes.ALREADY_ANSWERED, message: "Answered on another device" };
+        return false;
+      }
+      // Rung over the socket, or a device of the household that opened the call from a push
+      const invited = s.ringing.includes(socket.id) || ringGroups.members(s.group)
+        .some((d) => d.socketId === socket.id && (!s.resident || d.residentId === s.resident)
+          && (!s.excludedResident || d.residentId !== s.excludedResident));
+      if (!invited) {
+        denied = { code: ErrorCodes.NOT_IN_SESSION, message: "This call was not for you" };
+        return false;
+      }
+      others = s.ringing.filter((id) => id !== socket.id);
+      s.host = socket.id;
+      s.hostIp = ip;
+      s.hostKey = newResumeKey();
+      s.ringing = [];
+    });
+    if (!session) {
+      reply({ ok: false, ...denied });
+      return;
     }
+    clearTimeout(ringTimers.get(token));
+    ringTimers.delete(token);
+    cancelPush(token);
+    auth.join(socket, token);
+    presence.setInCall(socket.id, true);
+
+    for (const id of others) {
+      io.to(id).emit("call-answered-elsewhere", { token });
+    }
+
+    reply({
+      ok: true,
+      token,
+      resumeKey: session.hostKey,
+      peerId: session.guest,
+      canOpenDoor: config.auth.doorOpenRoles.includes(Roles.RESIDENT),
+      canRecord: canRecord(Roles.RESIDENT),
+      quickReplies: config.chat.quickReplies,
+    });
+    io.to(session.guest).emit("session-joined", {
+      role: "guest",
+      token,
+      peerId: socket.id,
+      resumeKey: session.guestKey,
+      canOpenDoor: config.auth.doorOpenRoles.includes(Roles.VISITOR),
+      canRecord: canRecord(Roles.VISITOR),
+    });
+    audit(HistoryEvents.SESSION_JOINED, session, socket, { role: Roles.RESIDENT, group: session.group });
+    console.log(`Ring ${token} answered by ${socket.id}`);
+  }));
+
+  // Resident device: payload { token }
+  socket.on("decline-call", guarded(async (payload) => {
+    const token = payload && payload.token;
+    const session = await sessions.update(token, (s) => {
+      if (!s.ringing || !s.ringing.includes(socket.id)) return false;
+      s.ringing = s.ringing.filter((id) => id !== socket.id);
+    });
+    if (session && ringExhausted(session)) await endRing(token, "declined");
+  }));
+
+  // --- Presence ---
+  // Resident device heartbeat. ack({ ok: false }) means the device must register again.
+  socket.on("presence-heartbeat", (payload, ack) => {
+    const known = presence.heartbeat(socket.id);
+    if (typeof ack === "function") ack({ ok: known });
+  });
+
+  // Resident device: payload { status: "available" | "dnd" | "away" }
+  socket.on("set-presence", (payload, ack) => {
+    const ok = presence.setManual(socket.id, payload && payload.status);
+    if (typeof ack === "function") ack({ ok });
+  });
+
+  // Any client: receive "presence-update" events. ack({ statuses: { residentId: status } })
+  socket.on("presence-subscribe", (payload, ack) => {
+    socket.join("presence");
+    if (typeof ack === "function") ack({ ok: true, statuses: presence.snapshot() });
   });
 
+  // Visitor in a token session nobody picked up: payload { token }
+  // ack({ ok, key, maxDurationMs } | { ok: false, code, message })
+  socket.on("request-voicemail", guarded(async (payload, ack) => {
+    const reply = typeof ack === "function" ? ack : () => { };
+    const token = payload && payload.token;
+    const session = await sessions.get(token);
+    if (!session || session.guest !== socket.id) {
+      reply({ ok: false, code: ErrorCodes.NOT_IN_SESSION, message: "You are not in a session" });
+      return;
+    }
+    const waited = Date.now() - (session.joinedAt || Date.now());
+    // Small allowance for timer drift between client and server
+    if (!config.voicemail.enabled || session.connectedAt || waited < config.voicemail.ringTimeoutMs - 1000) {
+      reply({ ok: false, code: ErrorCodes.VOICEMAIL_UNAVAILABLE, message: "Voicemail is not available" });
+      return;
+    }
+    reply({ ok: true, ...offerVoicemail(session) });
+    console.log(`Session ${token}: voicemail offered to ${socket.id}`);
+  }));
+
+  // Visitor gave up before anyone answered: payload { token }
+  socket.on("cancel-ring", guarded(async (payload) => {
+    const token = payload && payload.token;
+    const session = await sessions.get(token);
+    if (session && session.group && !session.host && session.guest === socket.id) {
+      await endRing(token, "cancelled");
+    }
+  }));
+
   // --- Disconnect ---
-  socket.on("disconnect", () => {
+  // Members get a grace period to resume before they are removed from the session.
+  // Sessions are looked up by socket in the shared store, so a member whose session was
+  // created or resumed through another instance is still cleaned up here.
+  socket.on("disconnect", guarded(async () => {
     console.log("User disconnected:", socket.id);
-    for (const [token, session] of sessions.entries()) {
+    limiter.forget(`socket:${socket.id}`);
+    ringGroups.unregister(socket.id);
+    presence.deviceOffline(socket.id);
+    liveEndpoints.delete(socket.id);
+    const memberOf = await sessions.forSocket(socket.id);
+    if (memberOf.length > 0) notifyAdmins();
+    for (const session of memberOf) {
+      const { token } = session;
+      if (session.ringing && session.ringing.includes(socket.id)) {
+        // A rung device went away before answering
+        const updated = await sessions.update(token, (s) => {
+          s.ringing = (s.ringing || []).filter((id) => id !== socket.id);
+        });
+        if (updated && ringExhausted(updated)) await endRing(token, "unanswered");
+        continue;
+      }
       if (session.host === socket.id) {
-        // Host left -> Destroy Session
-        if (session.guest) {
-          io.to(session.guest).emit("error", "Host disconnected");
-          io.to(session.guest).emit("peer-disconnected");
-        }
-        sessions.delete(token);
-        console.log(`Session ${token} destroyed (Host left)`);
+        if (session.guest) io.to(session.guest).emit("peer-reconnecting");
+        scheduleRemoval(token, "host", socket.id);
       } else if (session.guest === socket.id) {
-        // Guest left -> Clear Guest slot, Notify Host
-        session.guest = null;
-        io.to(session.host).emit("peer-disconnected");
-        console.log(`Session ${token} guest left`);
+        io.to(session.host).emit("peer-reconnecting");
+        scheduleRemoval(token, "guest", socket.id);
       }
     }
+  }));
+});
+
+function clearGrace(token, slot) {
+  const key = `${token}:${slot}`;
+  clearTimeout(graceTimers.get(key));
+  graceTimers.delete(key);
+}
+
+function scheduleRemoval(token, slot, socketId) {
+  clearGrace(token, slot);
+  const remove = async () => {
+    graceTimers.delete(`${token}:${slot}`);
+    const session = await sessions.get(token);
+    // Resumed by a new socket in the meantime (possibly on another instance)
+    if (!session || session[slot] !== socketId) return;
+    await removeMember(token, session, slot);
+  };
+  if (config.resumeGraceMs <= 0) return detached(remove);
+  graceTimers.set(`${token}:${slot}`, setTimeout(() => detached(remove), config.resumeGraceMs));
+}
+
+// Stop ringing. reason: "unanswered" | "declined" | "cancelled"
+async function endRing(token, reason) {
+  clearTimeout(ringTimers.get(token));
+  ringTimers.delete(token);
+  cancelPush(token);
+  const session = await sessions.get(token);
+  // Answered (maybe on another instance) or already ended
+  if (!session || session.host || !(await sessions.delete(token))) return;
+
+  for (const id of session.ringing) {
+    io.to(id).emit("call-cancelled", { token, reason });
+  }
+  if (session.guest && reason !== "cancelled") {
+    io.to(session.guest).emit("ring-ended", { token, reason, voicemail: offerVoicemail(session) });
+  }
+  clearGrace(token, "guest");
+  discardSnapshot(session);
+  if (reason === "unanswered") {
+    audit(HistoryEvents.TIMEOUT, session, null, { reason });
+  } else {
+    audit(HistoryEvents.SESSION_ENDED, session, null, { reason, durationMs: 0 });
+  }
+  console.log(`Ring ${token} ended: ${reason}`);
+}
+
+// End an answered ring group call
+async function closeGroupSession(token, session, reason) {
+  clearGrace(token, "host");
+  clearGrace(token, "guest");
+  if (!(await sessions.delete(token))) return;
+  discardSnapshot(session);
+  presence.setInCall(session.host, false);
+  turnCredentials.revoke(turnClientId(session.hostKey));
+  turnCredentials.revoke(turnClientId(session.guestKey));
+  audit(HistoryEvents.SESSION_ENDED, session, null, { reason, durationMs: callDuration(session) });
+  console.log(`Ring session ${token} ended (${reason})`);
+}
+
+async function removeMember(token, session, slot) {
+  if (slot === "guest" && session.group && !session.host) {
+    // Visitor left while still ringing
+    await endRing(token, "cancelled");
+    return;
+  }
+  if (slot === "guest" && session.group) {
+    // Ring group sessions have no token to rejoin with, so the call is over
+    io.to(session.host).emit("peer-disconnected");
+    await closeGroupSession(token, session, "visitor left");
+    return;
+  }
+  if (slot === "host") {
+    // Host left -> Destroy Session
+    clearGrace(token, "guest");
+    cancelPush(token);
+    if (!(await sessions.delete(token))) return;
+    presence.setInCall(session.host, false);
+    if (session.guest) {
+      io.to(session.guest).emit("error", "Host disconnected");
+      io.to(session.guest).emit("peer-disconnected");
+    }
+    discardSnapshot(session);
+    revokeToken(token);
+    turnCredentials.revoke(turnClientId(session.hostKey));
+    if (session.guestKey) turnCredentials.revoke(turnClientId(session.guestKey));
+    audit(HistoryEvents.SESSION_ENDED, session, null, { reason: "host left", durationMs: callDuration(session) });
+    console.log(`Session ${token} destroyed (Host left)`);
+  } else {
+    // Guest left -> Clear Guest slot, Notify Host
+    const cleared = await sessions.update(token, (s) => {
+      if (s.guest !== session.guest) return false;
+      s.guest = null;
+      s.guestKey = null;
+      s.connectedAt = null;
+      s.snapshot = null;
+    });
+    if (!cleared) return;
+    presence.setInCall(session.host, false);
+    turnCredentials.revoke(turnClientId(session.guestKey));
+    if (session.connectedAt) {
+      audit(HistoryEvents.SESSION_ENDED, session, null, { reason: "guest left", durationMs: callDuration(session) });
+    }
+    discardSnapshot(session);
+    io.to(session.host).emit("peer-disconnected");
+    console.log(`Session ${token} guest left`);
+  }
+}
+
+// --- Admin Dashboard (admin.html) ---
+// Live sessions, terminate / kick, door trigger and block, the call history as it happens.
+// REST: server/routes/admin.js. Live: the "/admin" namespace (schemas in server/protocol.js),
+// which also pushes "event" (each history entry), "sessions" and "door".
+
+// Member state as seen from this instance; "remote" means the socket is not here
+// (another instance with REDIS_URL, or just gone and its grace period not started here)
+function memberState(token, slot, socketId) {
+  if (!socketId) return null;
+  const state = io.sockets.sockets.has(socketId) ? "connected"
+    : graceTimers.has(`${token}:${slot}`) ? "reconnecting" : "remote";
+  return { socketId, state };
+}
+
+function describeSession(session, now = Date.now()) {
+  const state = session.connectedAt ? "in-call"
+    : session.group && !session.host ? "ringing"
+      : session.guest ? "joined" : "waiting";
+  return {
+    token: session.token,
+    id: session.id,
+    kind: session.group ? "ring" : "token",
+    group: session.group || null,
+    state,
+    host: memberState(session.token, "host", session.host),
+    guest: memberState(session.token, "guest", session.guest),
+    ringing: (session.ringing || []).length,
+    hostIp: session.hostIp || null,
+    createdAt: session.createdAt,
+    joinedAt: session.joinedAt || null,
+    connectedAt: session.connectedAt,
+    expiresAt: session.expiresAt || null,
+    ageMs: now - session.createdAt,
+  };
+}
+
+// Call history for an action from the dashboard socket or an API request
+function auditAdmin(type, session, actor, fields = {}) {
+  if (actor && actor.handshake) {
+    audit(type, session, actor, { role: Roles.ADMIN, ...fields });
+  } else {
+    audit(type, session, null, { role: Roles.ADMIN, ip: actor && actor.ip, userAgent: actor && actor.get("User-Agent"), ...fields });
+  }
+}
+
+// Ends the session for everyone in it. Nothing can be resumed afterwards.
+async function terminateSession(token, actor, reason = null) {
+  const session = await sessions.get(token);
+  if (!session || !(await sessions.delete(token))) {
+    return { ok: false, code: ErrorCodes.SESSION_GONE, message: "Session not found" };
+  }
+  clearGrace(token, "host");
+  clearGrace(token, "guest");
+  clearTimeout(ringTimers.get(token));
+  ringTimers.delete(token);
+  cancelPush(token);
+  for (const id of session.ringing || []) {
+    io.to(id).emit("call-cancelled", { token, reason: "terminated" });
+  }
+  for (const id of [session.host, session.guest].filter(Boolean)) {
+    io.to(id).emit("error", "The session was ended by an operator.");
+    auth.leave(io.sockets.sockets.get(id), token);
+  }
+  if (session.host) presence.setInCall(session.host, false);
+  if (!session.group) revokeToken(token);
+  if (session.hostKey) turnCredentials.revoke(turnClientId(session.hostKey));
+  if (session.guestKey) turnCredentials.revoke(turnClientId(session.guestKey));
+  discardSnapshot(session);
+  auditAdmin(HistoryEvents.SESSION_ENDED, session, actor, {
+    reason: "terminated", comment: reason || undefined, durationMs: callDuration(session),
+  });
+  console.log(`Session ${token} terminated by an admin`);
+  return { ok: true };
+}
+
+// Removes the visitor of a token session as if it had left; the host keeps the session.
+// A ring group call has nobody to keep it (its visitor started it), so it can only be ended.
+async function kickGuest(token, actor) {
+  const session = await sessions.get(token);
+  if (!session) return { ok: false, code: ErrorCodes.SESSION_GONE, message: "Session not found" };
+  if (session.group) return { ok: false, code: ErrorCodes.ROLE_FORBIDDEN, message: "A ring group call can only be ended" };
+  if (!session.guest) return { ok: false, code: ErrorCodes.NOT_IN_SESSION, message: "Nobody has joined this session" };
+  io.to(session.guest).emit("error", "You have been disconnected by an operator.");
+  auth.leave(io.sockets.sockets.get(session.guest), token);
+  clearGrace(token, "guest");
+  auditAdmin(HistoryEvents.GUEST_KICKED, session, actor, { guest: session.guest });
+  await removeMember(token, session, "guest");
+  console.log(`Session ${token} guest ${session.guest} kicked by an admin`);
+  return { ok: true };
+}
+
+function doorState() {
+  return { driver: actuator.driver ? actuator.driver.name : "none", blocked: actuator.blocked };
+}
+
+function setDoorBlocked(blocked, actor, reason = null) {
+  actuator.setBlocked(blocked, reason);
+  auditAdmin(blocked ? HistoryEvents.DOOR_BLOCKED : HistoryEvents.DOOR_UNBLOCKED, null, actor, { reason: reason || undefined });
+  const state = doorState();
+  adminIo.emit("door", state);
+  console.log(`Door ${blocked ? "blocked" : "unblocked"} by an admin`);
+  return state;
+}
+
+async function adminOpenDoor(actor) {
+  const result = await actuator.trigger();
+  auditAdmin(HistoryEvents.DOOR_OPEN, null, actor, {
+    status: result.status, driver: result.driver, error: result.error, elapsedMs: result.elapsedMs,
   });
+  console.log(`Door open by admin (dashboard): ${result.status} (${result.driver}, ${result.elapsedMs}ms)`);
+  return result;
+}
+
+const admin = {
+  listSessions: async () => (await sessions.list())
+    .sort((a, b) => b.createdAt - a.createdAt)
+    .map((session) => describeSession(session)),
+  terminateSession,
+  kickGuest,
+  doorState,
+  setDoorBlocked,
+  openDoor: adminOpenDoor,
+  recentEvents: async (limit) => (await history.query({}, { limit })).items,
+};
+
+app.use("/api", createAdminRouter({ admin, requireAdmin: adminOnly }));
+
+const adminIo = io.of("/admin");
+adminIo.use((socket, next) => (auth.isAdmin(socket) ? next() : next(new Error("Admin key required"))));
+
+// Session changes come in bursts (join, offer, connect): send one list per burst
+let adminSessionsTimer = null;
+function notifyAdmins() {
+  if (adminSessionsTimer || adminIo.sockets.size === 0) return;
+  adminSessionsTimer = setTimeout(() => detached(async () => {
+    adminSessionsTimer = null;
+    adminIo.emit("sessions", { items: await admin.listSessions() });
+  }), 250);
+}
+
+history.subscribe((entry) => {
+  if (adminIo.sockets.size === 0) return;
+  adminIo.emit("event", entry);
+  notifyAdmins();
+});
+
+adminIo.on("connection", (socket) => {
+  console.log("Admin connected:", socket.id);
+  socket.use(([event, ...args], next) => {
+    const ack = typeof args[args.length - 1] === "function" ? args.pop() : () => { };
+    const errors = validate(AdminClientEvents, event, args[0]);
+    if (errors.length === 0) return next();
+    const code = AdminClientEvents[event] ? ErrorCodes.INVALID_PAYLOAD : ErrorCodes.UNKNOWN_EVENT;
+    ack({ ok: false, code, message: describeErrors(event, errors), event, errors });
+  });
+  if (!isProduction) {
+    socket.onAnyOutgoing((event, payload) => {
+      const errors = validate(AdminServerEvents, event, payload);
+      if (errors.length) console.warn(`Outgoing admin ${describeErrors(event, errors)}`);
+    });
+  }
+
+  // Every admin event is (payload?, ack)
+  const handle = (fn) => guarded(async (...args) => {
+    const ack = args.pop();
+    if (typeof ack !== "function") return;
+    ack(await fn(args[0] || {}));
+  });
+
+  socket.on("list-sessions", handle(async () => ({ ok: true, items: await admin.listSessions() })));
+  socket.on("terminate-session", handle(({ token, reason }) => terminateSession(token, socket, reason)));
+  socket.on("kick-guest", handle(({ token }) => kickGuest(token, socket)));
+  socket.on("block-door", handle(({ blocked, reason }) => ({ ok: true, ...setDoorBlocked(blocked, socket, reason) })));
+  socket.on("open-door", handle(async () => ({ ok: true, ...(await adminOpenDoor(socket)) })));
+  socket.on("recent-events", handle(async ({ limit }) => ({
+    ok: true, items: await admin.recentEvents(Math.min(Math.max(1, limit || 100), 500)),
+  })));
+
+  socket.emit("door", doorState());
 });
 
-server.listen(PORT, "0.0.0.0", () => {
-  const protocol = isProduction ? "http" : "https";
-  console.log(`Server running on ${protocol}://0.0.0.0:${PORT}`);
+// Importing this module starts the server. PORT=0 binds a free port; `listening`
+// resolves with the address once it accepts connections (used by test/signaling.e2e.test.js).
+export const listening = new Promise((resolve) => {
+  server.listen(PORT, "0.0.0.0", () => {
+    const protocol = isProduction ? "http" : "https";
+    console.log(`Server running on ${protocol}://0.0.0.0:${server.address().port}`);
+    resolve(server.address());
+  });
 });
+
+export { app, server, io };
@@ -0,0 +1,32 @@
+import { writeFile } from "fs/promises";
+
+// GPIO / sysfs Driver
+// Writes the active value to a file (e.g. /sys/class/gpio/gpio17/value),
+// then the idle value once the pulse is over.
+
+export function createGpioDriver(options = {}) {
+  const { path, activeValue = "1", idleValue = "0" } = options;
+  if (!path) throw new Error("GPIO actuator requires a path (ACTUATOR_GPIO_PATH)");
+
+  let relockTimer = null;
+
+  async function unlock(durationMs) {
+    await writeFile(path, activeValue);
+
+    clearTimeout(relockTimer);
+    relockTimer = setTimeout(() => {
+      writeFile(path, idleValue).catch((err) => {
+        console.error("GPIO actuator failed to re-lock:", err.message);
+      });
+    }, durationMs);
+  }
+
+  async function close() {
+    if (relockTimer) {
+      clearTimeout(relockTimer);
+      await writeFile(path, idleValue);
+    }
+  }
+
+  return { name: "gpio", unlock, close };
+}
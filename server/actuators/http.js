@@ -0,0 +1,28 @@
+// HTTP Relay Driver
+// Calls a relay endpoint (e.g. Shelly, Tasmota, a custom controller).
+// `{durationMs}` and `{durationS}` in the URL are replaced, so GET-style relays
+// with a built-in timer work as well as the default JSON POST.
+
+export function createHttpDriver(options = {}) {
+  const { url, method = "POST", headers = {} } = options;
+  if (!url) throw new Error("HTTP actuator requires a URL (ACTUATOR_HTTP_URL)");
+
+  async function unlock(durationMs) {
+    const target = url
+      .replace("{durationMs}", String(durationMs))
+      .replace("{durationS}", String(Math.ceil(durationMs / 1000)));
+
+    const init = { method, headers: { ...headers } };
+    if (method !== "GET" && method !== "HEAD") {
+      init.headers["Content-Type"] = "application/json";
+      init.body = JSON.stringify({ action: "unlock", durationMs });
+    }
+
+    const res = await fetch(target, init);
+    if (!res.ok) {
+      throw new Error(`Relay responded ${res.status} ${res.statusText}`);
+    }
+  }
+
+  return { name: "http", unlock };
+}
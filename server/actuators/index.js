@@ -0,0 +1,85 @@
+import { createHttpDriver } from "./http.js";
+import { createMqttDriver } from "./mqtt.js";
+import { createGpioDriver } from "./gpio.js";
+import { createMockDriver } from "./mock.js";
+
+// Door Lock Actuator
+// Wraps a driver ({ name, unlock(durationMs), close() }) with a timeout and a
+// single-flight guard, and reports a uniform result:
+//   { status: "success" | "failure" | "timeout" | "busy" | "blocked" | "not-configured", driver, error?, elapsedMs }
+// A driver's unlock() resolves once the lock is released; re-locking after the
+// pulse is the driver's (or the relay hardware's) job.
+// An operator can block the door (admin dashboard); trigger() then refuses without
+// touching the driver. The block is held in memory, so a restart lifts it.
+
+const DRIVERS = {
+  http: createHttpDriver,
+  mqtt: createMqttDriver,
+  gpio: createGpioDriver,
+  mock: createMockDriver,
+};
+
+export function createActuator(options = {}) {
+  const { driver: driverName = "none", pulseMs = 3000, timeoutMs = 5000 } = options;
+
+  let driver = null;
+  if (driverName && driverName !== "none") {
+    const factory = DRIVERS[driverName];
+    if (!factory) throw new Error(`Unknown door actuator driver: ${driverName}`);
+    driver = factory(options[driverName] || {});
+  }
+
+  let inFlight = false;
+  let block = null; // { reason, since }
+
+  async function trigger({ durationMs = pulseMs } = {}) {
+    const name = driver ? driver.name : "none";
+    if (block) {
+      const error = block.reason ? `Door is blocked: ${block.reason}` : "Door is blocked by an operator";
+      return { status: "blocked", driver: name, error, elapsedMs: 0 };
+    }
+    if (!driver) {
+      return { status: "not-configured", driver: name, error: "No door actuator configured", elapsedMs: 0 };
+    }
+    if (inFlight) {
+      return { status: "busy", driver: name, error: "Unlock already in progress", elapsedMs: 0 };
+    }
+
+    inFlight = true;
+    const started = Date.now();
+    let timer;
+    const timeout = new Promise((resolve) => {
+      timer = setTimeout(() => resolve({ status: "timeout", error: `No response within ${timeoutMs}ms` }), timeoutMs);
+    });
+
+    try {
+      const result = await Promise.race([
+        driver.unlock(durationMs).then(
+          () => ({ status: "success" }),
+          (err) => ({ status: "failure", error: err.message || String(err) })
+        ),
+        timeout,
+      ]);
+      return { ...result, driver: name, elapsedMs: Date.now() - started };
+    } finally {
+      clearTimeout(timer);
+      // Keep the guard up for the rest of the pulse so a second swipe can't re-trigger mid-pulse
+      const remaining = Math.max(0, durationMs - (Date.now() - started));
+      setTimeout(() => { inFlight = false; }, remaining).unref?.();
+    }
+  }
+
+  // Returns the new block, or null once lifted
+  function setBlocked(blocked, reason = null) {
+    block = blocked ? { reason: reason || null, since: Date.now() } : null;
+    return block;
+  }
+
+  async function close() {
+    if (driver && driver.close) await driver.close();
+  }
+
+  return { trigger, setBlocked, close, get driver() { return driver; }, get blocked() { return block; } };
+}
+
+export { createMockDriver };
@@ -0,0 +1,16 @@
+// Mock Driver (tests, demos)
+// behavior: "success" | "failure" | "hang"
+
+export function createMockDriver(options = {}) {
+  const { behavior = "success", latencyMs = 0 } = options;
+  const calls = [];
+
+  async function unlock(durationMs) {
+    calls.push({ durationMs, at: Date.now() });
+    if (behavior === "hang") return new Promise(() => { });
+    if (latencyMs) await new Promise((resolve) => setTimeout(resolve, latencyMs));
+    if (behavior === "failure") throw new Error("Mock actuator failure");
+  }
+
+  return { name: "mock", unlock, calls };
+}
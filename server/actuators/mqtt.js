@@ -0,0 +1,49 @@
+// MQTT Driver
+// Publishes the unlock payload to a topic and the lock payload after the pulse.
+// The `mqtt` package is imported lazily so deployments without MQTT don't load it.
+
+export function createMqttDriver(options = {}) {
+  const {
+    url,
+    topic,
+    username,
+    password,
+    unlockPayload = "ON",
+    lockPayload = "OFF",
+    qos = 1,
+  } = options;
+  if (!url || !topic) throw new Error("MQTT actuator requires a broker URL and topic (ACTUATOR_MQTT_URL, ACTUATOR_MQTT_TOPIC)");
+
+  let clientPromise = null;
+  let relockTimer = null;
+
+  function getClient() {
+    if (!clientPromise) {
+      clientPromise = import("mqtt").then((mqtt) => mqtt.connectAsync(url, { username, password }));
+      clientPromise.catch(() => { clientPromise = null; });
+    }
+    return clientPromise;
+  }
+
+  async function unlock(durationMs) {
+    const client = await getClient();
+    await client.publishAsync(topic, unlockPayload, { qos });
+
+    clearTimeout(relockTimer);
+    relockTimer = setTimeout(() => {
+      client.publishAsync(topic, lockPayload, { qos }).catch((err) => {
+        console.error("MQTT actuator failed to re-lock:", err.message);
+      });
+    }, durationMs);
+  }
+
+  async function close() {
+    clearTimeout(relockTimer);
+    if (clientPromise) {
+      const client = await clientPromise;
+      await client.endAsync();
+    }
+  }
+
+  return { name: "mqtt", unlock, close };
+}
@@ -0,0 +1,102 @@
+import { createHash, timingSafeEqual } from "crypto";
+import { ErrorCodes } from "./errors.js";
+
+// Authorization
+// Roles are derived from session membership: the session host is the resident,
+// the guest is the visitor. Admins authenticate with the ADMIN_KEY in the
+// Socket.IO handshake (`io(url, { auth: { adminKey } })`).
+// Every peer-to-peer event must target the other member of a session the
+// sender belongs to; open-door additionally requires an allowed role.
+
+export const Roles = {
+  RESIDENT: "resident",
+  VISITOR: "visitor",
+  ADMIN: "admin",
+};
+
+// Constant-time string comparison for keys, codes and signatures. Both sides are hashed
+// first, so neither their contents nor their lengths leak through timing.
+export function safeEqual(a, b) {
+  const ha = createHash("sha256").update(String(a)).digest();
+  const hb = createHash("sha256").update(String(b)).digest();
+  return timingSafeEqual(ha, hb);
+}
+
+export function createAuthorizer({ sessions, doorOpenRoles = [Roles.RESIDENT], adminKey = "" }) {
+  function isAdmin(socket) {
+    const key = socket.handshake.auth && socket.handshake.auth.adminKey;
+    return Boolean(adminKey && key && safeEqual(key, adminKey));
+  }
+
+  // Sessions this socket is a member of (tokens are remembered on socket.data).
+  // `sessions` is the async session store, so this and the checks below are async.
+  async function memberships(socket) {
+    const result = [];
+    for (const token of socket.data.tokens || []) {
+      const session = await sessions.get(token);
+      if (!session) continue;
+      if (session.host === socket.id) {
+        result.push({ token, session, role: Roles.RESIDENT, peerId: session.guest });
+      } else if (session.guest === socket.id) {
+        result.push({ token, session, role: Roles.VISITOR, peerId: session.host });
+      }
+    }
+    return result;
+  }
+
+  function join(socket, token) {
+    if (!socket.data.tokens) socket.data.tokens = new Set();
+    socket.data.tokens.add(token);
+  }
+
+  function leave(socket, token) {
+    if (socket && socket.data.tokens) socket.data.tokens.delete(token);
+  }
+
+  // Result: { ok: true, token, session, role } or { ok: false, code, message }
+  async function authorizeSignal(socket, target) {
+    const member = await memberships(socket);
+    if (member.length === 0) {
+      return { ok: false, code: ErrorCodes.NOT_IN_SESSION, message: "You are not in a session" };
+    }
+    const match = member.find((m) => m.peerId && m.peerId === target);
+    if (!match) {
+      return { ok: false, code: ErrorCodes.TARGET_NOT_IN_SESSION, message: "Target is not a member of your session" };
+    }
+    return { ok: true, token: match.token, session: match.session, role: match.role };
+  }
+
+  // Admins may open the door without being in a session; everyone else must
+  // target their peer and hold a role listed in doorOpenRoles.
+  async function authorizeOpenDoor(socket, target) {
+    if (isAdmin(socket) && doorOpenRoles.includes(Roles.ADMIN)) {
+      return { ok: true, role: Roles.ADMIN };
+    }
+    const result = await authorizeSignal(socket, target);
+    if (!result.ok) return result;
+    if (!doorOpenRoles.includes(result.role)) {
+      return {
+        ok: false,
+        code: ErrorCodes.ROLE_FORBIDDEN,
+        message: `The ${result.role} may not open the door`,
+        token: result.token,
+        role: result.role,
+      };
+    }
+    return result;
+  }
+
+  return { isAdmin, memberships, join, leave, authorizeSignal, authorizeOpenDoor };
+}
+
+// Express middleware for admin REST endpoints: `Authorization: Bearer <ADMIN_KEY>`
+export function requireAdmin(adminKey) {
+  return (req, res, next) => {
+    const header = req.get("Authorization") || "";
+    const key = header.startsWith("Bearer ") ? header.slice(7) : "";
+    if (!adminKey || !key || !safeEqual(key, adminKey)) {
+      return res.status(401).json({ code: ErrorCodes.UNAUTHORIZED, message: "Admin key required" });
+    }
+    next();
+  };
+}
@@ -0,0 +1,76 @@
+// Call Failure Reports
+// When a call fails the client posts its diagnostics (see buildDiagnosticsReport in main.js).
+// The body is untrusted, so only known fields are kept, strings are clipped, numbers clamped
+// and lists capped before the report is stored as a "call.failed" history entry.
+
+const MAX_STRING = 200;
+const MAX_SAMPLES = 15;
+const MAX_LIST = 20;
+
+const SAMPLE_FIELDS = ["at", "lossPercent", "rttMs", "jitterMs", "sendKbps", "recvKbps"];
+const CANDIDATE_FIELDS = ["type", "protocol", "relayProtocol", "address", "port", "url"];
+
+// The numeric fields and their plausible range; every other field is a string
+const RANGES = {
+  at: [0, Number.MAX_SAFE_INTEGER],
+  lossPercent: [0, 100],
+  rttMs: [0, 60000],
+  jitterMs: [0, 60000],
+  sendKbps: [0, 1000000],
+  recvKbps: [0, 1000000],
+  port: [0, 65535],
+  errorCode: [0, 999],
+};
+
+function str(value) {
+  return typeof value === "string" ? value.slice(0, MAX_STRING) : undefined;
+}
+
+function num(value, [min, max]) {
+  return typeof value === "number" && Number.isFinite(value) ? Math.min(Math.max(value, min), max) : undefined;
+}
+
+function pick(source, fields) {
+  if (!source || typeof source !== "object") return undefined;
+  const out = {};
+  for (const field of fields) {
+    const value = RANGES[field] ? num(source[field], RANGES[field]) : str(source[field]);
+    if (value !== undefined) out[field] = value;
+  }
+  return out;
+}
+
+function list(value, max, map) {
+  return Array.isArray(value) ? value.slice(-max).map(map).filter((v) => v !== undefined) : undefined;
+}
+
+function sample(value) {
+  const out = pick(value, SAMPLE_FIELDS);
+  if (!out) return undefined;
+  out.turnServer = str(value.turnServer);
+  out.codecs = list(value.codecs, 8, str);
+  if (value.pair && typeof value.pair === "object") {
+    out.pair = { local: pick(value.pair.local, CANDIDATE_FIELDS), remote: pick(value.pair.remote, CANDIDATE_FIELDS) };
+  }
+  return out;
+}
+
+// Returns the fields to record, or null if the body is not a report
+export function normalizeCallReport(body) {
+  if (!body || typeof body !== "object" || Array.isArray(body)) return null;
+  const reason = str(body.reason);
+  if (!reason) return null;
+  return {
+    reason,
+    isCaller: typeof body.isCaller === "boolean" ? body.isCaller : undefined,
+    connectionState: str(body.connectionState),
+    iceConnectionState: str(body.iceConnectionState),
+    iceGatheringState: str(body.iceGatheringState),
+    profile: pick(body.profile, ["preferred", "active"]),
+    iceServers: list(body.iceServers, MAX_LIST, (urls) =>
+      Array.isArray(urls) ? urls.slice(0, 5).map(str).filter(Boolean) : str(urls)),
+    iceErrors: list(body.iceErrors, MAX_LIST, (e) => pick(e, ["errorCode", "errorText", "url"])),
+    latest: sample(body.latest),
+    samples: list(body.samples, MAX_SAMPLES, sample),
+  };
+}
@@ -0,0 +1,217 @@
+// Server configuration
+// Everything is read from environment variables so the same image can be
+// configured per deployment (App Runner, local dev, tests).
+
+function intFromEnv(name, fallback) {
+  const value = parseInt(process.env[name], 10);
+  return Number.isFinite(value) ? value : fallback;
+}
+
+function boolFromEnv(name, fallback) {
+  const value = process.env[name];
+  if (value === undefined || value === "") return fallback;
+  return value === "1" || value.toLowerCase() === "true";
+}
+
+function listFromEnv(name, fallback) {
+  return (process.env[name] || fallback).split(",").map((v) => v.trim()).filter(Boolean);
+}
+
+export const config = {
+  // Persistent data (directory, history, media). Never served statically.
+  dataDir: process.env.DATA_DIR || "data",
+
+  // Session tokens
+  tokens: {
+    // Short code the visitor types in by hand
+    length: intFromEnv("TOKEN_LENGTH", 6),
+    alphabet: process.env.TOKEN_ALPHABET || "0123456789",
+    // Server-side lifetime of an unredeemed token
+    ttlMs: intFromEnv("TOKEN_TTL_MS", 60000),
+    singleUse: boolFromEnv("TOKEN_SINGLE_USE", true),
+    // Secret for the long-form signed tokens used in the QR URL.
+    // If unset, a random secret is generated at boot (QR links then die with the process).
+    secret: process.env.TOKEN_SECRET || "",
+  },
+
+  // Shared session store + Socket.IO Redis adapter for running several instances.
+  // Without REDIS_URL sessions stay in process memory (single instance only).
+  // Instances must share TOKEN_SECRET so QR tokens verify on every node.
+  redis: {
+    url: process.env.REDIS_URL || "",
+    keyPrefix: process.env.REDIS_KEY_PREFIX || "intercom:",
+    // Sessions without any update for this long are dropped (e.g. their node crashed)
+    sessionTtlMs: intFromEnv("SESSION_TTL_HOURS", 12) * 60 * 60 * 1000,
+  },
+
+  // How long a member whose socket dropped may resume before being removed
+  resumeGraceMs: intFromEnv("RESUME_GRACE_MS", 30000),
+
+  // Throttling of create-session / join-session
+  rateLimit: {
+    windowMs: intFromEnv("RATE_LIMIT_WINDOW_MS", 10 * 60 * 1000),
+    maxFailures: intFromEnv("RATE_LIMIT_MAX_FAILURES", 5),
+    backoffBaseMs: intFromEnv("RATE_LIMIT_BACKOFF_MS", 2000),
+    backoffMaxMs: intFromEnv("RATE_LIMIT_BACKOFF_MAX_MS", 5 * 60 * 1000),
+    banAfterFailures: intFromEnv("RATE_LIMIT_BAN_AFTER", 20),
+    banMs: intFromEnv("RATE_LIMIT_BAN_MS", 60 * 60 * 1000),
+    createsPerWindow: intFromEnv("RATE_LIMIT_CREATES", 20),
+    // Max sessions a single socket / IP may hold open at once
+    maxSessionsPerSocket: intFromEnv("MAX_SESSIONS_PER_SOCKET", 1),
+    maxSessionsPerIp: intFromEnv("MAX_SESSIONS_PER_IP", 5),
+  },
+
+  // Authorization
+  auth: {
+    // Roles allowed to trigger an unlock: resident | visitor | admin
+    doorOpenRoles: listFromEnv("DOOR_OPEN_ROLES", "resident,admin"),
+    // Shared secret for admin sockets / endpoints. Admin access is disabled if unset.
+    adminKey: process.env.ADMIN_KEY || "",
+  },
+
+  // Ring groups (households): "12A=key1,12B=key2". Devices register with the key.
+  ringGroups: {
+    keys: process.env.RING_GROUPS || "",
+    // How long devices ring before the visitor is told nobody answered
+    ringTimeoutMs: intFromEnv("RING_TIMEOUT_MS", 30000),
+  },
+
+  // Video voicemail when nobody answers
+  voicemail: {
+    enabled: boolFromEnv("VOICEMAIL_ENABLED", true),
+    // A visitor in a token session is offered voicemail after waiting this long
+    // (ring group calls use RING_TIMEOUT_MS)
+    ringTimeoutMs: intFromEnv("VOICEMAIL_RING_TIMEOUT_MS", intFromEnv("RING_TIMEOUT_MS", 30000)),
+    maxDurationMs: intFromEnv("VOICEMAIL_MAX_SECONDS", 30) * 1000,
+    maxBytes: intFromEnv("VOICEMAIL_MAX_BYTES", 20 * 1024 * 1024),
+    retentionMs: intFromEnv("VOICEMAIL_RETENTION_DAYS", 30) * 24 * 60 * 60 * 1000,
+  },
+
+  // In-call chat: canned replies offered to the resident
+  chat: {
+    quickReplies: listFromEnv("CHAT_QUICK_REPLIES", "Leave it at the door,Coming down,One moment please,I can't come to the door right now"),
+  },
+
+  // Call recording (DATA_DIR/recordings)
+  recording: {
+    enabled: boolFromEnv("RECORDING_ENABLED", true),
+    // Roles allowed to record a call: resident | visitor
+    roles: listFromEnv("RECORDING_ROLES", "resident"),
+    maxBytes: intFromEnv("RECORDING_MAX_BYTES", 200 * 1024 * 1024),
+    chunkMaxBytes: intFromEnv("RECORDING_CHUNK_MAX_BYTES", 10 * 1024 * 1024),
+    // A recording that gets no chunk for this long is given up and its partial clip deleted
+    idleTimeoutMs: intFromEnv("RECORDING_IDLE_TIMEOUT_SECONDS", 10 * 60) * 1000,
+  },
+
+  // Web Push to resident devices (sw.js). Generate keys with `npx web-push generate-vapid-keys`.
+  // Disabled unless both VAPID keys are set.
+  push: {
+    publicKey: process.env.VAPID_PUBLIC_KEY || "",
+    privateKey: process.env.VAPID_PRIVATE_KEY || "",
+    subject: process.env.VAPID_SUBJECT || "mailto:admin@example.com",
+    // Wait this long for the visitor's snapshot before sending the push without it
+    snapshotWaitMs: intFromEnv("PUSH_SNAPSHOT_WAIT_MS", 2500),
+  },
+
+  // Guest access passes (DATA_DIR/passes.json) that open the door without a call
+  passes: {
+    // Signs the pass codes in the QR links; if unset, a random one is kept in passes.json
+    secret: process.env.PASS_SECRET || "",
+    // Weekdays / hours of a pass are checked in this time zone (default: the server's)
+    timeZone: process.env.PASS_TIMEZONE || undefined,
+    maxDays: intFromEnv("PASS_MAX_DAYS", 90),
+    maxPerGroup: intFromEnv("PASS_MAX_PER_GROUP", 50),
+  },
+
+  // Resident presence: devices missing heartbeats for this long are offline
+  presence: {
+    heartbeatTimeoutMs: intFromEnv("PRESENCE_TIMEOUT_MS", 60000),
+  },
+
+  // Call history / audit log (DATA_DIR/history.jsonl), rotated by size
+  history: {
+    maxBytes: intFromEnv("HISTORY_MAX_BYTES", 5 * 1024 * 1024),
+    // Rotated files kept next to the current one
+    maxFiles: intFromEnv("HISTORY_MAX_FILES", 5),
+  },
+
+  // Visitor snapshots (DATA_DIR/snapshots)
+  snapshots: {
+    // How long snapshots are kept; 0 deletes them when the session ends
+    retentionMs: intFromEnv("SNAPSHOT_RETENTION_HOURS", 30 * 24) * 60 * 60 * 1000,
+    maxBytes: intFromEnv("SNAPSHOT_MAX_BYTES", 1024 * 1024),
+  },
+
+  // TURN / STUN servers handed to browsers by /api/get-turn-credentials
+  turn: {
+    // coturn `static-auth-secret`; without it only STUN is offered
+    secret: process.env.TURN_SECRET || "",
+    // Comma-separated hosts ("turn.example.com") or full URLs ("turns:turn.example.com:443?transport=tcp")
+    hosts: listFromEnv("TURN_URLS", process.env.TURN_URL || ""),
+    transports: listFromEnv("TURN_TRANSPORTS", "udp,tcp"),
+    port: intFromEnv("TURN_PORT", 3478),
+    tls: boolFromEnv("TURN_TLS", false),
+    tlsPort: intFromEnv("TURN_TLS_PORT", 5349),
+    stunUrls: listFromEnv("STUN_URLS", "stun:stun.l.google.com:19302"),
+    ttlSeconds: intFromEnv("TURN_TTL_SECONDS", 3600),
+  },
+
+  // Door lock actuator run on "open-door"
+  // driver: none | http | mqtt | gpio | mock
+  actuator: {
+    driver: process.env.ACTUATOR_DRIVER || "none",
+    pulseMs: intFromEnv("ACTUATOR_PULSE_MS", 3000),
+    timeoutMs: intFromEnv("ACTUATOR_TIMEOUT_MS", 5000),
+    http: {
+      url: process.env.ACTUATOR_HTTP_URL,
+      method: process.env.ACTUATOR_HTTP_METHOD || "POST",
+      headers: process.env.ACTUATOR_HTTP_TOKEN
+        ? { Authorization: `Bearer ${process.env.ACTUATOR_HTTP_TOKEN}` }
+        : {},
+    },
+    mqtt: {
+      url: process.env.ACTUATOR_MQTT_URL,
+      topic: process.env.ACTUATOR_MQTT_TOPIC,
+      username: process.env.ACTUATOR_MQTT_USERNAME,
+      password: process.env.ACTUATOR_MQTT_PASSWORD,
+      unlockPayload: process.env.ACTUATOR_MQTT_UNLOCK_PAYLOAD || "ON",
+      lockPayload: process.env.ACTUATOR_MQTT_LOCK_PAYLOAD || "OFF",
+    },
+    gpio: {
+      path: process.env.ACTUATOR_GPIO_PATH,
+      activeValue: process.env.ACTUATOR_GPIO_ACTIVE || "1",
+      idleValue: process.env.ACTUATOR_GPIO_IDLE || "0",
+    },
+    mock: {
+      behavior: process.env.ACTUATOR_MOCK_BEHAVIOR || "success",
+    },
+  },
+
+  // Outgoing webhooks (server/webhooks.js): every URL gets every event (or those in
+  // WEBHOOK_EVENTS), signed with WEBHOOK_SECRET. Undeliverable events go to
+  // <DATA_DIR>/webhooks-failed.jsonl.
+  webhooks: {
+    urls: listFromEnv("WEBHOOK_URLS", ""),
+    secret: process.env.WEBHOOK_SECRET || "",
+    events: listFromEnv("WEBHOOK_EVENTS", ""),
+    maxAttempts: intFromEnv("WEBHOOK_MAX_ATTEMPTS", 6),
+    backoffMs: intFromEnv("WEBHOOK_BACKOFF_MS", 1000),
+    backoffMaxMs: intFromEnv("WEBHOOK_BACKOFF_MAX_MS", 5 * 60 * 1000),
+    timeoutMs: intFromEnv("WEBHOOK_TIMEOUT_MS", 5000),
+  },
+
+  // The same events on an MQTT broker (server/mqttEvents.js); off without EVENTS_MQTT_URL
+  eventsMqtt: {
+    url: process.env.EVENTS_MQTT_URL || "",
+    topicPrefix: process.env.EVENTS_MQTT_TOPIC_PREFIX || "intercom/events",
+    username: process.env.EVENTS_MQTT_USERNAME,
+    password: process.env.EVENTS_MQTT_PASSWORD,
+    qos: intFromEnv("EVENTS_MQTT_QOS", 1),
+    events: listFromEnv("EVENTS_MQTT_EVENTS", ""),
+  },
+
+  // Behind a load balancer (App Runner) the client IP is in X-Forwarded-For
+  trustProxy: boolFromEnv("TRUST_PROXY", process.env.NODE_ENV === "production"),
+};
+
+export { intFromEnv, boolFromEnv, listFromEnv };
@@ -0,0 +1,227 @@
+import { readFileSync, existsSync, mkdirSync } from "fs";
+import { writeFile, rename } from "fs/promises";
+import { dirname } from "path";
+import { randomBytes, createHash, timingSafeEqual } from "crypto";
+
+// Resident Directory
+// Units (flats), residents and their devices, persisted to a JSON file.
+// Units double as ring groups: a device key lets a resident's device register
+// for its unit. Keys are stored hashed and only returned once, on creation.
+//
+// File layout: { units: [Unit], residents: [Resident], devices: [Device] }
+//   Unit:     { id, name, floor }
+//   Resident: { id, name, unitId, policy: { dnd, offline } }
+//   Device:   { id, residentId, name, keyHash, createdAt }
+
+// What happens to a call for a resident who is on Do Not Disturb / offline:
+// "reject" refuses it, "unit" rings the rest of the household instead, "ring" (dnd only) rings anyway.
+export const DEFAULT_POLICY = { dnd: "reject", offline: "unit" };
+const POLICY_OPTIONS = { dnd: ["reject", "unit", "ring"], offline: ["reject", "unit"] };
+
+function newId(prefix) {
+  return `${prefix}_${randomBytes(6).toString("hex")}`;
+}
+
+function hashKey(key) {
+  return createHash("sha256").update(String(key)).digest();
+}
+
+export class DirectoryError extends Error {
+  constructor(status, message) {
+    super(message);
+    this.status = status;
+  }
+}
+
+export function createDirectory({ file }) {
+  let data = { units: [], residents: [], devices: [] };
+  if (file && existsSync(file)) {
+    data = { ...data, ...JSON.parse(readFileSync(file, "utf8")) };
+  }
+
+  // Writes are serialized and go through a temp file so a crash can't truncate the directory
+  let writing = Promise.resolve();
+  function save() {
+    if (!file) return writing;
+    const snapshot = JSON.stringify(data, null, 2);
+    writing = writing.then(async () => {
+      mkdirSync(dirname(file), { recursive: true });
+      await writeFile(`${file}.tmp`, snapshot);
+      await rename(`${file}.tmp`, file);
+    }).catch((err) => {
+      console.error("Failed to save directory:", err.message);
+    });
+    return writing;
+  }
+
+  function validPolicy(policy = {}, current = DEFAULT_POLICY) {
+    if (typeof policy !== "object" || policy === null) throw new DirectoryError(400, "policy must be an object");
+    const result = { ...current };
+    for (const [field, options] of Object.entries(POLICY_OPTIONS)) {
+      if (policy[field] === undefined) continue;
+      if (!options.includes(policy[field])) {
+        throw new DirectoryError(400, `policy.${field} must be one of ${options.join(", ")}`);
+      }
+      result[field] = policy[field];
+    }
+    return result;
+  }
+
+  function requireString(value, field, max = 100) {
+    if (typeof value !== "string" || !value.trim()) {
+      throw new DirectoryError(400, `${field} is required`);
+    }
+    return value.trim().slice(0, max);
+  }
+
+  // --- Units ---
+
+  function listUnits() {
+    return data.units.map((u) => ({ ...u }));
+  }
+
+  function getUnit(id) {
+    const unit = data.units.find((u) => u.id === id);
+    return unit ? { ...unit } : null;
+  }
+
+  function createUnit({ id, name, floor = null }) {
+    const unitName = requireString(name, "name", 40);
+    const unitId = id ? requireString(id, "id", 40) : newId("unit");
+    if (data.units.some((u) => u.id === unitId)) {
+      throw new DirectoryError(409, `Unit ${unitId} already exists`);
+    }
+    const unit = { id: unitId, name: unitName, floor };
+    data.units.push(unit);
+    save();
+    return { ...unit };
+  }
+
+  function updateUnit(id, changes) {
+    const unit = data.units.find((u) => u.id === id);
+    if (!unit) throw new DirectoryError(404, "Unit not found");
+    if (changes.name !== undefined) unit.name = requireString(changes.name, "name", 40);
+    if (changes.floor !== undefined) unit.floor = changes.floor;
+    save();
+    return { ...unit };
+  }
+
+  function deleteUnit(id) {
+    if (!data.units.some((u) => u.id === id)) throw new DirectoryError(404, "Unit not found");
+    if (data.residents.some((r) => r.unitId === id)) {
+      throw new DirectoryError(409, "Unit still has residents");
+    }
+    data.units = data.units.filter((u) => u.id !== id);
+    save();
+  }
+
+  // --- Residents ---
+
+  function withUnit(resident) {
+    const unit = data.units.find((u) => u.id === resident.unitId);
+    return { ...resident, policy: { ...DEFAULT_POLICY, ...resident.policy }, unitName: unit ? unit.name : null };
+  }
+
+  // filter: { q, unitId, offset, limit }
+  function listResidents({ q = "", unitId = null, offset = 0, limit = 100 } = {}) {
+    const needle = q.trim().toLowerCase();
+    const matches = data.residents
+      .map(withUnit)
+      .filter((r) => !unitId || r.unitId === unitId)
+      .filter((r) => !needle ||
+        r.name.toLowerCase().includes(needle) ||
+        (r.unitName || "").toLowerCase().includes(needle))
+      .sort((a, b) => a.name.localeCompare(b.name));
+    return { total: matches.length, items: matches.slice(offset, offset + limit) };
+  }
+
+  function getResident(id) {
+    const resident = data.residents.find((r) => r.id === id);
+    return resident ? withUnit(resident) : null;
+  }
+
+  function createResident({ name, unitId, policy }) {
+    const residentName = requireString(name, "name");
+    if (!data.units.some((u) => u.id === unitId)) throw new DirectoryError(400, "Unknown unitId");
+    const resident = { id: newId("res"), name: residentName, unitId, policy: validPolicy(policy) };
+    data.residents.push(resident);
+    save();
+    return withUnit(resident);
+  }
+
+  function updateResident(id, changes) {
+    const resident = data.residents.find((r) => r.id === id);
+    if (!resident) throw new DirectoryError(404, "Resident not found");
+    if (changes.name !== undefined) resident.name = requireString(changes.name, "name");
+    if (changes.unitId !== undefined) {
+      if (!data.units.some((u) => u.id === changes.unitId)) throw new DirectoryError(400, "Unknown unitId");
+      resident.unitId = changes.unitId;
+    }
+    if (changes.policy !== undefined) resident.policy = validPolicy(changes.policy, resident.policy);
+    save();
+    return withUnit(resident);
+  }
+
+  function deleteResident(id) {
+    if (!data.residents.some((r) => r.id === id)) throw new DirectoryError(404, "Resident not found");
+    data.residents = data.residents.filter((r) => r.id !== id);
+    data.devices = data.devices.filter((d) => d.residentId !== id);
+    save();
+  }
+
+  // --- Devices ---
+
+  function publicDevice({ keyHash, ...device }) {
+    return { ...device };
+  }
+
+  function listDevices(residentId) {
+    return data.devices.filter((d) => d.residentId === residentId).map(publicDevice);
+  }
+
+  // Returns the device plus its key; the key is not retrievable later
+  function createDevice(residentId, { name }) {
+    if (!data.residents.some((r) => r.id === residentId)) throw new DirectoryError(404, "Resident not found");
+    const key = randomBytes(18).toString("base64url");
+    const device = {
+      id: newId("dev"),
+      residentId,
+      name: requireString(name || "Device", "name", 64),
+      keyHash: hashKey(key).toString("hex"),
+      createdAt: new Date().toISOString(),
+    };
+    data.devices.push(device);
+    save();
+    return { ...publicDevice(device), key };
+  }
+
+  function deleteDevice(residentId, deviceId) {
+    const before = data.devices.length;
+    data.devices = data.devices.filter((d) => !(d.id === deviceId && d.residentId === residentId));
+    if (data.devices.length === before) throw new DirectoryError(404, "Device not found");
+    save();
+  }
+
+  // Ring group authentication: a device key is valid for the unit its resident lives in.
+  // Returns { residentId, deviceId } or null.
+  function authenticateDevice(unitId, key) {
+    if (typeof key !== "string" || !key) return null;
+    const candidate = hashKey(key);
+    for (const device of data.devices) {
+      if (!timingSafeEqual(Buffer.from(device.keyHash, "hex"), candidate)) continue;
+      const resident = data.residents.find((r) => r.id === device.residentId);
+      if (resident && resident.unitId === unitId) {
+        return { residentId: resident.id, deviceId: device.id };
+      }
+    }
+    return null;
+  }
+
+  return {
+    listUnits, getUnit, createUnit, updateUnit, deleteUnit,
+    listResidents, getResident, createResident, updateResident, deleteResident,
+    listDevices, createDevice, deleteDevice,
+    authenticateDevice,
+    flush: () => writing,
+  };
+}
@@ -0,0 +1,33 @@
+// Structured errors sent to clients on the "intercom-error" event.
+// Payload: { code, message, retryAfterMs? }
+
+export const ErrorCodes = {
+  TOKEN_INVALID: "TOKEN_INVALID",
+  TOKEN_EXPIRED: "TOKEN_EXPIRED",
+  TOKEN_USED: "TOKEN_USED",
+  RATE_LIMITED: "RATE_LIMITED",
+  BANNED: "BANNED",
+  TOO_MANY_SESSIONS: "TOO_MANY_SESSIONS",
+  SERVER_BUSY: "SERVER_BUSY",
+  NOT_IN_SESSION: "NOT_IN_SESSION",
+  TARGET_NOT_IN_SESSION: "TARGET_NOT_IN_SESSION",
+  ROLE_FORBIDDEN: "ROLE_FORBIDDEN",
+  SESSION_GONE: "SESSION_GONE",
+  GROUP_UNKNOWN: "GROUP_UNKNOWN",
+  GROUP_KEY_INVALID: "GROUP_KEY_INVALID",
+  NO_DEVICES: "NO_DEVICES",
+  ALREADY_ANSWERED: "ALREADY_ANSWERED",
+  UNAUTHORIZED: "UNAUTHORIZED",
+  RESIDENT_UNAVAILABLE: "RESIDENT_UNAVAILABLE",
+  VOICEMAIL_UNAVAILABLE: "VOICEMAIL_UNAVAILABLE",
+  RECORDING_FAILED: "RECORDING_FAILED",
+  PASS_INVALID: "PASS_INVALID",
+  PASS_REJECTED: "PASS_REJECTED",
+  PROTOCOL_OUTDATED: "PROTOCOL_OUTDATED",
+  INVALID_PAYLOAD: "INVALID_PAYLOAD",
+  UNKNOWN_EVENT: "UNKNOWN_EVENT",
+};
+
+export function emitError(socket, code, message, details = {}) {
+  socket.emit("intercom-error", { code, message, ...details });
+}
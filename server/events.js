@@ -0,0 +1,59 @@
+import { HistoryEvents } from "./history.js";
+import { Roles } from "./auth.js";
+
+// Intercom Events
+// What outside systems (webhooks, MQTT) get told about, derived from call history entries
+// as they are recorded (server/history.js). Message: { id, event, at, data }
+//   session.created  - a resident opened a token session, or a visitor started ringing a group
+//   visitor.joined   - a visitor redeemed the token
+//   call.answered    - the first answer: the call is up
+//   call.ended       - the session ended (reason, durationMs)
+//   session.expired  - nobody joined / answered in time
+//   door.opened      - the lock reported success (via: "call" | "admin" | "pass")
+// `data` leaves out addresses and user agents, and the token: an unredeemed short code
+// would let anyone join. Correlate events by `sessionId`.
+
+export const IntercomEvents = {
+  SESSION_CREATED: "session.created",
+  VISITOR_JOINED: "visitor.joined",
+  CALL_ANSWERED: "call.answered",
+  CALL_ENDED: "call.ended",
+  SESSION_EXPIRED: "session.expired",
+  DOOR_OPENED: "door.opened",
+};
+
+const DATA_FIELDS = ["sessionId", "role", "group", "resident", "devices", "reason", "durationMs", "driver", "passId", "label"];
+
+function eventFor(entry) {
+  switch (entry.type) {
+    case HistoryEvents.SESSION_CREATED:
+      return IntercomEvents.SESSION_CREATED;
+    case HistoryEvents.SESSION_JOINED:
+      return entry.role === Roles.VISITOR ? IntercomEvents.VISITOR_JOINED : null;
+    case HistoryEvents.CONNECTED:
+      return IntercomEvents.CALL_ANSWERED;
+    case HistoryEvents.SESSION_ENDED:
+      return IntercomEvents.CALL_ENDED;
+    case HistoryEvents.TIMEOUT:
+      return IntercomEvents.SESSION_EXPIRED;
+    case HistoryEvents.DOOR_OPEN:
+    case HistoryEvents.PASS_REDEEMED:
+      return entry.status === "success" ? IntercomEvents.DOOR_OPENED : null;
+    default:
+      return null;
+  }
+}
+
+// History entry -> event message, or null if it isn't published
+export function toIntercomEvent(entry) {
+  const event = eventFor(entry);
+  if (!event) return null;
+  const data = {};
+  for (const field of DATA_FIELDS) {
+    if (entry[field] !== undefined) data[field] = entry[field];
+  }
+  if (event === IntercomEvents.DOOR_OPENED) {
+    data.via = entry.type === HistoryEvents.PASS_REDEEMED ? "pass" : entry.role === Roles.ADMIN ? "admin" : "call";
+  }
+  return { id: entry.id, event, at: entry.at, data };
+}
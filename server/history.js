@@ -0,0 +1,151 @@
+import { existsSync, mkdirSync, statSync } from "fs";
+import { appendFile, readFile, rename, unlink } from "fs/promises";
+import { dirname } from "path";
+import { randomBytes } from "crypto";
+
+// Call History / Audit Log
+// Append-only JSON Lines file, one event per line. When the file grows past
+// `maxBytes` it is rotated: history.jsonl -> history.jsonl.1 -> ... -> history.jsonl.<maxFiles>,
+// the oldest file being dropped.
+//
+// Entry: { id, at, type, sessionId, token, role, socketId, ip, userAgent, ...details }
+// Subscribers (the admin event stream) get every entry as it is recorded.
+
+export const HistoryEvents = {
+  SESSION_CREATED: "session.created",
+  SESSION_JOINED: "session.joined",
+  SNAPSHOT: "visitor.snapshot",
+  OFFER: "call.offer",
+  CONNECTED: "call.connected",
+  HANGUP: "call.hangup",
+  CALL_FAILED: "call.failed",
+  RECORDING_STARTED: "recording.started",
+  RECORDING_STOPPED: "recording.stopped",
+  RECORDING_SAVED: "recording.saved",
+  DOOR_OPEN: "door.open",
+  DOOR_BLOCKED: "door.blocked",
+  DOOR_UNBLOCKED: "door.unblocked",
+  TIMEOUT: "session.timeout",
+  VOICEMAIL: "voicemail.left",
+  PASS_REDEEMED: "pass.redeemed",
+  GUEST_KICKED: "session.kicked",
+  SESSION_ENDED: "session.ended",
+};
+
+const CSV_COLUMNS = ["at", "type", "sessionId", "token", "role", "socketId", "ip", "userAgent", "durationMs", "details"];
+
+function csvCell(value) {
+  if (value === undefined || value === null) return "";
+  const text = typeof value === "object" ? JSON.stringify(value) : String(value);
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+export function toCsv(entries) {
+  const lines = [CSV_COLUMNS.join(",")];
+  for (const entry of entries) {
+    const { id, at, type, sessionId, token, role, socketId, ip, userAgent, durationMs, ...details } = entry;
+    const row = { at, type, sessionId, token, role, socketId, ip, userAgent, durationMs };
+    row.details = Object.keys(details).length > 0 ? details : null;
+    lines.push(CSV_COLUMNS.map((column) => csvCell(row[column])).join(","));
+  }
+  return lines.join("\r\n") + "\r\n";
+}
+
+export function createHistory({ file, maxBytes = 5 * 1024 * 1024, maxFiles = 5, now = Date.now }) {
+  let size = file && existsSync(file) ? statSync(file).size : 0;
+
+  // Appends are serialized so rotation never interleaves with a write
+  let writing = Promise.resolve();
+  const listeners = new Set();
+
+  async function rotate() {
+    for (let i = maxFiles; i >= 1; i--) {
+      const from = i === 1 ? file : `${file}.${i - 1}`;
+      if (!existsSync(from)) continue;
+      if (i === maxFiles && existsSync(`${file}.${i}`)) await unlink(`${file}.${i}`);
+      await rename(from, `${file}.${i}`);
+    }
+    if (maxFiles < 1 && existsSync(file)) await unlink(file);
+    size = 0;
+  }
+
+  // Returns the stored entry. Fields that are undefined are left out.
+  function record(type, fields = {}) {
+    const entry = { id: randomBytes(6).toString("hex"), at: new Date(now()).toISOString(), type };
+    for (const [key, value] of Object.entries(fields)) {
+      if (value !== undefined) entry[key] = value;
+    }
+    for (const listener of listeners) {
+      try {
+        listener(entry);
+      } catch (err) {
+        console.error("History subscriber failed:", err.message);
+      }
+    }
+    if (!file) return entry;
+
+    const line = JSON.stringify(entry) + "\n";
+    writing = writing.then(async () => {
+      mkdirSync(dirname(file), { recursive: true });
+      if (size > 0 && size + Buffer.byteLength(line) > maxBytes) await rotate();
+      await appendFile(file, line);
+      size += Buffer.byteLength(line);
+    }).catch((err) => {
+      console.error("Failed to write history:", err.message);
+    });
+    return entry;
+  }
+
+  // Oldest first, across rotated files
+  async function readAll() {
+    await writing;
+    if (!file) return [];
+    const files = [];
+    for (let i = maxFiles; i >= 1; i--) files.push(`${file}.${i}`);
+    files.push(file);
+
+    const entries = [];
+    for (const path of files) {
+      if (!existsSync(path)) continue;
+      for (const line of (await readFile(path, "utf8")).split("\n")) {
+        if (!line) continue;
+        try {
+          entries.push(JSON.parse(line));
+        } catch {
+          // Skip a line cut short by a crash
+        }
+      }
+    }
+    return entries;
+  }
+
+  // filters: { type, session, role, ip, from, to } (from/to are ms timestamps, types may be a list)
+  // Newest first. Returns { total, items }; without `limit` every match is returned.
+  async function query(filters = {}, { offset = 0, limit = null } = {}) {
+    const { type, session, role, ip, from, to } = filters;
+    const types = type ? [].concat(type) : null;
+    const matches = (await readAll()).filter((e) => {
+      if (types && !types.includes(e.type)) return false;
+      if (session && e.sessionId !== session && e.token !== session) return false;
+      if (role && e.role !== role) return false;
+      if (ip && e.ip !== ip) return false;
+      const at = Date.parse(e.at);
+      if (from && at < from) return false;
+      if (to && at > to) return false;
+      return true;
+    }).reverse();
+
+    return {
+      total: matches.length,
+      items: limit === null ? matches.slice(offset) : matches.slice(offset, offset + limit),
+    };
+  }
+
+  // Returns the unsubscribe function
+  function subscribe(listener) {
+    listeners.add(listener);
+    return () => listeners.delete(listener);
+  }
+
+  return { record, query, subscribe, flush: () => writing };
+}
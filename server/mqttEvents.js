@@ -0,0 +1,43 @@
+// MQTT Event Publisher
+// Publishes every intercom event (server/events.js) as JSON to <topicPrefix>/<event>,
+// e.g. intercom/events/door.opened, for building systems that listen on a broker instead
+// of taking webhooks. Once connected, mqtt.js queues messages while the broker is away.
+// The `mqtt` package is imported lazily, as in the MQTT door actuator.
+
+export function createMqttPublisher(options = {}) {
+  const {
+    url,
+    topicPrefix = "intercom/events",
+    username,
+    password,
+    qos = 1,
+    events = [],
+  } = options;
+  if (!url) throw new Error("The MQTT event publisher requires a broker URL (EVENTS_MQTT_URL)");
+
+  let clientPromise = null;
+
+  function getClient() {
+    if (!clientPromise) {
+      clientPromise = import("mqtt").then((mqtt) => mqtt.connectAsync(url, { username, password }));
+      clientPromise.catch(() => { clientPromise = null; });
+    }
+    return clientPromise;
+  }
+
+  // message: { id, event, at, data }
+  async function publish(message) {
+    if (events.length > 0 && !events.includes(message.event)) return;
+    const client = await getClient();
+    await client.publishAsync(`${topicPrefix}/${message.event}`, JSON.stringify(message), { qos });
+  }
+
+  async function close() {
+    if (clientPromise) {
+      const client = await clientPromise;
+      await client.endAsync();
+    }
+  }
+
+  return { publish, close };
+}
@@ -0,0 +1,227 @@
+import { readFileSync, existsSync, mkdirSync } from "fs";
+import { writeFile, rename } from "fs/promises";
+import { dirname } from "path";
+import { randomBytes, createHmac } from "crypto";
+import { safeEqual } from "./auth.js";
+
+// Guest Access Passes
+// A resident (or an admin) hands a cleaner or delivery driver a pass that opens the
+// door by itself, without a call: valid between `validFrom` and `validUntil`, at most
+// `maxUses` times, and only on the given weekdays and hours (in `timeZone`).
+// The pass travels as a signed code "<id>.<signature>" inside a QR link
+// (/connect?pass=<code>), redeemed from the visitor's phone or scanned at scan.html.
+//
+// File: { secret, passes: [Pass] }
+//   Pass: { id, label, group, residentId, createdBy, createdAt, validFrom, validUntil,
+//           maxUses, uses, weekdays, hours, revokedAt, lastUsedAt }
+//   weekdays: 0 (Sunday) - 6; hours: { from: "HH:MM", to: "HH:MM" } or null (all day).
+//   A window whose `to` is before `from` runs past midnight.
+
+const SIGNATURE_LENGTH = 22; // base64url chars (~128 bits)
+const ALL_WEEKDAYS = [0, 1, 2, 3, 4, 5, 6];
+const WEEKDAY_NAMES = ["Sun", "Mon", "Tue", "Wed", "Thu", "Fri", "Sat"];
+
+// redeem() failures; "invalid" covers unknown ids and bad signatures alike
+export const PassReasons = {
+  INVALID: "invalid",
+  REVOKED: "revoked",
+  NOT_YET_VALID: "not-yet-valid",
+  EXPIRED: "expired",
+  USED_UP: "used-up",
+  WRONG_DAY: "wrong-day",
+  OUTSIDE_HOURS: "outside-hours",
+};
+
+export class PassError extends Error {
+  constructor(status, message) {
+    super(message);
+    this.status = status;
+  }
+}
+
+function parseTime(value, field) {
+  const match = /^([01]\d|2[0-3]):([0-5]\d)$/.exec(value);
+  if (!match) throw new PassError(400, `${field} must be HH:MM`);
+  return Number(match[1]) * 60 + Number(match[2]);
+}
+
+function parseDate(value, field) {
+  const ms = typeof value === "number" ? value : Date.parse(value);
+  if (!Number.isFinite(ms)) throw new PassError(400, `${field} must be a date`);
+  return ms;
+}
+
+export function createPassStore({
+  file,
+  secret = "",
+  timeZone = undefined,
+  maxDays = 90,
+  maxPerGroup = 50,
+  now = Date.now,
+}) {
+  let data = { secret: "", passes: [] };
+  if (file && existsSync(file)) data = { ...data, ...JSON.parse(readFileSync(file, "utf8")) };
+  // Codes must survive a restart, so without a configured secret one is kept in the file
+  if (!secret && !data.secret) data.secret = randomBytes(32).toString("hex");
+  const signingKey = secret || data.secret;
+
+  // weekday / minutes of the day as seen by the building, not the server's UTC clock
+  const clock = new Intl.DateTimeFormat("en-US", {
+    timeZone, weekday: "short", hour: "2-digit", minute: "2-digit", hourCycle: "h23",
+  });
+
+  // Same serialized tmp+rename writes as the directory
+  let writing = Promise.resolve();
+  function save() {
+    if (!file) return writing;
+    const snapshot = JSON.stringify(data, null, 2);
+    writing = writing.then(async () => {
+      mkdirSync(dirname(file), { recursive: true });
+      await writeFile(`${file}.tmp`, snapshot);
+      await rename(`${file}.tmp`, file);
+    }).catch((err) => {
+      console.error("Failed to save passes:", err.message);
+    });
+    return writing;
+  }
+
+  function sign(id) {
+    return createHmac("sha256", signingKey).update(`pass.${id}`).digest("base64url").slice(0, SIGNATURE_LENGTH);
+  }
+
+  const codeOf = (pass) => `${pass.id}.${sign(pass.id)}`;
+  const view = (pass) => ({ ...pass, weekdays: [...pass.weekdays], hours: pass.hours && { ...pass.hours }, code: codeOf(pass) });
+  const visibleTo = (pass, viewer) => !viewer.group || pass.group === viewer.group;
+
+  function localTime(at) {
+    const parts = Object.fromEntries(clock.formatToParts(new Date(at)).map((p) => [p.type, p.value]));
+    return { weekday: WEEKDAY_NAMES.indexOf(parts.weekday), minutes: Number(parts.hour) * 60 + Number(parts.minute) };
+  }
+
+  // null if the pass may be used at `at`, else a PassReasons value
+  function check(pass, at = now()) {
+    if (pass.revokedAt) return PassReasons.REVOKED;
+    if (at < Date.parse(pass.validFrom)) return PassReasons.NOT_YET_VALID;
+    if (at >= Date.parse(pass.validUntil)) return PassReasons.EXPIRED;
+    if (pass.maxUses !== null && pass.uses >= pass.maxUses) return PassReasons.USED_UP;
+    const { weekday, minutes } = localTime(at);
+    if (!pass.weekdays.includes(weekday)) return PassReasons.WRONG_DAY;
+    if (pass.hours) {
+      const from = parseTime(pass.hours.from, "hours.from");
+      const to = parseTime(pass.hours.to, "hours.to");
+      const inside = from < to ? minutes >= from && minutes < to : minutes >= from || minutes < to;
+      if (!inside) return PassReasons.OUTSIDE_HOURS;
+    }
+    return null;
+  }
+
+  // input: { label, validFrom?, validUntil, maxUses?, weekdays?, hours? }
+  // owner: { group, residentId, createdBy } (createdBy: "resident" | "admin")
+  function create(input = {}, { group, residentId = null, createdBy = "resident" }) {
+    if (typeof group !== "string" || !group) throw new PassError(400, "group is required");
+    const t = now();
+    const validFrom = input.validFrom === undefined ? t : parseDate(input.validFrom, "validFrom");
+    const validUntil = parseDate(input.validUntil, "validUntil");
+    if (validUntil <= validFrom) throw new PassError(400, "validUntil must be after validFrom");
+    if (validUntil <= t) throw new PassError(400, "validUntil is in the past");
+    if (validUntil - validFrom > maxDays * 24 * 60 * 60 * 1000) {
+      throw new PassError(400, `A pass can be valid for at most ${maxDays} days`);
+    }
+
+    let maxUses = null;
+    if (input.maxUses !== undefined && input.maxUses !== null) {
+      maxUses = Number(input.maxUses);
+      if (!Number.isInteger(maxUses) || maxUses < 1 || maxUses > 1000) throw new PassError(400, "maxUses must be 1-1000");
+    }
+
+    const weekdays = input.weekdays === undefined ? ALL_WEEKDAYS : input.weekdays;
+    if (!Array.isArray(weekdays) || weekdays.length === 0 || !weekdays.every((d) => ALL_WEEKDAYS.includes(d))) {
+      throw new PassError(400, "weekdays must list days 0 (Sunday) - 6");
+    }
+
+    let hours = null;
+    if (input.hours) {
+      const from = parseTime(input.hours.from, "hours.from");
+      const to = parseTime(input.hours.to, "hours.to");
+      if (from === to) throw new PassError(400, "hours.from and hours.to must differ");
+      hours = { from: input.hours.from, to: input.hours.to };
+    }
+
+    const active = data.passes.filter((p) => p.group === group && !p.revokedAt && Date.parse(p.validUntil) > t
+      && (p.maxUses === null || p.uses < p.maxUses));
+    if (active.length >= maxPerGroup) throw new PassError(409, `At most ${maxPerGroup} passes per household`);
+
+    const pass = {
+      id: randomBytes(8).toString("hex"),
+      label: String(input.label || "Guest").trim().slice(0, 60) || "Guest",
+      group,
+      residentId,
+      createdBy,
+      createdAt: new Date(t).toISOString(),
+      validFrom: new Date(validFrom).toISOString(),
+      validUntil: new Date(validUntil).toISOString(),
+      maxUses,
+      uses: 0,
+      weekdays: [...new Set(weekdays)].sort((a, b) => a - b),
+      hours,
+      revokedAt: null,
+      lastUsedAt: null,
+    };
+    data.passes.push(pass);
+    save();
+    return view(pass);
+  }
+
+  // viewer: { group } for a household, {} for an admin
+  function list(viewer = {}) {
+    return data.passes.filter((p) => visibleTo(p, viewer)).map(view);
+  }
+
+  function get(id, viewer = {}) {
+    const pass = data.passes.find((p) => p.id === id);
+    return pass && visibleTo(pass, viewer) ? view(pass) : null;
+  }
+
+  // Revoked passes stay listed so the household can see what was handed out
+  function revoke(id, viewer = {}) {
+    const pass = data.passes.find((p) => p.id === id);
+    if (!pass || !visibleTo(pass, viewer)) return null;
+    if (!pass.revokedAt) {
+      pass.revokedAt = new Date(now()).toISOString();
+      save();
+    }
+    return view(pass);
+  }
+
+  // Result: { ok: true, pass, previousUsedAt } (one use counted) or { ok: false, reason, pass? }
+  // The use is counted here, before the door is tried, so two scans can't both get the
+  // last one; refund() gives it back if the door then doesn't open.
+  function redeem(code) {
+    const [id, signature, extra] = typeof code === "string" ? code.trim().split(".") : [];
+    if (!id || !signature || extra !== undefined) return { ok: false, reason: PassReasons.INVALID };
+    if (!safeEqual(sign(id), signature)) return { ok: false, reason: PassReasons.INVALID };
+    const pass = data.passes.find((p) => p.id === id);
+    if (!pass) return { ok: false, reason: PassReasons.INVALID };
+
+    const t = now();
+    const reason = check(pass, t);
+    if (reason) return { ok: false, reason, pass: view(pass) };
+    const previousUsedAt = pass.lastUsedAt;
+    pass.uses++;
+    pass.lastUsedAt = new Date(t).toISOString();
+    save();
+    return { ok: true, pass: view(pass), previousUsedAt };
+  }
+
+  // Undo a redeem(): `previousUsedAt` is the value it returned
+  function refund(id, previousUsedAt = null) {
+    const pass = data.passes.find((p) => p.id === id);
+    if (!pass || pass.uses === 0) return null;
+    pass.uses--;
+    pass.lastUsedAt = previousUsedAt;
+    save();
+    return view(pass);
+  }
+
+  return { create, list, get, revoke, redeem, refund, check, flush: () => writing };
+}
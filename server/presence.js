@@ -0,0 +1,123 @@
+// Resident Presence
+// available | busy | dnd | away | offline, per resident:
+// - offline:   no registered device has sent a heartbeat within heartbeatTimeoutMs
+// - busy:      one of the resident's devices is in a call
+// - dnd/away:  set by the resident (applies to all their devices)
+// - available: otherwise
+// onChange(residentId, status) fires whenever a resident's derived status changes.
+// onExpire(socketId) fires for each device the sweep drops, so the caller can stop ringing it.
+
+export const PresenceStatus = {
+  AVAILABLE: "available",
+  BUSY: "busy",
+  DND: "dnd",
+  AWAY: "away",
+  OFFLINE: "offline",
+};
+
+const MANUAL_STATUSES = [PresenceStatus.AVAILABLE, PresenceStatus.DND, PresenceStatus.AWAY];
+
+export function createPresence(options = {}) {
+  const { heartbeatTimeoutMs = 60000, now = Date.now, onChange = () => { }, onExpire = () => { } } = options;
+
+  // Key: socketId, Value: { residentId, lastSeen, inCall }
+  const devices = new Map();
+  // Key: residentId, Value: "available" | "dnd" | "away"
+  const manual = new Map();
+  // Last status reported through onChange
+  const reported = new Map();
+
+  function compute(residentId) {
+    const own = [...devices.values()].filter((d) => d.residentId === residentId);
+    if (own.length === 0) return PresenceStatus.OFFLINE;
+    if (own.some((d) => d.inCall)) return PresenceStatus.BUSY;
+    return manual.get(residentId) || PresenceStatus.AVAILABLE;
+  }
+
+  function refresh(residentId) {
+    if (!residentId) return;
+    const status = compute(residentId);
+    if (reported.get(residentId) === status) return;
+    if (status === PresenceStatus.OFFLINE) reported.delete(residentId);
+    else reported.set(residentId, status);
+    onChange(residentId, status);
+  }
+
+  function deviceOnline(socketId, residentId) {
+    if (!residentId) return;
+    devices.set(socketId, { residentId, lastSeen: now(), inCall: false });
+    refresh(residentId);
+  }
+
+  function deviceOffline(socketId) {
+    const device = devices.get(socketId);
+    if (!device) return;
+    devices.delete(socketId);
+    refresh(device.residentId);
+  }
+
+  function heartbeat(socketId) {
+    const device = devices.get(socketId);
+    if (device) device.lastSeen = now();
+    return Boolean(device);
+  }
+
+  function setInCall(socketId, inCall) {
+    const device = devices.get(socketId);
+    if (!device || device.inCall === inCall) return;
+    device.inCall = inCall;
+    refresh(device.residentId);
+  }
+
+  // Returns false if the socket isn't a resident device or the status isn't user-settable
+  function setManual(socketId, status) {
+    const device = devices.get(socketId);
+    if (!device || !MANUAL_STATUSES.includes(status)) return false;
+    if (status === PresenceStatus.AVAILABLE) manual.delete(device.residentId);
+    else manual.set(device.residentId, status);
+    refresh(device.residentId);
+    return true;
+  }
+
+  function residentOf(socketId) {
+    const device = devices.get(socketId);
+    return device ? device.residentId : null;
+  }
+
+  function statusOf(residentId) {
+    return compute(residentId);
+  }
+
+  // { residentId: status } for every resident that isn't offline
+  function snapshot() {
+    return Object.fromEntries(reported);
+  }
+
+  // Drop devices whose heartbeat is overdue
+  function sweep() {
+    const cutoff = now() - heartbeatTimeoutMs;
+    for (const [socketId, device] of devices) {
+      if (device.lastSeen < cutoff) {
+        devices.delete(socketId);
+        onExpire(socketId);
+        refresh(device.residentId);
+      }
+    }
+  }
+
+  const sweepTimer = setInterval(sweep, Math.max(1000, Math.floor(heartbeatTimeoutMs / 4)));
+  if (sweepTimer.unref) sweepTimer.unref();
+
+  return {
+    deviceOnline,
+    deviceOffline,
+    heartbeat,
+    setInCall,
+    setManual,
+    residentOf,
+    statusOf,
+    snapshot,
+    sweep,
+    stop: () => clearInterval(sweepTimer),
+  };
+}
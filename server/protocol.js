@@ -0,0 +1,167 @@
+// Signaling Protocol
+// Schemas for every Socket.IO event in both directions. Client-to-server payloads are
+// checked at the socket boundary (server.js) before any handler runs; server-to-client
+// payloads can be checked on the way out while developing.
+//
+// Versions:
+//   1 - unversioned: main.js up to ?v=45, no `protocol` in the handshake
+//   2 - the client sends `io(url, { auth: { protocol: 2 } })` and gets
+//       "protocol" { version, min, latest } back; payloads follow the schemas below
+// Clients below MIN_PROTOCOL_VERSION are told to reload and disconnected.
+//
+// A schema is null (no payload), a rule, or { field: rule }. Unknown fields are ignored.
+
+export const PROTOCOL_VERSION = 2;
+export const MIN_PROTOCOL_VERSION = 2;
+
+// Rules return an error message or null. `optional` accepts undefined and null.
+function rule(check, { optional = false } = {}) {
+  return (value) => {
+    if (value === undefined || value === null) return optional ? null : "is required";
+    return check(value);
+  };
+}
+
+const string = ({ max = 200, ...options } = {}) => rule((v) => {
+  if (typeof v !== "string") return "must be a string";
+  if (v.length === 0) return "must not be empty";
+  return v.length > max ? `must be at most ${max} characters` : null;
+}, options);
+const boolean = (options) => rule((v) => (typeof v === "boolean" ? null : "must be true or false"), options);
+const number = (options) => rule((v) => (typeof v === "number" && Number.isFinite(v) ? null : "must be a number"), options);
+const oneOf = (values, options) => rule((v) => (values.includes(v) ? null : `must be one of ${values.join(", ")}`), options);
+const object = (options) => rule((v) => (typeof v === "object" && !Array.isArray(v) ? null : "must be an object"), options);
+const list = (options) => rule((v) => (Array.isArray(v) ? null : "must be a list"), options);
+const binary = (options) => rule((v) => (Buffer.isBuffer(v) || v instanceof ArrayBuffer ? null : "must be binary"), options);
+
+const socketId = (options) => string({ max: 64, ...options });
+const token = (options) => string({ max: 100, ...options });
+// RTCSessionDescriptionInit
+const description = () => rule((v) => {
+  if (typeof v !== "object" || Array.isArray(v)) return "must be an object";
+  if (!["offer", "answer", "pranswer", "rollback"].includes(v.type)) return "type must be offer or answer";
+  return typeof v.sdp === "string" && v.sdp.length <= 100000 ? null : "sdp must be a string";
+});
+
+// Client -> server. `ack` marks events that take an acknowledgement callback.
+export const ClientEvents = {
+  "create-session": { payload: null },
+  // The short code or the signed QR form
+  "join-session": { payload: string({ max: 200 }) },
+  "resume-session": { payload: { token: token(), resumeKey: string({ max: 100 }), hasCall: boolean({ optional: true }) }, ack: true },
+  offer: { payload: { target: socketId(), sdp: description() } },
+  answer: { payload: { target: socketId(), sdp: description() } },
+  "ice-candidate": { payload: { target: socketId(), candidate: object() } },
+  hangup: { payload: { target: socketId() } },
+  recording: {
+    payload: { target: socketId(), active: boolean(), type: string({ max: 100, optional: true }), id: string({ max: 100, optional: true }) },
+    ack: true,
+  },
+  // Admins may omit the target
+  "open-door": { payload: { target: socketId({ optional: true }), notifyPeer: boolean({ optional: true }) }, ack: true },
+  "register-device": {
+    payload: {
+      group: string({ max: 100 }),
+      key: string({ max: 200 }),
+      name: string({ max: 60, optional: true }),
+      pushEndpoint: string({ max: 1000, optional: true }),
+    },
+    ack: true,
+  },
+  // Either a group or a resident
+  "ring-group": {
+    payload: { group: string({ max: 100, optional: true }), resident: string({ max: 100, optional: true }) },
+    require: ["group", "resident"],
+    ack: true,
+  },
+  "accept-call": { payload: { token: token() }, ack: true },
+  "decline-call": { payload: { token: token() } },
+  "cancel-ring": { payload: { token: token() } },
+  "request-voicemail": { payload: { token: token() }, ack: true },
+  "presence-heartbeat": { payload: object({ optional: true }), ack: true },
+  "set-presence": { payload: { status: oneOf(["available", "dnd", "away"]) }, ack: true },
+  "presence-subscribe": { payload: object({ optional: true }), ack: true },
+};
+
+// Server -> client
+export const ServerEvents = {
+  protocol: { payload: { version: number(), min: number(), latest: number() } },
+  "intercom-error": { payload: { code: string(), message: string({ max: 500 }), retryAfterMs: number({ optional: true }) } },
+  // Version 1: a plain message; the client resets to the start screen
+  error: { payload: string({ max: 500 }) },
+  "session-created": {
+    payload: { token: token(), qrToken: string({ max: 200 }), expiresAt: number(), ttlMs: number(), resumeKey: string() },
+  },
+  "session-joined": { payload: { role: oneOf(["guest", "host"]), token: token(), peerId: socketId({ optional: true }), resumeKey: string() } },
+  "session-expired": { payload: { token: token({ optional: true }) } },
+  "peer-joined": { payload: { role: oneOf(["host", "guest"]), peerId: socketId() } },
+  "peer-reconnecting": { payload: object({ optional: true }) },
+  "peer-reconnected": { payload: { peerId: socketId(), hasCall: boolean() } },
+  "peer-disconnected": { payload: object({ optional: true }) },
+  offer: { payload: { sdp: description(), caller: socketId() } },
+  answer: { payload: { sdp: description(), responder: socketId() } },
+  "ice-candidate": { payload: { candidate: object(), sender: socketId() } },
+  hangup: { payload: { sender: socketId() } },
+  recording: { payload: { active: boolean(), sender: socketId() } },
+  "open-door": { payload: { sender: socketId(), result: object() } },
+  "incoming-call": { payload: { token: token(), group: string({ max: 100 }), caller: socketId() } },
+  "call-answered-elsewhere": { payload: { token: token() } },
+  "call-cancelled": { payload: { token: token(), reason: string() } },
+  "ring-ended": { payload: { token: token({ optional: true }), reason: string(), voicemail: object({ optional: true }) } },
+  "visitor-snapshot": { payload: { token: token(), type: string(), image: binary() } },
+  "voicemail-received": { payload: object() },
+  "presence-update": { payload: { residentId: string(), status: string() } },
+};
+
+// Admin dashboard: the "/admin" namespace, `io("/admin", { auth: { adminKey } })`.
+// Every client event takes an ack: { ok, ... } or { ok: false, code, message }.
+export const AdminClientEvents = {
+  "list-sessions": { payload: null, ack: true },
+  "terminate-session": { payload: { token: token(), reason: string({ max: 200, optional: true }) }, ack: true },
+  "kick-guest": { payload: { token: token() }, ack: true },
+  "block-door": { payload: { blocked: boolean(), reason: string({ max: 200, optional: true }) }, ack: true },
+  "open-door": { payload: null, ack: true },
+  "recent-events": { payload: { limit: number({ optional: true }) }, ack: true },
+};
+
+export const AdminServerEvents = {
+  // A call history entry, as it is recorded
+  event: { payload: { id: string(), at: string(), type: string() } },
+  sessions: { payload: { items: list() } },
+  door: { payload: { driver: string(), blocked: object({ optional: true }) } },
+};
+
+// Returns [{ field, message }]; empty if `payload` matches the event's schema.
+// Events missing from `events` are reported as unknown.
+export function validate(events, event, payload) {
+  const spec = events[event];
+  if (!spec) return [{ field: "event", message: "is not part of the protocol" }];
+  const schema = spec.payload;
+  if (schema === null) return [];
+  if (typeof schema === "function") {
+    const message = schema(payload);
+    return message ? [{ field: "payload", message }] : [];
+  }
+  if (typeof payload !== "object" || payload === null || Array.isArray(payload)) {
+    return [{ field: "payload", message: "must be an object" }];
+  }
+  const errors = [];
+  for (const [field, check] of Object.entries(schema)) {
+    const message = check(payload[field]);
+    if (message) errors.push({ field, message });
+  }
+  if (spec.require && !spec.require.some((field) => payload[field] !== undefined && payload[field] !== null)) {
+    const [first, ...rest] = spec.require;
+    errors.push({ field: first, message: `or ${rest.join(" or ")} is required` });
+  }
+  return errors;
+}
+
+// Handshake `auth.protocol` -> { ok, version } (version 1 for clients that don't send one)
+export function negotiate(auth) {
+  const requested = auth && Number.isInteger(auth.protocol) ? auth.protocol : 1;
+  const version = Math.min(requested, PROTOCOL_VERSION);
+  return { ok: version >= MIN_PROTOCOL_VERSION, version };
+}
+
+export const describeErrors = (event, errors) => `${event}: ${errors.map((e) => `${e.field} ${e.message}`).join("; ")}`;
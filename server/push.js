@@ -0,0 +1,157 @@
+import { existsSync, readFileSync, mkdirSync } from "fs";
+import { writeFile, rename } from "fs/promises";
+import { dirname } from "path";
+import { createHmac } from "crypto";
+import webpush from "web-push";
+import { safeEqual } from "./auth.js";
+
+// Web Push
+// Resident devices subscribe through the service worker (sw.js, VAPID) and register the
+// subscription with their ring group credentials; a token session host can attach one to
+// its session. When a visitor rings, closed or sleeping devices get a push instead of
+// (or as well as) the socket event.
+// Delivery goes through a transport: { send(subscription, payload, { ttl, urgency }) -> { statusCode } }.
+// createWebPushTransport() talks to the browsers' push services; tests pass a mock.
+//
+// Subscription: { endpoint, keys: { p256dh, auth }, group, residentId, name, createdAt }
+
+export class PushError extends Error {
+  constructor(status, message) {
+    super(message);
+    this.status = status;
+  }
+}
+
+export function createWebPushTransport({ publicKey, privateKey, subject }) {
+  const vapidDetails = { subject, publicKey, privateKey };
+  return {
+    async send(subscription, payload, { ttl = 60, urgency = "high" } = {}) {
+      try {
+        const result = await webpush.sendNotification(subscription, payload, { TTL: ttl, urgency, vapidDetails });
+        return { statusCode: result.statusCode };
+      } catch (err) {
+        // WebPushError: the push service answered with an error status
+        if (err.statusCode) return { statusCode: err.statusCode };
+        throw err;
+      }
+    },
+  };
+}
+
+// Throws PushError(400) unless `value` looks like a PushSubscription.toJSON()
+export function parseSubscription(value) {
+  const { endpoint, keys } = value || {};
+  let url = null;
+  try {
+    url = new URL(endpoint);
+  } catch {
+    // handled below
+  }
+  if (!url || url.protocol !== "https:") throw new PushError(400, "subscription.endpoint must be an https URL");
+  if (!keys || typeof keys.p256dh !== "string" || typeof keys.auth !== "string") {
+    throw new PushError(400, "subscription.keys must contain p256dh and auth");
+  }
+  return { endpoint, keys: { p256dh: keys.p256dh, auth: keys.auth } };
+}
+
+export function createPush({ file, transport = null, linkSecret = "", now = Date.now }) {
+  let subscriptions = [];
+  if (file && existsSync(file)) subscriptions = JSON.parse(readFileSync(file, "utf8")).subscriptions || [];
+
+  // Same serialized tmp+rename writes as the directory
+  let writing = Promise.resolve();
+  function save() {
+    if (!file) return writing;
+    const snapshot = JSON.stringify({ subscriptions }, null, 2);
+    writing = writing.then(async () => {
+      mkdirSync(dirname(file), { recursive: true });
+      await writeFile(`${file}.tmp`, snapshot);
+      await rename(`${file}.tmp`, file);
+    }).catch((err) => {
+      console.error("Failed to save push subscriptions:", err.message);
+    });
+    return writing;
+  }
+
+  // Re-subscribing (new keys, other group) replaces the record for the endpoint
+  function subscribe(subscription, { group, residentId = null, name = "Device" }) {
+    const parsed = parseSubscription(subscription);
+    const record = {
+      ...parsed,
+      group,
+      residentId,
+      name: String(name || "Device").slice(0, 60),
+      createdAt: new Date(now()).toISOString(),
+    };
+    subscriptions = subscriptions.filter((s) => s.endpoint !== parsed.endpoint).concat(record);
+    save();
+    return { ...record };
+  }
+
+  // Only the group that owns the subscription may remove it
+  function unsubscribe(endpoint, group) {
+    const before = subscriptions.length;
+    subscriptions = subscriptions.filter((s) => s.endpoint !== endpoint || s.group !== group);
+    if (subscriptions.length === before) return false;
+    save();
+    return true;
+  }
+
+  // Same selection as ringing live devices: the whole group, or only one resident's devices
+  function recipients(group, { residentId = null, excludeResident = null } = {}) {
+    return subscriptions
+      .filter((s) => s.group === group)
+      .filter((s) => !residentId || s.residentId === residentId)
+      .filter((s) => !excludeResident || s.residentId !== excludeResident)
+      .map((s) => ({ ...s }));
+  }
+
+  // Sends `message` (JSON) to each subscription. Subscriptions the push service reports
+  // as gone (404 / 410) are dropped. Returns { sent, removed, failed }.
+  async function send(targets, message, options = {}) {
+    const result = { sent: 0, removed: 0, failed: 0 };
+    if (!transport || targets.length === 0) return result;
+    const payload = JSON.stringify(message);
+    await Promise.all(targets.map(async ({ endpoint, keys }) => {
+      try {
+        const { statusCode } = await transport.send({ endpoint, keys }, payload, options);
+        if (statusCode === 404 || statusCode === 410) {
+          subscriptions = subscriptions.filter((s) => s.endpoint !== endpoint);
+          result.removed++;
+        } else if (statusCode >= 200 && statusCode < 300) {
+          result.sent++;
+        } else {
+          result.failed++;
+        }
+      } catch (err) {
+        console.error("Push delivery failed:", err.message);
+        result.failed++;
+      }
+    }));
+    if (result.removed > 0) save();
+    return result;
+  }
+
+  // Notifications can't send headers, so the snapshot shown in them is fetched
+  // through a signed, short-lived link: <path>?exp=<ms>&sig=<hmac>
+  function sign(path, exp) {
+    return createHmac("sha256", linkSecret).update(`${path}.${exp}`).digest("base64url").slice(0, 32);
+  }
+
+  function signedLink(path, ttlMs) {
+    const exp = now() + ttlMs;
+    return `${path}?exp=${exp}&sig=${sign(path, exp)}`;
+  }
+
+  function verifyLink(path, exp, sig) {
+    const expiry = parseInt(exp, 10);
+    if (!linkSecret || !Number.isFinite(expiry) || expiry <= now() || typeof sig !== "string") return false;
+    return safeEqual(sign(path, expiry), sig);
+  }
+
+  return {
+    get enabled() { return Boolean(transport); },
+    subscribe, unsubscribe, recipients, send, signedLink, verifyLink,
+    flush: () => writing,
+  };
+}
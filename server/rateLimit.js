@@ -0,0 +1,131 @@
+// Rate Limiter
+// Throttles join/create attempts per socket and per IP.
+// - Failed joins are counted; past `maxFailures` every further failure
+//   blocks the key with exponential backoff, past `banAfterFailures` the key is banned.
+// - Creates are limited to `createsPerWindow` per `windowMs`.
+// Counters decay once a key has been quiet for `windowMs`.
+
+export function createRateLimiter(options = {}) {
+  const {
+    windowMs = 10 * 60 * 1000,
+    maxFailures = 5,
+    backoffBaseMs = 2000,
+    backoffMaxMs = 5 * 60 * 1000,
+    banAfterFailures = 20,
+    banMs = 60 * 60 * 1000,
+    createsPerWindow = 20,
+    now = Date.now,
+  } = options;
+
+  // Key: "socket:<id>" | "ip:<address>"
+  // Value: { failures, blockedUntil, banned, creates: [timestamps], lastSeen }
+  const entries = new Map();
+
+  function entry(key) {
+    let e = entries.get(key);
+    if (!e) {
+      e = { failures: 0, blockedUntil: 0, banned: false, creates: [], lastSeen: now() };
+      entries.set(key, e);
+    }
+    return e;
+  }
+
+  // Returns null if every key may proceed, else { code, retryAfterMs } for the longest block
+  function blockFor(keys) {
+    let result = null;
+    const t = now();
+    for (const key of keys) {
+      const e = entries.get(key);
+      if (!e || e.blockedUntil <= t) continue;
+      const retryAfterMs = e.blockedUntil - t;
+      if (!result || retryAfterMs > result.retryAfterMs) {
+        result = { code: e.banned ? "BANNED" : "RATE_LIMITED", retryAfterMs };
+      }
+    }
+    return result;
+  }
+
+  function checkJoin(keys) {
+    return blockFor(keys);
+  }
+
+  function recordFailure(keys) {
+    const t = now();
+    for (const key of keys) {
+      const e = entry(key);
+      e.failures++;
+      e.lastSeen = t;
+      if (e.failures >= banAfterFailures) {
+        e.banned = true;
+        e.blockedUntil = t + banMs;
+      } else if (e.failures >= maxFailures) {
+        const delay = backoffBaseMs * Math.pow(2, e.failures - maxFailures);
+        e.blockedUntil = t + Math.min(delay, backoffMaxMs);
+      }
+    }
+    return blockFor(keys);
+  }
+
+  function recordSuccess(keys) {
+    for (const key of keys) {
+      const e = entries.get(key);
+      if (e && !e.banned) {
+        e.failures = 0;
+        e.blockedUntil = 0;
+      }
+    }
+  }
+
+  function checkCreate(keys) {
+    const blocked = blockFor(keys);
+    if (blocked) return blocked;
+
+    const t = now();
+    let result = null;
+    for (const key of keys) {
+      const e = entry(key);
+      e.creates = e.creates.filter((at) => at > t - windowMs);
+      if (e.creates.length >= createsPerWindow) {
+        const retryAfterMs = e.creates[0] + windowMs - t;
+        if (!result || retryAfterMs > result.retryAfterMs) {
+          result = { code: "RATE_LIMITED", retryAfterMs };
+        }
+      }
+    }
+    if (result) return result;
+
+    for (const key of keys) {
+      const e = entry(key);
+      e.creates.push(t);
+      e.lastSeen = t;
+    }
+    return null;
+  }
+
+  function forget(key) {
+    entries.delete(key);
+  }
+
+  // Drop entries that are neither blocked nor recently active
+  function sweep() {
+    const t = now();
+    for (const [key, e] of entries) {
+      if (e.blockedUntil <= t && e.lastSeen <= t - windowMs) {
+        entries.delete(key);
+      }
+    }
+  }
+
+  const sweepTimer = setInterval(sweep, Math.min(windowMs, 60000));
+  if (sweepTimer.unref) sweepTimer.unref();
+
+  return {
+    checkJoin,
+    checkCreate,
+    recordFailure,
+    recordSuccess,
+    forget,
+    sweep,
+    stop: () => clearInterval(sweepTimer),
+  };
+}
@@ -0,0 +1,183 @@
+import { existsSync, mkdirSync, readdirSync, readFileSync } from "fs";
+import { appendFile, writeFile, rename, stat, unlink } from "fs/promises";
+import { join } from "path";
+import { randomBytes, createHash, timingSafeEqual } from "crypto";
+
+// Call Recordings
+// A member starts a recording over Socket.IO and gets an upload key; the
+// MediaRecorder chunks are then POSTed in order and appended to <dir>/<id>.<ext>.
+// Metadata sits next to the clip in <id>.json so recordings survive a restart.
+// A recording that gets no chunk for `idleTimeoutMs` (the tab closed mid-call), or that was
+// still open when the server stopped (upload keys are kept in memory only), is marked
+// "failed" and its partial clip deleted.
+//
+// Recording: { id, sessionId, token, role, type, status: "recording" | "complete" | "failed",
+//              startedAt, completedAt, chunks, size, durationMs }
+
+export const RECORDING_TYPES = { "video/webm": "webm", "video/mp4": "mp4", "audio/webm": "weba", "audio/mp4": "m4a" };
+
+export class RecordingError extends Error {
+  constructor(status, message) {
+    super(message);
+    this.status = status;
+  }
+}
+
+function hashKey(key) {
+  return createHash("sha256").update(String(key)).digest();
+}
+
+export function createRecordingStore({
+  dir,
+  maxBytes = 200 * 1024 * 1024,
+  idleTimeoutMs = 10 * 60 * 1000,
+  now = Date.now,
+}) {
+  // Key: id, Value: { recording, keyHash, writing, activeAt }
+  const entries = new Map();
+
+  function clipPath(recording) {
+    return join(dir, `${recording.id}.${RECORDING_TYPES[recording.type]}`);
+  }
+
+  async function saveMeta(recording) {
+    const file = join(dir, `${recording.id}.json`);
+    await writeFile(`${file}.tmp`, JSON.stringify(recording, null, 2));
+    await rename(`${file}.tmp`, file);
+  }
+
+  // Gives up on an open recording: no more chunks are taken and the partial clip goes
+  async function fail(entry) {
+    const { recording } = entry;
+    recording.status = "failed";
+    entry.keyHash = null;
+    await entry.writing;
+    recording.completedAt = new Date(now()).toISOString();
+    recording.size = 0;
+    await unlink(clipPath(recording)).catch(() => { });
+    await saveMeta(recording);
+  }
+
+  const loading = [];
+  if (existsSync(dir)) {
+    for (const name of readdirSync(dir)) {
+      if (!name.endsWith(".json")) continue;
+      try {
+        const recording = JSON.parse(readFileSync(join(dir, name), "utf8"));
+        const entry = { recording, keyHash: null, writing: Promise.resolve(), activeAt: 0 };
+        entries.set(recording.id, entry);
+        if (recording.status === "recording") loading.push(fail(entry));
+      } catch {
+        console.error(`Skipping unreadable recording metadata ${name}`);
+      }
+    }
+  }
+  // Resolves once recordings left open by an earlier run are marked failed
+  const ready = Promise.all(loading).catch((err) => {
+    console.error("Failed to close abandoned recordings:", err.message);
+  });
+
+  // Returns { recording, uploadKey }
+  async function start({ sessionId, token, role, type }) {
+    const baseType = String(type || "").split(";")[0].trim();
+    if (!RECORDING_TYPES[baseType]) throw new RecordingError(415, `Unsupported recording type ${type}`);
+    const uploadKey = randomBytes(18).toString("base64url");
+    const recording = {
+      id: randomBytes(8).toString("hex"),
+      sessionId,
+      token,
+      role,
+      type: baseType,
+      status: "recording",
+      startedAt: new Date(now()).toISOString(),
+      completedAt: null,
+      chunks: 0,
+      size: 0,
+      durationMs: null,
+    };
+    mkdirSync(dir, { recursive: true });
+    await writeFile(clipPath(recording), Buffer.alloc(0));
+    await saveMeta(recording);
+    entries.set(recording.id, { recording, keyHash: hashKey(uploadKey), writing: Promise.resolve(), activeAt: now() });
+    return { recording: { ...recording }, uploadKey };
+  }
+
+  function authorize(id, uploadKey) {
+    const entry = entries.get(id);
+    if (!entry || !entry.keyHash || typeof uploadKey !== "string" ||
+      !timingSafeEqual(entry.keyHash, hashKey(uploadKey))) {
+      throw new RecordingError(403, "Invalid recording or upload key");
+    }
+    if (entry.recording.status !== "recording") throw new RecordingError(409, "Recording is already complete");
+    entry.activeAt = now();
+    return entry;
+  }
+
+  // Chunks must arrive in order; a repeated index (client retry) is accepted and ignored.
+  async function appendChunk(id, uploadKey, index, buffer) {
+    const entry = authorize(id, uploadKey);
+    entry.writing = entry.writing.then(async () => {
+      const { recording } = entry;
+      if (index < recording.chunks) return;
+      if (index !== recording.chunks) {
+        throw new RecordingError(409, `Expected chunk ${recording.chunks}, got ${index}`);
+      }
+      if (recording.size + buffer.length > maxBytes) throw new RecordingError(413, "Recording is too large");
+      await appendFile(clipPath(recording), buffer);
+      recording.chunks++;
+      recording.size += buffer.length;
+    });
+    const result = entry.writing;
+    // Keep the chain usable after a rejected chunk
+    entry.writing = entry.writing.catch(() => { });
+    await result;
+    return { chunks: entry.recording.chunks, size: entry.recording.size };
+  }
+
+  async function complete(id, uploadKey, durationMs) {
+    const entry = authorize(id, uploadKey);
+    await entry.writing;
+    const { recording } = entry;
+    if (recording.status !== "recording") throw new RecordingError(409, "Recording was closed after going idle");
+    recording.status = "complete";
+    recording.completedAt = new Date(now()).toISOString();
+    recording.durationMs = Number.isFinite(durationMs) ? durationMs : null;
+    recording.size = (await stat(clipPath(recording))).size;
+    entry.keyHash = null;
+    await saveMeta(recording);
+    return { ...recording };
+  }
+
+  function get(id) {
+    const entry = entries.get(id);
+    return entry ? { ...entry.recording } : null;
+  }
+
+  // Newest first
+  function list({ session } = {}) {
+    return [...entries.values()]
+      .map((e) => ({ ...e.recording }))
+      .filter((r) => !session || r.sessionId === session || r.token === session)
+      .sort((a, b) => b.startedAt.localeCompare(a.startedAt));
+  }
+
+  function pathOf(id) {
+    const entry = entries.get(id);
+    return entry ? clipPath(entry.recording) : null;
+  }
+
+  // Fails recordings that have been idle for idleTimeoutMs
+  function sweep() {
+    const t = now();
+    const idle = [...entries.values()]
+      .filter((e) => e.recording.status === "recording" && t - e.activeAt >= idleTimeoutMs);
+    return Promise.all(idle.map((entry) => fail(entry).catch((err) => {
+      console.error(`Failed to close idle recording ${entry.recording.id}:`, err.message);
+    })));
+  }
+
+  const sweepTimer = setInterval(sweep, Math.min(idleTimeoutMs, 60 * 1000));
+  if (sweepTimer.unref) sweepTimer.unref();
+
+  return { start, appendChunk, complete, get, list, pathOf, sweep, ready, stop: () => clearInterval(sweepTimer) };
+}
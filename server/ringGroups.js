@@ -0,0 +1,71 @@
+import { safeEqual } from "./auth.js";
+
+// Ring Groups
+// A ring group is a household (flat / unit). Resident devices register into
+// their group with the group's key (or their own device key from the directory);
+// a visitor ringing the group rings every registered device at once.
+
+// "12A=key1,12B=key2" -> { "12A": "key1", "12B": "key2" }
+export function parseGroupKeys(value = "") {
+  const groups = {};
+  for (const pair of value.split(",")) {
+    const [id, ...key] = pair.split("=");
+    if (id && id.trim() && key.length) groups[id.trim()] = key.join("=").trim();
+  }
+  return groups;
+}
+
+export function createRingGroups(options = {}) {
+  const {
+    groups = {},
+    // (groupId, key) -> { residentId? } | null. Extra check after the static key map.
+    authenticate = () => null,
+  } = options;
+
+  // Returns { residentId } for a valid group / device key, else null
+  function authorize(groupId, key) {
+    if (groups[groupId] && key && safeEqual(groups[groupId], key)) return { residentId: null };
+    return authenticate(groupId, key);
+  }
+
+  // Key: groupId, Value: Map(socketId -> { name, residentId, registeredAt })
+  const devices = new Map();
+
+  // Result: { ok: true } or { ok: false, reason: "unknown-group" | "bad-key" }
+  function register(groupId, key, socketId, name = "Device") {
+    if (typeof groupId !== "string" || !groupId) return { ok: false, reason: "unknown-group" };
+    const identity = authorize(groupId, key);
+    if (!identity) return { ok: false, reason: "bad-key" };
+
+    if (!devices.has(groupId)) devices.set(groupId, new Map());
+    devices.get(groupId).set(socketId, {
+      name: String(name).slice(0, 64),
+      residentId: identity.residentId || null,
+      registeredAt: Date.now(),
+    });
+    return { ok: true, residentId: identity.residentId || null };
+  }
+
+  function unregister(socketId) {
+    for (const [groupId, members] of devices) {
+      members.delete(socketId);
+      if (members.size === 0) devices.delete(groupId);
+    }
+  }
+
+  function members(groupId) {
+    const group = devices.get(groupId);
+    if (!group) return [];
+    return [...group].map(([socketId, info]) => ({ socketId, ...info }));
+  }
+
+  function groupsOf(socketId) {
+    const result = [];
+    for (const [groupId, group] of devices) {
+      if (group.has(socketId)) result.push(groupId);
+    }
+    return result;
+  }
+
+  return { authorize, register, unregister, members, groupsOf };
+}
@@ -0,0 +1,72 @@
+import express from "express";
+import { ErrorCodes } from "../errors.js";
+
+// Admin Dashboard REST API (admin only; admin.html, or anything holding the admin key)
+// GET    /api/admin/sessions                -> { items: [SessionSummary] } (newest first)
+// DELETE /api/admin/sessions/:token         -> 204, both members are disconnected
+// POST   /api/admin/sessions/:token/kick    -> 204, the guest is removed, the host stays
+//                                               (token sessions only; 403 for a ring group call)
+// GET    /api/admin/door                    -> { driver, blocked: { reason, since } | null }
+// PUT    /api/admin/door { blocked, reason? } -> door state as above
+// POST   /api/admin/door/open               -> actuator result ({ status, driver, error?, elapsedMs })
+// GET    /api/admin/events?limit=           -> { items } newest call history entries
+// The same operations are available live on the "/admin" Socket.IO namespace (see server.js).
+//
+// `admin` holds the operations (server.js). Actions take the request as the actor for the
+// call history and resolve to { ok: true, ... } or { ok: false, code, message }.
+
+const STATUS = {
+  [ErrorCodes.SESSION_GONE]: 404,
+  [ErrorCodes.NOT_IN_SESSION]: 409,
+  [ErrorCodes.ROLE_FORBIDDEN]: 403,
+};
+
+export function createAdminRouter({ admin, requireAdmin }) {
+  const router = express.Router();
+  router.use("/admin", requireAdmin);
+
+  const handle = (fn) => async (req, res) => {
+    try {
+      const result = await fn(req, res);
+      if (res.headersSent) return;
+      if (result === undefined) return res.status(204).end();
+      if (result.ok === false) {
+        return res.status(STATUS[result.code] || 400).json({ code: result.code, message: result.message });
+      }
+      res.json(result);
+    } catch (err) {
+      console.error("Admin action failed:", err);
+      res.status(500).json({ message: "Internal error" });
+    }
+  };
+
+  // Actions answer 204 when they worked
+  const done = (result) => (result.ok ? undefined : result);
+
+  router.get("/admin/sessions", handle(async () => ({ items: await admin.listSessions() })));
+
+  router.delete("/admin/sessions/:token", handle(async (req) => {
+    const reason = req.body && typeof req.body.reason === "string" ? req.body.reason.slice(0, 200) : null;
+    return done(await admin.terminateSession(req.params.token, req, reason));
+  }));
+
+  router.post("/admin/sessions/:token/kick", handle(async (req) => done(await admin.kickGuest(req.params.token, req))));
+
+  router.get("/admin/door", handle(() => admin.doorState()));
+
+  router.put("/admin/door", handle((req) => {
+    const { blocked, reason } = req.body || {};
+    if (typeof blocked !== "boolean") return { ok: false, code: ErrorCodes.INVALID_PAYLOAD, message: "blocked must be true or false" };
+    return admin.setDoorBlocked(blocked, req, typeof reason === "string" ? reason.slice(0, 200) : null);
+  }));
+
+  router.post("/admin/door/open", handle((req) => admin.openDoor(req)));
+
+  router.get("/admin/events", handle(async (req) => {
+    const n = parseInt(req.query.limit, 10);
+    const limit = Number.isFinite(n) && n > 0 ? Math.min(n, 500) : 100;
+    return { items: await admin.recentEvents(limit) };
+  }));
+
+  return router;
+}
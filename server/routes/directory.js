@@ -0,0 +1,74 @@
+import express from "express";
+import { DirectoryError } from "../directory.js";
+
+// Resident Directory REST API
+// Public:  GET /api/residents?q=&unit=&offset=&limit=, GET /api/residents/:id, GET /api/units
+// Admin:   POST/PATCH/DELETE on units, residents and devices
+
+export function createDirectoryRouter({ directory, requireAdmin }) {
+  const router = express.Router();
+
+  // Turns DirectoryError into a JSON response with its status
+  const handle = (fn) => (req, res) => {
+    try {
+      const result = fn(req, res);
+      if (result === undefined) return res.status(204).end();
+      res.json(result);
+    } catch (err) {
+      if (err instanceof DirectoryError) {
+        return res.status(err.status).json({ message: err.message });
+      }
+      console.error("Directory error:", err);
+      res.status(500).json({ message: "Internal error" });
+    }
+  };
+
+  const int = (value, fallback, max) => {
+    const n = parseInt(value, 10);
+    return Number.isFinite(n) && n >= 0 ? Math.min(n, max) : fallback;
+  };
+
+  // --- Units ---
+  router.get("/units", handle(() => directory.listUnits()));
+  router.post("/units", requireAdmin, handle((req, res) => {
+    res.status(201);
+    return directory.createUnit(req.body || {});
+  }));
+  router.patch("/units/:id", requireAdmin, handle((req) => directory.updateUnit(req.params.id, req.body || {})));
+  router.delete("/units/:id", requireAdmin, handle((req) => { directory.deleteUnit(req.params.id); }));
+
+  // --- Residents ---
+  router.get("/residents", handle((req) => directory.listResidents({
+    q: String(req.query.q || ""),
+    unitId: req.query.unit ? String(req.query.unit) : null,
+    offset: int(req.query.offset, 0, Number.MAX_SAFE_INTEGER),
+    limit: int(req.query.limit, 100, 500),
+  })));
+  router.get("/residents/:id", handle((req) => {
+    const resident = directory.getResident(req.params.id);
+    if (!resident) throw new DirectoryError(404, "Resident not found");
+    return resident;
+  }));
+  router.post("/residents", requireAdmin, handle((req, res) => {
+    res.status(201);
+    return directory.createResident(req.body || {});
+  }));
+  router.patch("/residents/:id", requireAdmin, handle((req) => directory.updateResident(req.params.id, req.body || {})));
+  router.delete("/residents/:id", requireAdmin, handle((req) => { directory.deleteResident(req.params.id); }));
+
+  // --- Devices ---
+  router.get("/residents/:id/devices", requireAdmin, handle((req) => directory.listDevices(req.params.id)));
+  // The response carries the device key and the link that registers the device; shown once
+  router.post("/residents/:id/devices", requireAdmin, handle((req, res) => {
+    const device = directory.createDevice(req.params.id, req.body || {});
+    const resident = directory.getResident(req.params.id);
+    const params = new URLSearchParams({ group: resident.unitId, key: device.key, device: device.name });
+    res.status(201);
+    return { ...device, registerUrl: `${req.protocol}://${req.get("host")}/?${params}` };
+  }));
+  router.delete("/residents/:id/devices/:deviceId", requireAdmin, handle((req) => {
+    directory.deleteDevice(req.params.id, req.params.deviceId);
+  }));
+
+  return router;
+}
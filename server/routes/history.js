@@ -0,0 +1,77 @@
+import express from "express";
+import { toCsv } from "../history.js";
+
+// Call History REST API (admin only)
+// GET /api/history?type=&session=&role=&ip=&from=&to=&offset=&limit=
+//   -> { total, offset, limit, items } (newest first)
+// GET /api/history/export?format=csv|json&<same filters>
+//   -> every matching entry as a download
+
+export function createHistoryRouter({ history, requireAdmin }) {
+  const router = express.Router();
+
+  const int = (value, fallback, max) => {
+    const n = parseInt(value, 10);
+    return Number.isFinite(n) && n >= 0 ? Math.min(n, max) : fallback;
+  };
+
+  // Accepts epoch milliseconds or anything Date.parse understands
+  const time = (value) => {
+    if (!value) return null;
+    const n = /^\d+$/.test(value) ? Number(value) : Date.parse(value);
+    return Number.isFinite(n) ? n : undefined;
+  };
+
+  function filters(req, res) {
+    const from = time(req.query.from);
+    const to = time(req.query.to);
+    if (from === undefined || to === undefined) {
+      res.status(400).json({ message: "from/to must be a date or a timestamp in ms" });
+      return null;
+    }
+    const str = (value) => (value ? String(value) : null);
+    return {
+      type: req.query.type ? String(req.query.type).split(",") : null,
+      session: str(req.query.session),
+      role: str(req.query.role),
+      ip: str(req.query.ip),
+      from,
+      to,
+    };
+  }
+
+  router.get("/history", requireAdmin, async (req, res) => {
+    const query = filters(req, res);
+    if (!query) return;
+    const offset = int(req.query.offset, 0, Number.MAX_SAFE_INTEGER);
+    const limit = int(req.query.limit, 50, 500);
+    try {
+      const { total, items } = await history.query(query, { offset, limit });
+      res.json({ total, offset, limit, items });
+    } catch (err) {
+      console.error("History query failed:", err);
+      res.status(500).json({ message: "Internal error" });
+    }
+  });
+
+  router.get("/history/export", requireAdmin, async (req, res) => {
+    const query = filters(req, res);
+    if (!query) return;
+    const format = req.query.format === "json" ? "json" : "csv";
+    try {
+      const { items } = await history.query(query);
+      const stamp = new Date().toISOString().slice(0, 10);
+      res.attachment(`intercom-history-${stamp}.${format}`);
+      if (format === "json") {
+        res.json(items);
+      } else {
+        res.type("text/csv").send(toCsv(items));
+      }
+    } catch (err) {
+      console.error("History export failed:", err);
+      res.status(500).json({ message: "Internal error" });
+    }
+  });
+
+  return router;
+}
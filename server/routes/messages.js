@@ -0,0 +1,81 @@
+import express from "express";
+import { CLIP_TYPES, VoicemailError } from "../voicemail.js";
+
+// Video Voicemail REST API
+// Visitor:  POST /api/voicemail (raw clip; X-Voicemail-Key from the offer, X-Voicemail-Duration in ms)
+// Resident: GET /api/messages, GET /api/messages/:id/clip, PATCH /api/messages/:id { played },
+//           DELETE /api/messages/:id
+// Residents authenticate with their ring group credentials (X-Intercom-Group / X-Intercom-Key),
+// admins with the Bearer admin key and see every message.
+
+export function createMessagesRouter({ voicemail, authorizeDevice, requireAdmin, maxBytes, onMessage = () => { } }) {
+  const router = express.Router();
+
+  const handle = (fn) => async (req, res) => {
+    try {
+      const result = await fn(req, res);
+      if (res.headersSent) return;
+      if (result === undefined) return res.status(204).end();
+      res.json(result);
+    } catch (err) {
+      if (err instanceof VoicemailError) {
+        return res.status(err.status).json({ message: err.message });
+      }
+      console.error("Voicemail error:", err);
+      res.status(500).json({ message: "Internal error" });
+    }
+  };
+
+  // Sets req.viewer to { group, residentId } for a device, {} for an admin
+  function viewer(req, res, next) {
+    if (req.get("Authorization")) {
+      return requireAdmin(req, res, () => {
+        req.viewer = {};
+        next();
+      });
+    }
+    const group = req.get("X-Intercom-Group");
+    const identity = group ? authorizeDevice(group, req.get("X-Intercom-Key")) : null;
+    if (!identity) return res.status(401).json({ message: "Device credentials required" });
+    req.viewer = { group, residentId: identity.residentId || null };
+    next();
+  }
+
+  const int = (value, fallback, max) => {
+    const n = parseInt(value, 10);
+    return Number.isFinite(n) && n >= 0 ? Math.min(n, max) : fallback;
+  };
+
+  router.post("/voicemail", express.raw({ type: Object.keys(CLIP_TYPES), limit: maxBytes }), handle(async (req, res) => {
+    if (!Buffer.isBuffer(req.body) || req.body.length === 0) {
+      throw new VoicemailError(415, `Expected one of ${Object.keys(CLIP_TYPES).join(", ")}`);
+    }
+    const type = req.get("Content-Type").split(";")[0].trim();
+    const durationMs = parseInt(req.get("X-Voicemail-Duration"), 10);
+    const message = await voicemail.leave(req.get("X-Voicemail-Key"), req.body, type, durationMs);
+    onMessage(message, req);
+    res.status(201);
+    return { id: message.id };
+  }));
+
+  router.get("/messages", viewer, handle((req) => voicemail.list(req.viewer, {
+    offset: int(req.query.offset, 0, Number.MAX_SAFE_INTEGER),
+    limit: int(req.query.limit, 50, 200),
+  })));
+
+  router.get("/messages/:id/clip", viewer, handle(async (req, res) => {
+    const clip = await voicemail.readClip(req.params.id, req.viewer);
+    if (!clip) throw new VoicemailError(404, "Message not found");
+    res.type(clip.type).send(clip.buffer);
+  }));
+
+  router.patch("/messages/:id", viewer, handle((req) => {
+    const { played } = req.body || {};
+    if (typeof played !== "boolean") throw new VoicemailError(400, "played must be a boolean");
+    return voicemail.setPlayed(req.params.id, played, req.viewer);
+  }));
+
+  router.delete("/messages/:id", viewer, handle((req) => { voicemail.remove(req.params.id, req.viewer); }));
+
+  return router;
+}
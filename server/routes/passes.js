@@ -0,0 +1,84 @@
+import express from "express";
+import { PassError } from "../passes.js";
+
+// Guest Access Pass REST API
+// Resident: POST /api/passes { label, validFrom?, validUntil, maxUses?, weekdays?, hours? } -> 201 Pass
+//           GET /api/passes, GET /api/passes/:id, DELETE /api/passes/:id (revoke)
+//           (ring group credentials: X-Intercom-Group / X-Intercom-Key; admins use the Bearer
+//           admin key, see every pass and name the household with `group` when creating one)
+// Public:   POST /api/passes/redeem { code } -> opens the door if the pass is usable now
+// Every Pass comes with its signed `code` and the `url` to put in the QR code.
+
+export function createPassesRouter({ passes, authorizeDevice, requireAdmin, redeem }) {
+  const router = express.Router();
+
+  const handle = (fn) => async (req, res) => {
+    try {
+      const result = await fn(req, res);
+      if (res.headersSent) return;
+      if (result === undefined) return res.status(204).end();
+      res.json(result);
+    } catch (err) {
+      if (err instanceof PassError) {
+        return res.status(err.status).json({ message: err.message });
+      }
+      console.error("Pass error:", err);
+      res.status(500).json({ message: "Internal error" });
+    }
+  };
+
+  // Sets req.viewer to { group, residentId } for a device, {} for an admin
+  function viewer(req, res, next) {
+    if (req.get("Authorization")) {
+      return requireAdmin(req, res, () => {
+        req.viewer = {};
+        next();
+      });
+    }
+    const group = req.get("X-Intercom-Group");
+    const identity = group ? authorizeDevice(group, req.get("X-Intercom-Key")) : null;
+    if (!identity) return res.status(401).json({ message: "Device credentials required" });
+    req.viewer = { group, residentId: identity.residentId || null };
+    next();
+  }
+
+  const withUrl = (req, pass) => ({
+    ...pass,
+    url: `${req.protocol}://${req.get("host")}/connect?pass=${encodeURIComponent(pass.code)}`,
+  });
+
+  // Before /passes/:id so "redeem" isn't taken for an id
+  router.post("/passes/redeem", handle(async (req, res) => {
+    const { code } = req.body || {};
+    if (typeof code !== "string" || !code) throw new PassError(400, "code is required");
+    const result = await redeem(code, req);
+    if (!result.ok) res.status(result.status || 403);
+    return result;
+  }));
+
+  router.post("/passes", viewer, handle((req, res) => {
+    const body = req.body || {};
+    const owner = req.viewer.group
+      ? { ...req.viewer, createdBy: "resident" }
+      : { group: body.group, residentId: body.residentId || null, createdBy: "admin" };
+    const pass = passes.create(body, owner);
+    res.status(201);
+    return withUrl(req, pass);
+  }));
+
+  router.get("/passes", viewer, handle((req) => ({
+    items: passes.list(req.viewer).map((pass) => withUrl(req, pass)),
+  })));
+
+  router.get("/passes/:id", viewer, handle((req) => {
+    const pass = passes.get(req.params.id, req.viewer);
+    if (!pass) throw new PassError(404, "Pass not found");
+    return withUrl(req, pass);
+  }));
+
+  router.delete("/passes/:id", viewer, handle((req) => {
+    if (!passes.revoke(req.params.id, req.viewer)) throw new PassError(404, "Pass not found");
+  }));
+
+  return router;
+}
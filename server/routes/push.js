@@ -0,0 +1,80 @@
+import express from "express";
+import { PushError } from "../push.js";
+
+// Web Push REST API
+// Public:   GET /api/push/key -> { publicKey } (404 when push is not configured)
+// Resident: POST /api/push/subscriptions { subscription, name } -> 201
+//           DELETE /api/push/subscriptions { endpoint }
+//           (ring group credentials: X-Intercom-Group / X-Intercom-Key, as for the messages API)
+// Host:     POST /api/push/session { subscription } (X-Intercom-Session / X-Intercom-Key)
+// Service worker: POST /api/push/decline { token, endpoint } (the endpoint identifies the device)
+//                 GET /api/push/snapshots/:id?exp=&sig= (signed link from the notification)
+
+export function createPushRouter({ push, publicKey, authorizeDevice, attachToSession, decline, readSnapshot }) {
+  const router = express.Router();
+
+  const handle = (fn) => async (req, res) => {
+    try {
+      const result = await fn(req, res);
+      if (res.headersSent) return;
+      if (result === undefined) return res.status(204).end();
+      res.json(result);
+    } catch (err) {
+      if (err instanceof PushError) {
+        return res.status(err.status).json({ message: err.message });
+      }
+      console.error("Push error:", err);
+      res.status(500).json({ message: "Internal error" });
+    }
+  };
+
+  const requireEnabled = (req, res, next) => {
+    if (!push.enabled) return res.status(404).json({ message: "Push notifications are not configured" });
+    next();
+  };
+
+  // Sets req.device to { group, residentId }
+  function device(req, res, next) {
+    const group = req.get("X-Intercom-Group");
+    const identity = group ? authorizeDevice(group, req.get("X-Intercom-Key")) : null;
+    if (!identity) return res.status(401).json({ message: "Device credentials required" });
+    req.device = { group, residentId: identity.residentId || null };
+    next();
+  }
+
+  router.get("/push/key", requireEnabled, (req, res) => res.json({ publicKey }));
+
+  router.post("/push/subscriptions", requireEnabled, device, handle((req, res) => {
+    const { subscription, name } = req.body || {};
+    const record = push.subscribe(subscription, { ...req.device, name });
+    res.status(201);
+    return { endpoint: record.endpoint, group: record.group };
+  }));
+
+  router.delete("/push/subscriptions", device, handle((req) => {
+    const { endpoint } = req.body || {};
+    if (!push.unsubscribe(endpoint, req.device.group)) throw new PushError(404, "Subscription not found");
+  }));
+
+  router.post("/push/session", requireEnabled, handle(async (req) => {
+    const { subscription } = req.body || {};
+    const ok = await attachToSession(req.get("X-Intercom-Session"), req.get("X-Intercom-Key"), subscription);
+    if (!ok) throw new PushError(403, "Only the session host can subscribe");
+  }));
+
+  router.post("/push/decline", handle(async (req) => {
+    const { token, endpoint } = req.body || {};
+    if (typeof token !== "string" || typeof endpoint !== "string") throw new PushError(400, "token and endpoint are required");
+    if (!(await decline(token, endpoint))) throw new PushError(404, "No ringing call for this device");
+  }));
+
+  router.get("/push/snapshots/:id", handle(async (req, res) => {
+    if (!push.verifyLink(req.baseUrl + req.path, req.query.exp, req.query.sig)) throw new PushError(403, "Link invalid or expired");
+    const snapshot = await readSnapshot(req.params.id);
+    if (!snapshot) throw new PushError(404, "Snapshot not found");
+    res.set("Cache-Control", "private, max-age=300");
+    res.type(snapshot.type).send(snapshot.buffer);
+  }));
+
+  return router;
+}
@@ -0,0 +1,62 @@
+import express from "express";
+import { RecordingError } from "../recordings.js";
+
+// Call Recordings REST API
+// Recorder: POST /api/recordings/:id/chunks (raw body; X-Recording-Key, X-Chunk-Index)
+//           POST /api/recordings/:id/complete { durationMs } (X-Recording-Key)
+// Admin:    GET /api/recordings?session=, GET /api/recordings/:id, GET /api/recordings/:id/file
+
+export function createRecordingsRouter({ recordings, requireAdmin, chunkMaxBytes, onComplete = () => { } }) {
+  const router = express.Router();
+
+  const handle = (fn) => async (req, res) => {
+    try {
+      const result = await fn(req, res);
+      if (res.headersSent) return;
+      if (result === undefined) return res.status(204).end();
+      res.json(result);
+    } catch (err) {
+      if (err instanceof RecordingError) {
+        return res.status(err.status).json({ message: err.message });
+      }
+      console.error("Recording error:", err);
+      res.status(500).json({ message: "Internal error" });
+    }
+  };
+
+  // MediaRecorder chunk types vary ("video/webm;codecs=vp8,opus", ...), so take any body
+  router.post("/recordings/:id/chunks", express.raw({ type: () => true, limit: chunkMaxBytes }), handle((req) => {
+    const index = parseInt(req.get("X-Chunk-Index"), 10);
+    if (!Number.isInteger(index) || index < 0) throw new RecordingError(400, "X-Chunk-Index is required");
+    if (!Buffer.isBuffer(req.body) || req.body.length === 0) throw new RecordingError(400, "Empty chunk");
+    return recordings.appendChunk(req.params.id, req.get("X-Recording-Key"), index, req.body);
+  }));
+
+  router.post("/recordings/:id/complete", handle(async (req) => {
+    const durationMs = parseInt(req.body && req.body.durationMs, 10);
+    const recording = await recordings.complete(req.params.id, req.get("X-Recording-Key"), durationMs);
+    onComplete(recording, req);
+    return recording;
+  }));
+
+  router.get("/recordings", requireAdmin, handle((req) => recordings.list({
+    session: req.query.session ? String(req.query.session) : null,
+  })));
+
+  router.get("/recordings/:id", requireAdmin, handle((req) => {
+    const recording = recordings.get(req.params.id);
+    if (!recording) throw new RecordingError(404, "Recording not found");
+    return recording;
+  }));
+
+  router.get("/recordings/:id/file", requireAdmin, (req, res) => {
+    const recording = recordings.get(req.params.id);
+    if (!recording) return res.status(404).json({ message: "Recording not found" });
+    res.type(recording.type);
+    res.sendFile(recordings.pathOf(recording.id), (err) => {
+      if (err && !res.headersSent) res.status(404).json({ message: "Recording file missing" });
+    });
+  });
+
+  return router;
+}
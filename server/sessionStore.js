@@ -0,0 +1,152 @@
+import { randomBytes } from "crypto";
+
+// Session Store
+// Session records (see server.js) live behind this interface so several signaling
+// nodes can share them. The memory store is the single-process default; the Redis
+// store is used when REDIS_URL is set, together with the Socket.IO Redis adapter.
+//
+// Every method is async:
+//   create(token, session)  -> false if the token is already taken
+//   get(token)              -> session | null
+//   update(token, fn)       -> runs fn(session) under a per-session lock and saves the record.
+//                              fn must be synchronous; returning false leaves the record untouched.
+//                              Resolves to the saved session, or null (missing / fn returned false).
+//   delete(token)           -> true only for the caller that actually removed it
+//   list()                  -> every session
+//   forSocket(socketId)     -> sessions the socket is host, guest or a rung device of
+//
+// Records are copied in and out, so callers must save changes through update().
+
+const LOCK_TTL_MS = 2000;
+const LOCK_RETRY_MS = 15;
+const LOCK_ATTEMPTS = 100;
+
+// Sockets referenced by a session record
+function socketsOf(session) {
+  return [session.host, session.guest, ...(session.ringing || [])].filter(Boolean);
+}
+
+const copy = (session) => (session ? structuredClone(session) : null);
+
+export function createMemorySessionStore() {
+  const sessions = new Map();
+
+  return {
+    async create(token, session) {
+      if (sessions.has(token)) return false;
+      sessions.set(token, copy(session));
+      return true;
+    },
+    async get(token) {
+      return copy(sessions.get(token));
+    },
+    async update(token, fn) {
+      const current = sessions.get(token);
+      if (!current) return null;
+      const draft = copy(current);
+      if (fn(draft) === false) return null;
+      sessions.set(token, draft);
+      return copy(draft);
+    },
+    async delete(token) {
+      return sessions.delete(token);
+    },
+    async list() {
+      return [...sessions.values()].map(copy);
+    },
+    async forSocket(socketId) {
+      return [...sessions.values()].filter((s) => socketsOf(s).includes(socketId)).map(copy);
+    },
+  };
+}
+
+// client: a connected node-redis client (or anything with the same get / set / del /
+// mGet / sAdd / sRem / sMembers / pExpire methods).
+// Keys: <prefix>session:<token> (JSON), <prefix>sessions (set of tokens),
+//       <prefix>socket:<socketId> (set of tokens), <prefix>lock:<token>
+// Records expire after `ttlMs` without an update, so a crashed node cannot leak them forever.
+export function createRedisSessionStore({ client, prefix = "intercom:", ttlMs = 12 * 60 * 60 * 1000 }) {
+  const sessionKey = (token) => `${prefix}session:${token}`;
+  const socketKey = (socketId) => `${prefix}socket:${socketId}`;
+  const indexKey = `${prefix}sessions`;
+
+  async function read(token) {
+    if (typeof token !== "string") return null;
+    const value = await client.get(sessionKey(token));
+    return value ? JSON.parse(value) : null;
+  }
+
+  async function index(token, before, after) {
+    const previous = before ? socketsOf(before) : [];
+    const next = after ? socketsOf(after) : [];
+    for (const id of previous.filter((id) => !next.includes(id))) await client.sRem(socketKey(id), token);
+    for (const id of next.filter((id) => !previous.includes(id))) {
+      await client.sAdd(socketKey(id), token);
+      await client.pExpire(socketKey(id), ttlMs);
+    }
+  }
+
+  async function withLock(token, fn) {
+    const key = `${prefix}lock:${token}`;
+    const owner = randomBytes(8).toString("hex");
+    for (let attempt = 0; attempt < LOCK_ATTEMPTS; attempt++) {
+      if (await client.set(key, owner, { NX: true, PX: LOCK_TTL_MS })) {
+        try {
+          return await fn();
+        } finally {
+          if ((await client.get(key)) === owner) await client.del(key);
+        }
+      }
+      await new Promise((resolve) => setTimeout(resolve, LOCK_RETRY_MS));
+    }
+    throw new Error(`Session ${token} is locked`);
+  }
+
+  // Reads the sessions listed in the set at `setKey`; tokens whose record expired are dropped from it
+  async function load(setKey) {
+    const tokens = await client.sMembers(setKey);
+    if (tokens.length === 0) return [];
+    const values = await client.mGet(tokens.map(sessionKey));
+    const stale = tokens.filter((token, i) => !values[i]);
+    if (stale.length > 0) await client.sRem(setKey, stale);
+    return values.filter(Boolean).map((value) => JSON.parse(value));
+  }
+
+  return {
+    async create(token, session) {
+      const created = await client.set(sessionKey(token), JSON.stringify(session), { NX: true, PX: ttlMs });
+      if (!created) return false;
+      await client.sAdd(indexKey, token);
+      await index(token, null, session);
+      return true;
+    },
+    get: read,
+    async update(token, fn) {
+      return withLock(token, async () => {
+        const current = await read(token);
+        if (!current) return null;
+        const draft = structuredClone(current);
+        if (fn(draft) === false) return null;
+        await client.set(sessionKey(token), JSON.stringify(draft), { PX: ttlMs });
+        await index(token, current, draft);
+        return draft;
+      });
+    },
+    async delete(token) {
+      const current = await read(token);
+      const removed = await client.del(sessionKey(token));
+      if (!removed) return false;
+      await client.sRem(indexKey, token);
+      if (current) await index(token, current, null);
+      return true;
+    },
+    async list() {
+      return load(indexKey);
+    },
+    async forSocket(socketId) {
+      const sessions = await load(socketKey(socketId));
+      // The socket index may lag behind an update from another node
+      return sessions.filter((s) => socketsOf(s).includes(socketId));
+    },
+  };
+}
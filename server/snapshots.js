@@ -0,0 +1,72 @@
+import { existsSync, mkdirSync, readdirSync, statSync } from "fs";
+import { readFile, writeFile, unlink } from "fs/promises";
+import { join } from "path";
+import { randomBytes } from "crypto";
+
+// Visitor Snapshots
+// Still frames uploaded by the visitor on join, stored as <dir>/<id>.<ext>.
+// Files older than `retentionMs` are swept. With retentionMs = 0 nothing is
+// kept after the session: the caller removes the snapshot when it ends.
+
+export const SNAPSHOT_TYPES = { "image/jpeg": "jpg", "image/png": "png", "image/webp": "webp" };
+const EXTENSION_TYPES = Object.fromEntries(Object.entries(SNAPSHOT_TYPES).map(([type, ext]) => [ext, type]));
+
+export function createSnapshotStore({ dir, retentionMs = 30 * 24 * 60 * 60 * 1000, now = Date.now }) {
+  function pathFor(id) {
+    if (typeof id !== "string" || !/^[a-f0-9]{16}$/.test(id)) return null;
+    for (const ext of Object.values(SNAPSHOT_TYPES)) {
+      const path = join(dir, `${id}.${ext}`);
+      if (existsSync(path)) return path;
+    }
+    return null;
+  }
+
+  // Returns { id, type, size, at }
+  async function save(buffer, type) {
+    const ext = SNAPSHOT_TYPES[type];
+    if (!ext) throw new Error(`Unsupported snapshot type ${type}`);
+    const id = randomBytes(8).toString("hex");
+    mkdirSync(dir, { recursive: true });
+    await writeFile(join(dir, `${id}.${ext}`), buffer);
+    return { id, type, size: buffer.length, at: now() };
+  }
+
+  // Returns { buffer, type } or null, also when the file goes away between the lookup and the read
+  async function read(id) {
+    const path = pathFor(id);
+    if (!path) return null;
+    try {
+      return { buffer: await readFile(path), type: EXTENSION_TYPES[path.split(".").pop()] };
+    } catch (err) {
+      if (err.code === "ENOENT") return null;
+      throw err;
+    }
+  }
+
+  async function remove(id) {
+    const path = pathFor(id);
+    if (path) await unlink(path).catch(() => { });
+  }
+
+  // Resolves to the number of files removed
+  async function sweep() {
+    if (!existsSync(dir) || retentionMs <= 0) return 0;
+    const cutoff = now() - retentionMs;
+    const unlinks = [];
+    for (const name of readdirSync(dir)) {
+      const path = join(dir, name);
+      try {
+        if (statSync(path).mtimeMs < cutoff) unlinks.push(unlink(path).catch(() => { }));
+      } catch {
+        // Removed concurrently
+      }
+    }
+    await Promise.all(unlinks);
+    return unlinks.length;
+  }
+
+  const sweepTimer = setInterval(sweep, 60 * 60 * 1000);
+  if (sweepTimer.unref) sweepTimer.unref();
+
+  return { save, read, remove, sweep, stop: () => clearInterval(sweepTimer), keepsFiles: retentionMs > 0 };
+}
@@ -0,0 +1,134 @@
+import { randomInt, randomBytes, createHmac } from "crypto";
+import { safeEqual } from "./auth.js";
+
+// Session Token Store
+// Hands out short codes (typed in by hand) and signed long-form tokens (QR URL).
+// Tokens are unique among live entries, expire on the server after `ttlMs`
+// and can only be redeemed once when `singleUse` is set.
+
+const MAX_ALLOCATION_ATTEMPTS = 100;
+const SIGNATURE_LENGTH = 22; // base64url chars (~128 bits)
+
+export function createTokenStore(options = {}) {
+  const {
+    length = 6,
+    alphabet = "0123456789",
+    ttlMs = 60000,
+    singleUse = true,
+    secret = "",
+    now = Date.now,
+    onExpire = () => { },
+  } = options;
+
+  if (length < 1) throw new Error("Token length must be at least 1");
+  if (new Set(alphabet).size !== alphabet.length || alphabet.length < 2) {
+    throw new Error("Token alphabet must contain at least 2 unique characters");
+  }
+
+  const signingKey = secret || randomBytes(32).toString("hex");
+  const capacity = Math.pow(alphabet.length, length);
+
+  // Key: Token (String)
+  // Value: { data, expiresAt, redeemedAt, timer }
+  const entries = new Map();
+
+  function randomCode() {
+    let code = "";
+    for (let i = 0; i < length; i++) {
+      code += alphabet[randomInt(alphabet.length)];
+    }
+    return code;
+  }
+
+  function sign(token, expiresAt) {
+    const payload = `${token}.${expiresAt.toString(36)}`;
+    const mac = createHmac("sha256", signingKey).update(payload).digest("base64url");
+    return `${payload}.${mac.slice(0, SIGNATURE_LENGTH)}`;
+  }
+
+  function expire(token) {
+    const entry = entries.get(token);
+    if (!entry || entry.redeemedAt) return;
+    entries.delete(token);
+    onExpire(token, entry.data);
+  }
+
+  // Allocate a new token that does not collide with any live entry
+  function issue(data = null) {
+    if (entries.size >= capacity) {
+      throw new Error("Token space exhausted");
+    }
+
+    let token;
+    let attempts = 0;
+    do {
+      if (++attempts > MAX_ALLOCATION_ATTEMPTS) {
+        throw new Error("Could not allocate a unique token");
+      }
+      token = randomCode();
+    } while (entries.has(token));
+
+    const expiresAt = now() + ttlMs;
+    const timer = setTimeout(() => expire(token), ttlMs);
+    if (timer.unref) timer.unref();
+
+    entries.set(token, { data, expiresAt, redeemedAt: null, timer });
+    return { token, signed: sign(token, expiresAt), expiresAt, ttlMs };
+  }
+
+  // Accepts either the short code or the signed long form and returns the short code.
+  // Returns null if a signed token is malformed, tampered with or past its expiry.
+  function resolve(input) {
+    if (typeof input !== "string") return null;
+    const value = input.trim();
+    if (!value.includes(".")) return value;
+
+    const parts = value.split(".");
+    if (parts.length !== 3) return null;
+    const [token, expiry] = parts;
+
+    if (!safeEqual(sign(token, parseInt(expiry, 36)), value)) return null;
+    if (parseInt(expiry, 36) <= now()) return null;
+    return token;
+  }
+
+  // Redeem a token for a join. Result: { ok, token, data } or { ok: false, reason }
+  // reason: "invalid" | "expired" | "used"
+  function redeem(input) {
+    const token = resolve(input);
+    if (!token) return { ok: false, reason: "invalid" };
+
+    const entry = entries.get(token);
+    if (!entry) return { ok: false, reason: "invalid" };
+
+    if (!entry.redeemedAt && entry.expiresAt <= now()) {
+      expire(token);
+      return { ok: false, reason: "expired" };
+    }
+    if (entry.redeemedAt && singleUse) {
+      return { ok: false, reason: "used" };
+    }
+
+    if (!entry.redeemedAt) {
+      clearTimeout(entry.timer);
+      entry.redeemedAt = now();
+    }
+    return { ok: true, token, data: entry.data };
+  }
+
+  // Release a token (session ended) so the code can be handed out again
+  function revoke(token) {
+    const entry = entries.get(token);
+    if (!entry) return;
+    clearTimeout(entry.timer);
+    entries.delete(token);
+  }
+
+  function get(token) {
+    const entry = entries.get(token);
+    if (!entry) return null;
+    return { data: entry.data, expiresAt: entry.expiresAt, redeemedAt: entry.redeemedAt };
+  }
+
+  return { issue, resolve, redeem, revoke, get, get size() { return entries.size; } };
+}
@@ -0,0 +1,97 @@
+import { createHmac } from "crypto";
+
+// TURN Credentials (TURN REST API / coturn `use-auth-secret`)
+// username   = "<unix expiry>:<user id>"
+// credential = base64(HMAC-SHA1(shared secret, username))
+// coturn checks the HMAC with the same `static-auth-secret` and rejects the
+// username once its expiry timestamp has passed.
+
+// "turn.example.com" -> turn:...:3478?transport=udp, turn:...:3478?transport=tcp, turns:...:5349?transport=tcp
+// Entries that already carry a scheme are passed through untouched.
+export function expandTurnUrls(hosts, options = {}) {
+  const { transports = ["udp", "tcp"], port = 3478, tls = false, tlsPort = 5349 } = options;
+  const urls = [];
+  for (const entry of hosts) {
+    const host = entry.trim();
+    if (!host) continue;
+    if (/^turns?:/.test(host)) {
+      urls.push(host);
+      continue;
+    }
+    for (const transport of transports) {
+      urls.push(`turn:${host}:${port}?transport=${transport}`);
+    }
+    if (tls) urls.push(`turns:${host}:${tlsPort}?transport=tcp`);
+  }
+  return urls;
+}
+
+export function signTurnUsername(secret, username) {
+  return createHmac("sha1", secret).update(username).digest("base64");
+}
+
+export function createTurnCredentials(options = {}) {
+  const {
+    secret = "",
+    turnUrls = [],
+    stunUrls = ["stun:stun.l.google.com:19302"],
+    ttlSeconds = 3600,
+    // Re-issue once less than this fraction of the lifetime is left
+    renewFraction = 0.5,
+    now = Date.now,
+  } = options;
+
+  // Key: client id (a hash of the member's resume key, see turnClientId in server.js),
+  // Value: { response, expiresAt }
+  const cache = new Map();
+
+  function stunServers() {
+    return stunUrls.length > 0 ? [{ urls: stunUrls }] : [];
+  }
+
+  function mint(clientId) {
+    const expiry = Math.floor(now() / 1000) + ttlSeconds;
+    const username = `${expiry}:${clientId}`;
+    return {
+      iceServers: [
+        ...stunServers(),
+        { urls: turnUrls, username, credential: signTurnUsername(secret, username) },
+      ],
+      ttl: ttlSeconds,
+      expiresAt: expiry * 1000,
+    };
+  }
+
+  // Returns { iceServers, ttl, expiresAt }. Without a secret / TURN URLs only STUN is offered.
+  function issue(clientId) {
+    if (!secret || turnUrls.length === 0) {
+      return { iceServers: stunServers(), ttl: null, expiresAt: null };
+    }
+
+    const t = now();
+    const cached = cache.get(clientId);
+    if (cached && cached.expiresAt - t > ttlSeconds * 1000 * renewFraction) {
+      return cached.response;
+    }
+
+    // Members that leave without a revoke (e.g. a crashed tab) would otherwise stay cached
+    sweep();
+    const response = mint(clientId);
+    cache.set(clientId, { response, expiresAt: response.expiresAt });
+    return response;
+  }
+
+  // Drops expired entries; issue() runs it whenever it mints
+  function sweep() {
+    const t = now();
+    for (const [clientId, entry] of cache) {
+      if (entry.expiresAt <= t) cache.delete(clientId);
+    }
+  }
+
+  function revoke(clientId) {
+    cache.delete(clientId);
+  }
+
+  return { issue, revoke, sweep, get size() { return cache.size; }, get enabled() { return Boolean(secret && turnUrls.length); } };
+}
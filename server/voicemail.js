@@ -0,0 +1,159 @@
+import { readFileSync, existsSync, mkdirSync } from "fs";
+import { readFile, writeFile, rename, unlink } from "fs/promises";
+import { dirname, join } from "path";
+import { randomBytes } from "crypto";
+
+// Video Voicemail
+// When nobody answers, the visitor gets a one-off upload grant and may leave a
+// short clip. Clips are stored as <dir>/<id>.<ext>, the message list in `file`.
+//
+// Message: { id, group, resident, sessionId, token, snapshotId, type, size, durationMs,
+//            createdAt, played, playedAt }
+// Grants live in memory only: Key: grant key, Value: { group, resident, sessionId, token, snapshotId, expiresAt }
+
+export const CLIP_TYPES = { "video/webm": "webm", "video/mp4": "mp4", "audio/webm": "weba", "audio/mp4": "m4a" };
+
+export class VoicemailError extends Error {
+  constructor(status, message) {
+    super(message);
+    this.status = status;
+  }
+}
+
+export function createVoicemail(options) {
+  const {
+    dir,
+    file,
+    grantTtlMs = 5 * 60 * 1000,
+    retentionMs = 30 * 24 * 60 * 60 * 1000,
+    now = Date.now,
+  } = options;
+
+  let messages = [];
+  if (file && existsSync(file)) messages = JSON.parse(readFileSync(file, "utf8")).messages || [];
+
+  const grants = new Map();
+
+  // Same serialized tmp+rename writes as the directory
+  let writing = Promise.resolve();
+  function save() {
+    if (!file) return writing;
+    const snapshot = JSON.stringify({ messages }, null, 2);
+    writing = writing.then(async () => {
+      mkdirSync(dirname(file), { recursive: true });
+      await writeFile(`${file}.tmp`, snapshot);
+      await rename(`${file}.tmp`, file);
+    }).catch((err) => {
+      console.error("Failed to save voicemail index:", err.message);
+    });
+    return writing;
+  }
+
+  // context: { group, resident, sessionId, token, snapshotId }. Returns { key, expiresAt }.
+  function grant(context) {
+    const key = randomBytes(18).toString("base64url");
+    const expiresAt = now() + grantTtlMs;
+    grants.set(key, { ...context, expiresAt });
+    return { key, expiresAt };
+  }
+
+  // Consumes the grant. Returns the new message.
+  async function leave(key, buffer, type, durationMs) {
+    const context = typeof key === "string" ? grants.get(key) : null;
+    if (!context || context.expiresAt <= now()) {
+      grants.delete(key);
+      throw new VoicemailError(403, "No voicemail was offered for this call, or it has expired");
+    }
+    const ext = CLIP_TYPES[type];
+    if (!ext) throw new VoicemailError(415, `Unsupported clip type ${type}`);
+    grants.delete(key);
+
+    const id = randomBytes(8).toString("hex");
+    mkdirSync(dir, { recursive: true });
+    await writeFile(join(dir, `${id}.${ext}`), buffer);
+
+    const { expiresAt, ...rest } = context;
+    const message = {
+      id,
+      ...rest,
+      type,
+      size: buffer.length,
+      durationMs: Number.isFinite(durationMs) ? durationMs : null,
+      createdAt: new Date(now()).toISOString(),
+      played: false,
+      playedAt: null,
+    };
+    messages.push(message);
+    save();
+    return { ...message };
+  }
+
+  // Messages a device of `group` may see: household-wide ones plus those for its resident.
+  // residentId null (household device) sees everything for the group. Without a group: all (admin).
+  function visibleTo(message, { group, residentId }) {
+    if (group === undefined) return true;
+    if (message.group !== group) return false;
+    return !residentId || !message.resident || message.resident === residentId;
+  }
+
+  // Newest first. Returns { total, unplayed, items }.
+  function list(viewer = {}, { offset = 0, limit = 50 } = {}) {
+    const matches = messages.filter((m) => visibleTo(m, viewer)).reverse();
+    return {
+      total: matches.length,
+      unplayed: matches.filter((m) => !m.played).length,
+      items: matches.slice(offset, offset + limit).map((m) => ({ ...m })),
+    };
+  }
+
+  function get(id, viewer = {}) {
+    const message = messages.find((m) => m.id === id);
+    return message && visibleTo(message, viewer) ? { ...message } : null;
+  }
+
+  // Returns { buffer, type } or null
+  async function readClip(id, viewer = {}) {
+    const message = get(id, viewer);
+    if (!message) return null;
+    const path = join(dir, `${message.id}.${CLIP_TYPES[message.type]}`);
+    if (!existsSync(path)) return null;
+    return { buffer: await readFile(path), type: message.type };
+  }
+
+  function setPlayed(id, played, viewer = {}) {
+    const message = messages.find((m) => m.id === id);
+    if (!message || !visibleTo(message, viewer)) throw new VoicemailError(404, "Message not found");
+    message.played = Boolean(played);
+    message.playedAt = message.played ? new Date(now()).toISOString() : null;
+    save();
+    return { ...message };
+  }
+
+  function remove(id, viewer = {}) {
+    const message = messages.find((m) => m.id === id);
+    if (!message || !visibleTo(message, viewer)) throw new VoicemailError(404, "Message not found");
+    messages = messages.filter((m) => m !== message);
+    unlink(join(dir, `${message.id}.${CLIP_TYPES[message.type]}`)).catch(() => { });
+    save();
+  }
+
+  // Drops expired grants and messages past the retention period
+  function sweep() {
+    const t = now();
+    for (const [key, context] of grants) {
+      if (context.expiresAt <= t) grants.delete(key);
+    }
+    if (retentionMs <= 0) return;
+    const expired = messages.filter((m) => Date.parse(m.createdAt) < t - retentionMs);
+    for (const message of expired) remove(message.id);
+  }
+
+  const sweepTimer = setInterval(sweep, 60 * 60 * 1000);
+  if (sweepTimer.unref) sweepTimer.unref();
+
+  return {
+    grant, leave, list, get, readClip, setPlayed, remove, sweep,
+    stop: () => clearInterval(sweepTimer),
+    flush: () => writing,
+  };
+}
@@ -0,0 +1,142 @@
+import { mkdirSync } from "fs";
+import { appendFile } from "fs/promises";
+import { dirname } from "path";
+import { createHmac } from "crypto";
+import { safeEqual } from "./auth.js";
+
+// Outgoing Webhooks
+// Every intercom event (server/events.js) is POSTed as JSON to each configured URL.
+// Headers:
+//   X-Intercom-Event      e.g. door.opened
+//   X-Intercom-Delivery   the event id (the same for every retry, so receivers can de-duplicate)
+//   X-Intercom-Timestamp  ms since the epoch, when this attempt was sent
+//   X-Intercom-Signature  sha256=<hex HMAC-SHA256 of "<timestamp>.<body>" keyed with the secret>
+// Network errors, timeouts and 408 / 429 / 5xx answers are retried with exponential backoff
+// (a longer Retry-After is respected). Other answers, and deliveries that run out of attempts,
+// are appended to the dead-letter file (JSON Lines) to be replayed by hand.
+// Deliveries run side by side, so events can arrive out of order: order them by `at`.
+// Retries wait in memory: a restart drops them without a dead-letter entry.
+
+export function signPayload(secret, timestamp, body) {
+  return `sha256=${createHmac("sha256", secret).update(`${timestamp}.${body}`).digest("hex")}`;
+}
+
+// For receivers: true if `signature` matches and `timestamp` is within `toleranceMs` of now
+export function verifySignature(secret, { timestamp, signature }, body, { toleranceMs = 5 * 60 * 1000, now = Date.now } = {}) {
+  if (!timestamp || !signature) return false;
+  if (Math.abs(now() - Number(timestamp)) > toleranceMs) return false;
+  return safeEqual(signPayload(secret, timestamp, body), signature);
+}
+
+const RETRY_STATUSES = new Set([408, 429]);
+
+export function createWebhooks({
+  urls = [],
+  secret = "",
+  events = [],
+  deadLetterFile = null,
+  maxAttempts = 6,
+  backoffMs = 1000,
+  backoffMaxMs = 5 * 60 * 1000,
+  timeoutMs = 5000,
+  fetch = globalThis.fetch,
+  now = Date.now,
+} = {}) {
+  if (urls.length > 0 && !secret) throw new Error("Webhooks require a signing secret (WEBHOOK_SECRET)");
+
+  const inFlight = new Set();
+  // Dead-letter appends are serialized like the history file
+  let writing = Promise.resolve();
+
+  const delay = (ms) => new Promise((resolve) => {
+    const timer = setTimeout(resolve, ms);
+    if (timer.unref) timer.unref();
+  });
+
+  // Result: { ok: true } or { ok: false, retry, error, status?, retryAfterMs? }
+  async function attempt(url, message, body) {
+    const timestamp = String(now());
+    let res;
+    try {
+      res = await fetch(url, {
+        method: "POST",
+        headers: {
+          "Content-Type": "application/json",
+          "User-Agent": "webrtc-intercom-webhooks",
+          "X-Intercom-Event": message.event,
+          "X-Intercom-Delivery": message.id,
+          "X-Intercom-Timestamp": timestamp,
+          "X-Intercom-Signature": signPayload(secret, timestamp, body),
+        },
+        body,
+        signal: AbortSignal.timeout(timeoutMs),
+      });
+    } catch (err) {
+      const error = err.name === "TimeoutError" ? `No response within ${timeoutMs}ms` : err.message;
+      return { ok: false, retry: true, error };
+    }
+    // Nothing is read from the answer; release the connection
+    if (res.body) res.body.cancel().catch(() => { });
+    if (res.ok) return { ok: true };
+    const retryAfter = parseInt(res.headers.get("Retry-After"), 10);
+    return {
+      ok: false,
+      retry: res.status >= 500 || RETRY_STATUSES.has(res.status),
+      status: res.status,
+      error: `HTTP ${res.status}`,
+      retryAfterMs: Number.isFinite(retryAfter) ? retryAfter * 1000 : 0,
+    };
+  }
+
+  function deadLetter(url, message, attempts, result) {
+    if (!deadLetterFile) return;
+    const line = JSON.stringify({
+      failedAt: new Date(now()).toISOString(),
+      url,
+      attempts,
+      status: result.status,
+      error: result.error,
+      message,
+    }) + "\n";
+    writing = writing.then(async () => {
+      mkdirSync(dirname(deadLetterFile), { recursive: true });
+      await appendFile(deadLetterFile, line);
+    }).catch((err) => {
+      console.error("Failed to write webhook dead letter:", err.message);
+    });
+  }
+
+  // Resolves with { ok, attempts } once delivered or given up
+  async function deliver(url, message, body) {
+    for (let attempts = 1; ; attempts++) {
+      const result = await attempt(url, message, body);
+      if (result.ok) return { ok: true, attempts };
+      if (!result.retry || attempts >= maxAttempts) {
+        console.warn(`Webhook ${message.event} to ${url} failed after ${attempts} attempt(s): ${result.error}`);
+        deadLetter(url, message, attempts, result);
+        return { ok: false, attempts };
+      }
+      const backoff = Math.min(backoffMs * 2 ** (attempts - 1), backoffMaxMs);
+      await delay(Math.min(Math.max(backoff, result.retryAfterMs || 0), backoffMaxMs));
+    }
+  }
+
+  // message: { id, event, at, data }. Delivery runs in the background.
+  function publish(message) {
+    if (events.length > 0 && !events.includes(message.event)) return;
+    const body = JSON.stringify(message);
+    for (const url of urls) {
+      const delivery = deliver(url, message, body);
+      inFlight.add(delivery);
+      delivery.finally(() => inFlight.delete(delivery));
+    }
+  }
+
+  // Waits for every delivery started so far, retries included, and the dead-letter writes
+  async function flush() {
+    while (inFlight.size > 0) await Promise.all(inFlight);
+    await writing;
+  }
+
+  return { publish, flush, get enabled() { return urls.length > 0; } };
+}
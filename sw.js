@@ -0,0 +1,141 @@
+// Service Worker
+// 1. App shell cache: pages and static assets are served from the cache (and refreshed
+//    in the background) so the door panel and installed app start without the network.
+//    API calls and the Socket.IO connection always go to the server.
+// 2. Push: shows the "Visitor at the door" notification sent by the server (server/push.js)
+//    when the app is closed or asleep. Answer opens the call (payload.url), Decline tells
+//    the server without opening the app.
+//
+// Push payload: { type: "ring", token, group, title, body, image, url, expiresAt }
+
+// Keep the main.js version in step with the ?v= in the pages; changing this file is
+// also what makes browsers install the new worker and drop the old cache.
+const SHELL_CACHE = "intercom-shell-v49";
+const SHELL_PAGES = ["/", "/index.html", "/kiosk.html", "/generate_token.html"];
+const SHELL_ASSETS = [
+    "/main.js?v=49",
+    "/sdk/intercomClient.js",
+    "/style.css",
+    "/qrcode.min.js",
+    "/socket.io/socket.io.js",
+    "/manifest.webmanifest",
+    "/kiosk.webmanifest",
+    "/icon.svg",
+];
+const SHELL_PATHS = new Set([...SHELL_PAGES, ...SHELL_ASSETS.map((url) => new URL(url, self.location.origin).pathname)]);
+
+self.addEventListener("install", (event) => {
+    event.waitUntil(caches.open(SHELL_CACHE)
+        .then((cache) => cache.addAll([...SHELL_PAGES, ...SHELL_ASSETS]))
+        .then(() => self.skipWaiting()));
+});
+
+self.addEventListener("activate", (event) => {
+    event.waitUntil(caches.keys()
+        .then((keys) => Promise.all(keys
+            .filter((key) => key.startsWith("intercom-shell-") && key !== SHELL_CACHE)
+            .map((key) => caches.delete(key))))
+        .then(() => self.clients.claim()));
+});
+
+self.addEventListener("fetch", (event) => {
+    const { request } = event;
+    if (request.method !== "GET") return;
+    const url = new URL(request.url);
+    if (url.origin !== self.location.origin) return;
+
+    if (request.mode === "navigate") {
+        event.respondWith(networkFirst(request, url));
+    } else if (SHELL_PATHS.has(url.pathname)) {
+        event.respondWith(staleWhileRevalidate(event, request));
+    }
+});
+
+// Pages: fresh when online, the cached copy when not (/connect is index.html)
+async function networkFirst(request, url) {
+    const cache = await caches.open(SHELL_CACHE);
+    try {
+        const response = await fetch(request);
+        if (response.ok && SHELL_PAGES.includes(url.pathname)) cache.put(url.pathname, response.clone());
+        return response;
+    } catch (err) {
+        return (await cache.match(url.pathname)) || (await cache.match("/index.html")) || Response.error();
+    }
+}
+
+// Assets: answer from the cache at once, update it for the next load
+async function staleWhileRevalidate(event, request) {
+    const cache = await caches.open(SHELL_CACHE);
+    const cached = await cache.match(request);
+    const refresh = fetch(request).then((response) => {
+        if (response.ok) cache.put(request, response.clone());
+        return response;
+    });
+    if (!cached) return refresh;
+    event.waitUntil(refresh.catch(() => { }));
+    return cached;
+}
+
+self.addEventListener("push", (event) => {
+    let message = null;
+    try {
+        message = event.data ? event.data.json() : null;
+    } catch (err) {
+        return;
+    }
+    if (!message || message.type !== "ring") return;
+    event.waitUntil(showRing(message));
+});
+
+async function showRing(message) {
+    // A visible window already shows the incoming call modal
+    const windows = await self.clients.matchAll({ type: "window", includeUncontrolled: true });
+    if (windows.some((client) => client.visibilityState === "visible")) return;
+    if (message.expiresAt && message.expiresAt < Date.now()) return;
+
+    await self.registration.showNotification(message.title || "Visitor at the door", {
+        body: message.body || "",
+        tag: message.token,
+        renotify: true,
+        requireInteraction: true,
+        image: message.image || undefined,
+        icon: message.image || undefined,
+        data: { token: message.token, url: message.url },
+        actions: [
+            { action: "answer", title: "Answer" },
+            { action: "decline", title: "Decline" },
+        ],
+    });
+}
+
+self.addEventListener("notificationclick", (event) => {
+    const { token, url } = event.notification.data || {};
+    event.notification.close();
+    event.waitUntil(event.action === "decline" ? decline(token) : openCall(url));
+});
+
+async function decline(token) {
+    const subscription = await self.registration.pushManager.getSubscription();
+    if (!subscription || !token) return;
+    try {
+        await fetch("/api/push/decline", {
+            method: "POST",
+            headers: { "Content-Type": "application/json" },
+            body: JSON.stringify({ token, endpoint: subscription.endpoint }),
+        });
+    } catch (err) {
+        console.warn("Could not decline the call:", err);
+    }
+}
+
+// Reuse an open window of the app if there is one. Without a url (token session host)
+// the window that created the session is just brought to the front.
+async function openCall(url) {
+    const windows = await self.clients.matchAll({ type: "window", includeUncontrolled: true });
+    const existing = windows.find((client) => new URL(client.url).origin === self.location.origin);
+    if (existing) {
+        const client = url ? await existing.navigate(url).catch(() => existing) : existing;
+        return (client || existing).focus();
+    }
+    return self.clients.openWindow(url || "/");
+}
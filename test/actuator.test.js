@@ -0,0 +1,67 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { createActuator } from "../server/actuators/index.js";
+
+const wait = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+test("a driver that answers reports success or failure", async () => {
+  const ok = createActuator({ driver: "mock", pulseMs: 0 });
+  const result = await ok.trigger({ durationMs: 0 });
+  assert.equal(result.status, "success");
+  assert.equal(result.driver, "mock");
+  assert.ok(result.elapsedMs >= 0);
+
+  const broken = createActuator({ driver: "mock", pulseMs: 0, mock: { behavior: "failure" } });
+  assert.deepEqual(
+    { ...(await broken.trigger()), elapsedMs: 0 },
+    { status: "failure", driver: "mock", error: "Mock actuator failure", elapsedMs: 0 },
+  );
+});
+
+test("a driver that never answers times out", async () => {
+  const actuator = createActuator({ driver: "mock", pulseMs: 0, timeoutMs: 50, mock: { behavior: "hang" } });
+  const result = await actuator.trigger();
+  assert.equal(result.status, "timeout");
+  assert.equal(result.error, "No response within 50ms");
+  assert.ok(result.elapsedMs >= 45, `timed out after ${result.elapsedMs}ms`);
+});
+
+test("a second trigger during the pulse is refused", async () => {
+  const actuator = createActuator({ driver: "mock", pulseMs: 100, mock: { latencyMs: 20 } });
+  const first = actuator.trigger();
+  assert.equal((await actuator.trigger()).status, "busy");
+  assert.equal((await first).status, "success");
+
+  // The guard stays up for the rest of the pulse, not only while the driver answers
+  assert.equal((await actuator.trigger()).status, "busy");
+  assert.equal(actuator.driver.calls.length, 1);
+
+  await wait(120);
+  assert.equal((await actuator.trigger({ durationMs: 0 })).status, "success");
+  assert.equal(actuator.driver.calls.length, 2);
+});
+
+test("without a driver the door is not configured", async () => {
+  const actuator = createActuator();
+  assert.equal(actuator.driver, null);
+  assert.equal((await actuator.trigger()).status, "not-configured");
+  assert.throws(() => createActuator({ driver: "telnet" }), /Unknown door actuator driver/);
+});
+
+test("a blocked door refuses without touching the driver until unblocked", async () => {
+  const actuator = createActuator({ driver: "mock", pulseMs: 0 });
+  const block = actuator.setBlocked(true, "Fire drill");
+  assert.equal(block.reason, "Fire drill");
+  assert.deepEqual(actuator.blocked, block);
+
+  const refused = await actuator.trigger();
+  assert.equal(refused.status, "blocked");
+  assert.equal(refused.error, "Door is blocked: Fire drill");
+  actuator.setBlocked(true);
+  assert.equal((await actuator.trigger()).error, "Door is blocked by an operator");
+  assert.equal(actuator.driver.calls.length, 0);
+
+  assert.equal(actuator.setBlocked(false), null);
+  assert.equal(actuator.blocked, null);
+  assert.equal((await actuator.trigger({ durationMs: 0 })).status, "success");
+});
@@ -0,0 +1,101 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { normalizeCallReport } from "../server/callReports.js";
+
+// Drops the fields normalizeCallReport leaves undefined, as JSON would
+const json = (value) => JSON.parse(JSON.stringify(value));
+
+test("a report keeps its known fields and nothing else", () => {
+  const report = normalizeCallReport({
+    reason: "ice-failed",
+    isCaller: true,
+    connectionState: "failed",
+    iceConnectionState: "failed",
+    iceGatheringState: "complete",
+    profile: { preferred: "hd", active: "sd", secret: "x" },
+    iceServers: [["stun:stun.example.com", "turn:turn.example.com"], "turns:turn.example.com"],
+    iceErrors: [{ errorCode: 701, errorText: "STUN host lookup failed", url: "stun:stun.example.com", extra: 1 }],
+    latest: {
+      at: 1704067200000, lossPercent: 2.5, rttMs: 120, jitterMs: 8, sendKbps: 900, recvKbps: 850,
+      turnServer: "turn.example.com", codecs: ["video/VP8", "audio/opus"],
+      pair: { local: { type: "relay", protocol: "udp", port: 3478, password: "x" }, remote: { type: "host" } },
+      packetsSent: 1000,
+    },
+    userAgent: "ignored",
+  });
+
+  assert.deepEqual(json(report), {
+    reason: "ice-failed",
+    isCaller: true,
+    connectionState: "failed",
+    iceConnectionState: "failed",
+    iceGatheringState: "complete",
+    profile: { preferred: "hd", active: "sd" },
+    iceServers: [["stun:stun.example.com", "turn:turn.example.com"], "turns:turn.example.com"],
+    iceErrors: [{ errorCode: 701, errorText: "STUN host lookup failed", url: "stun:stun.example.com" }],
+    latest: {
+      at: 1704067200000, lossPercent: 2.5, rttMs: 120, jitterMs: 8, sendKbps: 900, recvKbps: 850,
+      turnServer: "turn.example.com", codecs: ["video/VP8", "audio/opus"],
+      pair: { local: { type: "relay", protocol: "udp", port: 3478 }, remote: { type: "host" } },
+    },
+  });
+});
+
+test("anything without a reason is not a report", () => {
+  for (const body of [undefined, null, "ice-failed", 42, [], [{ reason: "x" }], {}, { reason: "" }, { reason: 5 }, { reason: ["x"] }]) {
+    assert.equal(normalizeCallReport(body), null, JSON.stringify(body));
+  }
+});
+
+test("missing and mistyped fields are left out", () => {
+  const report = normalizeCallReport({
+    reason: "timeout",
+    isCaller: "yes",
+    connectionState: 3,
+    profile: "hd",
+    iceServers: "stun:stun.example.com",
+    iceErrors: [null, "x", { errorCode: "701" }],
+    latest: { rttMs: "120", lossPercent: null, codecs: "VP8", pair: "relay", turnServer: 1 },
+    samples: {},
+  });
+  assert.deepEqual(json(report), { reason: "timeout", iceErrors: [{}], latest: {} });
+  assert.deepEqual(json(normalizeCallReport({ reason: "timeout" })), { reason: "timeout" });
+});
+
+test("numbers are clamped to their range and non-finite ones dropped", () => {
+  const report = normalizeCallReport({
+    reason: "poor-connection",
+    iceErrors: [{ errorCode: 70100 }, { errorCode: -1 }],
+    latest: {
+      at: -5, lossPercent: 250, rttMs: 1e12, jitterMs: -3, sendKbps: Infinity, recvKbps: Number.NaN,
+      pair: { local: { port: 99999 }, remote: { port: -80 } },
+    },
+  });
+  assert.deepEqual(report.iceErrors, [{ errorCode: 999 }, { errorCode: 0 }]);
+  assert.deepEqual(json(report.latest), {
+    at: 0, lossPercent: 100, rttMs: 60000, jitterMs: 0, pair: { local: { port: 65535 }, remote: { port: 0 } },
+  });
+});
+
+test("oversized reports are clipped", () => {
+  const sample = (i) => ({ at: i, rttMs: i, codecs: Array.from({ length: 20 }, (_, c) => `codec-${c}`) });
+  const report = normalizeCallReport({
+    reason: "x".repeat(10000),
+    connectionState: "y".repeat(300),
+    iceServers: Array.from({ length: 100 }, (_, i) => Array.from({ length: 10 }, () => `turn:${i}.example.com`)),
+    iceErrors: Array.from({ length: 100 }, (_, i) => ({ errorCode: 700, errorText: "z".repeat(1000), url: `stun:${i}` })),
+    samples: Array.from({ length: 100 }, (_, i) => sample(i)),
+  });
+
+  assert.equal(report.reason.length, 200);
+  assert.equal(report.connectionState.length, 200);
+  assert.equal(report.iceServers.length, 20);
+  assert.ok(report.iceServers.every((urls) => urls.length === 5));
+  assert.equal(report.iceErrors.length, 20);
+  // The newest entries are kept
+  assert.equal(report.iceErrors[19].url, "stun:99");
+  assert.equal(report.iceErrors[0].errorText.length, 200);
+  assert.deepEqual(report.samples.map((s) => s.at), Array.from({ length: 15 }, (_, i) => 85 + i));
+  assert.equal(report.samples[0].codecs.length, 8);
+  assert.ok(JSON.stringify(report).length < 20000);
+});
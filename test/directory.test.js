@@ -0,0 +1,147 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { mkdtempSync, readFileSync, rmSync } from "node:fs";
+import { tmpdir } from "node:os";
+import { join } from "node:path";
+import { createDirectory, DirectoryError, DEFAULT_POLICY } from "../server/directory.js";
+import { createDirectoryRouter } from "../server/routes/directory.js";
+import { requireAdmin } from "../server/auth.js";
+import { serve } from "./helpers/http.js";
+
+const ADMIN_KEY = "admin-key";
+
+function tempFile() {
+  const dir = mkdtempSync(join(tmpdir(), "intercom-directory-"));
+  return { file: join(dir, "directory.json"), remove: () => rmSync(dir, { recursive: true, force: true }) };
+}
+
+test("units, residents and devices survive a reload, device keys only as hashes", async () => {
+  const { file, remove } = tempFile();
+  const first = createDirectory({ file });
+  first.createUnit({ id: "12A", name: "Flat 12A", floor: 3 });
+  const anna = first.createResident({ name: " Anna ", unitId: "12A", policy: { dnd: "unit" } });
+  const device = first.createDevice(anna.id, { name: "Kitchen tablet" });
+  await first.flush();
+
+  assert.equal(readFileSync(file, "utf8").includes(device.key), false);
+  const second = createDirectory({ file });
+  assert.deepEqual(second.listUnits(), [{ id: "12A", name: "Flat 12A", floor: 3 }]);
+  assert.deepEqual(second.getResident(anna.id), {
+    id: anna.id, name: "Anna", unitId: "12A", policy: { dnd: "unit", offline: "unit" }, unitName: "Flat 12A",
+  });
+  assert.deepEqual(second.listDevices(anna.id).map((d) => d.name), ["Kitchen tablet"]);
+  assert.equal("keyHash" in second.listDevices(anna.id)[0], false);
+  assert.deepEqual(second.authenticateDevice("12A", device.key), { residentId: anna.id, deviceId: device.id });
+  remove();
+});
+
+test("a device key only registers for its resident's unit", () => {
+  const directory = createDirectory({ file: null });
+  directory.createUnit({ id: "12A", name: "Flat 12A" });
+  directory.createUnit({ id: "12B", name: "Flat 12B" });
+  const anna = directory.createResident({ name: "Anna", unitId: "12A" });
+  const { key } = directory.createDevice(anna.id, {});
+
+  assert.equal(directory.authenticateDevice("12B", key), null);
+  assert.equal(directory.authenticateDevice("12A", `${key}x`), null);
+  assert.equal(directory.authenticateDevice("12A", ""), null);
+  // Moving house moves the key with the resident
+  directory.updateResident(anna.id, { unitId: "12B" });
+  assert.equal(directory.authenticateDevice("12B", key).residentId, anna.id);
+  // Deleting the resident revokes the device
+  directory.deleteResident(anna.id);
+  assert.equal(directory.authenticateDevice("12B", key), null);
+});
+
+test("unit and resident fields are validated", () => {
+  const directory = createDirectory({ file: null });
+  const refused = (fn, status, message) => assert.throws(fn, (err) => err instanceof DirectoryError && err.status === status && message.test(err.message));
+
+  refused(() => directory.createUnit({ name: "  " }), 400, /name is required/);
+  refused(() => directory.createUnit({ id: 12, name: "Flat" }), 400, /id is required/);
+  assert.equal(directory.createUnit({ id: "12A", name: "x".repeat(50) }).name.length, 40);
+  refused(() => directory.updateUnit("12A", { name: "" }), 400, /name is required/);
+
+  refused(() => directory.createResident({ name: "Anna" }), 400, /Unknown unitId/);
+  refused(() => directory.createResident({ unitId: "12A" }), 400, /name is required/);
+  refused(() => directory.createResident({ name: "Anna", unitId: "12A", policy: "none" }), 400, /policy must be an object/);
+  refused(() => directory.createResident({ name: "Anna", unitId: "12A", policy: { offline: "ring" } }), 400, /policy.offline must be one of reject, unit/);
+  const anna = directory.createResident({ name: "Anna", unitId: "12A" });
+  assert.deepEqual(anna.policy, DEFAULT_POLICY);
+  refused(() => directory.updateResident(anna.id, { unitId: "99" }), 400, /Unknown unitId/);
+  // A partial policy keeps the other field
+  assert.deepEqual(directory.updateResident(anna.id, { policy: { dnd: "ring" } }).policy, { dnd: "ring", offline: "unit" });
+});
+
+test("duplicate and missing ids are refused", () => {
+  const directory = createDirectory({ file: null });
+  directory.createUnit({ id: "12A", name: "Flat 12A" });
+  assert.throws(() => directory.createUnit({ id: "12A", name: "Again" }), { status: 409, message: "Unit 12A already exists" });
+  assert.throws(() => directory.createUnit({ id: " 12A ", name: "Again" }), { status: 409 });
+  assert.match(directory.createUnit({ name: "No id" }).id, /^unit_[a-f0-9]{12}$/);
+
+  const anna = directory.createResident({ name: "Anna", unitId: "12A" });
+  assert.throws(() => directory.deleteUnit("12A"), { status: 409, message: "Unit still has residents" });
+  assert.throws(() => directory.deleteUnit("99"), { status: 404 });
+  assert.throws(() => directory.updateResident("res_missing", {}), { status: 404 });
+  assert.throws(() => directory.createDevice("res_missing", {}), { status: 404 });
+  assert.throws(() => directory.deleteDevice(anna.id, "dev_missing"), { status: 404 });
+});
+
+test("residents are searched by name and unit, sorted and paged", () => {
+  const directory = createDirectory({ file: null });
+  directory.createUnit({ id: "12A", name: "Garden flat" });
+  directory.createUnit({ id: "12B", name: "Attic" });
+  for (const [name, unitId] of [["Cleo", "12A"], ["Anna", "12B"], ["Ben", "12A"]]) directory.createResident({ name, unitId });
+
+  const names = (filter) => directory.listResidents(filter).items.map((r) => r.name);
+  assert.deepEqual(names(), ["Anna", "Ben", "Cleo"]);
+  assert.deepEqual(names({ q: "garden" }), ["Ben", "Cleo"]);
+  assert.deepEqual(names({ q: "AN" }), ["Anna"]);
+  assert.deepEqual(names({ unitId: "12B" }), ["Anna"]);
+  assert.deepEqual(directory.listResidents({ offset: 1, limit: 1 }), { total: 3, items: [directory.listResidents().items[1]] });
+});
+
+// Admin or anonymous REST calls against the router; resolves with { request, close }
+async function serveDirectory(directory) {
+  const { url, close } = await serve(createDirectoryRouter({ directory, requireAdmin: requireAdmin(ADMIN_KEY) }));
+  async function request(method, path, { body, admin = true } = {}) {
+    const headers = { "Content-Type": "application/json" };
+    if (admin) headers.Authorization = `Bearer ${ADMIN_KEY}`;
+    const res = await fetch(`${url}${path}`, { method, headers, body: body === undefined ? undefined : JSON.stringify(body) });
+    return { status: res.status, body: res.status === 204 ? null : await res.json() };
+  }
+  return { request, close };
+}
+
+test("the REST API answers with the directory's status codes", async (t) => {
+  const directory = createDirectory({ file: null });
+  const { request, close } = await serveDirectory(directory);
+  t.after(close);
+
+  assert.equal((await request("POST", "/units", { body: { id: "12A", name: "Flat 12A" }, admin: false })).status, 401);
+  assert.equal((await request("POST", "/units", { body: { id: "12A", name: "Flat 12A" } })).status, 201);
+  const duplicate = await request("POST", "/units", { body: { id: "12A", name: "Again" } });
+  assert.deepEqual(duplicate, { status: 409, body: { message: "Unit 12A already exists" } });
+  assert.equal((await request("PATCH", "/units/99", { body: { name: "Nope" } })).status, 404);
+  assert.equal((await request("POST", "/residents", { body: { name: "Anna", unitId: "99" } })).status, 400);
+
+  const created = await request("POST", "/residents", { body: { name: "Anna", unitId: "12A" } });
+  assert.equal(created.status, 201);
+  const id = created.body.id;
+  // Reading the directory is public, its devices are not
+  assert.equal((await request("GET", `/residents/${id}`, { admin: false })).body.name, "Anna");
+  assert.equal((await request("GET", "/residents/res_missing", { admin: false })).status, 404);
+  assert.equal((await request("GET", `/residents/${id}/devices`, { admin: false })).status, 401);
+
+  const device = await request("POST", `/residents/${id}/devices`, { body: { name: "Phone" } });
+  assert.equal(device.status, 201);
+  const link = new URL(device.body.registerUrl);
+  assert.deepEqual(Object.fromEntries(link.searchParams), { group: "12A", key: device.body.key, device: "Phone" });
+
+  assert.equal((await request("DELETE", "/units/12A")).status, 409);
+  assert.equal((await request("DELETE", `/residents/${id}/devices/${device.body.id}`)).status, 204);
+  assert.equal((await request("DELETE", `/residents/${id}`)).status, 204);
+  assert.equal((await request("DELETE", "/units/12A")).status, 204);
+  assert.deepEqual((await request("GET", "/units", { admin: false })).body, []);
+});
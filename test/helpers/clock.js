@@ -0,0 +1,12 @@
+// Clock for stores that take a `now` option: it only moves when a test moves it
+
+// 2024-01-01T00:00:00Z, a Monday
+export const T0 = 1704067200000;
+
+export function fixedClock(start = T0) {
+  let t = start;
+  const now = () => t;
+  now.advance = (ms) => { t += ms; };
+  now.set = (ms) => { t = ms; };
+  return now;
+}
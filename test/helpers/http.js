@@ -0,0 +1,15 @@
+import express from "express";
+
+// Mounts `router` under /api on a free port, as server.js does; resolves with { url, close }
+export async function serve(router) {
+  const app = express();
+  app.use(express.json());
+  app.use("/api", router);
+  const server = await new Promise((resolve) => {
+    const listening = app.listen(0, "127.0.0.1", () => resolve(listening));
+  });
+  return {
+    url: `http://127.0.0.1:${server.address().port}/api`,
+    close: () => new Promise((resolve) => server.close(resolve)),
+  };
+}
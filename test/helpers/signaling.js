@@ -0,0 +1,133 @@
+import { before, after } from "node:test";
+import { mkdtempSync, rmSync } from "node:fs";
+import { tmpdir } from "node:os";
+import { join } from "node:path";
+import { Server as HttpsServer } from "node:https";
+import { io as connectClient } from "socket.io-client";
+import { PROTOCOL_VERSION } from "../../server/protocol.js";
+
+// End-to-end signaling: server.js runs in the test process on a free port and socket.io-client
+// peers are scripted against it. config.js reads the environment when server.js is first
+// imported, so every configuration needs a test file (and so a process) of its own.
+
+// Resolves with the next payload of `event`, or rejects after `timeoutMs`
+export function next(socket, event, timeoutMs = 2000) {
+  return new Promise((resolve, reject) => {
+    const onEvent = (payload) => {
+      clearTimeout(timer);
+      resolve(payload);
+    };
+    const timer = setTimeout(() => {
+      socket.off(event, onEvent);
+      reject(new Error(`${event} not received within ${timeoutMs}ms`));
+    }, timeoutMs);
+    socket.once(event, onEvent);
+  });
+}
+
+// Resolves with every payload of `event` seen during `ms`
+export function collect(socket, event, ms = 200) {
+  const seen = [];
+  const onEvent = (payload) => seen.push(payload);
+  socket.on(event, onEvent);
+  return new Promise((resolve) => setTimeout(() => {
+    socket.off(event, onEvent);
+    resolve(seen);
+  }, ms));
+}
+
+// Starts server.js with `env` for the tests of the calling file.
+// Returns { url, io, api, connect, track, createSession, joinSession, pair }; url and io are set once it listens.
+export function startIntercom(env = {}) {
+  const dataDir = mkdtempSync(join(tmpdir(), "intercom-e2e-"));
+  Object.assign(process.env, {
+    PORT: "0",
+    DATA_DIR: dataDir,
+    // Every peer sends its own X-Forwarded-For address, so the per-IP limits of one
+    // scenario don't spill into the next
+    TRUST_PROXY: "true",
+    ...env,
+  });
+  delete process.env.REDIS_URL;
+
+  const clients = [];
+  let addresses = 0;
+  // Server request logging; warnings (e.g. outgoing payload drift) and errors still show
+  const log = console.log;
+
+  const intercom = { url: null, io: null, api, connect, track, createSession, joinSession, pair };
+
+  before(async () => {
+    console.log = () => { };
+    const started = await import("../../server.js");
+    intercom.io = started.io;
+    const { port } = await started.listening;
+    // Without NODE_ENV=production a checkout with key.pem / cert.pem serves HTTPS
+    const scheme = started.server instanceof HttpsServer ? "https" : "http";
+    intercom.url = `${scheme}://127.0.0.1:${port}`;
+  });
+
+  after(async () => {
+    for (const client of clients) client.close();
+    await new Promise((resolve) => intercom.io.close(resolve));
+    // Let the grace timers of the sockets closed above run before the data dir goes
+    await new Promise((resolve) => setTimeout(resolve, Number(process.env.RESUME_GRACE_MS || 0) + 200));
+    rmSync(dataDir, { recursive: true, force: true });
+    console.log = log;
+  });
+
+  // REST call as the admin; resolves with { status, body }
+  async function api(method, path, body) {
+    const res = await fetch(`${intercom.url}${path}`, {
+      method,
+      headers: { Authorization: `Bearer ${process.env.ADMIN_KEY}`, "Content-Type": "application/json" },
+      body: body === undefined ? undefined : JSON.stringify(body),
+    });
+    return { status: res.status, body: res.status === 204 ? null : await res.json() };
+  }
+
+  // Closed with the other peers after the tests
+  function track(socket) {
+    clients.push(socket);
+    return socket;
+  }
+
+  // A connected peer speaking the current protocol
+  async function connect({ auth = { protocol: PROTOCOL_VERSION } } = {}) {
+    const socket = track(connectClient(intercom.url, {
+      auth,
+      transports: ["websocket"],
+      reconnection: false,
+      forceNew: true,
+      rejectUnauthorized: false,
+      extraHeaders: { "X-Forwarded-For": `10.0.${Math.floor(addresses / 250)}.${(addresses++ % 250) + 1}` },
+    }));
+    await next(socket, "connect");
+    return socket;
+  }
+
+  async function createSession() {
+    const host = await connect();
+    const created = next(host, "session-created");
+    host.emit("create-session");
+    return { host, session: await created };
+  }
+
+  async function joinSession(token) {
+    const guest = await connect();
+    const joined = next(guest, "session-joined");
+    guest.emit("join-session", token);
+    return { guest, joined: await joined };
+  }
+
+  // Host and guest in one session, each knowing the other's id
+  async function pair() {
+    const { host, session } = await createSession();
+    const peerJoined = next(host, "peer-joined");
+    const { guest, joined } = await joinSession(session.token);
+    await peerJoined;
+    return { host, guest, session, joined };
+  }
+
+  return intercom;
+}
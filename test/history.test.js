@@ -0,0 +1,110 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { existsSync, mkdtempSync, readFileSync, rmSync } from "node:fs";
+import { tmpdir } from "node:os";
+import { join } from "node:path";
+import { createHistory, HistoryEvents, toCsv } from "../server/history.js";
+import { T0, fixedClock } from "./helpers/clock.js";
+
+function tempFile() {
+  const dir = mkdtempSync(join(tmpdir(), "intercom-history-"));
+  return { file: join(dir, "history.jsonl"), remove: () => rmSync(dir, { recursive: true, force: true }) };
+}
+
+const lines = (path) => readFileSync(path, "utf8").trim().split("\n").map((line) => JSON.parse(line));
+
+test("entries are appended as JSON Lines without undefined fields", async () => {
+  const { file, remove } = tempFile();
+  const history = createHistory({ file, now: fixedClock() });
+  const entry = history.record(HistoryEvents.SESSION_CREATED, { sessionId: "s1", role: "resident", ip: undefined });
+  await history.flush();
+
+  assert.deepEqual(lines(file), [entry]);
+  assert.equal(entry.at, new Date(T0).toISOString());
+  assert.equal("ip" in entry, false);
+  remove();
+});
+
+test("a full file is rotated and the oldest one dropped", async () => {
+  const { file, remove } = tempFile();
+  // Each entry is a bit over 100 bytes, so every file holds two
+  const history = createHistory({ file, maxBytes: 250, maxFiles: 2, now: fixedClock() });
+  const recorded = [];
+  for (let i = 0; i < 7; i++) recorded.push(history.record(HistoryEvents.OFFER, { sessionId: `s${i}`, padding: "x".repeat(20) }));
+  await history.flush();
+
+  const ids = (path) => lines(path).map((e) => e.sessionId);
+  assert.deepEqual(ids(file), ["s6"]);
+  assert.deepEqual(ids(`${file}.1`), ["s4", "s5"]);
+  assert.deepEqual(ids(`${file}.2`), ["s2", "s3"]);
+  assert.equal(existsSync(`${file}.3`), false);
+
+  // Queries read across the rotated files, newest first
+  const { total, items } = await history.query();
+  assert.equal(total, 5);
+  assert.deepEqual(items.map((e) => e.id), recorded.slice(2).reverse().map((e) => e.id));
+  remove();
+});
+
+test("the size of an existing file counts towards rotation after a restart", async () => {
+  const { file, remove } = tempFile();
+  const first = createHistory({ file, maxBytes: 250, maxFiles: 1, now: fixedClock() });
+  first.record(HistoryEvents.OFFER, { sessionId: "s0", padding: "x".repeat(20) });
+  first.record(HistoryEvents.OFFER, { sessionId: "s1", padding: "x".repeat(20) });
+  await first.flush();
+
+  const second = createHistory({ file, maxBytes: 250, maxFiles: 1, now: fixedClock() });
+  second.record(HistoryEvents.OFFER, { sessionId: "s2", padding: "x".repeat(20) });
+  await second.flush();
+  assert.deepEqual(lines(file).map((e) => e.sessionId), ["s2"]);
+  assert.deepEqual(lines(`${file}.1`).map((e) => e.sessionId), ["s0", "s1"]);
+  remove();
+});
+
+test("queries filter by type, session, role, address and time", async () => {
+  const now = fixedClock();
+  const { file, remove } = tempFile();
+  const history = createHistory({ file, now });
+  history.record(HistoryEvents.SESSION_CREATED, { sessionId: "s1", token: "111111", role: "resident", ip: "10.0.0.1" });
+  now.advance(1000);
+  history.record(HistoryEvents.SESSION_JOINED, { sessionId: "s1", token: "111111", role: "visitor", ip: "10.0.0.2" });
+  now.advance(1000);
+  history.record(HistoryEvents.SESSION_CREATED, { sessionId: "s2", token: "222222", role: "resident", ip: "10.0.0.1" });
+
+  const sessions = async (filters, page) => (await history.query(filters, page)).items.map((e) => e.sessionId);
+  assert.deepEqual(await sessions({ type: HistoryEvents.SESSION_CREATED }), ["s2", "s1"]);
+  assert.deepEqual(await sessions({ type: [HistoryEvents.SESSION_JOINED, HistoryEvents.SESSION_ENDED] }), ["s1"]);
+  assert.deepEqual(await sessions({ session: "111111" }), ["s1", "s1"]);
+  assert.deepEqual(await sessions({ role: "visitor" }), ["s1"]);
+  assert.deepEqual(await sessions({ ip: "10.0.0.1" }), ["s2", "s1"]);
+  assert.deepEqual(await sessions({ from: T0 + 1000, to: T0 + 1000 }), ["s1"]);
+  assert.deepEqual(await sessions({}, { offset: 1, limit: 1 }), ["s1"]);
+  assert.equal((await history.query({}, { limit: 1 })).total, 3);
+  remove();
+});
+
+test("subscribers get every entry, and a failing one doesn't stop the others", () => {
+  const history = createHistory({ file: null, now: fixedClock() });
+  const seen = [];
+  const unsubscribe = history.subscribe((entry) => seen.push(entry.type));
+  history.subscribe(() => { throw new Error("boom"); });
+  const error = console.error;
+  console.error = () => { };
+  try {
+    history.record(HistoryEvents.OFFER);
+    unsubscribe();
+    history.record(HistoryEvents.HANGUP);
+  } finally {
+    console.error = error;
+  }
+  assert.deepEqual(seen, [HistoryEvents.OFFER]);
+});
+
+test("CSV export quotes cells and folds the remaining fields into details", () => {
+  const csv = toCsv([{ id: "h1", at: "2024-01-01T00:00:00.000Z", type: "door.open", userAgent: "A, \"B\"", status: "success" }]);
+  assert.equal(csv, [
+    "at,type,sessionId,token,role,socketId,ip,userAgent,durationMs,details",
+    '2024-01-01T00:00:00.000Z,door.open,,,,,,"A, ""B""",,"{""status"":""success""}"',
+    "",
+  ].join("\r\n"));
+});
@@ -0,0 +1,124 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { createPassStore, PassReasons } from "../server/passes.js";
+import { T0, fixedClock } from "./helpers/clock.js";
+
+const HOUR = 60 * 60 * 1000;
+const DAY = 24 * HOUR;
+
+function store(options = {}) {
+  const now = fixedClock();
+  const passes = createPassStore({ file: null, secret: "s", timeZone: "UTC", now, ...options });
+  return { passes, now };
+}
+
+const owner = { group: "12A", residentId: "anna" };
+
+test("a pass opens only between validFrom and validUntil", () => {
+  const { passes, now } = store();
+  const pass = passes.create({ label: "Cleaner", validFrom: T0 + HOUR, validUntil: T0 + 2 * HOUR }, owner);
+
+  assert.equal(passes.redeem(pass.code).reason, PassReasons.NOT_YET_VALID);
+  now.set(T0 + HOUR);
+  assert.equal(passes.redeem(pass.code).ok, true);
+  now.set(T0 + 2 * HOUR);
+  assert.equal(passes.redeem(pass.code).reason, PassReasons.EXPIRED);
+});
+
+test("uses are counted up to maxUses", () => {
+  const { passes } = store();
+  const pass = passes.create({ validUntil: T0 + DAY, maxUses: 2 }, owner);
+
+  assert.equal(passes.redeem(pass.code).pass.uses, 1);
+  assert.equal(passes.redeem(pass.code).pass.uses, 2);
+  const refused = passes.redeem(pass.code);
+  assert.equal(refused.reason, PassReasons.USED_UP);
+  assert.equal(refused.pass.uses, 2);
+});
+
+test("weekdays are checked in the building's time zone", () => {
+  // Monday 23:30 UTC is already Tuesday in Berlin
+  const monday = [1];
+  const late = T0 + 23.5 * HOUR;
+  const utc = store({ now: fixedClock(late) }).passes;
+  const berlin = store({ now: fixedClock(late), timeZone: "Europe/Berlin" }).passes;
+
+  const a = utc.create({ validUntil: late + DAY, weekdays: monday }, owner);
+  const b = berlin.create({ validUntil: late + DAY, weekdays: monday }, owner);
+  assert.equal(utc.redeem(a.code).ok, true);
+  assert.equal(berlin.redeem(b.code).reason, PassReasons.WRONG_DAY);
+});
+
+test("hours may run past midnight", () => {
+  const { passes, now } = store();
+  const night = passes.create({ validUntil: T0 + 2 * DAY, hours: { from: "22:00", to: "06:00" } }, owner);
+  const day = passes.create({ validUntil: T0 + 2 * DAY, hours: { from: "09:00", to: "17:00" } }, owner);
+  const at = (hours) => passes.check(passes.get(night.id), T0 + hours * HOUR);
+  const atDay = (hours) => passes.check(passes.get(day.id), T0 + hours * HOUR);
+
+  assert.equal(at(23), null);
+  assert.equal(at(24 + 5.99), null);
+  assert.equal(at(6), PassReasons.OUTSIDE_HOURS);
+  assert.equal(at(12), PassReasons.OUTSIDE_HOURS);
+  assert.equal(at(22), null);
+
+  assert.equal(atDay(9), null);
+  assert.equal(atDay(16.99), null);
+  assert.equal(atDay(17), PassReasons.OUTSIDE_HOURS);
+  assert.equal(atDay(8.99), PassReasons.OUTSIDE_HOURS);
+  now.set(T0 + 12 * HOUR);
+  assert.equal(passes.redeem(night.code).reason, PassReasons.OUTSIDE_HOURS);
+});
+
+test("tampered, unknown and revoked codes don't open", () => {
+  const { passes } = store();
+  const pass = passes.create({ validUntil: T0 + DAY }, owner);
+  const [id, signature] = pass.code.split(".");
+
+  assert.equal(passes.redeem(`${id}.${signature.slice(1)}x`).reason, PassReasons.INVALID);
+  assert.equal(passes.redeem(`${id}.${signature}.x`).reason, PassReasons.INVALID);
+  assert.equal(passes.redeem(id).reason, PassReasons.INVALID);
+  assert.equal(passes.redeem(null).reason, PassReasons.INVALID);
+  // Signed with another secret
+  const other = store({ secret: "t" }).passes;
+  assert.equal(other.redeem(pass.code).reason, PassReasons.INVALID);
+
+  assert.ok(passes.revoke(pass.id, { group: "12A" }).revokedAt);
+  assert.equal(passes.redeem(pass.code).reason, PassReasons.REVOKED);
+  assert.equal(passes.revoke(pass.id, { group: "12B" }), null);
+});
+
+test("a refund gives the use back and restores lastUsedAt", () => {
+  const { passes, now } = store();
+  const pass = passes.create({ validUntil: T0 + DAY, maxUses: 1 }, owner);
+
+  const first = passes.redeem(pass.code);
+  assert.equal(first.previousUsedAt, null);
+  assert.equal(passes.redeem(pass.code).reason, PassReasons.USED_UP);
+  const refunded = passes.refund(pass.id, first.previousUsedAt);
+  assert.equal(refunded.uses, 0);
+  assert.equal(refunded.lastUsedAt, null);
+
+  now.advance(HOUR);
+  const second = passes.redeem(pass.code);
+  assert.equal(second.ok, true);
+  assert.equal(second.pass.lastUsedAt, new Date(T0 + HOUR).toISOString());
+
+  assert.equal(passes.refund(pass.id, second.previousUsedAt).uses, 0);
+  assert.equal(passes.refund(pass.id), null);
+  assert.equal(passes.refund("unknown"), null);
+});
+
+test("bad pass requests are refused", () => {
+  const { passes } = store({ maxDays: 7, maxPerGroup: 1 });
+  assert.throws(() => passes.create({ validUntil: T0 + DAY }, {}), { status: 400 });
+  assert.throws(() => passes.create({ validUntil: T0 - 1 }, owner), /after validFrom/);
+  assert.throws(() => passes.create({ validUntil: T0 + 8 * DAY }, owner), /at most 7 days/);
+  assert.throws(() => passes.create({ validUntil: T0 + DAY, maxUses: 0 }, owner), /maxUses/);
+  assert.throws(() => passes.create({ validUntil: T0 + DAY, weekdays: [7] }, owner), /weekdays/);
+  assert.throws(() => passes.create({ validUntil: T0 + DAY, hours: { from: "9:00", to: "17:00" } }, owner), /HH:MM/);
+  assert.throws(() => passes.create({ validUntil: T0 + DAY, hours: { from: "09:00", to: "09:00" } }, owner), /differ/);
+
+  passes.create({ validUntil: T0 + DAY }, owner);
+  assert.throws(() => passes.create({ validUntil: T0 + DAY }, owner), { status: 409 });
+});
@@ -0,0 +1,91 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { createPresence, PresenceStatus } from "../server/presence.js";
+import { fixedClock } from "./helpers/clock.js";
+
+// Presence with a fixed clock, recording every onChange and onExpire
+function tracked(options = {}) {
+  const now = fixedClock();
+  const changes = [];
+  const expired = [];
+  const presence = createPresence({
+    heartbeatTimeoutMs: 60000,
+    now,
+    onChange: (residentId, status) => changes.push(`${residentId}:${status}`),
+    onExpire: (socketId) => expired.push(socketId),
+    ...options,
+  });
+  return { presence, now, changes, expired };
+}
+
+test("a resident is available while one of their devices is online", (t) => {
+  const { presence, changes } = tracked();
+  t.after(() => presence.stop());
+
+  assert.equal(presence.statusOf("anna"), PresenceStatus.OFFLINE);
+  presence.deviceOnline("phone", "anna");
+  presence.deviceOnline("tablet", "anna");
+  // Devices registered with the group key have no resident
+  presence.deviceOnline("kiosk", null);
+  assert.deepEqual(presence.snapshot(), { anna: PresenceStatus.AVAILABLE });
+
+  presence.deviceOffline("phone");
+  assert.equal(presence.statusOf("anna"), PresenceStatus.AVAILABLE);
+  presence.deviceOffline("tablet");
+  presence.deviceOffline("unknown");
+  assert.deepEqual(changes, ["anna:available", "anna:offline"]);
+  assert.deepEqual(presence.snapshot(), {});
+});
+
+test("a call on any device makes the resident busy until it ends", (t) => {
+  const { presence, changes } = tracked();
+  t.after(() => presence.stop());
+  presence.deviceOnline("phone", "anna");
+  presence.deviceOnline("tablet", "anna");
+
+  presence.setInCall("phone", true);
+  presence.setInCall("phone", true);
+  assert.equal(presence.statusOf("anna"), PresenceStatus.BUSY);
+  // Busy wins over a manual status, which comes back after the call
+  presence.setManual("tablet", PresenceStatus.DND);
+  assert.equal(presence.statusOf("anna"), PresenceStatus.BUSY);
+  presence.setInCall("phone", false);
+  assert.equal(presence.statusOf("anna"), PresenceStatus.DND);
+  // Hanging up on a device that has gone is harmless
+  presence.setInCall("gone", false);
+  assert.deepEqual(changes, ["anna:available", "anna:busy", "anna:dnd"]);
+});
+
+test("only residents' devices set a manual status, and only a settable one", (t) => {
+  const { presence } = tracked();
+  t.after(() => presence.stop());
+  presence.deviceOnline("phone", "anna");
+
+  assert.equal(presence.setManual("visitor", PresenceStatus.AWAY), false);
+  assert.equal(presence.setManual("phone", PresenceStatus.BUSY), false);
+  assert.equal(presence.setManual("phone", PresenceStatus.AWAY), true);
+  assert.equal(presence.statusOf("anna"), PresenceStatus.AWAY);
+  assert.equal(presence.setManual("phone", PresenceStatus.AVAILABLE), true);
+  assert.equal(presence.statusOf("anna"), PresenceStatus.AVAILABLE);
+  assert.equal(presence.residentOf("phone"), "anna");
+  assert.equal(presence.residentOf("visitor"), null);
+});
+
+test("devices without a heartbeat are swept and reported as expired", (t) => {
+  const { presence, now, changes, expired } = tracked();
+  t.after(() => presence.stop());
+  presence.deviceOnline("phone", "anna");
+  presence.deviceOnline("tablet", "ben");
+
+  now.advance(30000);
+  assert.equal(presence.heartbeat("tablet"), true);
+  now.advance(30001);
+  presence.sweep();
+
+  assert.deepEqual(expired, ["phone"]);
+  assert.equal(presence.statusOf("anna"), PresenceStatus.OFFLINE);
+  assert.equal(presence.statusOf("ben"), PresenceStatus.AVAILABLE);
+  // The swept device has to register again
+  assert.equal(presence.heartbeat("phone"), false);
+  assert.deepEqual(changes, ["anna:available", "ben:available", "anna:offline"]);
+});
@@ -0,0 +1,65 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import {
+  ClientEvents, ServerEvents, AdminClientEvents, PROTOCOL_VERSION, MIN_PROTOCOL_VERSION,
+  validate, negotiate, describeErrors,
+} from "../server/protocol.js";
+
+const OFFER = { type: "offer", sdp: "v=0\r\n" };
+
+test("clients get the highest version both sides speak", () => {
+  assert.deepEqual(negotiate({ protocol: PROTOCOL_VERSION }), { ok: true, version: PROTOCOL_VERSION });
+  assert.deepEqual(negotiate({ protocol: PROTOCOL_VERSION + 5 }), { ok: true, version: PROTOCOL_VERSION });
+});
+
+test("clients without a version, or below the minimum, are refused", () => {
+  for (const auth of [undefined, null, {}, { protocol: "2" }, { protocol: 1.5 }]) {
+    assert.deepEqual(negotiate(auth), { ok: false, version: 1 }, JSON.stringify(auth));
+  }
+  assert.equal(negotiate({ protocol: MIN_PROTOCOL_VERSION - 1 }).ok, false);
+});
+
+test("payloads that match their schema pass", () => {
+  assert.deepEqual(validate(ClientEvents, "create-session", undefined), []);
+  assert.deepEqual(validate(ClientEvents, "join-session", "123456"), []);
+  assert.deepEqual(validate(ClientEvents, "offer", { target: "abc", sdp: OFFER }), []);
+  assert.deepEqual(validate(ClientEvents, "open-door", {}), []);
+  assert.deepEqual(validate(ClientEvents, "ring-group", { resident: "anna" }), []);
+  // Unknown fields are ignored
+  assert.deepEqual(validate(ClientEvents, "hangup", { target: "abc", extra: 1 }), []);
+  assert.deepEqual(validate(ServerEvents, "protocol", { version: 2, min: 2, latest: 2 }), []);
+  assert.deepEqual(validate(AdminClientEvents, "kick-guest", { token: "123456" }), []);
+});
+
+test("malformed payloads are reported field by field", () => {
+  assert.deepEqual(validate(ClientEvents, "offer", { target: "", sdp: { type: "candidate" } }), [
+    { field: "target", message: "must not be empty" },
+    { field: "sdp", message: "type must be offer or answer" },
+  ]);
+  assert.deepEqual(validate(ClientEvents, "hangup", "abc"), [{ field: "payload", message: "must be an object" }]);
+  assert.deepEqual(validate(ClientEvents, "hangup", null), [{ field: "payload", message: "must be an object" }]);
+  assert.deepEqual(validate(ClientEvents, "join-session", 123456), [{ field: "payload", message: "must be a string" }]);
+  assert.deepEqual(validate(ClientEvents, "join-session", "x".repeat(201)), [
+    { field: "payload", message: "must be at most 200 characters" },
+  ]);
+  assert.deepEqual(validate(ClientEvents, "set-presence", { status: "busy" }), [
+    { field: "status", message: "must be one of available, dnd, away" },
+  ]);
+  assert.deepEqual(validate(ClientEvents, "resume-session", { token: "123456", resumeKey: "k", hasCall: "yes" }), [
+    { field: "hasCall", message: "must be true or false" },
+  ]);
+});
+
+test("either-or fields need one of them", () => {
+  const errors = validate(ClientEvents, "ring-group", {});
+  assert.deepEqual(errors, [{ field: "group", message: "or resident is required" }]);
+  assert.equal(describeErrors("ring-group", errors), "ring-group: group or resident is required");
+});
+
+test("events outside the protocol are unknown", () => {
+  assert.deepEqual(validate(ClientEvents, "take-over", {}), [{ field: "event", message: "is not part of the protocol" }]);
+  // Server events aren't accepted from clients
+  assert.equal(validate(ClientEvents, "incoming-call", { token: "t", group: "g", caller: "c" }).length, 1);
+  // Nor admin events on the main namespace
+  assert.equal(validate(ClientEvents, "kick-guest", { token: "123456" }).length, 1);
+});
@@ -0,0 +1,81 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { createPush, parseSubscription, PushError } from "../server/push.js";
+
+// Local mock push service: records deliveries, answers with a status per endpoint
+function createMockTransport(statusFor = () => 201) {
+  const delivered = [];
+  return {
+    delivered,
+    async send(subscription, payload, options) {
+      delivered.push({ endpoint: subscription.endpoint, keys: subscription.keys, message: JSON.parse(payload), options });
+      return { statusCode: statusFor(subscription.endpoint) };
+    },
+  };
+}
+
+const subscription = (id) => ({
+  endpoint: `https://push.example.com/send/${id}`,
+  keys: { p256dh: `p256dh-${id}`, auth: `auth-${id}` },
+});
+
+test("subscribe validates and replaces the record for an endpoint", () => {
+  const push = createPush({ file: null, transport: createMockTransport() });
+  push.subscribe(subscription("a"), { group: "12A", residentId: "anna", name: "Phone" });
+  push.subscribe(subscription("a"), { group: "12B", name: "Phone" });
+
+  assert.deepEqual(push.recipients("12A"), []);
+  assert.equal(push.recipients("12B").length, 1);
+  assert.throws(() => push.subscribe({ endpoint: "http://insecure.example.com/x", keys: {} }, { group: "12A" }), PushError);
+  assert.throws(() => parseSubscription({ endpoint: "https://push.example.com/x" }), /keys/);
+});
+
+test("recipients follow the resident selection of a ring", () => {
+  const push = createPush({ file: null, transport: createMockTransport() });
+  push.subscribe(subscription("a"), { group: "12A", residentId: "anna" });
+  push.subscribe(subscription("b"), { group: "12A", residentId: "ben" });
+  push.subscribe(subscription("c"), { group: "14C", residentId: "cleo" });
+
+  const endpoints = (list) => list.map((s) => s.endpoint.split("/").pop()).sort();
+  assert.deepEqual(endpoints(push.recipients("12A")), ["a", "b"]);
+  assert.deepEqual(endpoints(push.recipients("12A", { residentId: "ben" })), ["b"]);
+  assert.deepEqual(endpoints(push.recipients("12A", { excludeResident: "ben" })), ["a"]);
+});
+
+test("send delivers the payload and drops subscriptions that are gone", async () => {
+  const transport = createMockTransport((endpoint) => (endpoint.endsWith("/b") ? 410 : endpoint.endsWith("/c") ? 500 : 201));
+  const push = createPush({ file: null, transport });
+  for (const id of ["a", "b", "c"]) push.subscribe(subscription(id), { group: "12A" });
+
+  const message = { type: "ring", token: "ring-x", url: "/?answer=ring-x" };
+  const result = await push.send(push.recipients("12A"), message, { ttl: 30, urgency: "high" });
+
+  assert.deepEqual(result, { sent: 1, removed: 1, failed: 1 });
+  assert.equal(transport.delivered.length, 3);
+  assert.deepEqual(transport.delivered[0].message, message);
+  assert.deepEqual(transport.delivered[0].keys, subscription("a").keys);
+  assert.deepEqual(transport.delivered[0].options, { ttl: 30, urgency: "high" });
+  assert.equal(push.recipients("12A").length, 2);
+});
+
+test("send is a no-op without a transport", async () => {
+  const push = createPush({ file: null });
+  push.subscribe(subscription("a"), { group: "12A" });
+  assert.equal(push.enabled, false);
+  assert.deepEqual(await push.send(push.recipients("12A"), { type: "ring" }), { sent: 0, removed: 0, failed: 0 });
+});
+
+test("signed snapshot links verify until they expire", () => {
+  let t = 1000;
+  const push = createPush({ file: null, linkSecret: "secret", now: () => t });
+  const link = push.signedLink("/api/push/snapshots/abc", 60000);
+  const { searchParams } = new URL(link, "http://localhost");
+  const exp = searchParams.get("exp");
+  const sig = searchParams.get("sig");
+
+  assert.equal(push.verifyLink("/api/push/snapshots/abc", exp, sig), true);
+  assert.equal(push.verifyLink("/api/push/snapshots/other", exp, sig), false);
+  assert.equal(push.verifyLink("/api/push/snapshots/abc", String(Number(exp) + 1), sig), false);
+  t = 61001;
+  assert.equal(push.verifyLink("/api/push/snapshots/abc", exp, sig), false);
+});
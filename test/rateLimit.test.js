@@ -0,0 +1,100 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { createRateLimiter } from "../server/rateLimit.js";
+import { fixedClock } from "./helpers/clock.js";
+
+const KEYS = ["socket:a", "ip:10.0.0.1"];
+
+function limiter(options = {}) {
+  const now = fixedClock();
+  const rateLimiter = createRateLimiter({
+    maxFailures: 3, backoffBaseMs: 1000, backoffMaxMs: 8000, banAfterFailures: 8, banMs: 60000, now, ...options,
+  });
+  return { rateLimiter, now };
+}
+
+test("failures past maxFailures back off exponentially up to the cap", (t) => {
+  const { rateLimiter, now } = limiter();
+  t.after(() => rateLimiter.stop());
+
+  assert.equal(rateLimiter.recordFailure(KEYS), null);
+  assert.equal(rateLimiter.recordFailure(KEYS), null);
+  assert.equal(rateLimiter.checkJoin(KEYS), null);
+
+  const delays = [];
+  for (let i = 0; i < 5; i++) {
+    const block = rateLimiter.recordFailure(KEYS);
+    assert.equal(block.code, "RATE_LIMITED");
+    delays.push(block.retryAfterMs);
+    now.advance(block.retryAfterMs);
+    assert.equal(rateLimiter.checkJoin(KEYS), null);
+  }
+  assert.deepEqual(delays, [1000, 2000, 4000, 8000, 8000]);
+});
+
+test("a block reports the longest wait of the keys", (t) => {
+  const { rateLimiter } = limiter();
+  t.after(() => rateLimiter.stop());
+
+  for (let i = 0; i < 4; i++) rateLimiter.recordFailure(["ip:10.0.0.1"]);
+  rateLimiter.recordFailure(["socket:b", "ip:10.0.0.1"]);
+  assert.deepEqual(rateLimiter.checkJoin(["socket:b", "ip:10.0.0.1"]), { code: "RATE_LIMITED", retryAfterMs: 4000 });
+  // Other peers are unaffected
+  assert.equal(rateLimiter.checkJoin(["socket:c", "ip:10.0.0.2"]), null);
+});
+
+test("banAfterFailures bans the key, and a success doesn't lift it", (t) => {
+  const { rateLimiter, now } = limiter();
+  t.after(() => rateLimiter.stop());
+
+  let block = null;
+  for (let i = 0; i < 8; i++) block = rateLimiter.recordFailure(KEYS);
+  assert.deepEqual(block, { code: "BANNED", retryAfterMs: 60000 });
+
+  rateLimiter.recordSuccess(KEYS);
+  assert.equal(rateLimiter.checkJoin(KEYS).code, "BANNED");
+  assert.equal(rateLimiter.checkCreate(KEYS).code, "BANNED");
+
+  now.advance(60000);
+  assert.equal(rateLimiter.checkJoin(KEYS), null);
+});
+
+test("a success clears the failures of a key that isn't banned", (t) => {
+  const { rateLimiter } = limiter();
+  t.after(() => rateLimiter.stop());
+
+  for (let i = 0; i < 3; i++) rateLimiter.recordFailure(KEYS);
+  assert.ok(rateLimiter.checkJoin(KEYS));
+  rateLimiter.recordSuccess(KEYS);
+  assert.equal(rateLimiter.checkJoin(KEYS), null);
+  // Counting starts over
+  assert.equal(rateLimiter.recordFailure(KEYS), null);
+});
+
+test("creates are limited per window", (t) => {
+  const { rateLimiter, now } = limiter({ createsPerWindow: 2, windowMs: 10000 });
+  t.after(() => rateLimiter.stop());
+
+  assert.equal(rateLimiter.checkCreate(KEYS), null);
+  now.advance(4000);
+  assert.equal(rateLimiter.checkCreate(KEYS), null);
+  assert.deepEqual(rateLimiter.checkCreate(KEYS), { code: "RATE_LIMITED", retryAfterMs: 6000 });
+
+  now.advance(6000);
+  assert.equal(rateLimiter.checkCreate(KEYS), null);
+});
+
+test("quiet keys are swept, blocked ones are kept", (t) => {
+  const { rateLimiter, now } = limiter({ windowMs: 10000, backoffBaseMs: 20000, backoffMaxMs: 20000 });
+  t.after(() => rateLimiter.stop());
+
+  for (let i = 0; i < 2; i++) rateLimiter.recordFailure(["socket:quiet"]);
+  for (let i = 0; i < 3; i++) rateLimiter.recordFailure(["socket:blocked"]);
+  now.advance(10000);
+  rateLimiter.sweep();
+
+  // The quiet key's failures are forgotten: two more don't reach maxFailures
+  rateLimiter.recordFailure(["socket:quiet"]);
+  assert.equal(rateLimiter.recordFailure(["socket:quiet"]), null);
+  assert.equal(rateLimiter.checkJoin(["socket:blocked"]).retryAfterMs, 10000);
+});
@@ -0,0 +1,77 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { existsSync, mkdtempSync, rmSync } from "node:fs";
+import { tmpdir } from "node:os";
+import { join } from "node:path";
+import { createRecordingStore } from "../server/recordings.js";
+import { fixedClock } from "./helpers/clock.js";
+
+function tempDir() {
+  return mkdtempSync(join(tmpdir(), "intercom-recordings-"));
+}
+
+const meta = { sessionId: "s1", token: "123456", role: "resident", type: "video/webm;codecs=vp8" };
+
+test("chunks are appended in order and complete closes the recording", async () => {
+  const dir = tempDir();
+  const recordings = createRecordingStore({ dir, now: fixedClock() });
+  const { recording, uploadKey } = await recordings.start(meta);
+
+  await recordings.appendChunk(recording.id, uploadKey, 0, Buffer.from("abc"));
+  await recordings.appendChunk(recording.id, uploadKey, 0, Buffer.from("abc"));
+  await assert.rejects(recordings.appendChunk(recording.id, uploadKey, 2, Buffer.from("x")), { status: 409 });
+  await recordings.appendChunk(recording.id, uploadKey, 1, Buffer.from("de"));
+  const done = await recordings.complete(recording.id, uploadKey, 4000);
+
+  assert.equal(done.status, "complete");
+  assert.equal(done.size, 5);
+  assert.equal(done.type, "video/webm");
+  await assert.rejects(recordings.appendChunk(recording.id, uploadKey, 2, Buffer.from("x")), { status: 403 });
+  recordings.stop();
+  rmSync(dir, { recursive: true, force: true });
+});
+
+test("idle recordings are failed and their partial clip deleted", async () => {
+  const dir = tempDir();
+  const now = fixedClock();
+  const recordings = createRecordingStore({ dir, idleTimeoutMs: 60 * 1000, now });
+  const idle = await recordings.start(meta);
+  const active = await recordings.start(meta);
+  await recordings.appendChunk(idle.recording.id, idle.uploadKey, 0, Buffer.from("abc"));
+
+  now.advance(30 * 1000);
+  await recordings.appendChunk(active.recording.id, active.uploadKey, 0, Buffer.from("abc"));
+  now.advance(30 * 1000);
+  await recordings.sweep();
+
+  const failed = recordings.get(idle.recording.id);
+  assert.equal(failed.status, "failed");
+  assert.equal(failed.size, 0);
+  assert.equal(existsSync(recordings.pathOf(idle.recording.id)), false);
+  await assert.rejects(recordings.complete(idle.recording.id, idle.uploadKey), { status: 403 });
+  assert.equal(recordings.get(active.recording.id).status, "recording");
+  recordings.stop();
+  rmSync(dir, { recursive: true, force: true });
+});
+
+test("recordings left open by an earlier run are failed on startup", async () => {
+  const dir = tempDir();
+  const first = createRecordingStore({ dir, now: fixedClock() });
+  const open = await first.start(meta);
+  const { recording, uploadKey } = await first.start(meta);
+  await first.appendChunk(recording.id, uploadKey, 0, Buffer.from("abc"));
+  await first.complete(recording.id, uploadKey, 1000);
+  first.stop();
+
+  const second = createRecordingStore({ dir, now: fixedClock() });
+  await second.ready;
+  assert.equal(second.get(open.recording.id).status, "failed");
+  assert.equal(existsSync(second.pathOf(open.recording.id)), false);
+  assert.equal(second.get(recording.id).status, "complete");
+  second.stop();
+
+  const third = createRecordingStore({ dir, now: fixedClock() });
+  assert.equal(third.get(open.recording.id).status, "failed");
+  third.stop();
+  rmSync(dir, { recursive: true, force: true });
+});
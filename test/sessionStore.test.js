@@ -0,0 +1,195 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { createMemorySessionStore, createRedisSessionStore } from "../server/sessionStore.js";
+
+// Local Redis stand-in: the node-redis commands the session store uses, kept in memory.
+// Every call yields to the event loop like a network round trip would.
+function createRedisStandIn(now = Date.now) {
+  const values = new Map(); // key -> { value, expiresAt }
+  const tick = () => new Promise((resolve) => setImmediate(resolve));
+
+  function entry(key) {
+    const e = values.get(key);
+    if (e && e.expiresAt !== null && e.expiresAt <= now()) {
+      values.delete(key);
+      return null;
+    }
+    return e || null;
+  }
+
+  function setOf(key) {
+    const e = entry(key);
+    return e ? e.value : new Set();
+  }
+
+  return {
+    async get(key) {
+      await tick();
+      const e = entry(key);
+      return e ? e.value : null;
+    },
+    async set(key, value, { NX = false, PX } = {}) {
+      await tick();
+      if (NX && entry(key)) return null;
+      values.set(key, { value: String(value), expiresAt: PX ? now() + PX : null });
+      return "OK";
+    },
+    async del(keys) {
+      await tick();
+      let removed = 0;
+      for (const key of [].concat(keys)) if (entry(key) && values.delete(key)) removed++;
+      return removed;
+    },
+    async mGet(keys) {
+      await tick();
+      return keys.map((key) => {
+        const e = entry(key);
+        return e ? e.value : null;
+      });
+    },
+    async sAdd(key, members) {
+      await tick();
+      const set = setOf(key);
+      for (const member of [].concat(members)) set.add(member);
+      if (!values.has(key)) values.set(key, { value: set, expiresAt: null });
+      return set.size;
+    },
+    async sRem(key, members) {
+      await tick();
+      const set = setOf(key);
+      for (const member of [].concat(members)) set.delete(member);
+      if (set.size === 0) values.delete(key);
+      return set.size;
+    },
+    async sMembers(key) {
+      await tick();
+      return [...setOf(key)];
+    },
+    async pExpire(key, ms) {
+      await tick();
+      const e = entry(key);
+      if (e) e.expiresAt = now() + ms;
+      return e ? 1 : 0;
+    },
+  };
+}
+
+const session = (token, fields = {}) => ({
+  id: `id-${token}`, token, createdAt: 0, connectedAt: null, host: null, guest: null, ...fields,
+});
+
+const stores = {
+  memory: () => createMemorySessionStore(),
+  redis: () => createRedisSessionStore({ client: createRedisStandIn() }),
+};
+
+for (const [name, createStore] of Object.entries(stores)) {
+  test(`${name}: create refuses a taken token and get returns copies`, async () => {
+    const store = createStore();
+    assert.equal(await store.create("111111", session("111111", { host: "h1" })), true);
+    assert.equal(await store.create("111111", session("111111", { host: "h2" })), false);
+
+    const copy = await store.get("111111");
+    copy.host = "changed";
+    assert.equal((await store.get("111111")).host, "h1");
+    assert.equal(await store.get("999999"), null);
+    assert.equal(await store.get(undefined), null);
+  });
+
+  test(`${name}: update saves changes unless fn returns false`, async () => {
+    const store = createStore();
+    await store.create("222222", session("222222", { host: "h1" }));
+
+    const updated = await store.update("222222", (s) => { s.guest = "g1"; });
+    assert.equal(updated.guest, "g1");
+    assert.equal((await store.get("222222")).guest, "g1");
+
+    assert.equal(await store.update("222222", (s) => { s.guest = "g2"; return false; }), null);
+    assert.equal((await store.get("222222")).guest, "g1");
+    assert.equal(await store.update("missing", () => { }), null);
+  });
+
+  test(`${name}: delete succeeds once`, async () => {
+    const store = createStore();
+    await store.create("333333", session("333333", { host: "h1" }));
+    assert.equal(await store.delete("333333"), true);
+    assert.equal(await store.delete("333333"), false);
+    assert.deepEqual(await store.list(), []);
+  });
+
+  test(`${name}: forSocket follows host, guest and ringing changes`, async () => {
+    const store = createStore();
+    await store.create("444444", session("444444", { host: "h1" }));
+    await store.create("ring-a", session("ring-a", { guest: "v1", ringing: ["d1", "d2"] }));
+
+    assert.deepEqual((await store.forSocket("h1")).map((s) => s.token), ["444444"]);
+    assert.deepEqual((await store.forSocket("d2")).map((s) => s.token), ["ring-a"]);
+
+    await store.update("444444", (s) => { s.guest = "g1"; });
+    await store.update("ring-a", (s) => { s.host = "d1"; s.ringing = []; });
+    assert.deepEqual((await store.forSocket("g1")).map((s) => s.token), ["444444"]);
+    assert.deepEqual((await store.forSocket("d1")).map((s) => s.token), ["ring-a"]);
+    assert.deepEqual(await store.forSocket("d2"), []);
+
+    await store.delete("444444");
+    assert.deepEqual(await store.forSocket("h1"), []);
+    assert.equal((await store.list()).length, 1);
+  });
+}
+
+test("redis: instances sharing one Redis see each other's sessions", async () => {
+  const redis = createRedisStandIn();
+  const nodeA = createRedisSessionStore({ client: redis });
+  const nodeB = createRedisSessionStore({ client: redis });
+
+  // Host connected to A; the guest joins through B, then the host reconnects to B
+  await nodeA.create("555555", session("555555", { host: "h-on-a" }));
+  await nodeB.update("555555", (s) => { s.guest = "g-on-b"; });
+  await nodeB.update("555555", (s) => { s.host = "h-on-b"; });
+
+  // A's disconnect cleanup for the old host socket finds nothing to remove...
+  assert.deepEqual(await nodeA.forSocket("h-on-a"), []);
+  // ...while B's cleanup for the guest finds the session created on A
+  assert.deepEqual((await nodeB.forSocket("g-on-b")).map((s) => s.host), ["h-on-b"]);
+
+  // Only one instance gets to tear the session down
+  const results = await Promise.all([nodeA.delete("555555"), nodeB.delete("555555")]);
+  assert.deepEqual(results.sort(), [false, true]);
+});
+
+test("redis: concurrent updates from two instances are serialized", async () => {
+  const redis = createRedisStandIn();
+  const nodeA = createRedisSessionStore({ client: redis });
+  const nodeB = createRedisSessionStore({ client: redis });
+  await nodeA.create("ring-b", session("ring-b", { guest: "v1", ringing: ["d1", "d2"], count: 0 }));
+
+  // Two devices accept at once on different instances: exactly one claims the call
+  const accept = (store, device) => store.update("ring-b", (s) => {
+    s.count++;
+    if (s.host) return false;
+    s.host = device;
+    s.ringing = [];
+  });
+  const [a, b] = await Promise.all([accept(nodeA, "d1"), accept(nodeB, "d2")]);
+  assert.equal([a, b].filter(Boolean).length, 1);
+
+  const stored = await nodeA.get("ring-b");
+  assert.equal(stored.host, (a || b).host);
+  // The losing update saw the winner's record and left it alone
+  assert.equal(stored.count, 1);
+});
+
+test("redis: sessions expire after ttlMs without updates", async () => {
+  let t = 0;
+  const now = () => t;
+  const store = createRedisSessionStore({ client: createRedisStandIn(now), ttlMs: 1000 });
+  await store.create("666666", session("666666", { host: "h1" }));
+  await store.create("777777", session("777777", { host: "h2" }));
+
+  t = 800;
+  await store.update("777777", (s) => { s.guest = "g2"; });
+  t = 1200;
+  assert.equal(await store.get("666666"), null);
+  assert.deepEqual((await store.list()).map((s) => s.token), ["777777"]);
+  assert.deepEqual(await store.forSocket("h1"), []);
+});
@@ -0,0 +1,422 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { io as connectClient } from "socket.io-client";
+import { ErrorCodes } from "../server/errors.js";
+import { startIntercom, next, collect } from "./helpers/signaling.js";
+
+// End-to-end signaling against server.js (see helpers/signaling.js). SDP and ICE payloads
+// are fake - the server only relays them, so no browser or media is involved.
+
+const TOKEN_TTL_MS = 1000;
+const RESUME_GRACE_MS = 300;
+const MAX_FAILURES = 5;
+const GROUP = "12A";
+const GROUP_KEY = "group-key";
+const ADMIN_KEY = "admin-key";
+const PRESENCE_TIMEOUT_MS = 2000;
+
+const intercom = startIntercom({
+  TOKEN_TTL_MS: String(TOKEN_TTL_MS),
+  RESUME_GRACE_MS: String(RESUME_GRACE_MS),
+  RATE_LIMIT_MAX_FAILURES: String(MAX_FAILURES),
+  RING_GROUPS: `${GROUP}=${GROUP_KEY}`,
+  ADMIN_KEY,
+  // Voicemail may be requested as soon as the visitor has joined
+  VOICEMAIL_RING_TIMEOUT_MS: "1000",
+  // Devices that stop sending heartbeats are swept within a few seconds
+  PRESENCE_TIMEOUT_MS: String(PRESENCE_TIMEOUT_MS),
+  // A lock that never opens
+  ACTUATOR_DRIVER: "mock",
+  ACTUATOR_MOCK_BEHAVIOR: "failure",
+});
+const { api, connect, createSession, joinSession, pair } = intercom;
+
+const FAKE_OFFER = { type: "offer", sdp: "v=0\r\no=- 1 2 IN IP4 127.0.0.1\r\ns=-\r\nt=0 0\r\n" };
+const FAKE_ANSWER = { type: "answer", sdp: "v=0\r\no=- 3 4 IN IP4 127.0.0.1\r\ns=-\r\nt=0 0\r\n" };
+const FAKE_CANDIDATE = { candidate: "candidate:1 1 udp 2122260223 192.0.2.1 54400 typ host", sdpMid: "0", sdpMLineIndex: 0 };
+
+// Resolves once a "presence-subscribe"d socket hears that `residentId` has `status`
+function presenceUpdate(socket, residentId, status, timeoutMs = 2000) {
+  return new Promise((resolve, reject) => {
+    const onUpdate = (update) => {
+      if (update.residentId !== residentId || update.status !== status) return;
+      clearTimeout(timer);
+      socket.off("presence-update", onUpdate);
+      resolve(update);
+    };
+    const timer = setTimeout(() => {
+      socket.off("presence-update", onUpdate);
+      reject(new Error(`${residentId} not ${status} within ${timeoutMs}ms`));
+    }, timeoutMs);
+    socket.on("presence-update", onUpdate);
+  });
+}
+
+// A unit of its own with one resident, whose device registers with its device key
+async function residentDevice(unitId) {
+  assert.equal((await api("POST", "/api/units", { id: unitId, name: `Flat ${unitId}` })).status, 201);
+  const resident = await api("POST", "/api/residents", { name: "Anna", unitId });
+  const { body } = await api("POST", `/api/residents/${resident.body.id}/devices`, { name: "Phone" });
+  const device = await connect();
+  assert.equal((await device.timeout(2000).emitWithAck("register-device", { group: unitId, key: body.key })).ok, true);
+  return { device, residentId: resident.body.id };
+}
+
+test("clients without a protocol version are told to reload and disconnected", async () => {
+  const socket = connectClient(intercom.url, { transports: ["websocket"], reconnection: false, forceNew: true, rejectUnauthorized: false });
+  intercom.track(socket);
+  const error = next(socket, "error");
+  const disconnected = next(socket, "disconnect");
+  assert.match(await error, /out of date/);
+  assert.equal(await disconnected, "io server disconnect");
+});
+
+test("a guest joins with the short code and both sides learn each other's id", async () => {
+  const { host, session } = await createSession();
+  assert.match(session.token, /^\d{6}$/);
+  assert.ok(session.resumeKey);
+  assert.ok(session.expiresAt > Date.now());
+
+  const peerJoined = next(host, "peer-joined");
+  const { guest, joined } = await joinSession(session.token);
+  assert.equal(joined.role, "guest");
+  assert.equal(joined.token, session.token);
+  assert.equal(joined.peerId, host.id);
+  assert.deepEqual(await peerJoined, { role: "host", peerId: guest.id });
+});
+
+test("the signed QR token joins the same session", async () => {
+  const { host, session } = await createSession();
+  const peerJoined = next(host, "peer-joined");
+  const { guest, joined } = await joinSession(session.qrToken);
+  assert.equal(joined.token, session.token);
+  assert.equal((await peerJoined).peerId, guest.id);
+});
+
+test("offer, answer and ICE candidates are relayed between the two peers", async () => {
+  const { host, guest } = await pair();
+
+  const offer = next(host, "offer");
+  guest.emit("offer", { target: host.id, sdp: FAKE_OFFER });
+  assert.deepEqual(await offer, { sdp: FAKE_OFFER, caller: guest.id });
+
+  const answer = next(guest, "answer");
+  host.emit("answer", { target: guest.id, sdp: FAKE_ANSWER });
+  assert.deepEqual(await answer, { sdp: FAKE_ANSWER, responder: host.id });
+
+  const toHost = next(host, "ice-candidate");
+  const toGuest = next(guest, "ice-candidate");
+  guest.emit("ice-candidate", { target: host.id, candidate: FAKE_CANDIDATE });
+  host.emit("ice-candidate", { target: guest.id, candidate: FAKE_CANDIDATE });
+  assert.deepEqual(await toHost, { candidate: FAKE_CANDIDATE, sender: guest.id });
+  assert.deepEqual(await toGuest, { candidate: FAKE_CANDIDATE, sender: host.id });
+
+  const hangup = next(host, "hangup");
+  guest.emit("hangup", { target: host.id });
+  assert.deepEqual(await hangup, { sender: guest.id });
+});
+
+test("signaling is only relayed to the sender's own session peer", async () => {
+  const { host, guest } = await pair();
+  const outsider = await connect();
+
+  const denied = next(outsider, "intercom-error");
+  const relayed = collect(host, "offer");
+  outsider.emit("offer", { target: host.id, sdp: FAKE_OFFER });
+  assert.equal((await denied).code, ErrorCodes.NOT_IN_SESSION);
+  assert.deepEqual(await relayed, []);
+
+  // A member can't reach sockets outside its session either
+  const other = await pair();
+  const wrongTarget = next(guest, "intercom-error");
+  guest.emit("offer", { target: other.host.id, sdp: FAKE_OFFER });
+  assert.equal((await wrongTarget).code, ErrorCodes.TARGET_NOT_IN_SESSION);
+});
+
+test("malformed payloads are rejected before they are relayed", async () => {
+  const { host, guest } = await pair();
+
+  const rejected = next(guest, "intercom-error");
+  const relayed = collect(host, "offer");
+  guest.emit("offer", { target: host.id, sdp: { type: "bogus" } });
+  const error = await rejected;
+  assert.equal(error.code, ErrorCodes.INVALID_PAYLOAD);
+  assert.deepEqual(error.errors, [{ field: "sdp", message: "type must be offer or answer" }]);
+  assert.deepEqual(await relayed, []);
+
+  // Events that take an ack get the rejection there
+  const reply = await guest.timeout(2000).emitWithAck("open-door", { target: 42 });
+  assert.equal(reply.ok, false);
+  assert.equal(reply.code, ErrorCodes.INVALID_PAYLOAD);
+});
+
+test("invalid, tampered and used tokens are refused", async () => {
+  const visitor = await connect();
+  const attempt = async (token) => {
+    const error = next(visitor, "intercom-error");
+    visitor.emit("join-session", token);
+    return (await error).code;
+  };
+
+  assert.equal(await attempt("not-a-token"), ErrorCodes.TOKEN_INVALID);
+
+  const { session } = await createSession();
+  const tampered = session.qrToken.slice(0, -1) + (session.qrToken.endsWith("A") ? "B" : "A");
+  assert.equal(await attempt(tampered), ErrorCodes.TOKEN_INVALID);
+
+  await joinSession(session.token);
+  assert.equal(await attempt(session.token), ErrorCodes.TOKEN_USED);
+});
+
+test("a session nobody joins expires and its token stops working", async () => {
+  const { host, session } = await createSession();
+  const expired = await next(host, "session-expired", TOKEN_TTL_MS + 2000);
+  assert.deepEqual(expired, { token: session.token });
+
+  const visitor = await connect();
+  const error = next(visitor, "intercom-error");
+  visitor.emit("join-session", session.token);
+  assert.equal((await error).code, ErrorCodes.TOKEN_INVALID);
+});
+
+test("a guest resuming from a second device replaces the first one", async () => {
+  const { host, guest, joined } = await pair();
+  const replacement = await connect();
+
+  const kicked = next(guest, "error");
+  const reconnected = next(host, "peer-reconnected");
+  const reply = await replacement.timeout(2000).emitWithAck("resume-session", {
+    token: joined.token,
+    resumeKey: joined.resumeKey,
+    hasCall: true,
+  });
+  assert.deepEqual(reply, { ok: true, role: "guest", peerId: host.id });
+  assert.match(await kicked, /Another device connected/);
+  assert.deepEqual(await reconnected, { peerId: replacement.id, hasCall: true });
+
+  // Signaling now flows to the new socket only
+  const toReplacement = next(replacement, "offer");
+  const toOld = collect(guest, "offer");
+  host.emit("offer", { target: replacement.id, sdp: FAKE_OFFER });
+  assert.equal((await toReplacement).caller, host.id);
+  assert.deepEqual(await toOld, []);
+
+  const denied = next(guest, "intercom-error");
+  guest.emit("offer", { target: host.id, sdp: FAKE_OFFER });
+  assert.equal((await denied).code, ErrorCodes.NOT_IN_SESSION);
+});
+
+test("a wrong resume key does not take over the session", async () => {
+  const { joined } = await pair();
+  const intruder = await connect();
+  const reply = await intruder.timeout(2000).emitWithAck("resume-session", { token: joined.token, resumeKey: "guess" });
+  assert.equal(reply.ok, false);
+  assert.equal(reply.code, ErrorCodes.SESSION_GONE);
+});
+
+test("losing the host ends the session for the guest after the grace period", async () => {
+  const { host, guest, session } = await pair();
+  const hostId = host.id;
+
+  const reconnecting = next(guest, "peer-reconnecting");
+  const ended = next(guest, "error", RESUME_GRACE_MS + 2000);
+  const disconnected = next(guest, "peer-disconnected", RESUME_GRACE_MS + 2000);
+  host.close();
+  await reconnecting;
+  assert.equal(await ended, "Host disconnected");
+  await disconnected;
+
+  // The host can't come back and the code is released
+  const returning = await connect();
+  const reply = await returning.timeout(2000).emitWithAck("resume-session", { token: session.token, resumeKey: session.resumeKey });
+  assert.equal(reply.code, ErrorCodes.SESSION_GONE);
+  const denied = next(guest, "intercom-error");
+  guest.emit("offer", { target: hostId, sdp: FAKE_OFFER });
+  assert.equal((await denied).code, ErrorCodes.NOT_IN_SESSION);
+});
+
+test("a host that reconnects within the grace period keeps the session", async () => {
+  const { host, guest, session } = await pair();
+
+  const reconnecting = next(guest, "peer-reconnecting");
+  host.close();
+  await reconnecting;
+
+  const resumed = await connect();
+  const reconnected = next(guest, "peer-reconnected");
+  const ended = collect(guest, "peer-disconnected", RESUME_GRACE_MS + 200);
+  const reply = await resumed.timeout(2000).emitWithAck("resume-session", { token: session.token, resumeKey: session.resumeKey });
+  assert.deepEqual(reply, { ok: true, role: "host", peerId: guest.id });
+  assert.deepEqual(await reconnected, { peerId: resumed.id, hasCall: false });
+  assert.deepEqual(await ended, []);
+
+  const offer = next(guest, "offer");
+  resumed.emit("offer", { target: guest.id, sdp: FAKE_OFFER });
+  assert.equal((await offer).caller, resumed.id);
+});
+
+test("a guest that leaves frees the slot and the host is told", async () => {
+  const { host, guest } = await pair();
+  const guestId = guest.id;
+
+  const reconnecting = next(host, "peer-reconnecting");
+  const disconnected = next(host, "peer-disconnected", RESUME_GRACE_MS + 2000);
+  guest.close();
+  await reconnecting;
+  await disconnected;
+
+  const denied = next(host, "intercom-error");
+  host.emit("offer", { target: guestId, sdp: FAKE_OFFER });
+  assert.equal((await denied).code, ErrorCodes.TARGET_NOT_IN_SESSION);
+});
+
+test("guessing ring group keys is throttled like guessing tokens", async () => {
+  const device = await connect();
+  const register = (key) => device.timeout(2000).emitWithAck("register-device", { group: GROUP, key, name: "Phone" });
+
+  for (let i = 0; i < MAX_FAILURES; i++) {
+    assert.equal((await register(`wrong-${i}`)).code, ErrorCodes.GROUP_KEY_INVALID);
+  }
+  // Refused before the key is looked at, even the right one
+  const blocked = await register(GROUP_KEY);
+  assert.equal(blocked.ok, false);
+  assert.equal(blocked.code, ErrorCodes.RATE_LIMITED);
+  assert.ok(blocked.retryAfterMs > 0);
+
+  const other = await connect();
+  assert.equal((await other.timeout(2000).emitWithAck("register-device", { group: GROUP, key: GROUP_KEY })).ok, true);
+});
+
+test("a pass keeps its use when the door does not open", async () => {
+  const created = await api("POST", "/api/passes", {
+    group: GROUP, label: "Cleaner", maxUses: 1, validUntil: Date.now() + 60 * 60 * 1000,
+  });
+  assert.equal(created.status, 201);
+
+  const redeemed = await api("POST", "/api/passes/redeem", { code: created.body.code });
+  assert.equal(redeemed.status, 502);
+  assert.equal(redeemed.body.door.status, "failure");
+  assert.equal(redeemed.body.usesLeft, 1);
+
+  const pass = await api("GET", `/api/passes/${created.body.id}`);
+  assert.equal(pass.body.uses, 0);
+  assert.equal(pass.body.lastUsedAt, null);
+});
+
+test("voicemail left in a device's token session reaches its household", async () => {
+  const host = await connect();
+  assert.equal((await host.timeout(2000).emitWithAck("register-device", { group: GROUP, key: GROUP_KEY })).ok, true);
+  const created = next(host, "session-created");
+  host.emit("create-session");
+  const { token } = await created;
+  const { guest } = await joinSession(token);
+
+  const offer = await guest.timeout(2000).emitWithAck("request-voicemail", { token });
+  assert.equal(offer.ok, true);
+  const received = next(host, "voicemail-received");
+  const upload = await fetch(`${intercom.url}/api/voicemail`, {
+    method: "POST",
+    headers: { "Content-Type": "video/webm", "X-Voicemail-Key": offer.key, "X-Voicemail-Duration": "1500" },
+    body: Buffer.from("fake clip"),
+  });
+  assert.equal(upload.status, 201);
+  const { id } = await upload.json();
+  assert.equal((await received).group, GROUP);
+
+  const res = await fetch(`${intercom.url}/api/messages`, { headers: { "X-Intercom-Group": GROUP, "X-Intercom-Key": GROUP_KEY } });
+  const { items } = await res.json();
+  assert.deepEqual(items.map((m) => m.id), [id]);
+});
+
+test("an admin kick removes a token session's visitor and the host stays", async () => {
+  const { host, guest, session } = await pair();
+
+  const kicked = next(guest, "error");
+  const left = next(host, "peer-disconnected");
+  assert.equal((await api("POST", `/api/admin/sessions/${session.token}/kick`)).status, 204);
+  await kicked;
+  await left;
+
+  const { body } = await api("GET", "/api/admin/sessions");
+  const live = body.items.find((s) => s.token === session.token);
+  assert.equal(live.kind, "token");
+  assert.equal(live.guest, null);
+  assert.equal(live.host.socketId, host.id);
+});
+
+test("a ring group call can't be kicked, only ended", async () => {
+  const device = await connect();
+  assert.equal((await device.timeout(2000).emitWithAck("register-device", { group: GROUP, key: GROUP_KEY })).ok, true);
+  const visitor = await connect();
+  const incoming = next(device, "incoming-call");
+  const rung = await visitor.timeout(2000).emitWithAck("ring-group", { group: GROUP });
+  assert.equal(rung.ok, true);
+  const { token } = await incoming;
+  assert.equal((await device.timeout(2000).emitWithAck("accept-call", { token })).ok, true);
+
+  const refused = await api("POST", `/api/admin/sessions/${token}/kick`);
+  assert.equal(refused.status, 403);
+  assert.equal(refused.body.code, ErrorCodes.ROLE_FORBIDDEN);
+  const { body } = await api("GET", "/api/admin/sessions");
+  assert.equal(body.items.find((s) => s.token === token).guest.socketId, visitor.id);
+
+  assert.equal((await api("DELETE", `/api/admin/sessions/${token}`)).status, 204);
+});
+
+test("a path with a malformed escape is a bad request, not a server error", async () => {
+  assert.equal((await fetch(`${intercom.url}/%E0%A4%A`)).status, 400);
+  assert.equal((await fetch(`${intercom.url}/key.pem`)).status, 404);
+});
+
+test("a resident's device hosting a token session is busy while a visitor is in it", async () => {
+  const observer = await connect();
+  await observer.timeout(2000).emitWithAck("presence-subscribe", {});
+  const { device: host, residentId } = await residentDevice("20A");
+  const created = next(host, "session-created");
+  host.emit("create-session");
+  const { token } = await created;
+
+  const busy = presenceUpdate(observer, residentId, "busy");
+  const { guest } = await joinSession(token);
+  await busy;
+
+  const available = presenceUpdate(observer, residentId, "available", RESUME_GRACE_MS + 1000);
+  host.emit("presence-heartbeat");
+  guest.close();
+  await available;
+});
+
+test("a device that stops sending heartbeats is no longer rung", async () => {
+  const observer = await connect();
+  await observer.timeout(2000).emitWithAck("presence-subscribe", {});
+  const { residentId } = await residentDevice("20B");
+  await presenceUpdate(observer, residentId, "offline", 2 * PRESENCE_TIMEOUT_MS);
+
+  const visitor = await connect();
+  const rung = await visitor.timeout(2000).emitWithAck("ring-group", { group: "20B" });
+  assert.equal(rung.ok, false);
+  assert.equal(rung.code, ErrorCodes.NO_DEVICES);
+});
+
+test("voicemail left in a resident's token session is only theirs within the household", async () => {
+  const { device: host, residentId } = await residentDevice("20C");
+  const ben = await api("POST", "/api/residents", { name: "Ben", unitId: "20C" });
+  const { body: bensDevice } = await api("POST", `/api/residents/${ben.body.id}/devices`, { name: "Phone" });
+  const created = next(host, "session-created");
+  host.emit("create-session");
+  const { token } = await created;
+  const { guest } = await joinSession(token);
+
+  const offer = await guest.timeout(2000).emitWithAck("request-voicemail", { token });
+  const upload = await fetch(`${intercom.url}/api/voicemail`, {
+    method: "POST",
+    headers: { "Content-Type": "video/webm", "X-Voicemail-Key": offer.key, "X-Voicemail-Duration": "1500" },
+    body: Buffer.from("fake clip"),
+  });
+  const { id } = await upload.json();
+
+  const { body: message } = await api("GET", "/api/messages");
+  assert.deepEqual(message.items.filter((m) => m.id === id).map((m) => [m.group, m.resident]), [["20C", residentId]]);
+  const res = await fetch(`${intercom.url}/api/messages`, { headers: { "X-Intercom-Group": "20C", "X-Intercom-Key": bensDevice.key } });
+  assert.deepEqual((await res.json()).items, []);
+});
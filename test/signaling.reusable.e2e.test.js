@@ -0,0 +1,58 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { ErrorCodes } from "../server/errors.js";
+import { startIntercom, next, collect } from "./helpers/signaling.js";
+
+// Tokens that may be redeemed more than once (TOKEN_SINGLE_USE=false): a second
+// join-session takes the guest slot over instead of being refused.
+
+const RESUME_GRACE_MS = 300;
+const FAKE_OFFER = { type: "offer", sdp: "v=0\r\no=- 1 2 IN IP4 127.0.0.1\r\ns=-\r\nt=0 0\r\n" };
+
+const intercom = startIntercom({
+  TOKEN_SINGLE_USE: "false",
+  RESUME_GRACE_MS: String(RESUME_GRACE_MS),
+  ADMIN_KEY: "admin-key",
+});
+const { connect, createSession, joinSession, pair } = intercom;
+
+test("a second join with the same token kicks the previous guest", async () => {
+  const { host, guest: first, session } = await pair();
+  const firstId = first.id;
+
+  const kicked = next(first, "error");
+  const peerJoined = next(host, "peer-joined");
+  const { guest: second, joined } = await joinSession(session.token);
+  assert.equal(await kicked, "Another device connected. You have been disconnected.");
+  assert.deepEqual(await peerJoined, { role: "host", peerId: second.id });
+  assert.equal(joined.peerId, host.id);
+
+  // The old guest is out of the session, the new one is in
+  const refused = next(first, "intercom-error");
+  first.emit("offer", { target: host.id, sdp: FAKE_OFFER });
+  assert.equal((await refused).code, ErrorCodes.NOT_IN_SESSION);
+  const offer = next(host, "offer");
+  second.emit("offer", { target: host.id, sdp: FAKE_OFFER });
+  assert.equal((await offer).caller, second.id);
+
+  // The kicked socket going away later doesn't take the new guest with it
+  const disconnected = collect(host, "peer-disconnected", RESUME_GRACE_MS + 300);
+  first.close();
+  assert.deepEqual(await disconnected, []);
+  const { body } = await intercom.api("GET", "/api/admin/sessions");
+  const live = body.items.find((s) => s.token === session.token);
+  assert.equal(live.guest.socketId, second.id);
+  assert.notEqual(live.guest.socketId, firstId);
+});
+
+test("a guest joining its own session again is not kicked", async () => {
+  const { session } = await createSession();
+  const guest = await connect();
+  const errors = collect(guest, "error", 300);
+  for (let i = 0; i < 2; i++) {
+    const joined = next(guest, "session-joined");
+    guest.emit("join-session", session.token);
+    await joined;
+  }
+  assert.deepEqual(await errors, []);
+});
@@ -0,0 +1,87 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { existsSync, mkdtempSync, readdirSync, rmSync, utimesSync, writeFileSync } from "node:fs";
+import { tmpdir } from "node:os";
+import { join } from "node:path";
+import { createSnapshotStore } from "../server/snapshots.js";
+import { fixedClock } from "./helpers/clock.js";
+
+const DAY = 24 * 60 * 60 * 1000;
+const JPEG = Buffer.from([0xff, 0xd8, 0xff, 0xd9]);
+
+function tempDir() {
+  return mkdtempSync(join(tmpdir(), "intercom-snapshots-"));
+}
+
+test("a saved snapshot reads back with its type, and not after removal", async () => {
+  const dir = tempDir();
+  const snapshots = createSnapshotStore({ dir, now: fixedClock() });
+  const saved = await snapshots.save(JPEG, "image/jpeg");
+
+  assert.match(saved.id, /^[a-f0-9]{16}$/);
+  assert.equal(saved.size, JPEG.length);
+  assert.deepEqual(await snapshots.read(saved.id), { buffer: JPEG, type: "image/jpeg" });
+
+  await snapshots.remove(saved.id);
+  assert.equal(await snapshots.read(saved.id), null);
+  // Removing twice is harmless
+  await snapshots.remove(saved.id);
+  await assert.rejects(snapshots.save(JPEG, "image/gif"), /Unsupported snapshot type/);
+  snapshots.stop();
+  rmSync(dir, { recursive: true, force: true });
+});
+
+test("ids that aren't ours don't reach the file system", async () => {
+  const parent = tempDir();
+  const dir = join(parent, "snapshots");
+  const snapshots = createSnapshotStore({ dir, now: fixedClock() });
+  await snapshots.save(JPEG, "image/jpeg");
+  // A file next to the store and one in it that isn't a snapshot
+  writeFileSync(join(parent, "0123456789abcdef.jpg"), "outside");
+  writeFileSync(join(dir, "fedcba9876543210.txt"), "not an image");
+
+  for (const id of ["../0123456789abcdef", "..%2F0123456789abcdef", "0123456789ABCDEF", "0123456789abcde", "fedcba9876543210", "", null, 42]) {
+    assert.equal(await snapshots.read(id), null, String(id));
+  }
+  // Unknown but well-formed
+  assert.equal(await snapshots.read("00000000000000ff"), null);
+
+  await snapshots.remove("../0123456789abcdef");
+  assert.equal(existsSync(join(parent, "0123456789abcdef.jpg")), true);
+  snapshots.stop();
+  rmSync(parent, { recursive: true, force: true });
+});
+
+test("the sweep removes files older than the retention and keeps the rest", async () => {
+  const dir = tempDir();
+  const now = fixedClock(Date.now());
+  const snapshots = createSnapshotStore({ dir, retentionMs: 30 * DAY, now });
+  const old = await snapshots.save(JPEG, "image/jpeg");
+  const recent = await snapshots.save(JPEG, "image/png");
+  const aged = new Date(now() - 31 * DAY);
+  utimesSync(join(dir, `${old.id}.jpg`), aged, aged);
+
+  assert.equal(await snapshots.sweep(), 1);
+  assert.equal(await snapshots.read(old.id), null);
+  assert.equal((await snapshots.read(recent.id)).type, "image/png");
+
+  now.advance(31 * DAY);
+  assert.equal(await snapshots.sweep(), 1);
+  assert.deepEqual(readdirSync(dir), []);
+  snapshots.stop();
+  rmSync(dir, { recursive: true, force: true });
+});
+
+test("without retention the sweep leaves files to the caller", async () => {
+  const dir = tempDir();
+  const now = fixedClock(Date.now());
+  const snapshots = createSnapshotStore({ dir, retentionMs: 0, now });
+  const saved = await snapshots.save(JPEG, "image/webp");
+  assert.equal(snapshots.keepsFiles, false);
+
+  now.advance(365 * DAY);
+  assert.equal(await snapshots.sweep(), 0);
+  assert.equal((await snapshots.read(saved.id)).type, "image/webp");
+  snapshots.stop();
+  rmSync(dir, { recursive: true, force: true });
+});
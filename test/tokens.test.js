@@ -0,0 +1,96 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { createTokenStore } from "../server/tokens.js";
+import { T0, fixedClock } from "./helpers/clock.js";
+
+test("short codes use the configured length and alphabet and don't collide", () => {
+  const tokens = createTokenStore({ length: 2, alphabet: "ab", now: fixedClock() });
+  const issued = [0, 1, 2, 3].map(() => tokens.issue().token);
+
+  assert.deepEqual([...issued].sort(), ["aa", "ab", "ba", "bb"]);
+  assert.throws(() => tokens.issue(), /exhausted/);
+  tokens.revoke("ab");
+  assert.equal(tokens.issue().token, "ab");
+});
+
+test("bad alphabets and lengths are refused", () => {
+  assert.throws(() => createTokenStore({ length: 0 }), /length/);
+  assert.throws(() => createTokenStore({ alphabet: "aa" }), /alphabet/);
+  assert.throws(() => createTokenStore({ alphabet: "a" }), /alphabet/);
+});
+
+test("the signed long form resolves to the short code", () => {
+  const now = fixedClock();
+  const tokens = createTokenStore({ secret: "s", ttlMs: 60000, now });
+  const { token, signed, expiresAt } = tokens.issue();
+
+  assert.equal(expiresAt, T0 + 60000);
+  assert.match(signed, new RegExp(`^${token}\\.${expiresAt.toString(36)}\\.[\\w-]{22}$`));
+  assert.equal(tokens.resolve(signed), token);
+  assert.equal(tokens.resolve(` ${token} `), token);
+
+  const [, expiry, mac] = signed.split(".");
+  const other = token === "000000" ? "000001" : "000000";
+  assert.equal(tokens.resolve(`${other}.${expiry}.${mac}`), null);
+  assert.equal(tokens.resolve(`${token}.${(expiresAt + 60000).toString(36)}.${mac}`), null);
+  assert.equal(tokens.resolve(`${token}.${expiry}`), null);
+  assert.equal(tokens.resolve(42), null);
+
+  // Signed by another server
+  const foreign = createTokenStore({ secret: "other", now });
+  assert.equal(foreign.resolve(signed), null);
+
+  now.advance(60000);
+  assert.equal(tokens.resolve(signed), null);
+  tokens.revoke(token);
+});
+
+test("a single-use token redeems once", () => {
+  const tokens = createTokenStore({ now: fixedClock() });
+  const { token, signed } = tokens.issue({ host: "h1" });
+
+  assert.deepEqual(tokens.redeem(signed), { ok: true, token, data: { host: "h1" } });
+  assert.deepEqual(tokens.redeem(token), { ok: false, reason: "used" });
+  assert.deepEqual(tokens.redeem("nope"), { ok: false, reason: "invalid" });
+  tokens.revoke(token);
+  assert.deepEqual(tokens.redeem(token), { ok: false, reason: "invalid" });
+});
+
+test("without singleUse a token redeems until revoked", () => {
+  const now = fixedClock();
+  const tokens = createTokenStore({ singleUse: false, ttlMs: 1000, now });
+  const { token } = tokens.issue();
+
+  assert.equal(tokens.redeem(token).ok, true);
+  // Redeemed tokens no longer expire
+  now.advance(5000);
+  assert.equal(tokens.redeem(token).ok, true);
+  assert.equal(tokens.get(token).redeemedAt, T0);
+  tokens.revoke(token);
+});
+
+test("an unredeemed token expires and onExpire is told", () => {
+  const now = fixedClock();
+  const expired = [];
+  const tokens = createTokenStore({ ttlMs: 1000, now, onExpire: (token, data) => expired.push({ token, data }) });
+  const { token } = tokens.issue({ host: "h1" });
+
+  now.advance(1000);
+  assert.deepEqual(tokens.redeem(token), { ok: false, reason: "expired" });
+  assert.deepEqual(expired, [{ token, data: { host: "h1" } }]);
+  assert.equal(tokens.get(token), null);
+  assert.equal(tokens.size, 0);
+});
+
+test("the expiry timer drops tokens nobody redeems", async () => {
+  const expired = [];
+  const tokens = createTokenStore({ ttlMs: 20, onExpire: (token) => expired.push(token) });
+  const { token } = tokens.issue();
+  const redeemed = tokens.issue().token;
+  tokens.redeem(redeemed);
+
+  await new Promise((resolve) => setTimeout(resolve, 60));
+  assert.deepEqual(expired, [token]);
+  assert.equal(tokens.get(token), null);
+  assert.ok(tokens.get(redeemed));
+});
@@ -0,0 +1,91 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { createHmac } from "crypto";
+import { createTurnCredentials, expandTurnUrls, signTurnUsername } from "../server/turn.js";
+import { T0, fixedClock } from "./helpers/clock.js";
+
+test("expandTurnUrls adds transport variants and passes full URLs through", () => {
+  const urls = expandTurnUrls(["turn.example.com", "turns:relay.example.com:443?transport=tcp"], {
+    transports: ["udp", "tcp"],
+    tls: true,
+  });
+  assert.deepEqual(urls, [
+    "turn:turn.example.com:3478?transport=udp",
+    "turn:turn.example.com:3478?transport=tcp",
+    "turns:turn.example.com:5349?transport=tcp",
+    "turns:relay.example.com:443?transport=tcp",
+  ]);
+});
+
+test("credentials follow the coturn shared-secret scheme", () => {
+  const now = fixedClock();
+  const turn = createTurnCredentials({
+    secret: "s3cret",
+    turnUrls: ["turn:turn.example.com:3478?transport=udp"],
+    ttlSeconds: 600,
+    now,
+  });
+
+  const { iceServers, ttl, expiresAt } = turn.issue("client-a");
+  const relay = iceServers.find((s) => s.username);
+
+  assert.equal(ttl, 600);
+  assert.equal(expiresAt, T0 + 600 * 1000);
+  assert.equal(relay.username, `${T0 / 1000 + 600}:client-a`);
+  assert.equal(
+    relay.credential,
+    createHmac("sha1", "s3cret").update(relay.username).digest("base64")
+  );
+  assert.equal(relay.credential, signTurnUsername("s3cret", relay.username));
+  assert.deepEqual(iceServers[0], { urls: ["stun:stun.l.google.com:19302"] });
+});
+
+test("credentials are cached per client until half the lifetime has passed", () => {
+  const now = fixedClock();
+  const turn = createTurnCredentials({ secret: "s", turnUrls: ["turn:t:3478"], ttlSeconds: 100, now });
+
+  const first = turn.issue("a");
+  assert.equal(turn.issue("a"), first);
+  assert.notEqual(turn.issue("b"), first);
+
+  now.advance(49 * 1000);
+  assert.equal(turn.issue("a"), first);
+
+  now.advance(2 * 1000);
+  const renewed = turn.issue("a");
+  assert.notEqual(renewed, first);
+  assert.equal(renewed.expiresAt, T0 + 151 * 1000);
+});
+
+test("revoke drops the cached credentials", () => {
+  const now = fixedClock();
+  const turn = createTurnCredentials({ secret: "s", turnUrls: ["turn:t:3478"], ttlSeconds: 100, now });
+
+  const first = turn.issue("a");
+  turn.revoke("a");
+  now.advance(1000);
+  assert.notEqual(turn.issue("a"), first);
+});
+
+test("expired credentials are pruned when new ones are minted", () => {
+  const now = fixedClock();
+  const turn = createTurnCredentials({ secret: "s", turnUrls: ["turn:t:3478"], ttlSeconds: 100, now });
+
+  turn.issue("a");
+  turn.issue("b");
+  assert.equal(turn.size, 2);
+
+  now.advance(100 * 1000);
+  turn.issue("c");
+  assert.equal(turn.size, 1);
+});
+
+test("without a secret only STUN is offered", () => {
+  const turn = createTurnCredentials({ turnUrls: ["turn:t:3478"], now: fixedClock() });
+  assert.equal(turn.enabled, false);
+  assert.deepEqual(turn.issue("a"), {
+    iceServers: [{ urls: ["stun:stun.l.google.com:19302"] }],
+    ttl: null,
+    expiresAt: null,
+  });
+});
@@ -0,0 +1,152 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { existsSync, mkdtempSync, rmSync } from "node:fs";
+import { tmpdir } from "node:os";
+import { join } from "node:path";
+import { createVoicemail, VoicemailError } from "../server/voicemail.js";
+import { createMessagesRouter } from "../server/routes/messages.js";
+import { requireAdmin } from "../server/auth.js";
+import { T0, fixedClock } from "./helpers/clock.js";
+import { serve } from "./helpers/http.js";
+
+const MINUTE = 60 * 1000;
+const DAY = 24 * 60 * MINUTE;
+const ADMIN_KEY = "admin-key";
+const CLIP = Buffer.from("fake clip");
+
+function tempStore(options = {}) {
+  const dir = mkdtempSync(join(tmpdir(), "intercom-voicemail-"));
+  const now = fixedClock();
+  const voicemail = createVoicemail({ dir: join(dir, "clips"), file: join(dir, "voicemail.json"), now, ...options });
+  return { voicemail, now, dir, remove: () => rmSync(dir, { recursive: true, force: true }) };
+}
+
+// Leaves a message through a fresh grant
+async function leave(voicemail, context) {
+  const { key } = voicemail.grant({ sessionId: "s1", token: "123456", snapshotId: null, ...context });
+  return voicemail.leave(key, CLIP, "video/webm", 1500);
+}
+
+test("a grant is good for one clip, of a known type, until it expires", async (t) => {
+  const { voicemail, now, remove } = tempStore({ grantTtlMs: 5 * MINUTE });
+  t.after(async () => { voicemail.stop(); await voicemail.flush(); remove(); });
+  const { key, expiresAt } = voicemail.grant({ group: "12A", resident: "anna", sessionId: "s1", token: "123456", snapshotId: "snap" });
+  assert.equal(expiresAt, T0 + 5 * MINUTE);
+
+  // A refused type leaves the grant in place
+  await assert.rejects(voicemail.leave(key, CLIP, "video/ogg", 1500), { status: 415 });
+  const message = await voicemail.leave(key, CLIP, "video/webm", Number.NaN);
+  assert.deepEqual({ ...message, id: null }, {
+    id: null, group: "12A", resident: "anna", sessionId: "s1", token: "123456", snapshotId: "snap",
+    type: "video/webm", size: CLIP.length, durationMs: null, createdAt: new Date(T0).toISOString(), played: false, playedAt: null,
+  });
+  await assert.rejects(voicemail.leave(key, CLIP, "video/webm", 1500), (err) => err instanceof VoicemailError && err.status === 403);
+  await assert.rejects(voicemail.leave(undefined, CLIP, "video/webm", 1500), { status: 403 });
+
+  const late = voicemail.grant({ group: "12A" });
+  now.advance(5 * MINUTE);
+  await assert.rejects(voicemail.leave(late.key, CLIP, "video/webm", 1500), { status: 403 });
+});
+
+test("a device sees its household's messages and its own resident's, nobody else's", async (t) => {
+  const { voicemail, remove } = tempStore();
+  t.after(async () => { voicemail.stop(); await voicemail.flush(); remove(); });
+  const household = await leave(voicemail, { group: "12A", resident: null });
+  const forAnna = await leave(voicemail, { group: "12A", resident: "anna" });
+  const forBen = await leave(voicemail, { group: "12A", resident: "ben" });
+  const next = await leave(voicemail, { group: "12B", resident: null });
+  // A token session hosted by an unregistered page has no household
+  const unfiled = await leave(voicemail, { group: null, resident: null });
+
+  const ids = (viewer) => voicemail.list(viewer).items.map((m) => m.id);
+  assert.deepEqual(ids({ group: "12A", residentId: "anna" }), [forAnna.id, household.id]);
+  assert.deepEqual(ids({ group: "12A", residentId: null }), [forBen.id, forAnna.id, household.id]);
+  assert.deepEqual(ids({ group: "12B", residentId: null }), [next.id]);
+  assert.deepEqual(ids({}), [unfiled.id, next.id, forBen.id, forAnna.id, household.id]);
+
+  const anna = { group: "12A", residentId: "anna" };
+  assert.equal(voicemail.get(forBen.id, anna), null);
+  assert.equal(await voicemail.readClip(next.id, anna), null);
+  assert.deepEqual(await voicemail.readClip(forAnna.id, anna), { buffer: CLIP, type: "video/webm" });
+  assert.throws(() => voicemail.setPlayed(forBen.id, true, anna), { status: 404 });
+  assert.throws(() => voicemail.remove(unfiled.id, anna), { status: 404 });
+  assert.equal(voicemail.list(anna).unplayed, 2);
+});
+
+test("played state and the message list survive a reload, old messages are swept", async (t) => {
+  const { voicemail, now, dir, remove } = tempStore({ retentionMs: 30 * DAY });
+  t.after(remove);
+  const old = await leave(voicemail, { group: "12A" });
+  now.advance(10 * MINUTE);
+  const played = voicemail.setPlayed(old.id, true);
+  assert.equal(played.playedAt, new Date(T0 + 10 * MINUTE).toISOString());
+  now.advance(29 * DAY);
+  const recent = await leave(voicemail, { group: "12A" });
+  await voicemail.flush();
+  voicemail.stop();
+
+  const reloaded = createVoicemail({ dir: join(dir, "clips"), file: join(dir, "voicemail.json"), retentionMs: 30 * DAY, now });
+  assert.deepEqual(reloaded.list().items.map((m) => [m.id, m.played]), [[recent.id, false], [old.id, true]]);
+  now.advance(2 * DAY);
+  reloaded.sweep();
+  await reloaded.flush();
+  assert.deepEqual(reloaded.list().items.map((m) => m.id), [recent.id]);
+  assert.equal(existsSync(join(dir, "clips", `${old.id}.webm`)), false);
+  reloaded.stop();
+});
+
+// Device credentials as the ring groups would check them
+const DEVICE_KEYS = { household: null, "anna-key": "anna", "ben-key": "ben" };
+function authorizeDevice(group, key) {
+  return group === "12A" && key in DEVICE_KEYS ? { residentId: DEVICE_KEYS[key] } : null;
+}
+
+test("the messages API scopes each device to its grants and answers with the store's codes", async (t) => {
+  const { voicemail, remove } = tempStore();
+  const left = [];
+  const { url, close } = await serve(createMessagesRouter({
+    voicemail, authorizeDevice, requireAdmin: requireAdmin(ADMIN_KEY), maxBytes: 1024, onMessage: (message) => left.push(message.id),
+  }));
+  t.after(async () => { await close(); voicemail.stop(); await voicemail.flush(); remove(); });
+  const as = (key, group = "12A") => ({ "X-Intercom-Group": group, "X-Intercom-Key": key });
+  const get = (path, headers) => fetch(`${url}${path}`, { headers });
+  const upload = (key, body = CLIP, type = "video/webm") => fetch(`${url}/voicemail`, {
+    method: "POST", headers: { "Content-Type": type, "X-Voicemail-Key": key, "X-Voicemail-Duration": "1500" }, body,
+  });
+
+  const forAnna = voicemail.grant({ group: "12A", resident: "anna", sessionId: "s1", token: "123456", snapshotId: null });
+  assert.equal((await upload("made-up")).status, 403);
+  assert.equal((await upload(forAnna.key, Buffer.alloc(0))).status, 415);
+  const created = await upload(forAnna.key);
+  assert.equal(created.status, 201);
+  const { id } = await created.json();
+  assert.deepEqual(left, [id]);
+  assert.equal((await upload(forAnna.key)).status, 403);
+
+  assert.equal((await get("/messages")).status, 401);
+  assert.equal((await get("/messages", as("wrong"))).status, 401);
+  assert.equal((await get("/messages", as("household", "12B"))).status, 401);
+  assert.equal((await get("/messages", { Authorization: "Bearer wrong" })).status, 401);
+  const list = async (headers) => (await (await get("/messages", headers)).json()).items.map((m) => m.id);
+  assert.deepEqual(await list(as("anna-key")), [id]);
+  assert.deepEqual(await list(as("household")), [id]);
+  assert.deepEqual(await list(as("ben-key")), []);
+  assert.deepEqual(await list({ Authorization: `Bearer ${ADMIN_KEY}` }), [id]);
+
+  assert.equal((await get(`/messages/${id}/clip`, as("ben-key"))).status, 404);
+  const clip = await get(`/messages/${id}/clip`, as("anna-key"));
+  assert.equal(clip.headers.get("content-type"), "video/webm");
+  assert.deepEqual(Buffer.from(await clip.arrayBuffer()), CLIP);
+
+  const patch = (headers, body) => fetch(`${url}/messages/${id}`, {
+    method: "PATCH", headers: { ...headers, "Content-Type": "application/json" }, body: JSON.stringify(body),
+  });
+  assert.equal((await patch(as("anna-key"), { played: "yes" })).status, 400);
+  assert.equal((await patch(as("ben-key"), { played: true })).status, 404);
+  assert.equal((await (await patch(as("anna-key"), { played: true })).json()).played, true);
+
+  const del = (headers) => fetch(`${url}/messages/${id}`, { method: "DELETE", headers });
+  assert.equal((await del(as("ben-key"))).status, 404);
+  assert.equal((await del(as("household"))).status, 204);
+  assert.equal((await del(as("household"))).status, 404);
+});
@@ -0,0 +1,181 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { createServer } from "node:http";
+import { mkdtempSync, readFileSync, rmSync } from "node:fs";
+import { tmpdir } from "node:os";
+import { join } from "node:path";
+import { createWebhooks, signPayload, verifySignature } from "../server/webhooks.js";
+import { toIntercomEvent, IntercomEvents } from "../server/events.js";
+import { HistoryEvents } from "../server/history.js";
+
+const SECRET = "test-secret";
+
+// Local webhook receiver: answers each request with the next status from `statuses`
+// (the last one repeats); "hang" never answers
+async function startReceiver(statuses = [200]) {
+  const requests = [];
+  const server = createServer((req, res) => {
+    let body = "";
+    req.on("data", (chunk) => { body += chunk; });
+    req.on("end", () => {
+      requests.push({ headers: req.headers, body, at: Date.now() });
+      const status = statuses[Math.min(requests.length - 1, statuses.length - 1)];
+      if (status === "hang") return;
+      res.writeHead(status).end();
+    });
+  });
+  await new Promise((resolve) => server.listen(0, "127.0.0.1", resolve));
+  return {
+    url: `http://127.0.0.1:${server.address().port}/hook`,
+    requests,
+    close: () => new Promise((resolve) => {
+      server.closeAllConnections();
+      server.close(resolve);
+    }),
+  };
+}
+
+const message = (event = IntercomEvents.DOOR_OPENED, id = "e1") => ({
+  id, event, at: "2026-01-01T00:00:00.000Z", data: { sessionId: "s1", via: "call" },
+});
+
+function tempDeadLetters() {
+  const dir = mkdtempSync(join(tmpdir(), "intercom-webhooks-"));
+  const file = join(dir, "webhooks-failed.jsonl");
+  return {
+    file,
+    read: () => readFileSync(file, "utf8").trim().split("\n").map((line) => JSON.parse(line)),
+    remove: () => rmSync(dir, { recursive: true, force: true }),
+  };
+}
+
+test("events are posted as signed JSON", async () => {
+  const receiver = await startReceiver();
+  const webhooks = createWebhooks({ urls: [receiver.url], secret: SECRET });
+  webhooks.publish(message());
+  await webhooks.flush();
+  await receiver.close();
+
+  assert.equal(receiver.requests.length, 1);
+  const { headers, body } = receiver.requests[0];
+  assert.deepEqual(JSON.parse(body), message());
+  assert.equal(headers["content-type"], "application/json");
+  assert.equal(headers["x-intercom-event"], "door.opened");
+  assert.equal(headers["x-intercom-delivery"], "e1");
+  const signed = { timestamp: headers["x-intercom-timestamp"], signature: headers["x-intercom-signature"] };
+  assert.equal(signed.signature, signPayload(SECRET, signed.timestamp, body));
+  assert.ok(verifySignature(SECRET, signed, body));
+  assert.ok(!verifySignature("other-secret", signed, body));
+  assert.ok(!verifySignature(SECRET, signed, body.replace("call", "pass")));
+  assert.ok(!verifySignature(SECRET, signed, body, { now: () => Number(signed.timestamp) + 10 * 60 * 1000 }));
+});
+
+test("failed deliveries are retried with growing delays", async () => {
+  const receiver = await startReceiver([500, 503, 200]);
+  const webhooks = createWebhooks({ urls: [receiver.url], secret: SECRET, backoffMs: 40 });
+  webhooks.publish(message());
+  await webhooks.flush();
+  await receiver.close();
+
+  assert.equal(receiver.requests.length, 3);
+  const ids = receiver.requests.map((r) => r.headers["x-intercom-delivery"]);
+  assert.deepEqual(ids, ["e1", "e1", "e1"]);
+  const [first, second, third] = receiver.requests.map((r) => r.at);
+  assert.ok(second - first >= 35, `first retry after ${second - first}ms`);
+  assert.ok(third - second >= 75, `second retry after ${third - second}ms`);
+  // Each attempt is signed afresh
+  for (const { headers, body } of receiver.requests) {
+    assert.ok(verifySignature(SECRET, { timestamp: headers["x-intercom-timestamp"], signature: headers["x-intercom-signature"] }, body));
+  }
+});
+
+test("deliveries that keep failing end up in the dead-letter file", async () => {
+  const receiver = await startReceiver([500]);
+  const deadLetters = tempDeadLetters();
+  const webhooks = createWebhooks({
+    urls: [receiver.url], secret: SECRET, deadLetterFile: deadLetters.file, maxAttempts: 3, backoffMs: 5,
+  });
+  webhooks.publish(message());
+  await webhooks.flush();
+  await receiver.close();
+
+  assert.equal(receiver.requests.length, 3);
+  const [entry] = deadLetters.read();
+  assert.equal(entry.url, receiver.url);
+  assert.equal(entry.attempts, 3);
+  assert.equal(entry.status, 500);
+  assert.deepEqual(entry.message, message());
+  deadLetters.remove();
+});
+
+test("rejected deliveries are not retried", async () => {
+  const receiver = await startReceiver([400]);
+  const deadLetters = tempDeadLetters();
+  const webhooks = createWebhooks({ urls: [receiver.url], secret: SECRET, deadLetterFile: deadLetters.file, backoffMs: 5 });
+  webhooks.publish(message());
+  await webhooks.flush();
+  await receiver.close();
+
+  assert.equal(receiver.requests.length, 1);
+  assert.equal(deadLetters.read()[0].attempts, 1);
+  deadLetters.remove();
+});
+
+test("receivers that don't answer time out and are retried", async () => {
+  const receiver = await startReceiver(["hang", 204]);
+  const deadLetters = tempDeadLetters();
+  const webhooks = createWebhooks({
+    urls: [receiver.url], secret: SECRET, deadLetterFile: deadLetters.file, timeoutMs: 100, backoffMs: 5,
+  });
+  webhooks.publish(message());
+  await webhooks.flush();
+  await receiver.close();
+
+  assert.equal(receiver.requests.length, 2);
+  assert.throws(() => deadLetters.read(), { code: "ENOENT" });
+  deadLetters.remove();
+});
+
+test("every URL gets the events it subscribed to", async () => {
+  const a = await startReceiver();
+  const b = await startReceiver();
+  const webhooks = createWebhooks({ urls: [a.url, b.url], secret: SECRET, events: ["door.opened", "call.ended"] });
+  webhooks.publish(message(IntercomEvents.SESSION_CREATED, "e1"));
+  webhooks.publish(message(IntercomEvents.DOOR_OPENED, "e2"));
+  webhooks.publish(message(IntercomEvents.CALL_ENDED, "e3"));
+  await webhooks.flush();
+  await Promise.all([a.close(), b.close()]);
+
+  for (const receiver of [a, b]) {
+    assert.deepEqual(receiver.requests.map((r) => r.headers["x-intercom-delivery"]).sort(), ["e2", "e3"]);
+  }
+});
+
+test("a signing secret is required", () => {
+  assert.throws(() => createWebhooks({ urls: ["http://127.0.0.1/hook"] }), /WEBHOOK_SECRET/);
+  assert.equal(createWebhooks().enabled, false);
+});
+
+test("history entries map to intercom events", () => {
+  const entry = (type, fields = {}) => ({
+    id: "h1", at: "2026-01-01T00:00:00.000Z", type, sessionId: "s1", token: "123456", ip: "10.0.0.1", userAgent: "UA", ...fields,
+  });
+
+  assert.deepEqual(toIntercomEvent(entry(HistoryEvents.SESSION_CREATED, { role: "resident" })), {
+    id: "h1", event: "session.created", at: "2026-01-01T00:00:00.000Z", data: { sessionId: "s1", role: "resident" },
+  });
+  assert.equal(toIntercomEvent(entry(HistoryEvents.SESSION_JOINED, { role: "visitor" })).event, "visitor.joined");
+  assert.equal(toIntercomEvent(entry(HistoryEvents.SESSION_JOINED, { role: "resident" })), null);
+  assert.equal(toIntercomEvent(entry(HistoryEvents.CONNECTED, { role: "resident" })).event, "call.answered");
+  assert.deepEqual(toIntercomEvent(entry(HistoryEvents.SESSION_ENDED, { reason: "host left", durationMs: 5000 })).data, {
+    sessionId: "s1", reason: "host left", durationMs: 5000,
+  });
+  assert.equal(toIntercomEvent(entry(HistoryEvents.TIMEOUT, { reason: "not joined" })).event, "session.expired");
+  assert.equal(toIntercomEvent(entry(HistoryEvents.OFFER)), null);
+
+  assert.equal(toIntercomEvent(entry(HistoryEvents.DOOR_OPEN, { role: "resident", status: "failure" })), null);
+  assert.equal(toIntercomEvent(entry(HistoryEvents.DOOR_OPEN, { role: "visitor", status: "success" })).data.via, "call");
+  assert.equal(toIntercomEvent(entry(HistoryEvents.DOOR_OPEN, { role: "admin", status: "success" })).data.via, "admin");
+  const pass = toIntercomEvent(entry(HistoryEvents.PASS_REDEEMED, { status: "success", passId: "p1", label: "Cleaner" }));
+  assert.deepEqual(pass.data, { sessionId: "s1", passId: "p1", label: "Cleaner", via: "pass" });
+});
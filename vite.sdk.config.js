@@ -0,0 +1,19 @@
+import { fileURLToPath } from "url";
+import { defineConfig } from "vite";
+
+// Library build of the client SDK: npm run build:sdk -> dist/sdk/
+// intercom-client.js (ES module) and intercom-client.umd.cjs (global `Intercom`).
+export default defineConfig({
+    publicDir: false,
+    build: {
+        outDir: "dist/sdk",
+        emptyOutDir: true,
+        sourcemap: true,
+        lib: {
+            entry: fileURLToPath(new URL("sdk/index.js", import.meta.url)),
+            name: "Intercom",
+            formats: ["es", "umd"],
+            fileName: (format) => (format === "es" ? "intercom-client.js" : "intercom-client.umd.cjs"),
+        },
+    },
+});